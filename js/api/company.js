@@ -15,9 +15,11 @@ const CompanyAPI = {
    * @param {Object} options - Input options
    * @param {string} options.url - Company website URL (optional)
    * @param {File} options.file - Uploaded document (optional)
+   * @param {AbortSignal} abortSignal - Optional abort signal
+   * @param {Object} callOptions - Passed to StackProxy.call (e.g. { callId })
    * @returns {Promise<Object>} - { full: {...}, short: "..." }
    */
-  async analyze({ url, file } = {}, abortSignal = null) {
+  async analyze({ url, file } = {}, abortSignal = null, callOptions = {}) {
     // Validate inputs - need at least one
     const hasUrl = url && typeof url === 'string' && url.trim().length > 0;
     const hasFile = file && file instanceof File;
@@ -54,7 +56,8 @@ const CompanyAPI = {
           workflow,
           file,
           hasUrl ? url.trim() : null,
-          controller.signal
+          controller.signal,
+          callOptions
         );
       } else {
         // URL-only workflow
@@ -62,7 +65,7 @@ const CompanyAPI = {
           'user_id': `company_${Date.now()}`,
           'in-0': url.trim()
         };
-        data = await window.StackProxy.call(workflow, payload, controller.signal);
+        data = await window.StackProxy.call(workflow, payload, controller.signal, callOptions);
       }
       
       clearTimeout(timeoutId);
@@ -95,7 +98,8 @@ const CompanyAPI = {
     }
 
     // Parse full output (out-6) - this IS JSON
-    const fullOutput = this.parseOutput(outputs['out-6'], 'full company data');
+    const warnings = [];
+    const fullOutput = ResponseParser.parseJson(outputs['out-6'], 'company overview', warnings);
     
     Debug.log('[CompanyAPI] Parsed full output');
     
@@ -107,7 +111,8 @@ const CompanyAPI = {
     }
 
     // Ensure required structure in full output (follows venture-extraction-schema)
-    const full = this.ensureStructure(fullOutput || {});
+    const full = this.ensureStructure(fullOutput || {}, warnings);
+    full.parseWarnings = warnings;
     
     // Short output is kept as text string for passing to other APIs
     const short = shortOutput || '';
@@ -142,66 +147,18 @@ const CompanyAPI = {
     return String(rawOutput);
   },
 
-  /**
-   * Parse output that may be string or object (for full output only)
-   * Handles multiple wrapper structures from Stack AI
-   */
-  parseOutput(rawOutput, label = 'output') {
-    if (!rawOutput) return null;
-
-    Debug.log(`[CompanyAPI] parseOutput ${label}`);
-
-    // Handle object with text property (Stack AI wrapper)
-    if (typeof rawOutput === 'object' && rawOutput.text) {
-      Debug.log(`[CompanyAPI] parseOutput ${label}: unwrapping`);
-      return this.parseOutput(rawOutput.text, label);
-    }
-
-    // Already an object with expected schema properties
-    if (typeof rawOutput === 'object') {
-      // Check if it has the expected schema structure
-      if (rawOutput.company_overview || rawOutput.technology || rawOutput.company_profile) {
-        Debug.log(`[CompanyAPI] parseOutput ${label}: found schema structure`);
-        return rawOutput;
-      }
-      // Otherwise might be wrapped differently
-      Debug.log(`[CompanyAPI] parseOutput ${label}: non-standard structure`);
-      return rawOutput;
-    }
-
-    // Parse string
-    if (typeof rawOutput === 'string') {
-      try {
-        let cleaned = rawOutput.trim();
-        
-        // Remove markdown code blocks
-        if (cleaned.startsWith('```json')) {
-          cleaned = cleaned.slice(7);
-        }
-        if (cleaned.startsWith('```')) {
-          cleaned = cleaned.slice(3);
-        }
-        if (cleaned.endsWith('```')) {
-          cleaned = cleaned.slice(0, -3);
-        }
-        
-        const parsed = JSON.parse(cleaned.trim());
-        Debug.log(`[CompanyAPI] parseOutput ${label}: parsed JSON`);
-        return parsed;
-      } catch (error) {
-        Debug.error(`[CompanyAPI] Failed to parse ${label}:`, error.message);
-        return null;
-      }
-    }
-
-    return null;
-  },
-
   /**
    * Ensure full output has required structure for display
    * Normalizes to match venture-extraction-schema
+   * @param {Object} data - Parsed full output
+   * @param {Object[]} warnings - Collects ResponseParser warnings
    */
-  ensureStructure(data) {
+  ensureStructure(data, warnings = []) {
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      ResponseParser.warn(warnings, 'company overview', '', 'invalid', 'expected an object - using empty sections');
+      data = {};
+    }
+
     // The new schema has these top-level sections:
     // company_overview, technology, products_and_applications, team,
     // funding_and_investors, traction_and_metrics, recent_activity,
@@ -379,9 +336,19 @@ const CompanyAPI = {
     }
     
     // Ensure all required top-level sections exist (per schema)
-    const requiredSections = [
+    const normalized = ResponseParser.normalize(data, this.schema, 'company overview', warnings);
+    normalized.data_quality_assessment.extraction_date =
+      normalized.data_quality_assessment.extraction_date || new Date().toISOString().split('T')[0];
+
+    return normalized;
+  },
+
+  // Top-level sections of the venture-extraction-schema, with empty defaults
+  schema: {
+    type: 'object',
+    required: [
       'company_overview',
-      'technology', 
+      'technology',
       'products_and_applications',
       'team',
       'funding_and_investors',
@@ -389,114 +356,111 @@ const CompanyAPI = {
       'recent_activity',
       'market_context',
       'data_quality_assessment'
-    ];
-    
-    for (const section of requiredSections) {
-      if (!data[section]) {
-        data[section] = this.getDefaultSection(section);
-      }
-    }
-    
-    return data;
-  },
-
-  /**
-   * Get default empty section following schema
-   */
-  getDefaultSection(section) {
-    const defaults = {
+    ],
+    properties: {
       company_overview: {
-        name: '',
-        website: '',
-        founded_year: null,
-        headquarters: null,
-        company_stage: null,
-        employee_count: null,
-        mission_statement: '',
-        company_description: ''
+        type: 'object',
+        default: {
+          name: '',
+          website: '',
+          founded_year: null,
+          headquarters: null,
+          company_stage: null,
+          employee_count: null,
+          mission_statement: '',
+          company_description: ''
+        }
       },
       technology: {
-        core_technology: '',
-        technology_category: '',
-        technical_approach: '',
-        key_innovations: [],
-        intellectual_property: {
-          patents_filed: null,
-          patents_granted: null,
-          patent_descriptions: [],
-          trade_secrets_mentioned: false
+        type: 'object',
+        default: {
+          core_technology: '',
+          technology_category: '',
+          technical_approach: '',
+          key_innovations: [],
+          intellectual_property: {
+            patents_filed: null,
+            patents_granted: null,
+            patent_descriptions: [],
+            trade_secrets_mentioned: false
+          }
         }
       },
       products_and_applications: {
-        primary_application: '',
-        products: [],
-        use_cases: [],
-        target_industries: []
+        type: 'object',
+        default: {
+          primary_application: '',
+          products: [],
+          use_cases: [],
+          target_industries: []
+        }
       },
       team: {
-        founders: [],
-        key_executives: [],
-        advisors: []
+        type: 'object',
+        default: {
+          founders: [],
+          key_executives: [],
+          advisors: []
+        }
       },
       funding_and_investors: {
-        total_funding: null,
-        funding_rounds: [],
-        government_grants: []
+        type: 'object',
+        default: {
+          total_funding: null,
+          funding_rounds: [],
+          government_grants: []
+        }
       },
       traction_and_metrics: {
-        customers: {
-          notable_customers: [],
-          customer_count: null,
-          customer_type: null
-        },
-        revenue: null,
-        growth_metrics: null,
-        partnerships: [],
-        achievements: []
+        type: 'object',
+        default: {
+          customers: {
+            notable_customers: [],
+            customer_count: null,
+            customer_type: null
+          },
+          revenue: null,
+          growth_metrics: null,
+          partnerships: [],
+          achievements: []
+        }
       },
       recent_activity: {
-        last_12_months: [],
-        upcoming_milestones: []
+        type: 'object',
+        default: {
+          last_12_months: [],
+          upcoming_milestones: []
+        }
       },
       market_context: {
-        industry: '',
-        sub_sector: null,
-        problem_addressed: '',
-        value_proposition: '',
-        business_model: null
+        type: 'object',
+        default: {
+          industry: '',
+          sub_sector: null,
+          problem_addressed: '',
+          value_proposition: '',
+          business_model: null
+        }
       },
       data_quality_assessment: {
-        extraction_date: new Date().toISOString().split('T')[0],
-        primary_sources: [],
-        information_completeness: 'low',
-        missing_critical_information: [],
-        data_freshness: 'mixed',
-        confidence_notes: ''
+        type: 'object',
+        default: {
+          extraction_date: '',  // Filled with today's date in ensureStructure
+          primary_sources: [],
+          information_completeness: 'low',
+          missing_critical_information: [],
+          data_freshness: 'mixed',
+          confidence_notes: ''
+        }
       }
-    };
-    
-    return defaults[section] || {};
+    }
   },
 
   /**
    * Parse amount string to number
    */
   parseAmount(amountStr) {
-    if (typeof amountStr === 'number') return amountStr;
-    if (!amountStr || typeof amountStr !== 'string') return null;
-    
-    // Extract number from strings like "$3M+" or "$412K"
-    const match = amountStr.match(/\$?([\d.]+)\s*(M|K|B)?/i);
-    if (!match) return null;
-    
-    let value = parseFloat(match[1]);
-    const suffix = (match[2] || '').toUpperCase();
-    
-    if (suffix === 'K') value *= 1000;
-    if (suffix === 'M') value *= 1000000;
-    if (suffix === 'B') value *= 1000000000;
-    
-    return value || null;
+    return ResponseParser.parseAmount(amountStr);
   },
 
   /**
@@ -10,8 +10,9 @@ const CompetitiveAPI = {
    * 
    * @param {string} companyDescription - Short company description JSON from CompanyAPI
    * @param {AbortSignal} abortSignal - Optional abort signal
+   * @param {Object} callOptions - Passed to StackProxy.call (e.g. { callId })
    */
-  async analyze(companyDescription, abortSignal = null) {
+  async analyze(companyDescription, abortSignal = null, callOptions = {}) {
     if (!companyDescription || typeof companyDescription !== 'string') {
       throw new Error('Company description is required');
     }
@@ -35,7 +36,7 @@ const CompetitiveAPI = {
 
     try {
       // Use proxy instead of direct API call
-      const data = await window.StackProxy.call('competitive', payload, controller.signal);
+      const data = await window.StackProxy.call('competitive', payload, controller.signal, callOptions);
       
       clearTimeout(timeoutId);
       return this.processResponse(data);
@@ -51,6 +52,65 @@ const CompetitiveAPI = {
     }
   },
 
+  // Expected output shapes - see ResponseParser for the schema keywords
+  schema: {
+    analysis: {
+      type: 'object',
+      required: ['market_overview', 'competitors', 'competitive_analysis'],
+      properties: {
+        market_overview: {
+          type: 'object',
+          default: {},
+          properties: {
+            job_to_be_done: { type: 'string', minLength: 1, default: 'Not specified' },
+            market_dynamics: { type: 'string', minLength: 1, default: 'Not provided' },
+            total_competitors: {
+              type: 'object',
+              default: {},
+              properties: {
+                startups_range: { type: 'string', default: '' },
+                midsize_range: { type: 'string', default: '' },
+                large_range: { type: 'string', default: '' },
+                total_range: { type: 'string', default: '' },
+                geographic_scope: { type: 'string', default: 'Global' }
+              }
+            }
+          }
+        },
+        competitors: { type: 'array', default: [] },
+        competitive_analysis: { type: 'object', default: {} },
+        data_quality: {
+          type: 'object',
+          default: {},
+          properties: {
+            sources_used: { type: 'array', default: [] },
+            data_concerns: { type: 'array', default: [] }
+          }
+        }
+      }
+    },
+    assessment: {
+      type: 'object',
+      required: ['score', 'score_justification'],
+      properties: {
+        score: ResponseParser.scoreSchema,
+        competitor_count: {
+          type: 'object',
+          properties: {
+            large_companies: { type: 'number', default: 0 },
+            mid_size_companies: { type: 'number', default: 0 },
+            startups: { type: 'number', default: 0 },
+            total: { type: 'number' }
+          }
+        },
+        market_leaders: { type: 'array', default: [] },
+        competitive_intensity: { type: 'string', minLength: 1, default: 'unknown' },
+        key_risk_factors: { type: 'array', default: [] },
+        differentiation_opportunities: { type: 'array', default: [] }
+      }
+    }
+  },
+
   /**
    * Process API response (out-3 = analysis, out-4 = score)
    */
@@ -64,129 +124,52 @@ const CompetitiveAPI = {
     }
 
     // Parse the structured competitive analysis
-    const analysis = this.parseOutput(outputs['out-3'], 'competitive analysis');
+    const parsedAnalysis = ResponseParser.parse(outputs['out-3'], this.schema.analysis, 'competitive analysis');
+    const analysis = parsedAnalysis.data;
     if (!analysis || typeof analysis !== 'object') {
       throw new Error('Invalid competitive analysis format');
     }
 
     // Parse the graded assessment
-    const assessment = this.parseOutput(outputs['out-4'], 'competitive assessment');
+    const parsedAssessment = ResponseParser.parse(outputs['out-4'], this.schema.assessment, 'competitive assessment');
+    const assessment = parsedAssessment.data;
     if (!assessment || typeof assessment !== 'object') {
       throw new Error('Invalid competitive assessment format');
     }
+    const warnings = [...parsedAnalysis.warnings, ...parsedAssessment.warnings];
 
     // Validate assessment score
-    const score = Number.parseInt(assessment.score, 10);
-    if (!score || score < 1 || score > 9) {
-      throw new Error(`Invalid competitive score: ${assessment.score}`);
+    const score = assessment.score;
+    if (!Number.isInteger(score) || score < 1 || score > 9) {
+      throw new Error(`Invalid competitive score: ${score}`);
     }
-    assessment.score = score;
 
-    // Ensure required fields
-    this.ensureRequiredFields(analysis, assessment);
+    // Use centralized confidence normalization
+    analysis.data_confidence = ConfidenceUtil.extractFromResponse(analysis, assessment);
+    analysis.confidence_justification = ConfidenceUtil.extractJustificationFromResponse(analysis, assessment);
+    if (!analysis.data_confidence) {
+      ResponseParser.warn(warnings, 'competitive analysis', 'data_confidence', 'missing', 'confidence was not provided');
+    }
+
+    this.reconcileCompetitorCounts(analysis, assessment, warnings);
 
     // Return structured response
     return {
       analysis,
       assessment,
       analysisText: JSON.stringify(analysis), // For market analysis input
-      formatted: this.formatForDisplay(analysis, assessment)
+      formatted: this.formatForDisplay(analysis, assessment),
+      parseWarnings: warnings
     };
   },
 
   /**
-   * Parse output that may be string or object
+   * Fill competitor range text and numeric counts from each other.
+   * Older workflows only return numeric counts; newer ones only ranges.
+   * @param {Object[]} warnings - Collects a warning for each inferred value
    */
-  parseOutput(raw, label) {
-    if (!raw) return null;
-
-    if (typeof raw === 'object') {
-      if (raw.text && typeof raw.text === 'string') {
-        return this.parseOutput(raw.text, label);
-      }
-      return raw;
-    }
-
-    if (typeof raw !== 'string') {
-      return null;
-    }
-
-    let trimmed = raw.trim();
-    if (!trimmed) return null;
-
-    // Clean up markdown code blocks
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.trim();
-
-    try {
-      return JSON.parse(trimmed);
-    } catch (error) {
-      console.error(`Failed to parse ${label}:`, error);
-      return null;
-    }
-  },
-
-  /**
-   * Ensure required fields exist
-   */
-  ensureRequiredFields(analysis, assessment) {
-    // Ensure analysis structure
-    if (!analysis.market_overview) analysis.market_overview = {};
-    if (!analysis.competitors) analysis.competitors = [];
-    if (!analysis.competitive_analysis) analysis.competitive_analysis = {};
-    
-    // Initialize data_quality if missing
-    if (!analysis.data_quality) {
-      analysis.data_quality = {};
-    }
-    
-    // Normalize sources_used to array
-    if (!Array.isArray(analysis.data_quality.sources_used)) {
-      analysis.data_quality.sources_used = analysis.data_quality.sources_used
-        ? [analysis.data_quality.sources_used].flat().filter(Boolean)
-        : [];
-    }
-    
-    // Normalize data_concerns to array
-    if (!Array.isArray(analysis.data_quality.data_concerns)) {
-      analysis.data_quality.data_concerns = analysis.data_quality.data_concerns
-        ? [analysis.data_quality.data_concerns].flat().filter(Boolean)
-        : [];
-    }
-
-    // Use centralized confidence normalization
-    analysis.data_confidence = ConfidenceUtil.extractFromResponse(analysis, assessment);
-    analysis.confidence_justification = ConfidenceUtil.extractJustificationFromResponse(analysis, assessment);
-
-    // Normalize market overview totals
-    const overview = analysis.market_overview;
-
-    const defaultTotals = {
-      startups_range: '',
-      midsize_range: '',
-      large_range: '',
-      total_range: '',
-      geographic_scope: 'Global'
-    };
-
-    if (!overview.total_competitors || typeof overview.total_competitors !== 'object') {
-      overview.total_competitors = { ...defaultTotals };
-    } else {
-      overview.total_competitors = {
-        ...defaultTotals,
-        ...overview.total_competitors
-      };
-    }
-
-    const totals = overview.total_competitors;
+  reconcileCompetitorCounts(analysis, assessment, warnings = []) {
+    const totals = analysis.market_overview.total_competitors;
     const normalizeRange = (value) => {
       if (value === null || value === undefined) return '';
       if (typeof value === 'number') return value.toString();
@@ -195,17 +178,21 @@ const CompetitiveAPI = {
 
     const legacyCounts = assessment.competitor_count;
     if (legacyCounts && typeof legacyCounts === 'object') {
-      if (!totals.startups_range) totals.startups_range = normalizeRange(legacyCounts.startups);
-      if (!totals.midsize_range) totals.midsize_range = normalizeRange(legacyCounts.mid_size_companies);
-      if (!totals.large_range) totals.large_range = normalizeRange(legacyCounts.large_companies);
-      if (!totals.total_range) totals.total_range = normalizeRange(legacyCounts.total);
-    }
-
-    if (!overview.job_to_be_done) {
-      overview.job_to_be_done = 'Not specified';
-    }
-    if (!overview.market_dynamics) {
-      overview.market_dynamics = 'Not provided';
+      const filled = [];
+      const fill = (key, value) => {
+        if (totals[key]) return;
+        totals[key] = normalizeRange(value);
+        if (totals[key]) filled.push(key);
+      };
+      fill('startups_range', legacyCounts.startups);
+      fill('midsize_range', legacyCounts.mid_size_companies);
+      fill('large_range', legacyCounts.large_companies);
+      fill('total_range', legacyCounts.total);
+
+      if (filled.length > 0) {
+        ResponseParser.warn(warnings, 'competitive analysis', 'market_overview.total_competitors', 'inferred',
+          `${filled.join(', ')} taken from the assessment's numeric competitor counts`);
+      }
     }
 
     const rangeToNumber = (range) => {
@@ -226,25 +213,16 @@ const CompetitiveAPI = {
         mid_size_companies: rangeToNumber(totals.midsize_range),
         startups: rangeToNumber(totals.startups_range)
       };
+      ResponseParser.warn(warnings, 'competitive assessment', 'competitor_count', 'inferred',
+        'competitor counts were not provided - estimated from the midpoints of the range text');
     } else {
       const counts = assessment.competitor_count;
-      counts.large_companies = Number(counts.large_companies ?? 0);
-      counts.mid_size_companies = Number(counts.mid_size_companies ?? 0);
-      counts.startups = Number(counts.startups ?? 0);
-
-      if (counts.total === undefined || counts.total === null) {
+      if (typeof counts.total !== 'number') {
         counts.total = counts.large_companies + counts.mid_size_companies + counts.startups;
-      } else {
-        counts.total = Number(counts.total);
-        if (Number.isNaN(counts.total)) {
-          counts.total = counts.large_companies + counts.mid_size_companies + counts.startups;
-        }
+        ResponseParser.warn(warnings, 'competitive assessment', 'competitor_count.total', 'inferred',
+          `total was not provided - using the sum of the size categories (${counts.total})`);
       }
     }
-    if (!assessment.market_leaders) assessment.market_leaders = [];
-    if (!assessment.competitive_intensity) assessment.competitive_intensity = 'unknown';
-    if (!assessment.key_risk_factors) assessment.key_risk_factors = [];
-    if (!assessment.differentiation_opportunities) assessment.differentiation_opportunities = [];
   },
 
   /**
@@ -326,22 +304,36 @@ const CompetitiveAPI = {
   },
 
   /**
-   * Get rubric description for a score
+   * Get rubric description for a score (current RubricRegistry version)
    */
   getRubricDescription(score) {
-    const rubrics = {
-      1: "Dominant established players AND little tech OR business differentiation",
-      2: "Established players AND little tech OR business differentiation",
-      3: "Established players AND some tech OR business differentiation",
-      4: "Established players AND significant tech differentiation",
-      5: "Established players AND significant tech AND business differentiation",
-      6: "Existing players AND significant tech OR business differentiation",
-      7: "Existing players AND significant tech AND business differentiation",
-      8: "Few existing players AND significant tech AND business differentiation",
-      9: "No existing players in the market"
-    };
-    
-    return rubrics[score] || "Invalid score";
+    return RubricRegistry.getDescription("competitive", score) || "Invalid score";
+  },
+
+  /**
+   * Number of competitors identified
+   * @param {Object} result - Output of processResponse (or a cached copy)
+   * @returns {number|null} Assessed total, falling back to the competitors listed
+   */
+  getCompetitorCount(result) {
+    const total = result?.assessment?.competitor_count?.total ??
+      result?.formatted?.competitorCount?.total;
+    if (typeof total === 'number' && Number.isFinite(total)) return total;
+
+    const competitors = result?.analysis?.competitors || result?.formatted?.competitors;
+    return Array.isArray(competitors) ? competitors.length : null;
+  },
+
+  /**
+   * Names of the competitors identified
+   * @param {Object} result - Output of processResponse (or a cached copy)
+   * @returns {string[]}
+   */
+  getCompetitorNames(result) {
+    const competitors = result?.analysis?.competitors || result?.formatted?.competitors || [];
+    return competitors
+      .map(comp => comp?.company_name || comp?.name)
+      .filter(name => name && name !== 'Unknown');
   }
 };
 
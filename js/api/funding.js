@@ -10,8 +10,9 @@ const FundingAPI = {
    * 
    * @param {string} companyDescription - Short company description JSON from CompanyAPI
    * @param {AbortSignal} abortSignal - Optional abort signal
+   * @param {Object} callOptions - Passed to StackProxy.call (e.g. { callId })
    */
-  async analyze(companyDescription, abortSignal = null) {
+  async analyze(companyDescription, abortSignal = null, callOptions = {}) {
     if (!companyDescription || typeof companyDescription !== 'string') {
       throw new Error('Company description is required for funding analysis');
     }
@@ -35,7 +36,7 @@ const FundingAPI = {
 
     try {
       // Use proxy instead of direct API call
-      const data = await window.StackProxy.call('funding', payload, controller.signal);
+      const data = await window.StackProxy.call('funding', payload, controller.signal, callOptions);
       
       clearTimeout(timeoutId);
       return this.processResponse(data);
@@ -51,6 +52,37 @@ const FundingAPI = {
     }
   },
 
+  // Expected output shapes - see ResponseParser for the schema keywords
+  schema: {
+    analysis: {
+      type: 'object',
+      required: ['venture_funding'],
+      properties: {
+        venture_funding: {
+          type: 'object',
+          default: {},
+          properties: {
+            funding_rounds: { type: 'array', default: [] }
+          }
+        },
+        market_deals: { type: 'array', default: [] }
+      }
+    },
+    assessment: {
+      type: 'object',
+      required: ['score_justification'],
+      properties: {
+        score_justification: {
+          type: 'object',
+          default: {},
+          properties: {
+            funding_details: { type: 'array', default: [] }
+          }
+        }
+      }
+    }
+  },
+
   /**
    * Process API response (out-0 = analysis, out-1 = score)
    */
@@ -62,8 +94,11 @@ const FundingAPI = {
 
     const outputs = data.outputs || {};
 
-    const analysis = this.parseOutput(outputs['out-0'], 'funding analysis');
-    const assessment = this.parseOutput(outputs['out-1'], 'funding assessment');
+    const parsedAnalysis = ResponseParser.parse(outputs['out-0'], this.schema.analysis, 'funding analysis');
+    const parsedAssessment = ResponseParser.parse(outputs['out-1'], this.schema.assessment, 'funding assessment');
+    const analysis = parsedAnalysis.data;
+    const assessment = parsedAssessment.data;
+    const warnings = [...parsedAnalysis.warnings, ...parsedAssessment.warnings];
 
     if (!analysis || typeof analysis !== 'object') {
       throw new Error('Invalid funding analysis format');
@@ -73,93 +108,36 @@ const FundingAPI = {
       throw new Error('Invalid funding assessment format');
     }
 
+    // The score has gone by several names across workflow versions
     const score =
       assessment.funding_score ??
       assessment.score ??
       assessment.fundingScore;
 
-    const normalizedScore = Number.parseInt(score, 10);
+    const normalizedScore = ResponseParser.normalize(
+      score, ResponseParser.scoreSchema, 'funding assessment', warnings, 'score'
+    );
     if (!Number.isInteger(normalizedScore) || normalizedScore < 1 || normalizedScore > 9) {
       throw new Error(`Invalid funding score: ${score}`);
     }
     assessment.score = normalizedScore;
 
-    this.ensureRequiredFields(analysis, assessment);
+    // Use centralized confidence normalization
+    analysis.data_confidence = ConfidenceUtil.extractFromResponse(analysis, assessment);
+    analysis.confidence_justification = ConfidenceUtil.extractJustificationFromResponse(analysis, assessment);
+    if (!analysis.data_confidence) {
+      ResponseParser.warn(warnings, 'funding analysis', 'data_confidence', 'missing', 'confidence was not provided');
+    }
 
     return {
       analysis,
       assessment,
       score: assessment.score,
-      formatted: this.formatForDisplay(analysis, assessment)
+      formatted: this.formatForDisplay(analysis, assessment),
+      parseWarnings: warnings
     };
   },
 
-  /**
-   * Parse output payload that may be a string or { text }
-   */
-  parseOutput(raw, label) {
-    if (!raw) return null;
-
-    if (typeof raw === 'object') {
-      if (raw.text && typeof raw.text === 'string') {
-        return this.parseOutput(raw.text, label);
-      }
-      return raw;
-    }
-
-    if (typeof raw !== 'string') {
-      console.error(`Unexpected ${label} output type:`, typeof raw);
-      return null;
-    }
-
-    let trimmed = raw.trim();
-    if (!trimmed) return null;
-
-    // Clean up markdown code blocks
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.trim();
-
-    try {
-      return JSON.parse(trimmed);
-    } catch (error) {
-      console.error(`Failed to parse ${label}:`, error, trimmed);
-      return null;
-    }
-  },
-
-  /**
-   * Ensure required fields exist for downstream consumers
-   */
-  ensureRequiredFields(analysis, assessment) {
-    analysis.venture_funding = analysis.venture_funding || {};
-    analysis.venture_funding.funding_rounds =
-      Array.isArray(analysis.venture_funding.funding_rounds)
-        ? analysis.venture_funding.funding_rounds
-        : [];
-
-    analysis.market_deals = Array.isArray(analysis.market_deals)
-      ? analysis.market_deals
-      : [];
-
-    // Use centralized confidence normalization
-    analysis.data_confidence = ConfidenceUtil.extractFromResponse(analysis, assessment);
-    analysis.confidence_justification = ConfidenceUtil.extractJustificationFromResponse(analysis, assessment);
-
-    assessment.score_justification = assessment.score_justification || {};
-    assessment.score_justification.funding_details =
-      Array.isArray(assessment.score_justification.funding_details)
-        ? assessment.score_justification.funding_details
-        : [];
-  },
-
   /**
    * Format data for UI consumption
    */
@@ -217,22 +195,49 @@ const FundingAPI = {
   },
 
   /**
-   * Get rubric description
+   * Get rubric description (current RubricRegistry version)
    */
   getRubricDescription(score) {
-    const rubric = {
-      1: 'Unreasonable amount of funding needed AND VCs not funding this area',
-      2: 'High amount of funding needed AND VCs not funding this area',
-      3: 'Reasonable/Low amount of funding needed AND VCs not funding this area',
-      4: 'High amount of funding needed AND VCs funding this area decently',
-      5: 'Reasonable amount of funding needed AND VCs funding this area decently',
-      6: 'Low amount of funding needed AND VCs funding this area decently',
-      7: 'High amount of funding needed AND VCs hot in this area',
-      8: 'Reasonable amount of funding needed AND VCs hot in this area',
-      9: 'Low amount of funding needed AND VCs hot in this area'
-    };
+    return RubricRegistry.getDescription('funding', score) || 'No rubric description available';
+  },
 
-    return rubric[score] || 'No rubric description available';
+  /**
+   * Sum of the venture's disclosed funding rounds
+   * @param {Object} result - Output of processResponse (or a cached copy)
+   * @returns {number|null} Total in USD, or null if no round has a usable amount
+   */
+  getTotalFunding(result) {
+    const rounds = result?.formatted?.fundingRounds ||
+      result?.analysis?.venture_funding?.funding_rounds || [];
+
+    const amounts = rounds
+      .map(round => this.parseAmount(round.amount))
+      .filter(amount => amount !== null);
+
+    return amounts.length > 0 ? amounts.reduce((sum, amount) => sum + amount, 0) : null;
+  },
+
+  /**
+   * The venture's funding rounds as one-line descriptions
+   * @param {Object} result - Output of processResponse (or a cached copy)
+   * @returns {string[]} e.g. "Seed - $2M (2024-03)"
+   */
+  getFundingRoundLabels(result) {
+    const rounds = result?.formatted?.fundingRounds ||
+      result?.analysis?.venture_funding?.funding_rounds || [];
+
+    return rounds.map(round => {
+      const date = round.date ? ` (${round.date})` : '';
+      return `${round.type || 'Funding'} - ${round.amount || 'Unknown'}${date}`;
+    });
+  },
+
+  /**
+   * Parse an amount like "$2.5M", "1.2 billion" or "750,000" into USD
+   * @returns {number|null} Amount, or null for "Undisclosed"/"Unknown"
+   */
+  parseAmount(value) {
+    return ResponseParser.parseAmount(value);
   }
 };
 
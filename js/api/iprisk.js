@@ -10,8 +10,9 @@ const IPRiskAPI = {
    * 
    * @param {string} companyDescription - Short company description JSON from CompanyAPI
    * @param {AbortSignal} abortSignal - Optional abort signal
+   * @param {Object} callOptions - Passed to StackProxy.call (e.g. { callId })
    */
-  async analyze(companyDescription, abortSignal = null) {
+  async analyze(companyDescription, abortSignal = null, callOptions = {}) {
     if (!companyDescription || typeof companyDescription !== 'string') {
       throw new Error('Company description is required for IP risk analysis');
     }
@@ -35,7 +36,7 @@ const IPRiskAPI = {
 
     try {
       // Use proxy instead of direct API call
-      const data = await window.StackProxy.call('iprisk', payload, controller.signal);
+      const data = await window.StackProxy.call('iprisk', payload, controller.signal, callOptions);
       
       clearTimeout(timeoutId);
       return this.processResponse(data);
@@ -51,6 +52,53 @@ const IPRiskAPI = {
     }
   },
 
+  // Expected report shape once both outputs are merged - see ResponseParser
+  schema: {
+    type: 'object',
+    required: ['ipRiskSummary'],
+    properties: {
+      ipRiskSummary: {
+        type: 'object',
+        required: ['overallIPRisk'],
+        default: {},
+        properties: {
+          companyCurrentIP: {
+            type: 'object',
+            default: {},
+            properties: {
+              description: { type: 'string', minLength: 1, default: 'No current IP description available.' },
+              ownedPatents: { type: 'array', default: [] }
+            }
+          },
+          uniquePatentableFeatures: { type: 'array', default: [] },
+          crowdedPatentableFeatures: { type: 'array', default: [] },
+          topPatentOwners: { type: 'array', default: [] },
+          top5RelevantPatents: { type: 'array', default: [] },
+          overallIPRisk: {
+            type: 'object',
+            required: ['riskLevel'],
+            default: {},
+            properties: {
+              score: ResponseParser.scoreSchema,
+              riskLevel: { type: 'string', minLength: 1, default: 'unknown' },
+              thirdPartyChallenges: { type: 'array', default: [] },
+              analysis: { type: 'string', default: '' }
+            }
+          }
+        }
+      },
+      patentTable: {
+        type: 'object',
+        default: {},
+        properties: {
+          awardedPatents: { type: 'array', default: [] },
+          patentApplications: { type: 'array', default: [] }
+        }
+      },
+      dataQuality: { type: 'object', default: {} }
+    }
+  },
+
   /**
    * Process API response (out-1 = analysis, out-2 = score)
    */
@@ -60,10 +108,11 @@ const IPRiskAPI = {
       throw new Error(validation.error);
     }
 
-    const detailed = this.parseOutput(data.outputs['out-1']);
-    const summary = this.parseOutput(data.outputs['out-2']);
+    const warnings = [];
+    const detailed = ResponseParser.parseJson(data.outputs['out-1'], 'IP risk analysis', warnings);
+    const summary = ResponseParser.parseJson(data.outputs['out-2'], 'IP risk summary', warnings);
 
-    const ipRiskData = detailed || summary;
+    let ipRiskData = detailed || summary;
     if (!ipRiskData) {
       throw new Error('No IP risk data returned from API');
     }
@@ -73,62 +122,34 @@ const IPRiskAPI = {
     }
 
     this.normalizeReport(ipRiskData);
-    this.ensureRequiredFields(ipRiskData);
+    ipRiskData = ResponseParser.normalize(ipRiskData, this.schema, 'IP risk analysis', warnings);
 
-    const score = this.extractScore(ipRiskData);
+    // Use centralized confidence normalization
+    ipRiskData.dataConfidence = ConfidenceUtil.normalizeLevel(
+      ipRiskData.dataConfidence ??
+      ipRiskData.data_confidence ??
+      ipRiskData.dataQuality?.overall_confidence
+    );
+
+    ipRiskData.confidenceJustification = ConfidenceUtil.extractJustification(
+      ipRiskData.confidenceJustification,
+      ipRiskData.dataQuality?.confidence_justification
+    );
+    if (!ipRiskData.dataConfidence) {
+      ResponseParser.warn(warnings, 'IP risk analysis', 'dataConfidence', 'missing', 'confidence was not provided');
+    }
+
+    const score = this.extractScore(ipRiskData, warnings);
 
     return {
       data: ipRiskData,
       score,
       rubricDescription: score ? this.getRubricDescription(score) : null,
-      formatted: this.formatForDisplay(ipRiskData, score)
+      formatted: this.formatForDisplay(ipRiskData, score),
+      parseWarnings: warnings
     };
   },
 
-  /**
-   * Parse model output regardless of envelope format
-   */
-  parseOutput(rawOutput) {
-    if (!rawOutput) return null;
-
-    if (typeof rawOutput === 'object') {
-      if (rawOutput.text && typeof rawOutput.text === 'string') {
-        try {
-          return JSON.parse(rawOutput.text);
-        } catch (e) {
-          return null;
-        }
-      }
-      return rawOutput;
-    }
-
-    if (typeof rawOutput !== 'string') {
-      return null;
-    }
-
-    let trimmed = rawOutput.trim();
-    if (!trimmed) return null;
-
-    // Clean up markdown code blocks
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.trim();
-
-    try {
-      return JSON.parse(trimmed);
-    } catch (error) {
-      console.error('Failed to parse IP risk output:', error);
-      return null;
-    }
-  },
-
   /**
    * Merge summary (out-2) data into detailed report for consistent shape
    */
@@ -183,83 +204,10 @@ const IPRiskAPI = {
     }
   },
 
-  /**
-   * Ensure data has required structure
-   */
-  ensureRequiredFields(report) {
-    if (!report.ipRiskSummary) {
-      report.ipRiskSummary = {};
-    }
-
-    const summary = report.ipRiskSummary;
-
-    if (!summary.companyCurrentIP) {
-      summary.companyCurrentIP = {};
-    }
-    summary.companyCurrentIP.description = summary.companyCurrentIP.description || 'No current IP description available.';
-    if (!Array.isArray(summary.companyCurrentIP.ownedPatents)) {
-      summary.companyCurrentIP.ownedPatents = [];
-    }
-
-    if (!Array.isArray(summary.uniquePatentableFeatures)) {
-      summary.uniquePatentableFeatures = [];
-    }
-
-    if (!Array.isArray(summary.crowdedPatentableFeatures)) {
-      summary.crowdedPatentableFeatures = [];
-    }
-
-    if (!Array.isArray(summary.topPatentOwners)) {
-      summary.topPatentOwners = [];
-    }
-
-    if (!Array.isArray(summary.top5RelevantPatents)) {
-      summary.top5RelevantPatents = [];
-    }
-
-    if (!summary.overallIPRisk) {
-      summary.overallIPRisk = {};
-    }
-    const risk = summary.overallIPRisk;
-    risk.riskLevel = risk.riskLevel || 'unknown';
-    if (!Array.isArray(risk.thirdPartyChallenges)) {
-      risk.thirdPartyChallenges = [];
-    }
-    risk.analysis = risk.analysis || '';
-
-    if (!report.patentTable) {
-      report.patentTable = {};
-    }
-    const table = report.patentTable;
-    if (!Array.isArray(table.awardedPatents)) {
-      table.awardedPatents = [];
-    }
-    if (!Array.isArray(table.patentApplications)) {
-      table.patentApplications = [];
-    }
-
-    // Initialize data quality object if not present
-    if (!report.dataQuality) {
-      report.dataQuality = {};
-    }
-
-    // Use centralized confidence normalization
-    report.dataConfidence = ConfidenceUtil.normalizeLevel(
-      report.dataConfidence ?? 
-      report.data_confidence ?? 
-      report.dataQuality?.overall_confidence
-    );
-    
-    report.confidenceJustification = ConfidenceUtil.extractJustification(
-      report.confidenceJustification,
-      report.dataQuality?.confidence_justification
-    );
-  },
-
   /**
    * Extract numeric score if present
    */
-  extractScore(report) {
+  extractScore(report, warnings = []) {
     const riskSection = report.ipRiskSummary?.overallIPRisk || {};
     let rawScore = riskSection.score;
 
@@ -282,9 +230,13 @@ const IPRiskAPI = {
     const fallbackScore = this.mapRiskLevelToScore(riskSection.riskLevel);
     if (fallbackScore !== null) {
       riskSection.score = fallbackScore;
+      ResponseParser.warn(warnings, 'IP risk analysis', 'ipRiskSummary.overallIPRisk.score', 'inferred',
+        `no usable score - inferred ${fallbackScore} from risk level "${riskSection.riskLevel}"`);
       return fallbackScore;
     }
-  
+
+    ResponseParser.warn(warnings, 'IP risk analysis', 'ipRiskSummary.overallIPRisk.score', 'missing',
+      'no usable score or recognizable risk level');
     return null;
   },
 
@@ -431,22 +383,44 @@ const IPRiskAPI = {
   },
 
   /**
-   * Get rubric description for IP risk score
+   * Get rubric description for IP risk score (current RubricRegistry version)
    */
   getRubricDescription(score) {
-    const rubric = {
-      1: 'Completely unprotectable or already widely used in the public domain, or immediate risk of infringement challenges.',
-      2: 'Minimal unique elements or closely resembles existing IP; multiple competing claims or active litigation risk.',
-      3: 'Some unique elements but major components unprotected; similar patents exist raising challenge risk.',
-      4: 'Partially protectable with significant coverage gaps; potential legal challenges require careful navigation.',
-      5: 'Mix of protectable and vulnerable elements with manageable IP conflict risk given due diligence.',
-      6: 'Mostly protectable with minor vulnerabilities; limited likelihood of significant IP conflicts.',
-      7: 'Strong protection around core elements and clear differentiation from existing IP; low challenge risk.',
-      8: 'Comprehensive protection across multiple IP types with a track record of successful defense.',
-      9: 'Groundbreaking, novel IP with robust, multi-layered protection and minimal risk of successful challenges.'
-    };
+    return RubricRegistry.getDescription('iprisk', score) || 'No rubric description available';
+  },
+
+  /**
+   * Number of granted patents and pending applications reviewed
+   * @param {Object} result - Output of processResponse (or a cached copy)
+   * @returns {number|null} Count, or null if the report has no patent table
+   */
+  getPatentCount(result) {
+    const table = result?.data?.patentTable;
+    const awarded = result?.formatted?.awardedPatents || table?.awardedPatents;
+    const pending = result?.formatted?.pendingPatents || table?.patentApplications;
 
-    return rubric[score] || 'No rubric description available';
+    if (!Array.isArray(awarded) && !Array.isArray(pending)) return null;
+    return (awarded?.length || 0) + (pending?.length || 0);
+  },
+
+  /**
+   * Granted patents and pending applications reviewed, as one-line labels
+   * @param {Object} result - Output of processResponse (or a cached copy)
+   * @returns {string[]} e.g. "US1234567B2 Optical sensor array"
+   */
+  getPatentLabels(result) {
+    const table = result?.data?.patentTable;
+    const patents = [
+      ...(result?.formatted?.awardedPatents || table?.awardedPatents || []),
+      ...(result?.formatted?.pendingPatents || table?.patentApplications || [])
+    ];
+
+    return patents
+      .map(patent => {
+        if (typeof patent === 'string') return patent;
+        return [patent?.patentID || patent?.id, patent?.title].filter(Boolean).join(' ');
+      })
+      .filter(Boolean);
   }
 };
 
@@ -11,8 +11,9 @@ const MarketAPI = {
    * @param {string} companyDescription - Short company description JSON from CompanyAPI
    * @param {string|Object} competitiveAnalysis - Competitive analysis output
    * @param {AbortSignal} abortSignal - Optional abort signal
+   * @param {Object} callOptions - Passed to StackProxy.call (e.g. { callId })
    */
-  async analyze(companyDescription, competitiveAnalysis, abortSignal = null) {
+  async analyze(companyDescription, competitiveAnalysis, abortSignal = null, callOptions = {}) {
     if (!companyDescription || typeof companyDescription !== 'string') {
       throw new Error('Company description is required');
     }
@@ -41,7 +42,7 @@ const MarketAPI = {
 
     try {
       // Use proxy instead of direct API call
-      const data = await window.StackProxy.call('market', payload, controller.signal);
+      const data = await window.StackProxy.call('market', payload, controller.signal, callOptions);
       
       clearTimeout(timeoutId);
       return this.processResponse(data);
@@ -57,6 +58,53 @@ const MarketAPI = {
     }
   },
 
+  // Expected output shapes - see ResponseParser for the schema keywords
+  schema: {
+    analysis: {
+      type: 'object',
+      required: ['markets', 'primary_market'],
+      properties: {
+        markets: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              tam_current_usd: { type: 'number', format: 'currency' },
+              cagr_percent: { type: 'number' }
+            }
+          }
+        },
+        primary_market: {
+          type: 'object',
+          required: ['tam_usd', 'cagr_percent'],
+          // No TAM/CAGR to fall back on: null keeps the rubric check from scoring made-up values
+          default: {
+            description: 'Unknown',
+            tam_usd: null,
+            cagr_percent: null,
+            selection_rationale: ''
+          },
+          properties: {
+            tam_usd: { type: 'number', format: 'currency', minimum: 0 },
+            cagr_percent: { type: 'number' }
+          }
+        },
+        scoring_alignment: { type: 'object', default: {} },
+        market_analysis: { type: 'object', default: {} }
+      }
+    },
+    scoring: {
+      type: 'object',
+      required: ['score', 'justification'],
+      properties: {
+        score: ResponseParser.scoreSchema,
+        rubric_application: { type: 'object', default: {} },
+        justification: { type: 'object', default: {} }
+      }
+    }
+  },
+
   /**
    * Process API response (out-2 = analysis, out-3 = score)
    */
@@ -68,223 +116,44 @@ const MarketAPI = {
     }
 
     // Parse market analysis (out-2)
-    const analysisRaw = data.outputs['out-2'];
-    const analysis = this.parseOutput(analysisRaw, 'market analysis');
+    const parsedAnalysis = ResponseParser.parse(data.outputs['out-2'], this.schema.analysis, 'market analysis');
+    const analysis = parsedAnalysis.data;
     if (!analysis || typeof analysis !== 'object') {
       throw new Error('Invalid market analysis format');
     }
 
     // Parse market scoring (out-3)
-    const scoringRaw = data.outputs['out-3'];
-    const scoring = this.parseOutput(scoringRaw, 'market scoring');
+    const parsedScoring = ResponseParser.parse(data.outputs['out-3'], this.schema.scoring, 'market scoring');
+    const scoring = parsedScoring.data;
     if (!scoring || typeof scoring !== 'object') {
       throw new Error('Invalid market scoring format');
     }
 
     // Validate score
-    scoring.score = this.normalizeScore(scoring.score);
-    if (scoring.score === null) {
+    if (!Number.isInteger(scoring.score) || scoring.score < 1 || scoring.score > 9) {
       throw new Error(`Invalid market score: ${scoring.score}`);
     }
 
-    // Ensure required fields
-    this.ensureRequiredFields(analysis, scoring);
+    // Normalize data quality with comprehensive handling
+    const warnings = [...parsedAnalysis.warnings, ...parsedScoring.warnings];
+    scoring.data_quality = this.normalizeDataQuality(scoring.data_quality, scoring, analysis, warnings);
 
     // Return structured response
     return {
       analysis,
       scoring,
-      formatted: this.formatForDisplay(analysis, scoring)
+      formatted: this.formatForDisplay(analysis, scoring),
+      parseWarnings: warnings
     };
   },
 
-  /**
-   * Parse Stack output that may contain extra text or envelope
-   */
-  parseOutput(rawOutput, label = 'output') {
-    if (!rawOutput) return null;
-
-    if (typeof rawOutput === 'object') {
-      if (rawOutput.text && typeof rawOutput.text === 'string') {
-        return this.parseOutput(rawOutput.text, label);
-      }
-      return rawOutput;
-    }
-
-    if (typeof rawOutput !== 'string') {
-      return null;
-    }
-
-    let trimmed = rawOutput.trim();
-    if (!trimmed) return null;
-
-    // Remove common code fences or YAML markers
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.replace(/^---\s*$/, '').trim();
-
-    const attemptParse = (text) => {
-      try {
-        return JSON.parse(text);
-      } catch (error) {
-        return null;
-      }
-    };
-
-    let parsed = attemptParse(trimmed);
-    if (parsed) return parsed;
-
-    const start = trimmed.indexOf('{');
-    const end = trimmed.lastIndexOf('}');
-    if (start !== -1 && end !== -1 && end > start) {
-      parsed = attemptParse(trimmed.slice(start, end + 1));
-      if (parsed) return parsed;
-    }
-
-    // Attempt to repair truncated JSON by balancing brackets/braces
-    const repaired = this.repairJsonString(trimmed);
-    if (repaired) {
-      parsed = attemptParse(repaired);
-      if (parsed) return parsed;
-    }
-
-    // Try progressively trimming trailing characters in case of appended commentary
-    if (start !== -1) {
-      for (let cursor = trimmed.length - 1; cursor > start + 1; cursor -= 1) {
-        const candidate = trimmed.slice(start, cursor);
-        const attempt = attemptParse(candidate);
-        if (attempt) return attempt;
-      }
-    }
-
-    console.error(`Failed to parse ${label}:`, trimmed);
-    return null;
-  },
-
-  /**
-   * Attempt to balance unmatched braces/brackets in malformed JSON text
-   */
-  repairJsonString(text) {
-    if (!text) return null;
-
-    const stack = [];
-    let inString = false;
-    let escape = false;
-
-    for (let i = 0; i < text.length; i += 1) {
-      const char = text[i];
-
-      if (inString) {
-        if (escape) {
-          escape = false;
-          continue;
-        }
-        if (char === '\\') {
-          escape = true;
-          continue;
-        }
-        if (char === '"') {
-          inString = false;
-        }
-        continue;
-      }
-
-      if (char === '"') {
-        inString = true;
-        continue;
-      }
-
-      if (char === '{') {
-        stack.push('}');
-      } else if (char === '[') {
-        stack.push(']');
-      } else if (char === '}' || char === ']') {
-        if (stack.length === 0) {
-          // Extra closing bracket; drop it
-          text = text.slice(0, i) + text.slice(i + 1);
-          i -= 1;
-        } else {
-          const expected = stack.pop();
-          if ((char === '}' && expected !== '}') || (char === ']' && expected !== ']')) {
-            // Mismatched closing token
-            return null;
-          }
-        }
-      }
-    }
-
-    if (inString) {
-      // Close unbalanced string
-      text += '"';
-    }
-
-    if (stack.length > 0) {
-      text += stack.reverse().join('');
-    }
-
-    return text;
-  },
-
-  /**
-   * Normalize score to integer 1-9 if possible
-   */
-  normalizeScore(rawScore) {
-    if (typeof rawScore === 'number' && Number.isInteger(rawScore)) {
-      if (rawScore >= 1 && rawScore <= 9) {
-        return rawScore;
-      }
-      return null;
-    }
-
-    if (typeof rawScore === 'string') {
-      const match = rawScore.match(/\d+/);
-      if (match) {
-        const parsed = parseInt(match[0], 10);
-        if (parsed >= 1 && parsed <= 9) {
-          return parsed;
-        }
-      }
-    }
-
-    return null;
-  },
-
-  /**
-   * Ensure required fields exist
-   */
-  ensureRequiredFields(analysis, scoring) {
-    // Ensure analysis structure
-    if (!analysis.markets) analysis.markets = [];
-    if (!analysis.primary_market) {
-      analysis.primary_market = {
-        description: 'Unknown',
-        tam_usd: 0,
-        cagr_percent: 0,
-        selection_rationale: ''
-      };
-    }
-    if (!analysis.scoring_alignment) analysis.scoring_alignment = {};
-    if (!analysis.market_analysis) analysis.market_analysis = {};
-
-    // Ensure scoring structure
-    if (!scoring.rubric_application) scoring.rubric_application = {};
-    if (!scoring.justification) scoring.justification = {};
-    
-    // Normalize data quality with comprehensive handling
-    scoring.data_quality = this.normalizeDataQuality(scoring.data_quality, scoring, analysis);
-  },
-
   /**
    * Normalize data quality metadata (ported from v01 with ConfidenceUtil)
+   * @param {Object[]} warnings - Collects a warning for each defaulted or inferred value
    */
-  normalizeDataQuality(rawQuality, scoring, analysis) {
+  normalizeDataQuality(rawQuality, scoring, analysis, warnings = []) {
+    const warn = (field, type, message) =>
+      ResponseParser.warn(warnings, 'market scoring', `data_quality.${field}`, type, message);
     const now = new Date();
     const defaultMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
 
@@ -316,7 +185,11 @@ const MarketAPI = {
       scoring?.rubric_application?.confidence ??
       null;
 
-    dataQuality.overall_confidence = ConfidenceUtil.normalizeLevel(fallbackConfidence) || 'Medium';
+    dataQuality.overall_confidence = ConfidenceUtil.normalizeLevel(fallbackConfidence);
+    if (!dataQuality.overall_confidence) {
+      dataQuality.overall_confidence = 'Medium';
+      warn('overall_confidence', 'missing', 'confidence was missing and defaulted to Medium');
+    }
 
     // Extract confidence justification
     if (typeof dataQuality.confidence_justification !== 'string') {
@@ -329,10 +202,16 @@ const MarketAPI = {
     }
     if (!dataQuality.confidence_justification) {
       dataQuality.confidence_justification = 'Confidence rationale not provided.';
+      warn('confidence_justification', 'missing', 'confidence rationale was missing');
     }
 
     // Normalize data date
     if (typeof dataQuality.data_date !== 'string' || !/^\d{4}-\d{2}$/.test(dataQuality.data_date.trim())) {
+      if (dataQuality.data_date) {
+        warn('data_date', 'invalid', `data date ${ResponseParser.describe(dataQuality.data_date)} is not YYYY-MM - using ${defaultMonth}`);
+      } else {
+        warn('data_date', 'missing', `data date was missing - using ${defaultMonth}`);
+      }
       dataQuality.data_date = defaultMonth;
     } else {
       dataQuality.data_date = dataQuality.data_date.trim();
@@ -343,6 +222,11 @@ const MarketAPI = {
     if (dataQuality.sources_used.length === 0) {
       const inferredSources = this.extractMarketSources(analysis);
       dataQuality.sources_used = inferredSources.length > 0 ? inferredSources : ['Source not provided'];
+      if (inferredSources.length > 0) {
+        warn('sources_used', 'inferred', `sources were not listed - using ${Formatters.pluralize(inferredSources.length, 'URL')} from the market list`);
+      } else {
+        warn('sources_used', 'missing', 'sources were not listed');
+      }
     }
 
     return dataQuality;
@@ -371,13 +255,13 @@ const MarketAPI = {
    * Format data for display
    */
   formatForDisplay(analysis, scoring) {
-    // Format markets
+    // Format markets (missing TAM/CAGR stay null so the rubric check reports them as missing)
     const markets = (analysis.markets || []).map(market => ({
       rank: market.rank || 0,
       description: market.description || '',
-      tam: market.tam_current_usd || 0,
+      tam: Formatters.toNumber(market.tam_current_usd),
       tamYear: market.tam_current_year || new Date().getFullYear(),
-      cagr: market.cagr_percent || 0,
+      cagr: Formatters.toNumber(market.cagr_percent),
       source: market.source_url || '',
       confidence: market.confidence || 0.5
     }));
@@ -439,46 +323,123 @@ const MarketAPI = {
   },
 
   /**
-   * Derive TAM category from value
+   * Derive TAM category from value (rubric bands)
    */
   deriveTamCategory(tam) {
-    const value = parseFloat(tam);
-    if (isNaN(value)) return 'unknown';
-    
-    if (value < 500000000) return 'under_500M';
-    if (value <= 5000000000) return '500M_to_5B';
-    return 'over_5B';
+    return RubricRegistry.classify('market', 'tam', tam);
   },
 
   /**
-   * Derive CAGR category from value
+   * Derive CAGR category from value (rubric bands)
    */
   deriveCagrCategory(cagr) {
-    const value = parseFloat(cagr);
-    if (isNaN(value)) return 'unknown';
-    
-    if (value < 10) return 'under_10';
-    if (value <= 35) return '10_to_35';
-    return 'over_35';
+    return RubricRegistry.classify('market', 'cagr', cagr);
+  },
+
+  /**
+   * Rubric score from TAM and CAGR: a 3x3 lookup on the market bands of the current
+   * rubric (score = 3 x TAM band + CAGR band + 1, bands counted from 0)
+   * @param {number} tam - TAM in USD
+   * @param {number} cagr - CAGR in percent
+   * @returns {Object|null} { score, tamCategory, cagrCategory }, or null when either value is missing
+   */
+  computeRubricScore(tam, cagr) {
+    const tamBands = RubricRegistry.getBands('market', 'tam');
+    const cagrBands = RubricRegistry.getBands('market', 'cagr');
+    const tamCategory = this.deriveTamCategory(tam);
+    const cagrCategory = this.deriveCagrCategory(cagr);
+    const tamIndex = tamBands.findIndex(band => band.key === tamCategory);
+    const cagrIndex = cagrBands.findIndex(band => band.key === cagrCategory);
+
+    if (tamIndex < 0 || cagrIndex < 0) return null;
+
+    return {
+      score: tamIndex * cagrBands.length + cagrIndex + 1,
+      tamCategory,
+      cagrCategory
+    };
   },
 
   /**
-   * Get rubric description for a score
+   * Markets the advisor can pick as primary (formatForDisplay markets)
+   * @param {Object} result - Output of processResponse (or a cached copy)
+   * @returns {Object[]} [{ rank, description, tam, cagr, ... }] - tam/cagr are null when missing
+   */
+  getMarketOptions(result) {
+    const raw = result?.analysis?.markets || [];
+
+    return (result?.formatted?.markets || [])
+      .filter(market => market.description)
+      .map(market => {
+        // Cached results from before the null values carry 0 for a TAM/CAGR the AI never gave
+        const source = raw.find(m => m.description === market.description);
+        return source
+          ? { ...market, tam: Formatters.toNumber(source.tam_current_usd), cagr: Formatters.toNumber(source.cagr_percent) }
+          : market;
+      });
+  },
+
+  /**
+   * Recompute the rubric score from the primary market and compare it with the AI score
+   * @param {Object} result - Output of processResponse (or a cached copy)
+   * @param {string|null} primaryDescription - Market the advisor picked as primary;
+   *   null (or a market not in the analysis) uses the AI's primary market
+   * @returns {Object} { market, isOverride, score, tamCategory, cagrCategory, aiScore,
+   *   adjustment, adjustmentRationale, matchesAi } - score is null when TAM or CAGR is missing
+   */
+  getRubricCheck(result, primaryDescription = null) {
+    const selected = primaryDescription
+      ? this.getMarketOptions(result).find(market => market.description === primaryDescription)
+      : null;
+    const aiPrimary = result?.formatted?.primaryMarket || {};
+
+    const market = selected
+      ? { description: selected.description, tam: Formatters.toNumber(selected.tam), cagr: Formatters.toNumber(selected.cagr), rationale: '' }
+      : { description: aiPrimary.description || '', ...this.getPrimaryMarket(result), rationale: aiPrimary.rationale || '' };
+    const computed = this.computeRubricScore(market.tam, market.cagr);
+    const aiScore = result?.scoring?.score ?? result?.score ?? null;
+    const rubricDetails = result?.formatted?.rubricDetails || {};
+
+    return {
+      market,
+      isOverride: !!selected,
+      score: computed?.score ?? null,
+      tamCategory: this.deriveTamCategory(market.tam),
+      cagrCategory: this.deriveCagrCategory(market.cagr),
+      aiScore,
+      adjustment: rubricDetails.adjustment || 0,
+      adjustmentRationale: rubricDetails.adjustmentRationale || '',
+      matchesAi: !computed || aiScore === null || computed.score === aiScore
+    };
+  },
+
+  /**
+   * Get rubric description for a score (current RubricRegistry version)
    */
   getRubricDescription(score) {
-    const rubrics = {
-      1: "TAM is <$500M and CAGR is less than 10%",
-      2: "TAM is <$500M and CAGR is between 10 and 35%",
-      3: "TAM is <$500M and CAGR is greater than 35%",
-      4: "TAM is between $500M and $5B and CAGR is less than 10%",
-      5: "TAM is between $500M and $5B and CAGR is between 10 and 35%",
-      6: "TAM is between $500M and $5B and CAGR is greater than 35%",
-      7: "TAM is >$5B and CAGR is less than 10%",
-      8: "TAM is >$5B and CAGR is between 10 and 35%",
-      9: "TAM is >$5B and CAGR is greater than 35%"
+    return RubricRegistry.getDescription("market", score) || "Invalid score";
+  },
+
+  /**
+   * Primary market size and growth
+   * @param {Object} result - Output of processResponse (or a cached copy)
+   * @returns {Object} { tam, cagr } - numbers, or null when missing
+   */
+  getPrimaryMarket(result) {
+    // Cached results from before the null defaults carry 0/0 for a primary market the AI never gave
+    const defaulted = (result?.parseWarnings || []).some(warning =>
+      warning.field === 'primary_market' && (warning.type === 'missing' || warning.type === 'invalid'));
+    if (defaulted) {
+      return { tam: null, cagr: null };
+    }
+
+    const primary = result?.formatted?.primaryMarket || {};
+    const raw = result?.analysis?.primary_market || {};
+
+    return {
+      tam: Formatters.toNumber(primary.tam ?? raw.tam_usd),
+      cagr: Formatters.toNumber(primary.cagr ?? raw.cagr_percent)
     };
-    
-    return rubrics[score] || "Invalid score";
   }
 };
 
@@ -9,6 +9,19 @@ const StackProxy = {
   config: null,
   configPromise: null,
   
+  // Automatic retry for transient Stack AI failures (see setRetryPolicy)
+  retryPolicy: {
+    maxAttempts: 3,                       // Total attempts, including the first
+    retryStatuses: [429, 502, 503, 504],
+    retryNetworkErrors: true,             // fetch() rejected before a response arrived
+    baseDelay: 2000,                      // ms, doubled on each attempt
+    maxDelay: 30000,                      // Cap for backoff and Retry-After
+    jitter: 0.3                           // +/- 30% random spread
+  },
+  
+  // Dispatches 'retry' events: { workflow, callId, attempt, maxAttempts, delay, status, error }
+  events: new EventTarget(),
+  
   /**
    * Initialize - fetch config from proxy
    */
@@ -133,24 +146,114 @@ const StackProxy = {
   
   /**
    * Call a Stack AI workflow directly (no proxy for inference)
+   * Transient failures are retried according to retryPolicy.
+   * Responses are served from / stored in ResponseCache when it is enabled.
+   * In fixture mode responses come from FixtureMode instead of Stack AI.
+   * @param {Object} options
+   * @param {string} options.callId - Identifies the caller in 'retry' events
+   * @param {boolean} options.refresh - Skip cached responses (the new response is still cached)
+   * @param {string[]} options.cacheKeys - Collects the cache keys used, so the caller can
+   *   discard a response it could not parse or validate (see discardCached)
    */
-  async call(workflow, payload, abortSignal = null) {
+  async call(workflow, payload, abortSignal = null, options = {}) {
+    if (window.FixtureMode?.isEnabled()) {
+      return this.withRetry(workflow, () => FixtureMode.request(workflow, payload, abortSignal), abortSignal, options);
+    }
+    
     // Ensure config is loaded
     const config = await this.init();
     
-    const workflowId = config.workflows[workflow];
+    // Registered dimensions may carry their own flow id until the proxy config lists it
+    const workflowId = config.workflows[workflow] || window.DimensionRegistry?.getWorkflowId(workflow);
     if (!workflowId) {
       throw new Error(`Unknown workflow: ${workflow}`);
     }
     
     const url = `${config.baseUrl}/${workflowId}`;
     
+    const cacheKey = await this.getCacheKey(workflowId, payload);
+    if (cacheKey) {
+      options.cacheKeys?.push(cacheKey);
+    }
+    if (cacheKey && !options.refresh) {
+      const cached = await ResponseCache.get(cacheKey);
+      if (cached) {
+        Debug.log(`[StackProxy] ${workflow} served from cache`);
+        window.FixtureMode?.record(workflow, payload, cached);
+        return cached;
+      }
+    }
+    
+    const data = await this.withRetry(
+      workflow,
+      () => this.request(workflow, url, config, payload, abortSignal),
+      abortSignal,
+      options
+    );
+    if (cacheKey) {
+      await ResponseCache.set(cacheKey, workflow, data);
+    }
+    window.FixtureMode?.record(workflow, payload, data);
+    return data;
+  },
+  
+  /**
+   * Run one attempt at a time until it succeeds, fails permanently,
+   * or retryPolicy.maxAttempts is reached. Dispatches 'retry' before each wait.
+   * @param {string} workflow - Workflow key (for logging and events)
+   * @param {Function} attemptFn - async () => response
+   * @param {Object} options - call() options; callId is passed on in 'retry' events
+   */
+  async withRetry(workflow, attemptFn, abortSignal = null, options = {}) {
+    const { maxAttempts } = this.retryPolicy;
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await attemptFn();
+        
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          Debug.log(`[StackProxy] ${workflow} was cancelled`);
+          throw error;
+        }
+
+        if (attempt >= maxAttempts || !this.isRetryable(error)) {
+          Debug.error(`[StackProxy] ${workflow} error:`, error.message);
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error.retryAfter);
+        Debug.warn(`[StackProxy] ${workflow} attempt ${attempt}/${maxAttempts} failed, retrying in ${(delay / 1000).toFixed(1)}s`);
+
+        this.events.dispatchEvent(new CustomEvent('retry', {
+          detail: {
+            workflow,
+            callId: options.callId || null,
+            attempt: attempt + 1,
+            maxAttempts,
+            delay,
+            status: error.status || null,
+            error: error.message
+          }
+        }));
+
+        await this.wait(delay, abortSignal);
+      }
+    }
+  },
+  
+  /**
+   * Single POST to a Stack AI workflow
+   * Errors carry `status` and `retryAfter` (ms) for HTTP failures, `isNetworkError` otherwise.
+   */
+  async request(workflow, url, config, payload, abortSignal) {
     Debug.log(`[StackProxy] Calling workflow: ${workflow}`);
     
     const startTime = Date.now();
+    let response;
     
     try {
-      const response = await fetch(url, {
+      response = await fetch(url, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${config.publicKey}`,
@@ -159,36 +262,142 @@ const StackProxy = {
         body: JSON.stringify(payload),
         signal: abortSignal
       });
-      
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`[StackProxy] ${workflow} failed (${elapsed}s):`, response.status, errorText);
-        throw new Error(`API error ${response.status}: ${errorText.slice(0, 200)}`);
-      }
-      
-      const data = await response.json();
-      Debug.log(`[StackProxy] ${workflow} completed (${elapsed}s)`);
-      
-      return data;
-      
     } catch (error) {
-      if (error.name === 'AbortError') {
-        Debug.log(`[StackProxy] ${workflow} was cancelled`);
-        throw error;
-      }
-
-      Debug.error(`[StackProxy] ${workflow} error:`, error.message);
+      if (error.name !== 'AbortError') error.isNetworkError = true;
       throw error;
     }
+    
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`[StackProxy] ${workflow} failed (${elapsed}s):`, response.status, errorText);
+      const error = new Error(`API error ${response.status}: ${errorText.slice(0, 200)}`);
+      error.status = response.status;
+      error.retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+      throw error;
+    }
+    
+    const data = await response.json();
+    Debug.log(`[StackProxy] ${workflow} completed (${elapsed}s)`);
+    
+    return data;
+  },
+  
+  /**
+   * Drop cached responses, e.g. ones a phase failed to parse or validate,
+   * so the next call goes to Stack AI again
+   * @param {string[]} cacheKeys - Keys collected through call() options
+   */
+  async discardCached(cacheKeys = []) {
+    if (!window.ResponseCache || cacheKeys.length === 0) return;
+    Debug.log(`[StackProxy] Discarding ${cacheKeys.length} cached response(s)`);
+    await Promise.all(cacheKeys.map(key => ResponseCache.delete(key)));
+  },
+  
+  /**
+   * Cache key for a call, or null when caching is off or the payload can't be cached
+   */
+  async getCacheKey(workflowId, payload) {
+    if (!window.ResponseCache?.isEnabled() || !ResponseCache.isCacheable(payload)) {
+      return null;
+    }
+    return ResponseCache.buildKey(workflowId, payload);
+  },
+  
+  // ========== RETRY POLICY ==========
+  
+  /**
+   * Override parts of the retry policy
+   * @param {Object} overrides - Any retryPolicy fields, e.g. { maxAttempts: 5 }
+   */
+  setRetryPolicy(overrides = {}) {
+    this.retryPolicy = { ...this.retryPolicy, ...overrides };
+    return this.retryPolicy;
+  },
+  
+  addEventListener(event, handler) {
+    this.events.addEventListener(event, handler);
+  },
+  
+  removeEventListener(event, handler) {
+    this.events.removeEventListener(event, handler);
+  },
+  
+  isRetryable(error) {
+    if (error.status) {
+      return this.retryPolicy.retryStatuses.includes(error.status);
+    }
+    return Boolean(error.isNetworkError && this.retryPolicy.retryNetworkErrors);
+  },
+  
+  /**
+   * Delay before the next attempt: Retry-After when the server sent one,
+   * otherwise exponential backoff with jitter. Both are capped at maxDelay.
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {number|null} retryAfter - Server-requested delay in ms
+   */
+  getRetryDelay(attempt, retryAfter = null) {
+    const { baseDelay, maxDelay, jitter } = this.retryPolicy;
+    
+    if (retryAfter !== null && retryAfter !== undefined) {
+      return Math.min(retryAfter, maxDelay);
+    }
+    
+    const backoff = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+    const spread = backoff * jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(backoff + spread));
+  },
+  
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date)
+   * @returns {number|null} Delay in ms
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+    
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  },
+  
+  /**
+   * Sleep that rejects with an AbortError if the signal fires
+   */
+  wait(ms, abortSignal = null) {
+    return new Promise((resolve, reject) => {
+      if (abortSignal?.aborted) {
+        reject(new DOMException('Request cancelled', 'AbortError'));
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Request cancelled', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        abortSignal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      abortSignal?.addEventListener('abort', onAbort, { once: true });
+    });
   },
   
   /**
    * Upload file via proxy, then call workflow directly
    * Uses iframe form submission to avoid CORS issues with Google Apps Script
    */
-  async callWithFile(workflow, file, websiteUrl = null, abortSignal = null) {
+  async callWithFile(workflow, file, websiteUrl = null, abortSignal = null, options = {}) {
+    // Fixture responses don't depend on the document - nothing to upload
+    if (window.FixtureMode?.isEnabled()) {
+      return this.call(workflow, this.getFilePayload(workflow, this.getUserId(), websiteUrl), abortSignal, options);
+    }
+    
     const config = await this.init();
 
     Debug.log(`[StackProxy] Uploading file for ${workflow}`);
@@ -221,6 +430,13 @@ const StackProxy = {
     await new Promise(resolve => setTimeout(resolve, 2000));
 
     // Step 3: Call the workflow directly (no proxy needed)
+    return this.call(workflow, this.getFilePayload(workflow, userId, websiteUrl), abortSignal, options);
+  },
+
+  /**
+   * Payload for a workflow that reads the user's uploaded document
+   */
+  getFilePayload(workflow, userId, websiteUrl = null) {
     const payload = {
       user_id: userId,
       'doc-0': null  // Indicates uploaded document exists
@@ -231,7 +447,7 @@ const StackProxy = {
       payload['in-0'] = websiteUrl;
     }
 
-    return this.call(workflow, payload, abortSignal);
+    return payload;
   },
 
   /**
@@ -360,8 +576,9 @@ const StackProxy = {
 // Make available globally
 window.StackProxy = StackProxy;
 
-// Initialize on load
+// Initialize on load (fixture mode runs offline and needs no config)
 document.addEventListener('DOMContentLoaded', () => {
+  if (window.FixtureMode?.isEnabled()) return;
   StackProxy.init().catch(err => {
     Debug.error('[StackProxy] Failed to initialize:', err.message);
   });
@@ -11,8 +11,9 @@ const TeamAPI = {
    * 
    * @param {string} companyDescription - Short company description JSON from CompanyAPI
    * @param {AbortSignal} abortSignal - Optional abort signal
+   * @param {Object} callOptions - Passed to StackProxy.call (e.g. { callId })
    */
-  async analyze(companyDescription, abortSignal = null) {
+  async analyze(companyDescription, abortSignal = null, callOptions = {}) {
     if (!companyDescription || typeof companyDescription !== 'string') {
       throw new Error('Company description is required for team analysis');
     }
@@ -36,7 +37,7 @@ const TeamAPI = {
 
     try {
       // Use proxy to call team workflow
-      const data = await window.StackProxy.call('team', payload, controller.signal);
+      const data = await window.StackProxy.call('team', payload, controller.signal, callOptions);
       
       clearTimeout(timeoutId);
       return this.processResponse(data);
@@ -52,6 +53,46 @@ const TeamAPI = {
     }
   },
 
+  // Expected output shapes - see ResponseParser for the schema keywords
+  schema: {
+    team: {
+      type: 'object',
+      required: ['team_members'],
+      properties: {
+        team_members: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            default: {},
+            properties: {
+              name: { type: 'string', minLength: 1, default: 'Unknown' },
+              role_at_venture: { type: 'string', minLength: 1, default: 'Team Member' },
+              work_history: { type: 'array', default: [] },
+              education_history: { type: 'array', default: [] },
+              papers_publications: { type: 'array', default: [] },
+              commercialization_experience: { type: 'array', default: [] },
+              awards_recognition: { type: 'array', default: [] }
+            }
+          }
+        },
+        trusted_sources: { type: 'array', default: [] }
+      }
+    },
+    scoring: {
+      type: 'object',
+      required: ['score', 'score_justification'],
+      properties: {
+        score: ResponseParser.scoreSchema,
+        key_strengths: { type: 'array', default: [] },
+        key_gaps: { type: 'array', default: [] },
+        relevant_experience: { type: 'array', default: [] },
+        team_composition: { type: 'object', default: {} },
+        score_justification: { type: 'string', default: '' }
+      }
+    }
+  },
+
   /**
    * Process API response (out-0 = team roster, out-1 = team score)
    */
@@ -61,11 +102,11 @@ const TeamAPI = {
       throw new Error(validation.error);
     }
 
-    const teamRaw = data.outputs['out-0'];
-    const scoringRaw = data.outputs['out-1'];
-
-    const team = this.parseOutput(teamRaw, 'team roster');
-    const scoring = this.parseOutput(scoringRaw, 'team scoring');
+    const parsedTeam = ResponseParser.parse(data.outputs['out-0'], this.schema.team, 'team roster');
+    const parsedScoring = ResponseParser.parse(data.outputs['out-1'], this.schema.scoring, 'team scoring');
+    const team = parsedTeam.data;
+    const scoring = parsedScoring.data;
+    const warnings = [...parsedTeam.warnings, ...parsedScoring.warnings];
 
     if (!team || typeof team !== 'object') {
       throw new Error('Invalid team roster format');
@@ -75,134 +116,30 @@ const TeamAPI = {
       throw new Error('Invalid team scoring format');
     }
 
-    this.ensureRequiredFields(team, scoring);
+    // Use centralized confidence normalization
+    team.data_confidence = ConfidenceUtil.extractFromResponse(team, scoring);
+    team.confidence_justification = ConfidenceUtil.extractJustificationFromResponse(team, scoring);
+    if (!team.data_confidence) {
+      ResponseParser.warn(warnings, 'team scoring', 'data_confidence', 'missing', 'confidence was not provided');
+    }
 
-    const score = this.normalizeScore(scoring.score);
-    if (score === null) {
-      throw new Error(`Invalid team score: ${scoring.score}`);
+    const score = scoring.score;
+    if (!Number.isInteger(score) || score < 1 || score > 9) {
+      throw new Error(`Invalid team score: ${score}`);
     }
 
     const result = {
       team,
-      scoring: {
-        ...scoring,
-        score
-      },
+      scoring,
       score,
       rubricDescription: scoring.rubric_match_explanation || null,
-      formatted: this.formatForDisplay(team, scoring, score)
+      formatted: this.formatForDisplay(team, scoring, score),
+      parseWarnings: warnings
     };
 
     return result;
   },
 
-  /**
-   * Parse JSON safely, handling wrapped text outputs
-   */
-  parseOutput(rawOutput, label) {
-    if (!rawOutput) return null;
-
-    if (typeof rawOutput === 'object') {
-      if (rawOutput.text && typeof rawOutput.text === 'string') {
-        return this.parseOutput(rawOutput.text, label);
-      }
-      return rawOutput;
-    }
-
-    if (typeof rawOutput !== 'string') {
-      return null;
-    }
-
-    let trimmed = rawOutput.trim();
-    if (!trimmed) return null;
-
-    // Clean up markdown code blocks
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.trim();
-
-    const tryParse = (text) => {
-      try {
-        return JSON.parse(text);
-      } catch {
-        return null;
-      }
-    };
-
-    let parsed = tryParse(trimmed);
-    if (parsed) return parsed;
-
-    const start = trimmed.indexOf('{');
-    const end = trimmed.lastIndexOf('}');
-    if (start !== -1 && end !== -1 && end > start) {
-      parsed = tryParse(trimmed.slice(start, end + 1));
-      if (parsed) return parsed;
-    }
-
-    console.error(`Failed to parse ${label}:`, trimmed);
-    return null;
-  },
-
-  /**
-   * Normalize score to integer 1-9
-   */
-  normalizeScore(rawScore) {
-    if (typeof rawScore === 'number' && Number.isInteger(rawScore)) {
-      return rawScore >= 1 && rawScore <= 9 ? rawScore : null;
-    }
-
-    if (typeof rawScore === 'string') {
-      const match = rawScore.match(/\d+/);
-      if (match) {
-        const parsed = parseInt(match[0], 10);
-        if (parsed >= 1 && parsed <= 9) {
-          return parsed;
-        }
-      }
-    }
-
-    return null;
-  },
-
-  /**
-   * Ensure team and scoring structures have required defaults
-   */
-  ensureRequiredFields(team, scoring) {
-    team.team_members = Array.isArray(team.team_members) ? team.team_members : [];
-    team.trusted_sources = Array.isArray(team.trusted_sources) ? team.trusted_sources : [];
-
-    // Use centralized confidence normalization
-    team.data_confidence = ConfidenceUtil.extractFromResponse(team, scoring);
-    team.confidence_justification = ConfidenceUtil.extractJustificationFromResponse(team, scoring);
-
-    team.team_members = team.team_members.map(member => ({
-      name: member?.name || 'Unknown',
-      role_at_venture: member?.role_at_venture || 'Team Member',
-      work_history: Array.isArray(member?.work_history) ? member.work_history : [],
-      education_history: Array.isArray(member?.education_history) ? member.education_history : [],
-      papers_publications: Array.isArray(member?.papers_publications) ? member.papers_publications : [],
-      commercialization_experience: Array.isArray(member?.commercialization_experience)
-        ? member.commercialization_experience
-        : [],
-      awards_recognition: Array.isArray(member?.awards_recognition) ? member.awards_recognition : []
-    }));
-
-    scoring.key_strengths = Array.isArray(scoring.key_strengths) ? scoring.key_strengths : [];
-    scoring.key_gaps = Array.isArray(scoring.key_gaps) ? scoring.key_gaps : [];
-    scoring.relevant_experience = Array.isArray(scoring.relevant_experience)
-      ? scoring.relevant_experience
-      : [];
-    scoring.team_composition = scoring.team_composition || {};
-    scoring.score_justification = scoring.score_justification || '';
-  },
-
   /**
    * Build formatted display payload
    */
@@ -229,22 +166,10 @@ const TeamAPI = {
   },
 
   /**
-   * Provide rubric description for summary card
+   * Provide rubric description for summary card (current RubricRegistry version)
    */
   getRubricDescription(score) {
-    const rubric = {
-      1: 'No trackable achievements or public presence. No industry connections or academic recognition.',
-      2: 'Completed a few small projects or published in minor journals. Limited visibility within a very small professional or academic circle.',
-      3: 'Growing portfolio of projects or publications in peer-reviewed journals. Building a network within their specific field.',
-      4: 'Recognized within their specific field or local area. Occasionally invited to present at seminars or local industry events.',
-      5: 'Consistent record of quality publications or successful industry projects. Regular participant in conferences or industry events.',
-      6: 'Publications in top-tier journals or lead complex industry projects. Frequently invited to speak at conferences or contribute to industry standards.',
-      7: 'Work is often cited or used as case studies in the field. Lead significant research grants or hold patents for industry innovations.',
-      8: 'Research or innovations significantly influence the direction of their field. Hold leadership positions in academia or industry (e.g., editorial boards, executive roles).',
-      9: 'Made groundbreaking discoveries that reshaped their entire field. Recipients of the highest honors or lead global organizations.'
-    };
-
-    return rubric[score] || 'No rubric description available';
+    return RubricRegistry.getDescription('team', score) || 'No rubric description available';
   }
 };
 
@@ -3,51 +3,34 @@
 
 class AssessmentView {
   constructor() {
-    this.currentView = {
-      team: 'summary',
-      funding: 'summary',
-      competitive: 'summary',
-      market: 'summary',
-      iprisk: 'summary'
-    };
-    
-    this.data = {
-      company: null,
-      team: null,
-      funding: null,
-      competitive: null,
-      market: null,
-      iprisk: null
-    };
-    
-    this.userScores = {
-      team: { score: null, justification: '', submitted: false, timesSubmitted: 0 },
-      funding: { score: null, justification: '', submitted: false, timesSubmitted: 0 },
-      competitive: { score: null, justification: '', submitted: false, timesSubmitted: 0 },
-      market: { score: null, justification: '', submitted: false, timesSubmitted: 0 },
-      iprisk: { score: null, justification: '', submitted: false, timesSubmitted: 0 }
-    };
-    
-    this.aiScores = {
-      team: null,
-      funding: null,
-      competitive: null,
-      market: null,
-      iprisk: null
-    };
+    // Per-dimension state, keyed by every registered dimension
+    const dimensions = DimensionRegistry.keys();
+
+    this.currentView = {};
+    this.data = { company: null };
+    this.userScores = {};
+    this.aiScores = {};
+
+    dimensions.forEach(dim => {
+      this.currentView[dim] = 'summary';
+      this.data[dim] = null;
+      this.userScores[dim] = { score: null, justification: '', submitted: false, timesSubmitted: 0 };
+      this.aiScores[dim] = null;
+    });
   }
 
   init() {
     this.setupSliders();
     this.setupViewToggles();
     this.setupSubmitButtons();
+    this.setupMarketRubricCheck();
     console.log('AssessmentView initialized');
   }
 
   // ========== SLIDER SETUP ==========
   
   setupSliders() {
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk'];
+    const dimensions = DimensionRegistry.keys();
     
     dimensions.forEach(dim => {
       const slider = document.getElementById(`${dim}-score-slider`);
@@ -79,81 +62,40 @@ class AssessmentView {
   }
 
   // ========== RUBRIC DEFINITIONS ==========
-  
-  getRubricDefinitions(dimension) {
-    const rubrics = {
-      team: {
-        1: { label: 'No Track Record', description: 'No trackable achievements or public presence. No industry connections or academic recognition.' },
-        2: { label: 'Limited Experience', description: 'Completed a few small projects or published in minor journals. Limited visibility within a very small professional or academic circle.' },
-        3: { label: 'Growing Portfolio', description: 'Growing portfolio of projects or publications in peer-reviewed journals. Building a network within their specific field.' },
-        4: { label: 'Local Recognition', description: 'Recognized within their specific field or local area. Occasionally invited to present at seminars or local industry events.' },
-        5: { label: 'Solid Track Record', description: 'Consistent publications or successful projects. Some tech licensing, patents, or industry partnership experience.' },
-        6: { label: 'Commercialization Experience', description: 'Top-tier publications or complex projects. Direct commercialization experience (licensing, SBIR/STTR, startup advisory).' },
-        7: { label: 'Business Leadership', description: 'Cited work or case studies. Has held business leadership roles with established industry network.' },
-        8: { label: 'Founder/Executive Experience', description: 'Field-influencing research OR previous founder/executive role in a commercialized venture.' },
-        9: { label: 'Serial Success', description: 'Groundbreaking discoveries with proven entrepreneurial success OR serial entrepreneur with successful exit.' }
-      },
-      funding: {
-        1: { label: 'No Activity', description: 'No comparable funding activity in sector. Market shows minimal investor interest.' },
-        2: { label: 'Very Limited', description: 'Very limited funding activity, mostly grants. Few institutional investors interested in the space.' },
-        3: { label: 'Early Stage Only', description: 'Some angel/seed activity, few institutional investors. Market still nascent.' },
-        4: { label: 'Growing Interest', description: 'Growing investor interest, early-stage rounds becoming more common. Some notable deals.' },
-        5: { label: 'Regular Activity', description: 'Regular Series A/B activity, established VC interest. Healthy deal flow in the sector.' },
-        6: { label: 'Strong Backing', description: 'Strong institutional backing, multiple growth rounds. Sector attracting significant capital.' },
-        7: { label: 'High Profile', description: 'High-profile investors, significant deal flow. Multiple companies reaching unicorn status.' },
-        8: { label: 'Exceptional', description: 'Exceptional funding environment, multiple unicorns. Top-tier VCs competing for deals.' },
-        9: { label: 'Peak Activity', description: 'Peak funding activity, multiple mega-rounds. Sector is hottest investment category.' }
-      },
-      competitive: {
-        1: { label: 'Extremely Crowded', description: 'Extremely crowded market with dominant incumbents. Very difficult to differentiate or compete.' },
-        2: { label: 'Many Competitors', description: 'Many strong competitors with established market share. Limited differentiation opportunities.' },
-        3: { label: 'Competitive Market', description: 'Competitive market with several players. Some differentiation possible but challenging.' },
-        4: { label: 'Moderate Competition', description: 'Moderate competition with clear differentiation opportunities. Some barriers to entry exist.' },
-        5: { label: 'Average Landscape', description: 'Average competitive landscape. Neither advantaged nor disadvantaged by competition.' },
-        6: { label: 'Favorable Position', description: 'Favorable competitive position in an emerging market. Good differentiation potential.' },
-        7: { label: 'Limited Competition', description: 'Limited competition with strong differentiation. Significant barriers protect the position.' },
-        8: { label: 'Few Competitors', description: 'Few direct competitors, significant barriers to entry. Strong defensive moat.' },
-        9: { label: 'Blue Ocean', description: 'Blue ocean opportunity with no direct competitors. Defining a new category.' }
-      },
-      market: {
-        1: { label: 'Very Small/Slow', description: 'TAM < $500M with CAGR < 10%. Limited market opportunity and slow growth.' },
-        2: { label: 'Small/Moderate', description: 'TAM < $500M with CAGR 10-20%. Small but growing market.' },
-        3: { label: 'Small/Fast Growing', description: 'TAM < $500M with CAGR > 20%. Small market with rapid growth potential.' },
-        4: { label: 'Medium/Slow', description: 'TAM $500M-$5B with CAGR < 10%. Substantial market but limited growth.' },
-        5: { label: 'Medium/Moderate', description: 'TAM $500M-$5B with CAGR 10-20%. Good market size with healthy growth.' },
-        6: { label: 'Medium/Fast Growing', description: 'TAM $500M-$5B with CAGR > 20%. Strong market opportunity with rapid expansion.' },
-        7: { label: 'Large/Slow', description: 'TAM > $5B with CAGR < 10%. Very large market, mature growth phase.' },
-        8: { label: 'Large/Moderate', description: 'TAM > $5B with CAGR 10-20%. Excellent market size with sustained growth.' },
-        9: { label: 'Large/Fast Growing', description: 'TAM > $5B with CAGR > 20%. Exceptional market opportunity - large and rapidly expanding.' }
-      },
-      iprisk: {
-        1: { label: 'Severe Exposure', description: 'Severe IP exposure with no defensible position. Crowded patent landscape with dominant players.' },
-        2: { label: 'High Risk', description: 'High IP risk with limited protectable features. Many existing patents in the space.' },
-        3: { label: 'Significant Challenges', description: 'Significant IP challenges exist. Some protectable features but crowded areas.' },
-        4: { label: 'Moderate Risk', description: 'Moderate IP risk with some protectable features. Mixed patent landscape.' },
-        5: { label: 'Average Position', description: 'Average IP position. Neither particularly strong nor weak.' },
-        6: { label: 'Good Position', description: 'Good IP position with some unique protectable features. Manageable risks.' },
-        7: { label: 'Strong Foundation', description: 'Strong IP foundation with clear differentiation. Limited infringement risks.' },
-        8: { label: 'Excellent Protection', description: 'Excellent IP protection with strong patent portfolio. Defensible moat.' },
-        9: { label: 'Exceptional Moat', description: 'Exceptional IP position with multiple defensible patents. Very low risk of challenges.' }
-      }
-    };
-    return rubrics[dimension] || {};
+
+  /**
+   * Rubric version of the open assessment (see RubricRegistry)
+   */
+  getRubricVersion() {
+    return window.app?.stateManager?.getRubricVersion() || RubricRegistry.currentVersion;
+  }
+
+  /**
+   * Rubric levels for a dimension, in the version the assessment is scored under
+   * @returns {Object} Score (1-9) => { label, description }
+   */
+  getRubricDefinitions(dimension, version = this.getRubricVersion()) {
+    return RubricRegistry.getLevels(dimension, version);
   }
 
   updateRubricDisplay(dimension, score) {
     const rubricEl = document.getElementById(`${dimension}-rubric`);
     if (!rubricEl) return;
     
-    const rubrics = this.getRubricDefinitions(dimension);
+    const version = this.getRubricVersion();
+    const rubrics = this.getRubricDefinitions(dimension, version);
     const rubric = rubrics[score];
     
     if (rubric) {
       const colorClass = score <= 3 ? 'low' : (score <= 6 ? 'medium' : 'high');
+      const versionNote = version === RubricRegistry.currentVersion
+        ? `Rubric ${RubricRegistry.label(version)}`
+        : `Scored under rubric ${RubricRegistry.label(version)} (new assessments use ${RubricRegistry.label(RubricRegistry.currentVersion)})`;
       rubricEl.innerHTML = `
         <div class="rubric-content ${colorClass}">
           <strong>Score ${score}: ${this.escape(rubric.label)}</strong>
           <p>${this.escape(rubric.description)}</p>
+          <span class="rubric-version">${this.escape(versionNote)}</span>
         </div>
       `;
       rubricEl.classList.remove('hidden');
@@ -220,7 +162,7 @@ class AssessmentView {
   // ========== SUBMIT BUTTONS ==========
   
   setupSubmitButtons() {
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk'];
+    const dimensions = DimensionRegistry.keys();
     dimensions.forEach(dim => {
       const submitBtn = document.getElementById(`${dim}-submit-btn`);
       if (submitBtn) {
@@ -284,7 +226,8 @@ class AssessmentView {
       window.app.stateManager.saveUserScore(dimension, { score, justification });
     }
     if (window.app?.toastManager) {
-      window.app.toastManager.success(`${this.capitalize(dimension)} assessment ${isUpdate ? 'updated' : 'submitted'}`);
+      const dimensionName = DimensionRegistry.get(dimension)?.name || this.capitalize(dimension);
+      window.app.toastManager.success(`${dimensionName} assessment ${isUpdate ? 'updated' : 'submitted'}`);
     }
     
     // Submit to Smartsheet
@@ -293,14 +236,7 @@ class AssessmentView {
     // Update summary view after submit
     if (window.summaryView && this.data) {
       console.log('Updating summary view with data:', this.data);
-      window.summaryView.update({
-        company: this.data.company,
-        team: this.data.team,
-        funding: this.data.funding,
-        competitive: this.data.competitive,
-        market: this.data.market,
-        iprisk: this.data.iprisk
-      });
+      window.summaryView.update({ ...this.data });
     } else {
       console.warn('Could not update summary:', { summaryView: !!window.summaryView, data: !!this.data });
     }
@@ -331,13 +267,32 @@ class AssessmentView {
     };
 
     await window.SmartsheetIntegration.submitScore(dimension, scoreData, context);
+
+    // Keep the saved assessment (scores and any new row ID) in step for the consensus view
+    window.app?.stateManager?.saveSessionScores();
   }
 
   /**
-   * Check if all 5 scores have been submitted and trigger final submit modal
+   * Collect AI score, user score and justification for every dimension
+   * @returns {Object} Score data keyed by dimension, as expected by SmartsheetIntegration
+   */
+  getScoreData() {
+    const scoreData = {};
+    DimensionRegistry.keys().forEach(dim => {
+      scoreData[dim] = {
+        aiScore: this.aiScores[dim],
+        userScore: this.userScores[dim]?.score,
+        justification: this.userScores[dim]?.justification
+      };
+    });
+    return scoreData;
+  }
+
+  /**
+   * Check if every dimension score has been submitted and trigger final submit modal
    */
   checkAllScoresSubmitted() {
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk'];
+    const dimensions = DimensionRegistry.keys();
     const allSubmitted = dimensions.every(dim => this.userScores[dim].submitted);
     
     if (allSubmitted) {
@@ -382,7 +337,7 @@ class AssessmentView {
    * @returns {Object} Status object with counts and details
    */
   getSubmissionStatus() {
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk'];
+    const dimensions = DimensionRegistry.keys();
     const submitted = dimensions.filter(dim => this.userScores[dim].submitted);
     const pending = dimensions.filter(dim => !this.userScores[dim].submitted);
     const missingJustifications = dimensions.filter(dim => 
@@ -401,6 +356,34 @@ class AssessmentView {
     };
   }
 
+  /**
+   * Put every scoring card back to its initial state before another advisor's
+   * (or reviewer's) scores are restored, so no scores carry over between them
+   */
+  resetUserScores() {
+    DimensionRegistry.keys().forEach(dim => {
+      this.userScores[dim] = { score: null, justification: '', submitted: false, timesSubmitted: 0 };
+
+      const slider = document.getElementById(`${dim}-score-slider`);
+      const display = document.getElementById(`${dim}-user-score`);
+      const justificationEl = document.getElementById(`${dim}-justification`);
+      const submitBtn = document.getElementById(`${dim}-submit-btn`);
+      const scoringCard = document.getElementById(`${dim}-scoring-card`);
+      const deviationEl = document.getElementById(`${dim}-deviation`);
+
+      if (slider) slider.value = 5;
+      if (display) display.textContent = '5';
+      if (justificationEl) justificationEl.value = '';
+      if (submitBtn) {
+        submitBtn.classList.remove('update-mode', 'submitted');
+        submitBtn.textContent = 'Submit Assessment';
+      }
+      if (scoringCard) scoringCard.classList.remove('has-submission');
+      if (deviationEl) deviationEl.classList.add('hidden');
+      this.updateRubricDisplay(dim, 5);
+    });
+  }
+
   setUserScore(dimension, scoreData) {
     if (!scoreData) return;
     const slider = document.getElementById(`${dimension}-score-slider`);
@@ -479,6 +462,9 @@ class AssessmentView {
         </div>
       </div>
     `;
+
+    this.renderDataWarnings('overview', data);
+    window.app?.companyBriefView?.load(data);
   }
 
   // ========== TEAM DATA ==========
@@ -1267,10 +1253,21 @@ class AssessmentView {
     this.displayCompetitiveEvidence(data);
   }
 
-  displayCompetitiveEvidence(data) {
+  /**
+   * @param {Object} data - CompetitiveAPI.processResponse output (or a cached copy)
+   * @param {Object} options
+   * @param {boolean} options.keepView - Only refresh the stored views (the Matrix view is being edited)
+   */
+  displayCompetitiveEvidence(data, { keepView = false } = {}) {
     const container = document.getElementById('competitive-evidence');
     if (!container) return;
     
+    // The advisor's competitor matrix edits the competitor list and counts
+    const matrixView = window.app?.competitorMatrixView;
+    const matrixHTML = keepView ? null : matrixView?.load(data) || '';
+    const aiTotal = data?.assessment?.competitor_count?.total;
+    data = matrixView?.apply(data) || data;
+    
     // Use formatted data if available, fallback to raw
     const formatted = data?.formatted || {};
     const analysisRaw = data?.analysis || {};
@@ -1298,6 +1295,7 @@ class AssessmentView {
           <div class="metric-card">
             <span class="metric-label">Competitors</span>
             <span class="metric-value">${competitorCount.total || competitors.length || '-'}</span>
+            ${data?.competitorMatrix && competitorCount.total !== aiTotal ? `<span class="metric-note">AI: ${aiTotal ?? '-'}</span>` : ''}
           </div>
           <div class="metric-card">
             <span class="metric-label">Large Corps</span>
@@ -1405,7 +1403,10 @@ class AssessmentView {
       </div>
     `;
     
-    container.innerHTML = summaryHTML;
+    if (!keepView) {
+      container.innerHTML = summaryHTML;
+      container.dataset.matrix = matrixHTML;
+    }
     container.dataset.summary = summaryHTML;
     container.dataset.detailed = detailedHTML;
     container.dataset.sources = sourcesHTML;
@@ -1447,8 +1448,11 @@ class AssessmentView {
     
     // Primary market from formatted (has tam, cagr) or analysis (has tam_usd, cagr_percent)
     const primaryMarket = formatted.primaryMarket || analysisRaw?.primary_market || {};
-    const tam = primaryMarket.tam || primaryMarket.tam_usd;
-    const cagr = primaryMarket.cagr || primaryMarket.cagr_percent;
+
+    // Rubric score recomputed from the primary market (the advisor's pick, if any)
+    const rubricCheck = MarketAPI.getRubricCheck(data, this.getPrimaryMarketChoice());
+    const tam = rubricCheck.isOverride ? rubricCheck.market.tam : (primaryMarket.tam || primaryMarket.tam_usd);
+    const cagr = rubricCheck.isOverride ? rubricCheck.market.cagr : (primaryMarket.cagr || primaryMarket.cagr_percent);
     
     // Markets array - formatted uses: tam, cagr, source, confidence
     // analysisRaw uses: tam_current_usd, cagr_percent, source_url, data_confidence
@@ -1464,19 +1468,17 @@ class AssessmentView {
     const limitations = formatted.limitations || scoringRaw?.justification?.limitations_considered || [];
     
     // TAM/CAGR categories
-    const tamCategory = formatted.tamCategory || formatted.rubricDetails?.tamCategory || scoringRaw?.rubric_application?.tam_category || '';
+    const tamCategory = rubricCheck.isOverride
+      ? rubricCheck.tamCategory
+      : formatted.tamCategory || formatted.rubricDetails?.tamCategory || scoringRaw?.rubric_application?.tam_category || '';
     const cagrCategory = formatted.cagrCategory || formatted.rubricDetails?.cagrCategory || scoringRaw?.rubric_application?.cagr_category || '';
     
-    // Format category nicely
+    // Format category nicely (band labels come from the rubric)
     const formatCategory = (cat) => {
       if (!cat) return '-';
-      return cat.replace(/_/g, ' ')
-        .replace('under 500M', '< $500M')
-        .replace('500M to 5B', '$500M - $5B')
-        .replace('over 5B', '> $5B')
-        .replace('under 10', '< 10%')
-        .replace('10 to 35', '10-35%')
-        .replace('over 35', '> 35%');
+      return RubricRegistry.getBandLabel('market', 'tam', cat) ||
+        RubricRegistry.getBandLabel('market', 'cagr', cat) ||
+        cat.replace(/_/g, ' ');
     };
     
     // SUMMARY VIEW
@@ -1501,6 +1503,8 @@ class AssessmentView {
           </div>
         </div>
         
+        ${this.renderMarketRubricCheck(data, rubricCheck, primaryMarket)}
+        
         <div class="evidence-section">
           <h4>AI Assessment Rationale</h4>
           <div class="ai-rationale">${this.formatRationale(justificationSummary)}</div>
@@ -1559,6 +1563,7 @@ class AssessmentView {
           <h4>Primary Market Selection</h4>
           <p><strong>${this.escape(primaryMarket.description || '')}</strong></p>
           <p>${this.escape(primaryMarket.rationale || primaryMarket.selection_rationale || '')}</p>
+          ${rubricCheck.isOverride ? `<p><em>Scored by the advisor against: ${this.escape(rubricCheck.market.description)}</em></p>` : ''}
         </div>
         
         ${(formatted.trends || marketAnalysis.trends)?.length > 0 ? `
@@ -1625,6 +1630,91 @@ class AssessmentView {
     container.dataset.summary = summaryHTML;
     container.dataset.detailed = detailedHTML;
     container.dataset.sources = sourcesHTML;
+    container.dataset.sizing = window.app?.marketSizingView?.load(data) || '';
+  }
+
+  // ========== MARKET RUBRIC CHECK ==========
+
+  /**
+   * Market the advisor picked as primary (null = the AI's primary market)
+   */
+  getPrimaryMarketChoice() {
+    return window.app?.stateManager?.getPrimaryMarketChoice() || null;
+  }
+
+  setupMarketRubricCheck() {
+    // Delegated: the evidence HTML is replaced on every view switch
+    const container = document.getElementById('market-evidence');
+    if (!container) return;
+
+    container.addEventListener('change', (e) => {
+      if (e.target.classList.contains('primary-market-select')) {
+        this.selectPrimaryMarket(e.target.value || null);
+      }
+    });
+  }
+
+  /**
+   * Score the market against a different market from the analysis
+   * @param {string|null} description - Market description; null restores the AI's choice
+   */
+  selectPrimaryMarket(description) {
+    const stateManager = window.app?.stateManager;
+    stateManager?.savePrimaryMarketChoice(description);
+    stateManager?.saveSessionScores();
+
+    if (this.data.market) {
+      this.displayMarketEvidence(this.data.market);
+      this.switchView('market', this.currentView.market);
+    }
+  }
+
+  renderMarketRubricCheck(data, rubricCheck, primaryMarket) {
+    const options = MarketAPI.getMarketOptions(data);
+    const bandLabel = (measure, key) => RubricRegistry.getBandLabel('market', measure, key) || '-';
+    const selected = rubricCheck.isOverride ? rubricCheck.market.description : '';
+
+    let result;
+    if (rubricCheck.score === null) {
+      result = '<p class="rubric-check-result">TAM or CAGR is missing, so the rubric score can\'t be recomputed.</p>';
+    } else {
+      result = `
+        <p class="rubric-check-result">
+          TAM ${this.escape(bandLabel('tam', rubricCheck.tamCategory))} &times;
+          CAGR ${this.escape(bandLabel('cagr', rubricCheck.cagrCategory))}
+          = rubric score <strong>${rubricCheck.score}/9</strong>
+        </p>
+        ${rubricCheck.matchesAi ? `
+          <p class="rubric-check-match">Matches the AI score.</p>
+        ` : `
+          <p class="rubric-check-mismatch">
+            <span class="warning-icon">⚠️</span>
+            Differs from the AI score of ${rubricCheck.aiScore}/9${rubricCheck.isOverride ? ', which used the AI\'s primary market' : ''}.
+            ${rubricCheck.adjustmentRationale ? `AI adjustment: ${this.escape(rubricCheck.adjustmentRationale)}` : ''}
+          </p>
+        `}
+      `;
+    }
+
+    return `
+      <div class="evidence-section market-rubric-check">
+        <h4>Rubric Check</h4>
+        ${options.length > 0 ? `
+          <label class="primary-market-label">
+            Primary market
+            <select class="form-select primary-market-select">
+              <option value="">AI choice: ${this.escape(primaryMarket.description || 'Unknown')}</option>
+              ${options.map(m => `
+                <option value="${this.escape(m.description)}" ${m.description === selected ? 'selected' : ''}>
+                  ${this.escape(m.description)} (${this.formatCurrency(m.tam)}, ${typeof m.cagr === 'number' ? m.cagr.toFixed(1) + '%' : '-'})
+                </option>
+              `).join('')}
+            </select>
+          </label>
+        ` : ''}
+        ${result}
+      </div>
+    `;
   }
 
   // ========== IP RISK DATA ==========
@@ -1839,6 +1929,157 @@ class AssessmentView {
     container.dataset.sources = sourcesHTML;
   }
 
+  // ========== REGISTERED DIMENSIONS ==========
+
+  /**
+   * Load data for any registered dimension.
+   * Dimensions with their own loader use it; others get the generic evidence view.
+   * @param {string} dimension - Dimension key
+   * @param {Object} data - Dimension result
+   */
+  loadDimensionData(dimension, data) {
+    const definition = DimensionRegistry.get(dimension);
+    if (!definition) {
+      console.warn(`Unknown dimension: ${dimension}`);
+      return;
+    }
+
+    if (typeof definition.load === 'function') {
+      definition.load(this, data);
+      this.renderDataWarnings(dimension, data);
+      return;
+    }
+
+    this.data[dimension] = data;
+
+    const score = DimensionRegistry.getScore(dimension, data);
+    this.aiScores[dimension] = score;
+
+    const aiScoreEl = document.getElementById(`${dimension}-ai-score`);
+    if (aiScoreEl) aiScoreEl.textContent = score ?? '-';
+
+    const slider = document.getElementById(`${dimension}-score-slider`);
+    const display = document.getElementById(`${dimension}-user-score`);
+    if (slider && score) {
+      slider.value = score;
+      if (display) display.textContent = score;
+      this.userScores[dimension].score = score;
+      this.updateRubricDisplay(dimension, score);
+    }
+
+    this.displayDimensionEvidence(dimension, data);
+    this.renderDataWarnings(dimension, data);
+  }
+
+  /**
+   * Render evidence views using the dimension's renderer, or a generic fallback
+   */
+  displayDimensionEvidence(dimension, data) {
+    const container = document.getElementById(`${dimension}-evidence`);
+    if (!container) return;
+
+    const definition = DimensionRegistry.get(dimension);
+    const views = typeof definition?.render === 'function'
+      ? (definition.render(data, this) || {})
+      : this.getGenericEvidence(data);
+
+    const summaryHTML = views.summary || '<div class="evidence-content"><p>No summary available.</p></div>';
+    const detailedHTML = views.detailed || summaryHTML;
+    const sourcesHTML = views.sources || '<div class="evidence-content"><p>No sources available.</p></div>';
+
+    container.innerHTML = summaryHTML;
+    container.dataset.summary = summaryHTML;
+    container.dataset.detailed = detailedHTML;
+    container.dataset.sources = sourcesHTML;
+
+    if (this.currentView[dimension] === 'detailed') {
+      container.innerHTML = detailedHTML;
+      this.setupAccordions(container);
+    }
+  }
+
+  /**
+   * Generic evidence views for dimensions without a renderer
+   * @returns {Object} { summary, detailed, sources } HTML
+   */
+  getGenericEvidence(data) {
+    const formatted = data?.formatted || {};
+    const justification = formatted.justification || data?.justification || data?.summary || '';
+    const sources = formatted.sources || data?.sources || [];
+
+    const summary = `
+      <div class="evidence-content">
+        <div class="evidence-section">
+          <h4>AI Assessment</h4>
+          <div class="ai-rationale">${justification ? this.formatRationale(justification) : 'No justification provided.'}</div>
+        </div>
+      </div>
+    `;
+
+    const detailed = `
+      <div class="evidence-content">
+        <div class="evidence-section">
+          <h4>Full Output</h4>
+          <pre class="evidence-raw">${this.escape(JSON.stringify(data, null, 2))}</pre>
+        </div>
+      </div>
+    `;
+
+    const sourcesHTML = `
+      <div class="evidence-content">
+        <div class="evidence-section">
+          <h4>Data Sources</h4>
+          ${Array.isArray(sources) && sources.length > 0 ? `
+            <ul class="source-list">
+              ${sources.map(s => `<li><a href="${this.escape(this.cleanSourceUrl(s))}" target="_blank" rel="noopener">${this.truncateUrl(s)}</a></li>`).join('')}
+            </ul>
+          ` : '<p>No sources available.</p>'}
+        </div>
+      </div>
+    `;
+
+    return { summary, detailed, sources: sourcesHTML };
+  }
+
+  // ========== DATA QUALITY WARNINGS ==========
+
+  /**
+   * Show what parsing defaulted, converted or inferred for a tab, so advisors
+   * can tell filled-in values from real AI output
+   * @param {string} key - Dimension key, or 'overview' for the company tab
+   * @param {Object} data - Company full output or dimension result
+   */
+  renderDataWarnings(key, data) {
+    const container = document.getElementById(`${key}-warnings`);
+    if (!container) return;
+
+    const warnings = ResponseParser.getWarnings(data);
+    container.classList.toggle('hidden', warnings.length === 0);
+    if (warnings.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <details class="data-warnings-details">
+        <summary>
+          <span class="data-warnings-icon">⚠️</span>
+          Data quality: ${Formatters.pluralize(warnings.length, 'value')} missing, converted or inferred in the AI output
+        </summary>
+        <ul class="data-warnings-list">
+          ${warnings.map(warning => `
+            <li class="data-warning data-warning-${this.escape(warning.type)}">
+              <span class="data-warning-type">${this.escape(ResponseParser.typeLabels[warning.type] || warning.type)}</span>
+              ${warning.field ? `<code>${this.escape(warning.field)}</code>` : ''}
+              <span class="data-warning-message">${this.escape(warning.message)}</span>
+              <span class="data-warning-source">${this.escape(warning.source)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </details>
+    `;
+  }
+
   // ========== EXPORT DATA ==========
   
   getExportData() {
@@ -1854,17 +2095,26 @@ class AssessmentView {
     };
 
     // Get final recommendation from state manager
-    const finalRecommendation = window.app?.stateManager?.getFinalRecommendation() || '';
+    const finalRecommendation = window.app?.stateManager?.getFinalRecommendation();
 
-    return {
-      company: this.data.company,
-      team: getDimensionExport('team'),
-      funding: getDimensionExport('funding'),
-      competitive: getDimensionExport('competitive'),
-      market: getDimensionExport('market'),
-      iprisk: getDimensionExport('iprisk'),
-      finalRecommendation: finalRecommendation || null
-    };
+    const exportData = { company: this.data.company, rubricVersion: this.getRubricVersion() };
+    DimensionRegistry.keys().forEach(dim => {
+      exportData[dim] = getDimensionExport(dim);
+    });
+    if (this.data.competitive && window.app?.competitorMatrixView?.getExportModel()) {
+      exportData.competitive = {
+        ...exportData.competitive,
+        ...window.app.competitorMatrixView.apply(this.data.competitive)
+      };
+    }
+    if (this.data.market) {
+      exportData.market.rubricCheck = MarketAPI.getRubricCheck(this.data.market, this.getPrimaryMarketChoice());
+      exportData.market.sizing = window.app?.marketSizingView?.getExportModel() || null;
+    }
+    exportData.finalRecommendation = FinalRecommendation.isEmpty(finalRecommendation) ? null : finalRecommendation;
+    exportData.portfolio = window.SmartsheetIntegration?.getPortfolio() || '';
+
+    return exportData;
   }
 
   // ========== UTILITY METHODS ==========
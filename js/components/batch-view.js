@@ -0,0 +1,163 @@
+// js/components/batch-view.js - Batch analysis dashboard
+// Renders the batch input form and the per-venture phase status table
+
+class BatchView {
+  constructor() {
+    this.elements = {};
+    this.handlers = {};
+    this.phaseKeys = [];
+  }
+
+  init() {
+    this.elements = {
+      input: document.getElementById('batch-input'),
+      file: document.getElementById('batch-file'),
+      advisor: document.getElementById('batch-advisor'),
+      portfolio: document.getElementById('batch-portfolio'),
+      concurrency: document.getElementById('batch-concurrency'),
+      startBtn: document.getElementById('batch-start-btn'),
+      cancelBtn: document.getElementById('batch-cancel-btn'),
+      backBtn: document.getElementById('batch-back-btn'),
+      dashboard: document.getElementById('batch-dashboard'),
+      summary: document.getElementById('batch-summary'),
+      table: document.getElementById('batch-table')
+    };
+
+    this.phaseKeys = ['company', ...DimensionRegistry.keys()];
+
+    this.elements.startBtn?.addEventListener('click', () => this.handlers.start?.());
+    this.elements.cancelBtn?.addEventListener('click', () => this.handlers.cancel?.());
+    this.elements.backBtn?.addEventListener('click', () => this.handlers.back?.());
+
+    // CSV upload fills the textarea so it can be reviewed before starting
+    this.elements.file?.addEventListener('change', async () => {
+      const file = this.elements.file.files?.[0];
+      if (!file || !this.elements.input) return;
+      this.elements.input.value = await file.text();
+      this.elements.file.value = '';
+    });
+
+    this.elements.table?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-open-key]');
+      if (btn) this.handlers.open?.(btn.dataset.openKey);
+    });
+
+    Debug.log('BatchView initialized');
+  }
+
+  /**
+   * Register UI handlers: start, cancel, back, open(assessmentKey)
+   */
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  /**
+   * Current form values
+   */
+  getInput() {
+    return {
+      text: this.elements.input?.value || '',
+      advisor: this.elements.advisor?.value.trim() || '',
+      portfolio: this.elements.portfolio?.value || '',
+      concurrency: parseInt(this.elements.concurrency?.value, 10) || 2
+    };
+  }
+
+  setRunning(running) {
+    if (this.elements.startBtn) this.elements.startBtn.disabled = running;
+    if (this.elements.input) this.elements.input.disabled = running;
+    this.elements.cancelBtn?.classList.toggle('hidden', !running);
+  }
+
+  /**
+   * Render the dashboard table for a new batch
+   * @param {Object[]} items - BatchRunner items
+   */
+  render(items) {
+    if (!this.elements.table) return;
+
+    const phaseHeaders = this.phaseKeys.map(key => {
+      const label = key === 'company' ? 'Company' : DimensionRegistry.get(key).name;
+      return `<th class="batch-phase-col">${this.escape(label)}</th>`;
+    }).join('');
+
+    this.elements.table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Venture</th>
+          <th>Advisor</th>
+          <th>Status</th>
+          ${phaseHeaders}
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${items.map(item => `<tr data-item-id="${item.id}">${this.getRowHtml(item)}</tr>`).join('')}
+      </tbody>
+    `;
+
+    this.elements.dashboard?.classList.remove('hidden');
+  }
+
+  /**
+   * Refresh a single row
+   */
+  updateItem(item) {
+    const row = this.elements.table?.querySelector(`tr[data-item-id="${item.id}"]`);
+    if (row) row.innerHTML = this.getRowHtml(item);
+  }
+
+  updateSummary(summary) {
+    if (!this.elements.summary) return;
+
+    const done = summary.complete + summary.partial + summary.failed + summary.skipped + summary.cancelled;
+    const parts = [`${done} of ${summary.total} done`];
+    if (summary.running) parts.push(`${summary.running} running`);
+    if (summary.partial) parts.push(`${summary.partial} partial`);
+    if (summary.failed) parts.push(`${summary.failed} failed`);
+    if (summary.skipped) parts.push(`${summary.skipped} skipped`);
+    if (summary.cancelled) parts.push(`${summary.cancelled} cancelled`);
+
+    this.elements.summary.textContent = parts.join(' · ');
+  }
+
+  getRowHtml(item) {
+    const statusLabels = {
+      queued: 'Queued',
+      running: 'Running',
+      complete: 'Complete',
+      partial: 'Partial',
+      failed: 'Failed',
+      skipped: 'Skipped',
+      cancelled: 'Cancelled'
+    };
+
+    const phaseCells = this.phaseKeys.map(key => {
+      const status = item.phases?.[key] || 'pending';
+      return `<td class="batch-phase-col"><span class="batch-phase-dot ${status}" title="${status}"></span></td>`;
+    }).join('');
+
+    const canOpen = (item.status === 'complete' || item.status === 'partial') && item.assessmentKey;
+    const name = item.ventureName || Formatters.displayUrl(item.url) || item.url || '(blank)';
+
+    return `
+      <td>
+        <div class="batch-venture-name">${this.escape(name)}</div>
+        ${item.error ? `<div class="batch-item-error">${this.escape(item.error)}</div>` : ''}
+      </td>
+      <td>${this.escape(item.advisor || '—')}</td>
+      <td><span class="batch-status ${item.status}">${statusLabels[item.status] || item.status}</span></td>
+      ${phaseCells}
+      <td>${canOpen ? `<button class="btn outline small" data-open-key="${this.escape(item.assessmentKey)}">Open</button>` : ''}</td>
+    `;
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+}
+
+window.BatchView = BatchView;
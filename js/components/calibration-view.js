@@ -0,0 +1,287 @@
+// js/components/calibration-view.js - AI vs advisor score calibration dashboard
+// Shows per-dimension deviation distributions, per-advisor bias and monthly trends
+// built by CalibrationStats from every Smartsheet row
+
+class CalibrationView {
+  constructor() {
+    this.elements = {};
+    this.handlers = {};
+    this.stats = null;
+  }
+
+  init() {
+    this.elements = {
+      title: document.getElementById('calibration-title'),
+      summary: document.getElementById('calibration-summary'),
+      dimensions: document.getElementById('calibration-dimensions'),
+      advisors: document.getElementById('calibration-advisors'),
+      trend: document.getElementById('calibration-trend'),
+      trendLegend: document.getElementById('calibration-trend-legend'),
+      backBtn: document.getElementById('calibration-back-btn'),
+      refreshBtn: document.getElementById('calibration-refresh-btn')
+    };
+
+    this.elements.backBtn?.addEventListener('click', () => this.handlers.back?.());
+    this.elements.refreshBtn?.addEventListener('click', () => this.handlers.refresh?.());
+
+    Debug.log('CalibrationView initialized');
+  }
+
+  /**
+   * Register UI handlers: back, refresh
+   */
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  setLoading(loading) {
+    if (this.elements.refreshBtn) {
+      this.elements.refreshBtn.disabled = loading;
+      this.elements.refreshBtn.textContent = loading ? 'Loading...' : 'Refresh';
+    }
+  }
+
+  // ========== RENDERING ==========
+
+  /**
+   * Show statistics built with CalibrationStats.build()
+   */
+  render(stats) {
+    this.stats = stats;
+    const { totals } = stats;
+
+    if (this.elements.title) {
+      const range = totals.from
+        ? ` from ${new Date(totals.from).toLocaleDateString()} to ${new Date(totals.to).toLocaleDateString()}`
+        : '';
+      this.elements.title.textContent =
+        `${Formatters.pluralize(totals.rowsWithPairs, 'assessment')} with AI and advisor scores${range}`;
+    }
+
+    if (this.elements.summary) {
+      this.elements.summary.innerHTML = this.getSummaryHtml(stats);
+    }
+    if (this.elements.dimensions) {
+      this.elements.dimensions.innerHTML = this.getDimensionsHtml(stats);
+    }
+    if (this.elements.advisors) {
+      this.elements.advisors.innerHTML = this.getAdvisorsHtml(stats);
+    }
+    this.renderTrend(stats);
+  }
+
+  getSummaryHtml(stats) {
+    const { overall } = stats;
+    const flagged = stats.dimensions.filter(d => d.verdict === 'over' || d.verdict === 'under');
+
+    return `
+      <div class="calibration-stat">
+        <span class="calibration-stat-value">${Formatters.numberWithCommas(overall.pairs)}</span>
+        <span class="calibration-stat-label">Score pairs</span>
+      </div>
+      <div class="calibration-stat">
+        <span class="calibration-stat-value">${this.formatDeviation(overall.meanDeviation)}</span>
+        <span class="calibration-stat-label">Mean deviation (advisor - AI)</span>
+      </div>
+      <div class="calibration-stat">
+        <span class="calibration-stat-value">${this.formatRate(overall.agreementRate)}</span>
+        <span class="calibration-stat-label">Agree within &plusmn;${CalibrationStats.agreementTolerance}</span>
+      </div>
+      <div class="calibration-stat">
+        <span class="calibration-stat-value">${flagged.length}</span>
+        <span class="calibration-stat-label">Workflows off by &ge;${CalibrationStats.biasThreshold} on average</span>
+      </div>
+    `;
+  }
+
+  getDimensionsHtml(stats) {
+    const rows = stats.dimensions.map(d => `
+      <tr>
+        <th scope="row">${this.escape(d.name)}</th>
+        <td>${d.pairs}</td>
+        <td class="${this.getDeviationClass(d.meanDeviation)}">${this.formatDeviation(d.meanDeviation)}</td>
+        <td>${d.meanAbsDeviation ?? '-'}</td>
+        <td>${this.formatRate(d.agreementRate)}</td>
+        <td>${this.formatRate(d.exactRate)}</td>
+        <td>${this.getHistogramSvg(d.distribution)}</td>
+        <td>${this.getVerdictBadge(d.verdict)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <thead>
+        <tr>
+          <th>Dimension</th>
+          <th>Pairs</th>
+          <th>Mean deviation</th>
+          <th>Mean |deviation|</th>
+          <th>Agreement (&plusmn;${CalibrationStats.agreementTolerance})</th>
+          <th>Exact</th>
+          <th>Distribution (-${CalibrationStats.distributionRange} to +${CalibrationStats.distributionRange})</th>
+          <th>AI workflow</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    `;
+  }
+
+  getAdvisorsHtml(stats) {
+    const headers = stats.dimensions.map(d => `<th>${this.escape(d.name)}</th>`).join('');
+
+    const rows = stats.advisors.map(advisor => {
+      const cells = stats.dimensions.map(d => {
+        const summary = advisor.byDimension[d.key];
+        return `<td class="${this.getDeviationClass(summary.meanDeviation)}" title="${summary.pairs} pairs">${this.formatDeviation(summary.meanDeviation)}</td>`;
+      }).join('');
+
+      return `
+        <tr>
+          <th scope="row">${this.escape(advisor.name)}</th>
+          <td>${advisor.assessments}</td>
+          <td class="${this.getDeviationClass(advisor.meanDeviation)}">${this.formatDeviation(advisor.meanDeviation)}</td>
+          <td>${this.formatRate(advisor.agreementRate)}</td>
+          ${cells}
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <thead>
+        <tr><th>Advisor</th><th>Assessments</th><th>Mean deviation</th><th>Agreement</th>${headers}</tr>
+      </thead>
+      <tbody>${rows || `<tr><td colspan="${stats.dimensions.length + 4}">No advisor scores yet</td></tr>`}</tbody>
+    `;
+  }
+
+  /**
+   * Small bar histogram of deviations; the centre bar is exact agreement
+   */
+  getHistogramSvg(distribution) {
+    const width = 144;
+    const height = 36;
+    const barWidth = width / distribution.length;
+    const max = Math.max(1, ...distribution.map(bin => bin.count));
+
+    const bars = distribution.map((bin, i) => {
+      const barHeight = bin.count > 0 ? Math.max(2, ((height - 4) * bin.count) / max) : 0;
+      const label = `${bin.deviation > 0 ? '+' : ''}${bin.deviation}: ${bin.count}`;
+      return `<rect x="${i * barWidth + 1}" y="${height - barHeight}" width="${barWidth - 2}" height="${barHeight}" class="${this.getDeviationClass(bin.deviation)}" rx="1"><title>${label}</title></rect>`;
+    }).join('');
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" class="calibration-histogram" role="img" aria-label="Deviation distribution">
+        <line x1="${width / 2}" y1="0" x2="${width / 2}" y2="${height}" class="comparison-axis" />
+        ${bars}
+      </svg>
+    `;
+  }
+
+  /**
+   * Monthly mean deviation per dimension, with zero as perfect agreement
+   */
+  renderTrend(stats) {
+    if (!this.elements.trend) return;
+
+    const colors = ComparisonView.COLORS;
+    if (this.elements.trendLegend) {
+      this.elements.trendLegend.innerHTML = stats.dimensions.map((d, i) => `
+        <span class="comparison-legend-item">
+          <span class="comparison-swatch" style="background: ${colors[i % colors.length]}"></span>
+          ${this.escape(d.name)}
+        </span>
+      `).join('');
+    }
+
+    if (stats.trend.length === 0) {
+      this.elements.trend.innerHTML = '<p class="calibration-empty">No dated scores yet</p>';
+      return;
+    }
+
+    const width = 640;
+    const height = 260;
+    const chartLeft = 40;
+    const chartRight = width - 16;
+    const chartTop = 16;
+    const chartBottom = height - 40;
+    const range = 3;  // Plot -3..+3; larger means are clamped to the edge
+    const step = stats.trend.length > 1 ? (chartRight - chartLeft) / (stats.trend.length - 1) : 0;
+    const x = i => stats.trend.length > 1 ? chartLeft + i * step : (chartLeft + chartRight) / 2;
+    const y = value => {
+      const clamped = Math.max(-range, Math.min(range, value));
+      return chartTop + ((range - clamped) / (2 * range)) * (chartBottom - chartTop);
+    };
+
+    const gridLines = [-3, -2, -1, 0, 1, 2, 3].map(level => `
+      <line x1="${chartLeft}" y1="${y(level)}" x2="${chartRight}" y2="${y(level)}" class="${level === 0 ? 'comparison-axis' : 'comparison-grid'}" />
+      <text x="${chartLeft - 8}" y="${y(level)}" text-anchor="end" dominant-baseline="middle" class="comparison-axis-label">${level > 0 ? '+' : ''}${level}</text>
+    `).join('');
+
+    // Label at most ~8 months so long histories stay readable
+    const labelEvery = Math.ceil(stats.trend.length / 8);
+    const labels = stats.trend.map((month, i) => i % labelEvery === 0
+      ? `<text x="${x(i)}" y="${chartBottom + 20}" text-anchor="middle" class="comparison-axis-label">${this.escape(month.label)}</text>`
+      : ''
+    ).join('');
+
+    const lines = stats.dimensions.map((d, i) => {
+      const color = colors[i % colors.length];
+      const points = stats.trend
+        .map((month, j) => ({ j, month, summary: month.byDimension[d.key] }))
+        .filter(p => p.summary.pairs > 0);
+      if (points.length === 0) return '';
+
+      const path = points.length > 1
+        ? `<polyline points="${points.map(p => `${x(p.j)},${y(p.summary.meanDeviation)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2" />`
+        : '';
+      const dots = points.map(p => `
+        <circle cx="${x(p.j)}" cy="${y(p.summary.meanDeviation)}" r="3.5" fill="${color}">
+          <title>${this.escape(d.name)}, ${this.escape(p.month.label)}: ${this.formatDeviation(p.summary.meanDeviation)} (${p.summary.pairs} pairs)</title>
+        </circle>
+      `).join('');
+      return path + dots;
+    }).join('');
+
+    this.elements.trend.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" class="comparison-svg" role="img" aria-label="Monthly mean deviation">
+        ${gridLines}${labels}${lines}
+      </svg>
+    `;
+  }
+
+  // ========== HELPERS ==========
+
+  getVerdictBadge(verdict) {
+    const labels = {
+      over: 'Over-scores',
+      under: 'Under-scores',
+      aligned: 'Aligned',
+      insufficient: `Fewer than ${CalibrationStats.minPairs} pairs`
+    };
+    return `<span class="calibration-verdict ${verdict}">${labels[verdict]}</span>`;
+  }
+
+  /**
+   * Positive deviations (advisor higher) and negative ones (AI higher) get their own color
+   */
+  getDeviationClass(value) {
+    if (value === null || value === undefined || value === 0) return 'calibration-neutral';
+    return value > 0 ? 'calibration-positive' : 'calibration-negative';
+  }
+
+  formatDeviation(value) {
+    if (value === null || value === undefined) return '-';
+    return `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+  }
+
+  formatRate(value) {
+    return value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`;
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+}
+
+window.CalibrationView = CalibrationView;
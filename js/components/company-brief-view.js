@@ -0,0 +1,206 @@
+// js/components/company-brief-view.js - Editable company brief on the overview tab
+// Shows the description the other workflows read. The advisor corrects it in a form;
+// App saves the brief and offers to re-run the phases it feeds (see CompanyBrief).
+
+class CompanyBriefView {
+  constructor() {
+    this.container = null;
+    this.handlers = {};
+    this.company = null;
+    this.brief = null;
+    this.editing = false;
+    this.errors = [];
+  }
+
+  init() {
+    this.container = document.getElementById('company-brief');
+    if (!this.container) return;
+
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-brief-action]');
+      if (!button || !this.company) return;
+
+      switch (button.dataset.briefAction) {
+        case 'edit':
+          this.setEditing(true);
+          break;
+        case 'cancel':
+          this.setEditing(false);
+          break;
+        case 'reset':
+          this.fillForm(CompanyBrief.fromCompany(this.company));
+          break;
+        case 'save':
+          this.save();
+          break;
+        case 'rerun':
+          this.handlers.rerun?.(this.getChanges());
+          break;
+      }
+    });
+
+    Debug.log('CompanyBriefView initialized');
+  }
+
+  /**
+   * Register UI handlers: save(brief, changes), rerun(changes)
+   */
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  /**
+   * Show the brief for a company analysis with the saved corrections
+   * @param {Object} company - Full company output
+   */
+  load(company) {
+    this.company = company;
+    this.brief = CompanyBrief.normalize(window.app?.stateManager?.getCompanyBrief(), company);
+    this.editing = false;
+    this.errors = [];
+    this.render();
+  }
+
+  getChanges() {
+    return this.company ? CompanyBrief.getChanges(this.brief, this.company) : [];
+  }
+
+  /**
+   * Description for the other workflows, or null when the advisor hasn't corrected anything
+   */
+  getDescription() {
+    return this.getChanges().length > 0 ? CompanyBrief.toShortDescription(this.brief) : null;
+  }
+
+  // ========== EDITING ==========
+
+  setEditing(editing) {
+    this.editing = editing;
+    this.errors = [];
+    this.render();
+  }
+
+  save() {
+    const brief = this.readForm();
+    const validation = CompanyBrief.validate(brief);
+    if (!validation.valid) {
+      this.errors = validation.errors;
+      this.renderErrors();
+      return;
+    }
+
+    const changes = CompanyBrief.getChanges(brief, this.company);
+    brief.savedAt = changes.length > 0 ? new Date().toISOString() : null;
+    this.brief = brief;
+    this.setEditing(false);
+
+    // An unchanged brief is stored as null so the AI's description is used again
+    this.handlers.save?.(changes.length > 0 ? brief : null, changes);
+  }
+
+  readForm() {
+    const brief = { ...this.brief };
+    CompanyBrief.fields.forEach(field => {
+      const input = this.container.querySelector(`[data-brief-field="${field.key}"]`);
+      if (input) brief[field.key] = input.value;
+    });
+    return brief;
+  }
+
+  fillForm(brief) {
+    CompanyBrief.fields.forEach(field => {
+      const input = this.container.querySelector(`[data-brief-field="${field.key}"]`);
+      if (input) input.value = brief[field.key] || '';
+    });
+  }
+
+  // ========== RENDERING ==========
+
+  render() {
+    if (!this.container || !this.company) return;
+    this.container.innerHTML = this.editing ? this.getFormHtml() : this.getBriefHtml();
+    if (this.editing) {
+      this.container.querySelector('[data-brief-field]')?.focus();
+    }
+  }
+
+  renderErrors() {
+    const errors = this.container?.querySelector('.company-brief-errors');
+    if (!errors) return;
+    errors.innerHTML = this.errors.map(error => `<div>${this.escape(error)}</div>`).join('');
+    errors.classList.toggle('hidden', this.errors.length === 0);
+  }
+
+  getBriefHtml() {
+    const changes = this.getChanges();
+    const edited = changes.length > 0;
+
+    return `
+      <div class="company-brief-header">
+        <h3>Company Brief</h3>
+        ${edited ? '<span class="company-brief-badge">Edited by advisor</span>' : ''}
+        <div class="company-brief-actions">
+          ${edited ? '<button type="button" class="btn outline small" data-brief-action="rerun">Re-run phases...</button>' : ''}
+          <button type="button" class="btn outline small" data-brief-action="edit">Edit brief</button>
+        </div>
+      </div>
+      <p class="input-hint">What the team, funding, competitive, market and IP risk analyses are told about the company. Correct it if the AI got something wrong.</p>
+      <div class="company-brief-text">${this.escape(CompanyBrief.toShortDescription(this.brief))}</div>
+      ${edited ? `
+        <ul class="company-brief-changes">
+          ${changes.map(change => `
+            <li><strong>${this.escape(change.label)}:</strong> ${change.from ? `<del>${this.escape(change.from)}</del> ` : ''}${this.escape(change.to || '(cleared)')}</li>
+          `).join('')}
+        </ul>
+        ${this.brief.savedAt ? `<p class="input-hint">Saved ${new Date(this.brief.savedAt).toLocaleString()}</p>` : ''}
+      ` : ''}
+    `;
+  }
+
+  getFormHtml() {
+    const fields = CompanyBrief.fields.map(field => {
+      const id = `company-brief-${field.key}`;
+      const value = this.escape(this.brief[field.key]);
+      const input = field.multiline
+        ? `<textarea id="${id}" data-brief-field="${field.key}" rows="3" maxlength="${CompanyBrief.maxLength}">${value}</textarea>`
+        : `<input type="text" id="${id}" data-brief-field="${field.key}" value="${this.escapeAttr(this.brief[field.key])}" maxlength="${CompanyBrief.maxLength}">`;
+
+      return `
+        <div class="form-group">
+          <label for="${id}">${this.escape(field.label)}</label>
+          ${input}
+          ${field.hint ? `<span class="input-hint">${this.escape(field.hint)}</span>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="company-brief-header">
+        <h3>Edit Company Brief</h3>
+      </div>
+      <div class="company-brief-form">
+        ${fields}
+        <div class="company-brief-errors${this.errors.length ? '' : ' hidden'}">
+          ${this.errors.map(error => `<div>${this.escape(error)}</div>`).join('')}
+        </div>
+        <div class="company-brief-actions">
+          <button type="button" class="btn outline small" data-brief-action="reset">Reset to AI</button>
+          <button type="button" class="btn outline small" data-brief-action="cancel">Cancel</button>
+          <button type="button" class="btn primary" data-brief-action="save">Save Brief</button>
+        </div>
+      </div>
+    `;
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  escapeAttr(text) {
+    return this.escape(text).replace(/"/g, '&quot;');
+  }
+}
+
+window.CompanyBriefView = CompanyBriefView;
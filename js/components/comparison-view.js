@@ -0,0 +1,344 @@
+// js/components/comparison-view.js - Side-by-side venture comparison
+// Compares 2-5 saved assessments: per-dimension AI and advisor scores,
+// radar/bar overlays and key facts from each dimension's normalized output
+
+class ComparisonView {
+  constructor() {
+    this.elements = {};
+    this.handlers = {};
+    this.comparison = null;
+    this.chartType = 'radar';    // radar, bars
+    this.scoreSource = 'ai';     // ai, user
+  }
+
+  init() {
+    this.elements = {
+      title: document.getElementById('comparison-title'),
+      chart: document.getElementById('comparison-chart'),
+      legend: document.getElementById('comparison-legend'),
+      scores: document.getElementById('comparison-scores'),
+      facts: document.getElementById('comparison-facts'),
+      backBtn: document.getElementById('comparison-back-btn'),
+      exportBtn: document.getElementById('comparison-export-btn'),
+      chartToggles: document.querySelectorAll('#comparison-section [data-chart]'),
+      sourceToggles: document.querySelectorAll('#comparison-section [data-score-source]')
+    };
+
+    this.elements.backBtn?.addEventListener('click', () => this.handlers.back?.());
+    this.elements.exportBtn?.addEventListener('click', () => this.handlers.export?.());
+
+    this.elements.chartToggles.forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.chartType = btn.dataset.chart;
+        this.elements.chartToggles.forEach(b => b.classList.toggle('active', b === btn));
+        this.renderChart();
+      });
+    });
+
+    this.elements.sourceToggles.forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.scoreSource = btn.dataset.scoreSource;
+        this.elements.sourceToggles.forEach(b => b.classList.toggle('active', b === btn));
+        this.renderChart();
+      });
+    });
+
+    // Venture names in the table headers open that assessment
+    [this.elements.scores, this.elements.facts].forEach(table => {
+      table?.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-open-key]');
+        if (link) this.handlers.open?.(link.dataset.openKey);
+      });
+    });
+
+    Debug.log('ComparisonView initialized');
+  }
+
+  /**
+   * Register UI handlers: back, export, open(assessmentKey)
+   */
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  // ========== DATA ==========
+
+  /**
+   * Build the comparison model from cached assessment records
+   * (StateManager.loadAssessment). Shared by the view and the PDF export.
+   *
+   * @param {Object[]} records - 2-5 cached assessments
+   * @returns {Object} { dimensions, facts, ventures, generatedAt }
+   */
+  static build(records) {
+    if (!Array.isArray(records) ||
+        records.length < ComparisonView.MIN_VENTURES ||
+        records.length > ComparisonView.MAX_VENTURES) {
+      throw new Error(`Select ${ComparisonView.MIN_VENTURES} to ${ComparisonView.MAX_VENTURES} ventures to compare`);
+    }
+
+    const dimensions = DimensionRegistry.list().map(d => ({ key: d.key, name: d.name }));
+    const facts = [];
+
+    const ventures = records.map((record, index) => {
+      const aiData = record.aiData || {};
+      const scores = {};
+      const factValues = {};
+
+      dimensions.forEach(({ key }) => {
+        const userScore = record.userScores?.[key]?.score;
+        scores[key] = {
+          ai: DimensionRegistry.getScore(key, aiData[key]),
+          user: typeof userScore === 'number' ? userScore : null
+        };
+
+        DimensionRegistry.getKeyFacts(key, aiData[key] || null).forEach(fact => {
+          if (!facts.some(f => f.key === fact.key)) {
+            facts.push({ key: fact.key, label: fact.label, format: fact.format });
+          }
+          factValues[fact.key] = fact.value;
+        });
+      });
+
+      return {
+        key: record.key,
+        ventureName: record.ventureName || 'Unknown',
+        advisorName: record.advisorName || 'Unknown',
+        date: record.timestamp ? new Date(record.timestamp).toLocaleDateString() : '',
+        color: ComparisonView.COLORS[index % ComparisonView.COLORS.length],
+        scores,
+        facts: factValues
+      };
+    });
+
+    return { dimensions, facts, ventures, generatedAt: Date.now() };
+  }
+
+  /**
+   * Format a key fact value for display
+   * @param {*} value - Raw value (null when missing)
+   * @param {string} format - 'currency', 'percentage' or 'number'
+   */
+  static formatFact(value, format) {
+    if (value === null || value === undefined) return '-';
+    if (format === 'currency') return Formatters.currency(value);
+    if (format === 'percentage') return Formatters.percentage(value);
+    return typeof value === 'number' ? Formatters.numberWithCommas(value) : String(value);
+  }
+
+  /**
+   * Mean of the non-null scores for one venture
+   * @param {Object} venture - Entry from build()
+   * @param {string} source - 'ai' or 'user'
+   * @returns {number|null}
+   */
+  static averageScore(venture, source) {
+    const values = Object.values(venture.scores)
+      .map(score => score[source])
+      .filter(score => score !== null);
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+  }
+
+  // ========== RENDERING ==========
+
+  /**
+   * Show a comparison built with ComparisonView.build()
+   */
+  render(comparison) {
+    this.comparison = comparison;
+
+    if (this.elements.title) {
+      this.elements.title.textContent = comparison.ventures.map(v => v.ventureName).join(' vs ');
+    }
+
+    if (this.elements.legend) {
+      this.elements.legend.innerHTML = comparison.ventures.map(v => `
+        <span class="comparison-legend-item">
+          <span class="comparison-swatch" style="background: ${v.color}"></span>
+          ${this.escape(v.ventureName)}
+        </span>
+      `).join('');
+    }
+
+    this.renderChart();
+
+    if (this.elements.scores) {
+      this.elements.scores.innerHTML = this.getScoresHtml(comparison);
+    }
+    if (this.elements.facts) {
+      this.elements.facts.innerHTML = this.getFactsHtml(comparison);
+    }
+  }
+
+  renderChart() {
+    if (!this.elements.chart || !this.comparison) return;
+
+    this.elements.chart.innerHTML = this.chartType === 'bars'
+      ? this.getBarsSvg(this.comparison, this.scoreSource)
+      : this.getRadarSvg(this.comparison, this.scoreSource);
+  }
+
+  /**
+   * Radar chart with one polygon per venture. Missing scores plot at the centre.
+   */
+  getRadarSvg(comparison, source) {
+    const size = 380;
+    const center = size / 2;
+    const radius = 130;
+    const count = comparison.dimensions.length;
+    const angle = i => (Math.PI * 2 * i) / count - Math.PI / 2;
+    const point = (i, value) => {
+      const r = (radius * value) / 9;
+      return [center + r * Math.cos(angle(i)), center + r * Math.sin(angle(i))];
+    };
+
+    // Grid rings at 3, 6 and 9
+    const rings = [3, 6, 9].map(level => {
+      const points = comparison.dimensions.map((_, i) => point(i, level).join(',')).join(' ');
+      return `<polygon points="${points}" class="comparison-grid" />`;
+    }).join('');
+
+    const axes = comparison.dimensions.map((dimension, i) => {
+      const [x, y] = point(i, 9);
+      const [lx, ly] = point(i, 10.6);
+      const anchor = Math.abs(lx - center) < 5 ? 'middle' : (lx > center ? 'start' : 'end');
+      return `
+        <line x1="${center}" y1="${center}" x2="${x}" y2="${y}" class="comparison-axis" />
+        <text x="${lx}" y="${ly}" text-anchor="${anchor}" dominant-baseline="middle" class="comparison-axis-label">${this.escape(dimension.name)}</text>
+      `;
+    }).join('');
+
+    const shapes = comparison.ventures.map(venture => {
+      const points = comparison.dimensions
+        .map((d, i) => point(i, venture.scores[d.key][source] ?? 0).join(','))
+        .join(' ');
+      return `<polygon points="${points}" fill="${venture.color}" fill-opacity="0.12" stroke="${venture.color}" stroke-width="2" />`;
+    }).join('');
+
+    return `
+      <svg viewBox="0 0 ${size} ${size}" class="comparison-svg" role="img" aria-label="Score radar chart">
+        ${rings}${axes}${shapes}
+      </svg>
+    `;
+  }
+
+  /**
+   * Grouped bar chart: one group per dimension, one bar per venture
+   */
+  getBarsSvg(comparison, source) {
+    const width = 640;
+    const height = 300;
+    const chartLeft = 32;
+    const chartBottom = height - 40;
+    const chartHeight = chartBottom - 16;
+    const groupWidth = (width - chartLeft) / comparison.dimensions.length;
+    const barWidth = Math.min(22, (groupWidth - 16) / comparison.ventures.length);
+
+    const gridLines = [0, 3, 6, 9].map(level => {
+      const y = chartBottom - (chartHeight * level) / 9;
+      return `
+        <line x1="${chartLeft}" y1="${y}" x2="${width}" y2="${y}" class="comparison-grid" />
+        <text x="${chartLeft - 8}" y="${y}" text-anchor="end" dominant-baseline="middle" class="comparison-axis-label">${level}</text>
+      `;
+    }).join('');
+
+    const groups = comparison.dimensions.map((dimension, i) => {
+      const groupX = chartLeft + i * groupWidth;
+      const barsX = groupX + (groupWidth - barWidth * comparison.ventures.length) / 2;
+
+      const bars = comparison.ventures.map((venture, j) => {
+        const score = venture.scores[dimension.key][source];
+        if (score === null) return '';
+        const barHeight = (chartHeight * score) / 9;
+        return `<rect x="${barsX + j * barWidth}" y="${chartBottom - barHeight}" width="${barWidth - 2}" height="${barHeight}" fill="${venture.color}" rx="2"><title>${this.escape(venture.ventureName)}: ${score}/9</title></rect>`;
+      }).join('');
+
+      return `
+        ${bars}
+        <text x="${groupX + groupWidth / 2}" y="${chartBottom + 20}" text-anchor="middle" class="comparison-axis-label">${this.escape(dimension.name)}</text>
+      `;
+    }).join('');
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" class="comparison-svg" role="img" aria-label="Score bar chart">
+        ${gridLines}${groups}
+      </svg>
+    `;
+  }
+
+  getVentureHeaders(comparison) {
+    return comparison.ventures.map(v => `
+      <th>
+        <button class="comparison-venture-link" data-open-key="${this.escape(v.key)}" title="Open this assessment">
+          <span class="comparison-swatch" style="background: ${v.color}"></span>${this.escape(v.ventureName)}
+        </button>
+        <div class="comparison-venture-meta">${this.escape(v.advisorName)} &middot; ${v.date}</div>
+      </th>
+    `).join('');
+  }
+
+  getScoresHtml(comparison) {
+    const rows = comparison.dimensions.map(dimension => {
+      const aiScores = comparison.ventures
+        .map(v => v.scores[dimension.key].ai)
+        .filter(score => score !== null);
+      const best = aiScores.length > 1 && new Set(aiScores).size > 1 ? Math.max(...aiScores) : null;
+
+      const cells = comparison.ventures.map(v => {
+        const { ai, user } = v.scores[dimension.key];
+        return `
+          <td class="${ai !== null && ai === best ? 'comparison-best' : ''}">
+            <span class="comparison-score">${ai ?? '-'}</span>
+            <span class="comparison-score user">${user ?? '-'}</span>
+          </td>
+        `;
+      }).join('');
+
+      return `<tr><th scope="row">${this.escape(dimension.name)}</th>${cells}</tr>`;
+    }).join('');
+
+    const averages = comparison.ventures.map(v => `
+      <td>
+        <span class="comparison-score">${ComparisonView.averageScore(v, 'ai') ?? '-'}</span>
+        <span class="comparison-score user">${ComparisonView.averageScore(v, 'user') ?? '-'}</span>
+      </td>
+    `).join('');
+
+    return `
+      <thead><tr><th>Scores (AI | Advisor)</th>${this.getVentureHeaders(comparison)}</tr></thead>
+      <tbody>
+        ${rows}
+        <tr class="comparison-average"><th scope="row">Average</th>${averages}</tr>
+      </tbody>
+    `;
+  }
+
+  getFactsHtml(comparison) {
+    const rows = comparison.facts.map(fact => {
+      const cells = comparison.ventures
+        .map(v => `<td>${ComparisonView.formatFact(v.facts[fact.key], fact.format)}</td>`)
+        .join('');
+      return `<tr><th scope="row">${this.escape(fact.label)}</th>${cells}</tr>`;
+    }).join('');
+
+    return `
+      <thead><tr><th>Key Facts</th>${this.getVentureHeaders(comparison)}</tr></thead>
+      <tbody>${rows || `<tr><td colspan="${comparison.ventures.length + 1}">No key facts available</td></tr>`}</tbody>
+    `;
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+}
+
+ComparisonView.MIN_VENTURES = 2;
+ComparisonView.MAX_VENTURES = 5;
+
+// One color per venture, used in the charts and the PDF
+ComparisonView.COLORS = ['#0082A5', '#FF5100', '#6D68E7', '#00CC00', '#1D295B'];
+
+window.ComparisonView = ComparisonView;
@@ -0,0 +1,428 @@
+// js/components/competitor-matrix-view.js - Competitor matrix editor on the competitive tab
+// The "Matrix" view of the competitive evidence. Scores and names are saved to StateManager
+// as they are edited; adding, removing and merging competitors or axes re-renders the view
+// (see CompetitorMatrix for the model and how it is applied to the analysis).
+
+class CompetitorMatrixView {
+  constructor() {
+    this.container = null;
+    this.result = null;
+    this.model = null;
+  }
+
+  init() {
+    this.container = document.getElementById('competitive-evidence');
+    if (!this.container) return;
+
+    // Delegated: the evidence HTML is replaced on every view switch. Typing updates the
+    // session; a saved assessment is updated when a field is committed.
+    this.container.addEventListener('input', (e) => {
+      if (e.target.closest('.competitor-matrix') && e.target.matches('[data-field], [data-axis-label]')) {
+        this.onChange(false);
+      }
+    });
+    this.container.addEventListener('change', (e) => {
+      if (!e.target.closest('.competitor-matrix') || e.target.matches('[data-matrix-new]')) return;
+      if (e.target.matches('[data-merge]')) {
+        this.mergeInto(e.target.closest('[data-competitor-id]')?.dataset.competitorId, e.target.value);
+      } else {
+        this.onChange(true);
+      }
+    });
+    this.container.addEventListener('click', (e) => this.onClick(e));
+    this.container.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' || !e.target.matches('[data-matrix-new]')) return;
+      e.preventDefault();
+      if (e.target.matches('[data-matrix-new="axis"]')) this.addAxis();
+      else this.addCompetitor();
+    });
+
+    Debug.log('CompetitorMatrixView initialized');
+  }
+
+  /**
+   * Build the matrix for a competitive analysis from the saved edits
+   * @param {Object} result - CompetitiveAPI.processResponse output (or a cached copy)
+   * @returns {string} Markup for the Matrix view
+   */
+  load(result) {
+    this.result = result;
+    this.model = CompetitorMatrix.normalize(window.app?.stateManager?.getCompetitorMatrix(), result);
+    return this.getHtml();
+  }
+
+  /**
+   * The analysis with the advisor's competitor list and counts
+   */
+  apply(result) {
+    return CompetitorMatrix.applyTo(result, this.model);
+  }
+
+  /**
+   * Saved matrix for exports, or null when the advisor hasn't changed anything
+   */
+  getExportModel() {
+    return CompetitorMatrix.isEdited(this.model, this.result) ? this.model : null;
+  }
+
+  // ========== EDITING ==========
+
+  onChange(persist) {
+    if (!this.model) return;
+    this.model = this.readForm();
+    this.save(persist);
+    this.updateResults();
+  }
+
+  onClick(e) {
+    if (!this.model || !e.target.closest('.competitor-matrix')) return;
+    const button = e.target.closest('button');
+    if (!button) return;
+
+    if (button.matches('[data-matrix-add="competitor"]')) this.addCompetitor();
+    else if (button.matches('[data-matrix-add="axis"]')) this.addAxis();
+    else if (button.dataset.matrixRemove) this.update(model => CompetitorMatrix.remove(model, button.dataset.matrixRemove));
+    else if (button.dataset.matrixRestore) this.restore(button.dataset.matrixRestore);
+    else if (button.dataset.axisRemove) this.removeAxis(button.dataset.axisRemove);
+    else if (button.matches('[data-matrix-reset]')) {
+      this.model = CompetitorMatrix.normalize(null, this.result);
+      this.save(true);
+      this.render();
+    }
+  }
+
+  /**
+   * Apply a structural edit on top of what's in the form, then re-render
+   */
+  update(edit) {
+    this.model = edit(this.readForm());
+    this.save(true);
+    this.render();
+  }
+
+  addCompetitor() {
+    const form = this.container.querySelector('.competitor-matrix');
+    const name = form?.querySelector('[data-matrix-new="name"]')?.value.trim();
+    if (!name) return;
+
+    const size = form.querySelector('[data-matrix-new="size"]')?.value;
+    this.update(model => {
+      model.competitors.push({
+        id: CompetitorMatrix.createId(),
+        name,
+        size: CompetitorMatrix.sizeOf(size),
+        source: 'advisor',
+        aiNames: [],
+        mergedNames: [],
+        removed: false,
+        scores: {}
+      });
+      return model;
+    });
+    this.container.querySelector('[data-matrix-new="name"]')?.focus();
+  }
+
+  restore(id) {
+    this.update(model => {
+      const entry = model.competitors.find(e => e.id === id);
+      if (entry) entry.removed = false;
+      return model;
+    });
+  }
+
+  mergeInto(sourceId, targetId) {
+    if (!sourceId || !targetId) return;
+    this.update(model => CompetitorMatrix.merge(model, sourceId, targetId));
+  }
+
+  addAxis() {
+    const input = this.container.querySelector('[data-matrix-new="axis"]');
+    const label = input?.value.trim();
+    if (!label || this.model.axes.length >= CompetitorMatrix.maxAxes) return;
+
+    this.update(model => {
+      model.axes.push({ key: CompetitorMatrix.createAxisKey(model, label), label });
+      return model;
+    });
+    this.container.querySelector('[data-matrix-new="axis"]')?.focus();
+  }
+
+  removeAxis(key) {
+    this.update(model => {
+      model.axes = model.axes.filter(axis => axis.key !== key);
+      // Scores and map axes for the removed axis are dropped by normalize
+      return CompetitorMatrix.normalize(model, this.result);
+    });
+  }
+
+  /**
+   * @param {boolean} persist - Also update the cached assessment
+   */
+  save(persist) {
+    const stateManager = window.app?.stateManager;
+    stateManager?.saveCompetitorMatrix(CompetitorMatrix.isEdited(this.model, this.result) ? this.model : null);
+    if (persist) stateManager?.saveSessionScores();
+
+    // Keep the stored view current for the next switch back to Matrix, and the other
+    // views in step with the edited list and counts
+    this.container.dataset.matrix = this.getHtml();
+    window.app?.assessmentView?.displayCompetitiveEvidence(this.result, { keepView: true });
+  }
+
+  render() {
+    this.container.innerHTML = this.container.dataset.matrix;
+  }
+
+  /**
+   * Read names, sizes, scores, axis labels and map axes from the form. A name or label
+   * cleared while retyping keeps its previous value.
+   */
+  readForm() {
+    const form = this.container.querySelector('.competitor-matrix');
+    if (!form) return this.model;
+
+    const scoresIn = row => Object.fromEntries(this.model.axes
+      .map(axis => [axis.key, row?.querySelector(`[data-score="${CSS.escape(axis.key)}"]`)?.value]));
+
+    const competitors = this.model.competitors.map(entry => {
+      const row = form.querySelector(`[data-competitor-id="${CSS.escape(entry.id)}"]`);
+      if (!row) return entry;
+      return {
+        ...entry,
+        name: row.querySelector('[data-field="name"]')?.value.trim() || entry.name,
+        size: row.querySelector('[data-field="size"]')?.value || entry.size,
+        scores: scoresIn(row)
+      };
+    });
+    const axes = this.model.axes.map(axis => ({
+      ...axis,
+      label: form.querySelector(`[data-axis-label="${CSS.escape(axis.key)}"]`)?.value.trim() || axis.label
+    }));
+
+    return CompetitorMatrix.normalize({
+      competitors,
+      axes,
+      ventureScores: scoresIn(form.querySelector('[data-venture-row]')),
+      mapAxes: {
+        x: form.querySelector('[data-map-axis="x"]')?.value,
+        y: form.querySelector('[data-map-axis="y"]')?.value
+      }
+    }, this.result);
+  }
+
+  /**
+   * Refresh the map, counts and axis names in place so inputs keep focus
+   */
+  updateResults() {
+    const form = this.container.querySelector('.competitor-matrix');
+    if (!form) return;
+
+    this.model.axes.forEach(axis => {
+      form.querySelectorAll(`[data-axis-header="${CSS.escape(axis.key)}"]`).forEach(el => {
+        el.textContent = axis.label;
+      });
+    });
+    form.querySelectorAll('[data-map-axis] option').forEach(option => {
+      const axis = this.model.axes.find(a => a.key === option.value);
+      if (axis) option.textContent = axis.label;
+    });
+    form.querySelector('[data-matrix-reset]')?.classList.toggle('hidden', !CompetitorMatrix.isEdited(this.model, this.result));
+    const counts = form.querySelector('[data-matrix-counts]');
+    if (counts) counts.innerHTML = this.getCountsHtml();
+    const map = form.querySelector('[data-matrix-map]');
+    if (map) map.innerHTML = this.getMapSvg();
+  }
+
+  // ========== RENDERING ==========
+
+  getHtml() {
+    const model = this.model;
+    if (!model) {
+      return '<div class="evidence-content"><p>No competitive data available.</p></div>';
+    }
+
+    const active = CompetitorMatrix.getActive(model);
+    const removed = model.competitors.filter(entry => entry.removed);
+    const ventureName = window.app?.getVentureName() || 'Your venture';
+
+    const scoreSelect = (key, value) => `
+      <select class="matrix-score" data-score="${this.escapeAttr(key)}">
+        <option value="">-</option>
+        ${Array.from({ length: CompetitorMatrix.scale }, (_, i) => i + 1)
+          .map(n => `<option value="${n}" ${value === n ? 'selected' : ''}>${n}</option>`).join('')}
+      </select>
+    `;
+    const sizeSelect = (value, attrs) => `
+      <select class="matrix-size" ${attrs}>
+        ${CompetitorMatrix.sizes.map(s => `<option value="${s.value}" ${s.value === value ? 'selected' : ''}>${this.escape(s.label)}</option>`).join('')}
+      </select>
+    `;
+    const axisHeaders = model.axes
+      .map(axis => `<th data-axis-header="${this.escapeAttr(axis.key)}">${this.escape(axis.label)}</th>`).join('');
+
+    const rows = active.map(entry => `
+      <tr data-competitor-id="${this.escapeAttr(entry.id)}">
+        <td>
+          <input type="text" class="matrix-input" data-field="name" value="${this.escapeAttr(entry.name)}">
+          <span class="matrix-source ${entry.source}">${entry.source === 'advisor' ? 'Added' : 'AI'}</span>
+          ${entry.mergedNames.length > 0 ? `<div class="matrix-merged">Includes ${this.escape(entry.mergedNames.join(', '))}</div>` : ''}
+        </td>
+        <td>${sizeSelect(entry.size, 'data-field="size"')}</td>
+        ${model.axes.map(axis => `<td>${scoreSelect(axis.key, entry.scores[axis.key])}</td>`).join('')}
+        <td class="matrix-actions">
+          <select class="matrix-merge" data-merge aria-label="Merge into another competitor">
+            <option value="">Merge into...</option>
+            ${active.filter(other => other !== entry)
+              .map(other => `<option value="${this.escapeAttr(other.id)}">${this.escape(other.name)}</option>`).join('')}
+          </select>
+          <button type="button" class="btn outline small" data-matrix-remove="${this.escapeAttr(entry.id)}">Remove</button>
+        </td>
+      </tr>
+    `).join('');
+
+    const axes = model.axes.map(axis => `
+      <span class="matrix-axis">
+        <input type="text" class="matrix-input" data-axis-label="${this.escapeAttr(axis.key)}" value="${this.escapeAttr(axis.label)}">
+        <button type="button" class="matrix-axis-remove" data-axis-remove="${this.escapeAttr(axis.key)}" aria-label="Remove axis" ${model.axes.length <= 1 ? 'disabled' : ''}>&times;</button>
+      </span>
+    `).join('');
+
+    const mapSelect = which => `
+      <select class="matrix-size" data-map-axis="${which}">
+        ${model.axes.map(axis => `<option value="${this.escapeAttr(axis.key)}" ${model.mapAxes[which] === axis.key ? 'selected' : ''}>${this.escape(axis.label)}</option>`).join('')}
+      </select>
+    `;
+
+    return `
+      <div class="evidence-content competitor-matrix">
+        <div class="evidence-section">
+          <h4>Competitors</h4>
+          <p class="sizing-hint">Seeded from the competitive analysis. Add competitors it missed, remove or merge listed ones and score each on the axes below (1 weak - ${CompetitorMatrix.scale} strong).</p>
+          <div class="matrix-table-wrap">
+            <table class="data-table matrix-table">
+              <thead>
+                <tr><th>Competitor</th><th>Size</th>${axisHeaders}<th></th></tr>
+              </thead>
+              <tbody>
+                <tr class="matrix-venture" data-venture-row>
+                  <td><strong>${this.escape(ventureName)}</strong></td>
+                  <td></td>
+                  ${model.axes.map(axis => `<td>${scoreSelect(axis.key, model.ventureScores[axis.key])}</td>`).join('')}
+                  <td></td>
+                </tr>
+                ${rows}
+              </tbody>
+            </table>
+          </div>
+          <div class="matrix-add">
+            <input type="text" class="matrix-input" data-matrix-new="name" placeholder="Competitor name">
+            ${sizeSelect('unknown', 'data-matrix-new="size"')}
+            <button type="button" class="btn outline small" data-matrix-add="competitor">Add competitor</button>
+          </div>
+          ${removed.length > 0 ? `
+            <div class="matrix-removed">
+              Removed:
+              ${removed.map(entry => `
+                <span class="matrix-removed-item">${this.escape(entry.name)}
+                  <button type="button" class="btn outline small" data-matrix-restore="${this.escapeAttr(entry.id)}">Restore</button>
+                </span>
+              `).join('')}
+            </div>
+          ` : ''}
+          <p class="matrix-counts" data-matrix-counts>${this.getCountsHtml()}</p>
+          <button type="button" class="btn outline small ${CompetitorMatrix.isEdited(model, this.result) ? '' : 'hidden'}" data-matrix-reset>Use AI list</button>
+        </div>
+
+        <div class="evidence-section">
+          <h4>Feature Axes</h4>
+          <div class="matrix-axes">
+            ${axes}
+            ${model.axes.length < CompetitorMatrix.maxAxes ? `
+              <span class="matrix-axis">
+                <input type="text" class="matrix-input" data-matrix-new="axis" placeholder="New axis">
+                <button type="button" class="btn outline small" data-matrix-add="axis">Add axis</button>
+              </span>
+            ` : ''}
+          </div>
+        </div>
+
+        <div class="evidence-section">
+          <h4>Positioning Map</h4>
+          <div class="matrix-map-axes">
+            <label>Horizontal ${mapSelect('x')}</label>
+            <label>Vertical ${mapSelect('y')}</label>
+          </div>
+          <div class="comparison-chart" data-matrix-map>${this.getMapSvg()}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  getCountsHtml() {
+    const counts = CompetitorMatrix.getCounts(this.model, this.result);
+    const ai = counts.adjusted && counts.aiTotal !== null ? ` <span class="sizing-hint">(AI estimate ${counts.aiTotal})</span>` : '';
+    return `Competitor count: <strong>${counts.total}</strong>${ai} &middot; Large ${counts.large_companies} &middot; Mid-size ${counts.mid_size_companies} &middot; Startups ${counts.startups}`;
+  }
+
+  /**
+   * Scatter of the venture and scored competitors on the two map axes. Points at the same
+   * position share a dot and stack their labels.
+   */
+  getMapSvg() {
+    const { x, y, points } = CompetitorMatrix.getMapPoints(this.model, window.app?.getVentureName() || 'Your venture');
+    if (points.length === 0) {
+      return '<p class="sizing-hint">Score the venture or a competitor on both map axes to plot it.</p>';
+    }
+
+    const width = 520;
+    const height = 340;
+    const left = 48;
+    const top = 16;
+    const plotWidth = width - left - 24;
+    const plotHeight = height - top - 48;
+    const scale = CompetitorMatrix.scale;
+    const px = value => left + (plotWidth * (value - 0.5)) / scale;
+    const py = value => top + plotHeight - (plotHeight * (value - 0.5)) / scale;
+
+    const grid = Array.from({ length: scale }, (_, i) => i + 1).map(n => `
+      <line x1="${px(n)}" y1="${top}" x2="${px(n)}" y2="${top + plotHeight}" class="comparison-grid" />
+      <line x1="${left}" y1="${py(n)}" x2="${left + plotWidth}" y2="${py(n)}" class="comparison-grid" />
+      <text x="${px(n)}" y="${top + plotHeight + 16}" text-anchor="middle" class="comparison-axis-label">${n}</text>
+      <text x="${left - 10}" y="${py(n)}" text-anchor="end" dominant-baseline="middle" class="comparison-axis-label">${n}</text>
+    `).join('');
+
+    const stacked = {};
+    const dots = points.map(point => {
+      const at = `${point.x},${point.y}`;
+      const index = stacked[at] = (stacked[at] ?? -1) + 1;
+      const color = point.isVenture ? 'var(--nr-navy-1)' : CompetitorMatrix.getSizeColor(point.size);
+      const cx = px(point.x);
+      const cy = py(point.y);
+      return `
+        ${index === 0 ? `<circle cx="${cx}" cy="${cy}" r="${point.isVenture ? 8 : 6}" fill="${color}" fill-opacity="0.85" />` : ''}
+        <text x="${cx + 11}" y="${cy + index * 13}" dominant-baseline="middle" class="matrix-map-label${point.isVenture ? ' venture' : ''}">${this.escape(point.name)}</text>
+      `;
+    }).join('');
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" class="comparison-svg" role="img" aria-label="Competitor positioning map">
+        ${grid}
+        <text x="${left + plotWidth / 2}" y="${height - 8}" text-anchor="middle" class="comparison-axis-label">${this.escape(x.label)} &rarr;</text>
+        <text x="14" y="${top + plotHeight / 2}" text-anchor="middle" transform="rotate(-90 14 ${top + plotHeight / 2})" class="comparison-axis-label">${this.escape(y.label)} &rarr;</text>
+        ${dots}
+      </svg>
+    `;
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  escapeAttr(text) {
+    return this.escape(text).replace(/"/g, '&quot;');
+  }
+}
+
+window.CompetitorMatrixView = CompetitorMatrixView;
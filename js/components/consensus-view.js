@@ -0,0 +1,225 @@
+// js/components/consensus-view.js - Multi-reviewer consensus
+// Every reviewer's score per dimension for one AI run, with the spread, outliers
+// and the moderator's final score and note (built by Consensus.build)
+
+class ConsensusView {
+  constructor() {
+    this.elements = {};
+    this.handlers = {};
+    this.record = null;
+    this.model = null;
+  }
+
+  init() {
+    this.elements = {
+      title: document.getElementById('consensus-title'),
+      reviewers: document.getElementById('consensus-reviewers'),
+      table: document.getElementById('consensus-dimensions'),
+      moderator: document.getElementById('consensus-moderator'),
+      composite: document.getElementById('consensus-composite'),
+      errors: document.getElementById('consensus-errors'),
+      backBtn: document.getElementById('consensus-back-btn'),
+      suggestBtn: document.getElementById('consensus-suggest-btn'),
+      saveBtn: document.getElementById('consensus-save-btn')
+    };
+
+    this.elements.backBtn?.addEventListener('click', () => this.handlers.back?.());
+    this.elements.saveBtn?.addEventListener('click', () => this.handlers.save?.(this.readForm()));
+    this.elements.suggestBtn?.addEventListener('click', () => this.fillSuggested());
+
+    // Final scores change the consensus composite as they are picked
+    this.elements.table?.addEventListener('change', () => this.updateComposite());
+
+    Debug.log('ConsensusView initialized');
+  }
+
+  /**
+   * Register UI handlers: back, save(consensus)
+   */
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  setSaving(saving) {
+    if (this.elements.saveBtn) {
+      this.elements.saveBtn.disabled = saving;
+      this.elements.saveBtn.textContent = saving ? 'Saving...' : 'Save Consensus';
+    }
+  }
+
+  // ========== RENDERING ==========
+
+  /**
+   * Show the reviewers of a cached assessment
+   * @param {Object} record - Assessment record with userScores, reviews and consensus
+   * @param {string} moderator - Name to prefill when no consensus has been saved yet
+   */
+  render(record, moderator = '') {
+    this.record = record;
+    this.model = Consensus.build(record);
+    const model = this.model;
+
+    if (this.elements.title) {
+      const saved = model.moderatedAt
+        ? ` - consensus set by ${model.moderator} on ${new Date(model.moderatedAt).toLocaleDateString()}`
+        : '';
+      this.elements.title.textContent =
+        `${model.ventureName}: ${Formatters.pluralize(model.reviewers.length, 'reviewer')}${saved}`;
+    }
+
+    if (this.elements.reviewers) {
+      this.elements.reviewers.innerHTML = model.reviewers.map(r => `
+        <span class="consensus-reviewer${r.isLead ? ' lead' : ''}">
+          ${this.escape(r.name)}${r.isLead ? ' (lead)' : ''}
+          <span class="consensus-reviewer-count">${r.scored}/${model.dimensions.length}</span>
+        </span>
+      `).join('');
+    }
+
+    if (this.elements.table) {
+      this.elements.table.innerHTML = this.getTableHtml(model);
+    }
+    if (this.elements.moderator) {
+      this.elements.moderator.value = model.moderator || moderator;
+    }
+
+    this.showErrors([]);
+    this.updateComposite();
+  }
+
+  getTableHtml(model) {
+    const reviewerHeaders = model.reviewers
+      .map(r => `<th>${this.escape(r.name)}${r.isLead ? ' <span class="consensus-lead-tag">lead</span>' : ''}</th>`)
+      .join('');
+
+    const rows = model.dimensions.map(d => {
+      const cells = model.reviewers.map(reviewer => {
+        const entry = d.scores.find(s => s.reviewerId === reviewer.id);
+        if (!entry) return '<td class="consensus-missing">-</td>';
+        const title = entry.justification ? ` title="${this.escapeAttr(entry.justification)}"` : '';
+        return `<td class="consensus-score${entry.outlier ? ' outlier' : ''}"${title}>${entry.score}</td>`;
+      }).join('');
+
+      return `
+        <tr class="${d.needsDiscussion ? 'needs-discussion' : ''}" data-dimension="${d.key}">
+          <th scope="row">${this.escape(d.name)}</th>
+          <td>${d.aiScore ?? '-'}</td>
+          ${cells}
+          <td>${this.formatSpread(d)}</td>
+          <td>${d.median ?? '-'}</td>
+          <td>${this.getFinalSelectHtml(d)}</td>
+          <td><input type="text" class="consensus-note" data-note="${d.key}" value="${this.escapeAttr(d.final.note)}" placeholder="${d.needsDiscussion ? 'Required: why this score?' : 'Optional note'}" maxlength="500"></td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <thead>
+        <tr>
+          <th>Dimension</th>
+          <th>AI</th>
+          ${reviewerHeaders}
+          <th>Spread</th>
+          <th>Median</th>
+          <th>Final score</th>
+          <th>Moderator note</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    `;
+  }
+
+  getFinalSelectHtml(dimension) {
+    const options = [1, 2, 3, 4, 5, 6, 7, 8, 9]
+      .map(score => `<option value="${score}"${dimension.final.score === score ? ' selected' : ''}>${score}</option>`)
+      .join('');
+    return `
+      <select class="consensus-final" data-final="${dimension.key}" aria-label="Final ${this.escapeAttr(dimension.name)} score">
+        <option value="">-</option>
+        ${options}
+      </select>
+    `;
+  }
+
+  /**
+   * "3-7 (4)" with a warning when reviewers are far apart
+   */
+  formatSpread(dimension) {
+    if (dimension.spread === null) return '-';
+    const range = dimension.min === dimension.max ? `${dimension.min}` : `${dimension.min}-${dimension.max}`;
+    const outliers = dimension.outliers.length > 0
+      ? `<div class="consensus-outliers">Outlier: ${dimension.outliers.map(name => this.escape(name)).join(', ')}</div>`
+      : '';
+    return `<span class="consensus-spread${dimension.needsDiscussion ? ' wide' : ''}">${range} (${dimension.spread})</span>${outliers}`;
+  }
+
+  /**
+   * Weighted composite of the final scores with the portfolio's scoring profile
+   */
+  updateComposite() {
+    if (!this.elements.composite || !this.record) return;
+
+    const preview = Consensus.build({ ...this.record, consensus: this.readForm() });
+    this.elements.composite.textContent = preview.composite
+      ? `Consensus weighted score: ${CompositeScore.describe(preview.composite)}`
+      : '';
+  }
+
+  /**
+   * Use the rounded median for every dimension that has no final score yet
+   */
+  fillSuggested() {
+    if (!this.model || !this.elements.table) return;
+
+    this.model.dimensions.forEach(d => {
+      const select = this.elements.table.querySelector(`[data-final="${d.key}"]`);
+      if (select && !select.value && d.suggested !== null) {
+        select.value = String(d.suggested);
+      }
+    });
+    this.updateComposite();
+  }
+
+  showErrors(errors) {
+    if (!this.elements.errors) return;
+    this.elements.errors.innerHTML = errors.map(e => `<li>${this.escape(e)}</li>`).join('');
+    this.elements.errors.classList.toggle('hidden', errors.length === 0);
+  }
+
+  // ========== FORM ==========
+
+  /**
+   * Moderator scores as entered (Consensus.create() shape)
+   */
+  readForm() {
+    const consensus = Consensus.normalize(this.record?.consensus);
+    consensus.moderator = this.elements.moderator?.value.trim() || '';
+    consensus.scores = {};
+
+    DimensionRegistry.keys().forEach(key => {
+      const select = this.elements.table?.querySelector(`[data-final="${key}"]`);
+      const note = this.elements.table?.querySelector(`[data-note="${key}"]`);
+      if (!select) return;
+      consensus.scores[key] = {
+        score: select.value ? parseInt(select.value, 10) : null,
+        note: note?.value.trim() || ''
+      };
+    });
+
+    return consensus;
+  }
+
+  // ========== HELPERS ==========
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  escapeAttr(text) {
+    return this.escape(text).replace(/"/g, '&quot;');
+  }
+}
+
+window.ConsensusView = ConsensusView;
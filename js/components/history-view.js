@@ -0,0 +1,223 @@
+// js/components/history-view.js - Assessment version history
+// Lists every saved run of one venture and shows the diff between two of them
+
+class HistoryView {
+  constructor() {
+    this.elements = {};
+    this.handlers = {};
+    this.versions = [];
+    this.fromId = null;
+    this.toId = null;
+  }
+
+  init() {
+    this.elements = {
+      title: document.getElementById('history-title'),
+      versions: document.getElementById('history-versions'),
+      diff: document.getElementById('history-diff'),
+      backBtn: document.getElementById('history-back-btn')
+    };
+
+    this.elements.backBtn?.addEventListener('click', () => this.handlers.back?.());
+
+    this.elements.versions?.addEventListener('change', (e) => {
+      const input = e.target.closest('input[data-side]');
+      if (!input) return;
+
+      if (input.dataset.side === 'from') this.fromId = input.value;
+      else this.toId = input.value;
+      this.requestDiff();
+    });
+
+    this.elements.versions?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-open-version]');
+      if (btn) this.handlers.open?.(btn.dataset.openVersion);
+    });
+
+    Debug.log('HistoryView initialized');
+  }
+
+  /**
+   * Register UI handlers: back, open(versionId), compare(fromId, toId)
+   */
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  /**
+   * Show the runs of one venture, most recent first.
+   * Preselects the two latest runs and asks for their diff.
+   * @param {Object[]} versions - From StateManager.listVersions()
+   */
+  render(versions) {
+    this.versions = versions;
+    this.toId = versions[0]?.id || null;
+    this.fromId = versions[1]?.id || null;
+
+    const latest = versions[0];
+    if (this.elements.title && latest) {
+      this.elements.title.textContent =
+        `${latest.ventureName} · ${latest.advisorName} · ${Formatters.pluralize(versions.length, 'run')}`;
+    }
+
+    if (this.elements.versions) {
+      this.elements.versions.innerHTML = `
+        <thead>
+          <tr>
+            <th>Run</th>
+            <th class="history-pick-col">From</th>
+            <th class="history-pick-col">To</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${versions.map(v => this.getVersionRowHtml(v)).join('')}
+        </tbody>
+      `;
+    }
+
+    if (versions.length < 2) {
+      this.showMessage('Only one run has been saved for this venture. Re-run the analysis to start tracking changes.');
+      return;
+    }
+
+    this.requestDiff();
+  }
+
+  getVersionRowHtml(version) {
+    const id = this.escape(version.id);
+    return `
+      <tr>
+        <td>
+          <div class="batch-venture-name">${new Date(version.timestamp).toLocaleString()}</div>
+          ${version.isLatest ? '<span class="assessment-badge full-data">Latest</span>' : ''}
+          ${version.hasFullData ? '' : '<span class="assessment-badge scores-only">Scores Only</span>'}
+        </td>
+        <td class="history-pick-col">
+          <input type="radio" name="history-from" data-side="from" value="${id}" ${version.id === this.fromId ? 'checked' : ''}>
+        </td>
+        <td class="history-pick-col">
+          <input type="radio" name="history-to" data-side="to" value="${id}" ${version.id === this.toId ? 'checked' : ''}>
+        </td>
+        <td><button class="btn outline small" data-open-version="${id}">Open</button></td>
+      </tr>
+    `;
+  }
+
+  requestDiff() {
+    if (!this.fromId || !this.toId) return;
+    if (this.fromId === this.toId) {
+      this.showMessage('Pick two different runs to compare.');
+      return;
+    }
+
+    // Always diff older -> newer, whichever column was picked
+    const from = this.versions.find(v => v.id === this.fromId);
+    const to = this.versions.find(v => v.id === this.toId);
+    const [older, newer] = from.timestamp <= to.timestamp ? [from, to] : [to, from];
+    this.handlers.compare?.(older.id, newer.id);
+  }
+
+  showMessage(message) {
+    if (this.elements.diff) {
+      this.elements.diff.innerHTML = `<div class="history-message">${this.escape(message)}</div>`;
+    }
+  }
+
+  // ========== DIFF ==========
+
+  /**
+   * Render a diff from AssessmentDiff.compare()
+   */
+  renderDiff(diff) {
+    if (!this.elements.diff) return;
+
+    this.elements.diff.innerHTML = `
+      <div class="history-diff-header">
+        Changes from <strong>${this.escape(diff.from.date)}</strong> to <strong>${this.escape(diff.to.date)}</strong>
+        ${diff.hasChanges ? '' : '<span class="history-no-changes">No changes</span>'}
+      </div>
+      <div class="comparison-table-wrapper">
+        <table class="comparison-table history-diff-table">
+          <thead><tr><th>Scores</th><th>AI</th><th>Advisor</th></tr></thead>
+          <tbody>
+            ${diff.scores.map(s => `
+              <tr>
+                <th scope="row">${this.escape(s.name)}</th>
+                <td>${this.getChangeHtml(s.ai)}</td>
+                <td>${this.getChangeHtml(s.user)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${diff.facts.length > 0 ? `
+        <div class="comparison-table-wrapper">
+          <table class="comparison-table history-diff-table">
+            <thead><tr><th>Key Facts</th><th>Before</th><th>After</th></tr></thead>
+            <tbody>
+              ${diff.facts.map(f => `
+                <tr class="${f.changed ? 'history-changed' : ''}">
+                  <th scope="row">${this.escape(f.label)}</th>
+                  <td>${ComparisonView.formatFact(f.from, f.format)}</td>
+                  <td>${ComparisonView.formatFact(f.to, f.format)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+      ${diff.lists.map(list => this.getListHtml(list)).join('')}
+    `;
+  }
+
+  /**
+   * "5 → 7 (+2)" with the delta colored by direction
+   */
+  getChangeHtml(change) {
+    const from = change.from ?? '-';
+    const to = change.to ?? '-';
+    if (!change.changed) {
+      return `<span class="history-unchanged">${to}</span>`;
+    }
+
+    let delta = '';
+    if (change.delta !== null) {
+      const direction = change.delta > 0 ? 'up' : 'down';
+      delta = ` <span class="history-delta ${direction}">(${change.delta > 0 ? '+' : ''}${change.delta})</span>`;
+    }
+    return `${from} &rarr; <strong>${to}</strong>${delta}`;
+  }
+
+  getListHtml(list) {
+    let body;
+    if (!list.comparable) {
+      body = '<div class="history-message">Not available in both runs</div>';
+    } else if (list.added.length === 0 && list.removed.length === 0) {
+      body = `<div class="history-message">No changes (${list.unchanged} unchanged)</div>`;
+    } else {
+      body = `
+        <ul class="history-item-list">
+          ${list.added.map(item => `<li class="history-added">+ ${this.escape(item)}</li>`).join('')}
+          ${list.removed.map(item => `<li class="history-removed">&minus; ${this.escape(item)}</li>`).join('')}
+        </ul>
+        ${list.unchanged ? `<div class="history-message">${list.unchanged} unchanged</div>` : ''}
+      `;
+    }
+
+    return `
+      <div class="history-list-card">
+        <h4>${this.escape(list.label)}</h4>
+        ${body}
+      </div>
+    `;
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+}
+
+window.HistoryView = HistoryView;
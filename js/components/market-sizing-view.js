@@ -0,0 +1,265 @@
+// js/components/market-sizing-view.js - TAM/SAM/SOM workbench on the market tab
+// The "Sizing" view of the market evidence. Edits are saved to StateManager as they are
+// typed (see MarketSizing for the model and calculations).
+
+class MarketSizingView {
+  constructor() {
+    this.container = null;
+    this.result = null;
+    this.model = null;
+  }
+
+  init() {
+    this.container = document.getElementById('market-evidence');
+    if (!this.container) return;
+
+    // Delegated: the evidence HTML is replaced on every view switch. Typing updates the
+    // session; a saved assessment is updated when a field is committed.
+    this.container.addEventListener('input', (e) => {
+      if (e.target.closest('.market-sizing')) this.onChange(false);
+    });
+    this.container.addEventListener('change', (e) => {
+      if (e.target.closest('.market-sizing')) this.onChange(true);
+    });
+    this.container.addEventListener('click', (e) => {
+      if (e.target.closest('[data-sizing-reset]')) this.resetOverrides();
+    });
+
+    Debug.log('MarketSizingView initialized');
+  }
+
+  /**
+   * Build the model for a market analysis from the saved sizing
+   * @param {Object} result - MarketAPI.processResponse output (or a cached copy)
+   * @returns {string} Markup for the Sizing view
+   */
+  load(result) {
+    const stateManager = window.app?.stateManager;
+    this.result = result;
+    this.model = MarketSizing.normalize(
+      stateManager?.getMarketSizing(),
+      result,
+      stateManager?.getPrimaryMarketChoice()
+    );
+    return this.getHtml();
+  }
+
+  /**
+   * Saved sizing for exports, or null when the advisor hasn't entered anything
+   */
+  getExportModel() {
+    return this.model && !MarketSizing.isEmpty(this.model) ? this.model : null;
+  }
+
+  // ========== EDITING ==========
+
+  onChange(persist) {
+    if (!this.model) return;
+    this.model = this.readForm();
+    this.save(persist);
+    this.updateResults();
+  }
+
+  resetOverrides() {
+    if (!this.model) return;
+    this.model.markets.forEach(market => {
+      market.tam = null;
+      market.cagr = null;
+    });
+    this.save(true);
+    this.container.innerHTML = this.container.dataset.sizing;
+  }
+
+  /**
+   * @param {boolean} persist - Also update the cached assessment
+   */
+  save(persist) {
+    const stateManager = window.app?.stateManager;
+    stateManager?.saveMarketSizing(MarketSizing.isEmpty(this.model) ? null : this.model);
+    if (persist) stateManager?.saveSessionScores();
+
+    // Keep the stored view current for the next switch back to Sizing
+    this.container.dataset.sizing = this.getHtml();
+  }
+
+  /**
+   * Read the model from the form (TAM is entered in $M)
+   */
+  readForm() {
+    const form = this.container.querySelector('.market-sizing');
+    const field = name => form.querySelector(`[data-sizing-field="${name}"]`)?.value ?? '';
+
+    const markets = this.model.markets.map((market, index) => {
+      const input = name => form.querySelector(`[data-market-index="${index}"][data-market-field="${name}"]`)?.value ?? '';
+      const tam = Formatters.toNumber(input('tam'));
+      return { ...market, tam: tam === null ? null : tam * 1e6, cagr: Formatters.toNumber(input('cagr')) };
+    });
+    const baseIndex = parseInt(form.querySelector('[name="sizing-base"]:checked')?.value, 10);
+
+    return MarketSizing.normalize({
+      markets,
+      baseMarket: markets[baseIndex]?.description || this.model.baseMarket,
+      method: form.querySelector('[name="sizing-method"]:checked')?.value,
+      samShare: field('samShare'),
+      price: field('price'),
+      customers: field('customers'),
+      penetration: field('penetration'),
+      notes: field('notes')
+    }, this.result);
+  }
+
+  /**
+   * Refresh the calculated figures in place so inputs keep focus
+   */
+  updateResults() {
+    const form = this.container.querySelector('.market-sizing');
+    if (!form) return;
+
+    form.querySelectorAll('[data-method]').forEach(group => {
+      group.classList.toggle('hidden', group.dataset.method !== this.model.method);
+    });
+    form.querySelector('[data-sizing-reset]')?.classList.toggle('hidden', !MarketSizing.hasOverrides(this.model));
+    const results = form.querySelector('[data-sizing-results]');
+    if (results) results.innerHTML = this.getResultsHtml();
+  }
+
+  // ========== RENDERING ==========
+
+  getHtml() {
+    const model = this.model;
+    if (!model || model.markets.length === 0) {
+      return '<div class="evidence-content"><p>No market data available to size.</p></div>';
+    }
+
+    const inputValue = value => (value === null ? '' : String(value));
+    const numberInput = (attrs, value, placeholder) =>
+      `<input type="number" class="sizing-input" ${attrs} value="${inputValue(value)}" placeholder="${this.escapeAttr(placeholder)}" step="any">`;
+
+    const rows = model.markets.map((market, index) => `
+      <tr>
+        <td>
+          <label class="sizing-base">
+            <input type="radio" name="sizing-base" value="${index}" ${market.description === model.baseMarket ? 'checked' : ''}>
+            ${this.escape(market.description)}
+          </label>
+        </td>
+        <td>${Formatters.currency(market.aiTam)}</td>
+        <td>${numberInput(`data-market-index="${index}" data-market-field="tam" min="0"`,
+          market.tam === null ? null : market.tam / 1e6, market.aiTam === null ? '' : String(Math.round(market.aiTam / 1e6)))}</td>
+        <td>${Formatters.percentage(market.aiCagr)}</td>
+        <td>${numberInput(`data-market-index="${index}" data-market-field="cagr"`,
+          market.cagr, market.aiCagr === null ? '' : String(market.aiCagr))}</td>
+      </tr>
+    `).join('');
+
+    const method = MarketSizing.methods.map(m => `
+      <label class="sizing-method">
+        <input type="radio" name="sizing-method" value="${m.value}" ${m.value === model.method ? 'checked' : ''}>
+        ${this.escape(m.label)} <span class="sizing-hint">(${this.escape(m.hint)})</span>
+      </label>
+    `).join('');
+
+    return `
+      <div class="evidence-content market-sizing">
+        <div class="evidence-section">
+          <h4>Market Figures</h4>
+          <p class="sizing-hint">AI figures from the market analysis. Enter your own TAM or CAGR to override them; leave a field blank to keep the AI value. Pick the market to size.</p>
+          <table class="data-table sizing-table">
+            <thead>
+              <tr>
+                <th>Market (sized)</th>
+                <th>AI TAM</th>
+                <th>Your TAM ($M)</th>
+                <th>AI CAGR</th>
+                <th>Your CAGR (%)</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <button type="button" class="btn outline small ${MarketSizing.hasOverrides(model) ? '' : 'hidden'}" data-sizing-reset>Use AI figures</button>
+        </div>
+
+        <div class="evidence-section">
+          <h4>Serviceable and Obtainable Market</h4>
+          <div class="sizing-methods">${method}</div>
+          <div class="sizing-fields">
+            <label class="sizing-field ${model.method === 'top-down' ? '' : 'hidden'}" data-method="top-down">
+              SAM share (% of TAM)
+              ${numberInput('data-sizing-field="samShare" min="0" max="100"', model.samShare, 'e.g. 20')}
+            </label>
+            <label class="sizing-field ${model.method === 'bottom-up' ? '' : 'hidden'}" data-method="bottom-up">
+              Price per customer ($/year)
+              ${numberInput('data-sizing-field="price" min="0"', model.price, 'e.g. 50000')}
+            </label>
+            <label class="sizing-field ${model.method === 'bottom-up' ? '' : 'hidden'}" data-method="bottom-up">
+              Customers
+              ${numberInput('data-sizing-field="customers" min="0"', model.customers, 'e.g. 2000')}
+            </label>
+            <label class="sizing-field">
+              Penetration (% of SAM)
+              ${numberInput('data-sizing-field="penetration" min="0" max="100"', model.penetration, 'e.g. 5')}
+            </label>
+          </div>
+          <label class="sizing-field sizing-notes">
+            Assumptions and sources
+            <textarea data-sizing-field="notes" rows="2" placeholder="Where do these numbers come from?">${this.escape(model.notes)}</textarea>
+          </label>
+        </div>
+
+        <div class="evidence-section" data-sizing-results>${this.getResultsHtml()}</div>
+      </div>
+    `;
+  }
+
+  getResultsHtml() {
+    const sizing = MarketSizing.compute(this.model);
+    if (!sizing) return '';
+
+    const validation = MarketSizing.validate(this.model);
+    const aiScore = this.result?.scoring?.score ?? null;
+    const rubric = sizing.rubric
+      ? `${sizing.rubric.score}/9${aiScore !== null && sizing.rubric.score !== aiScore ? ` (AI ${aiScore}/9)` : ''}`
+      : '-';
+
+    const projection = sizing.cagr === null ? '<p class="sizing-hint">No CAGR to project with.</p>' : `
+      <h4>Projection at ${Formatters.percentage(sizing.cagr)} CAGR</h4>
+      <table class="data-table sizing-projection">
+        <thead><tr><th>Year</th><th>TAM</th><th>SAM</th><th>SOM</th></tr></thead>
+        <tbody>
+          ${sizing.projection.map(row => `
+            <tr>
+              <td>${row.year}</td>
+              <td>${Formatters.currency(row.tam)}</td>
+              <td>${Formatters.currency(row.sam)}</td>
+              <td>${Formatters.currency(row.som)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    return `
+      <h4>Sizing: ${this.escape(sizing.market)}</h4>
+      <div class="metrics-row">
+        <div class="metric-card"><span class="metric-label">TAM</span><span class="metric-value">${Formatters.currency(sizing.tam)}</span></div>
+        <div class="metric-card"><span class="metric-label">SAM</span><span class="metric-value">${Formatters.currency(sizing.sam)}</span></div>
+        <div class="metric-card"><span class="metric-label">SOM</span><span class="metric-value">${Formatters.currency(sizing.som)}</span></div>
+        <div class="metric-card"><span class="metric-label">Rubric Score</span><span class="metric-value category-value">${rubric}</span></div>
+      </div>
+      ${validation.valid ? '' : `<ul class="sizing-errors">${validation.errors.map(e => `<li>${this.escape(e)}</li>`).join('')}</ul>`}
+      ${projection}
+    `;
+  }
+
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  escapeAttr(text) {
+    return this.escape(text).replace(/"/g, '&quot;');
+  }
+}
+
+window.MarketSizingView = MarketSizingView;
@@ -33,6 +33,18 @@ class ModalManager {
     console.log('ModalManager initialized');
   }
 
+  /**
+   * Display names for the company phase and every registered dimension
+   * @returns {Object} Phase key => label
+   */
+  getPhaseNames() {
+    const names = { company: 'Company Overview' };
+    DimensionRegistry.list().forEach(dimension => {
+      names[dimension.key] = dimension.label;
+    });
+    return names;
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text || '';
@@ -48,15 +60,8 @@ class ModalManager {
       const completedCount = Object.keys(completedPhases).length;
       const timestamp = savedState.timestamp ? new Date(savedState.timestamp).toLocaleString() : 'Unknown';
       
-      const phases = ['company', 'team', 'funding', 'competitive', 'market', 'iprisk'];
-      const phaseNames = {
-        company: 'Company Overview',
-        team: 'Team Analysis',
-        funding: 'Funding Analysis',
-        competitive: 'Competitive Risk',
-        market: 'Market Opportunity',
-        iprisk: 'IP Risk'
-      };
+      const phases = ['company', ...DimensionRegistry.keys()];
+      const phaseNames = this.getPhaseNames();
       
       let checklistHtml = '';
       phases.forEach(phase => {
@@ -73,7 +78,7 @@ class ModalManager {
         '<p>You have an incomplete assessment. Would you like to resume or start fresh?</p>' +
         '<div class="modal-info">' +
         '<div class="modal-info-row"><span class="modal-info-label">Company URL</span><span class="modal-info-value">' + this.escapeHtml(companyUrl) + '</span></div>' +
-        '<div class="modal-info-row"><span class="modal-info-label">Progress</span><span class="modal-info-value">' + completedCount + ' of 6 complete</span></div>' +
+        '<div class="modal-info-row"><span class="modal-info-label">Progress</span><span class="modal-info-value">' + completedCount + ' of ' + phases.length + ' complete</span></div>' +
         '<div class="modal-info-row"><span class="modal-info-label">Last Updated</span><span class="modal-info-value">' + timestamp + '</span></div>' +
         '</div>' +
         '<ul class="modal-checklist">' + checklistHtml + '</ul>' +
@@ -93,15 +98,8 @@ class ModalManager {
     return new Promise((resolve) => {
       this.resolvePromise = resolve;
       
-      const phases = ['company', 'team', 'funding', 'competitive', 'market', 'iprisk'];
-      const phaseNames = {
-        company: 'Company Overview',
-        team: 'Team Analysis',
-        funding: 'Funding Analysis',
-        competitive: 'Competitive Risk',
-        market: 'Market Opportunity',
-        iprisk: 'IP Risk'
-      };
+      const phases = ['company', ...DimensionRegistry.keys()];
+      const phaseNames = this.getPhaseNames();
       
       let checklistHtml = '';
       let completeCount = 0;
@@ -134,6 +132,99 @@ class ModalManager {
     });
   }
 
+  /**
+   * Pick the report template for a PDF export
+   * @param {Object[]} templates - ReportTemplates.list()
+   * @param {string} selectedKey - Template checked when the dialog opens
+   * @returns {Promise<string|null>} Template key, or null when cancelled
+   */
+  showExportTemplateModal(templates, selectedKey) {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+
+      const options = templates.map(template => `
+        <label class="report-template-option">
+          <input type="radio" name="report-template" value="${this.escapeHtml(template.key)}"${template.key === selectedKey ? ' checked' : ''}>
+          <span>
+            <strong>${this.escapeHtml(template.name)}</strong>
+            ${template.description ? `<span class="report-template-description">${this.escapeHtml(template.description)}</span>` : ''}
+          </span>
+        </label>
+      `).join('');
+
+      const modalHtml = `
+        <div class="modal-header">
+          <h3>
+            <svg class="modal-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+              <polyline points="14 2 14 8 20 8"/>
+            </svg>
+            Export PDF
+          </h3>
+        </div>
+        <div class="modal-body">
+          <p>Choose the report for this export.</p>
+          <div class="report-template-list">${options}</div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn outline" data-action="cancel">Cancel</button>
+          <button class="btn primary" data-action="export">Export PDF</button>
+        </div>
+      `;
+
+      this.show(modalHtml, (action) => {
+        const checked = this.content?.querySelector('input[name="report-template"]:checked');
+        resolve(action === 'export' && checked ? checked.value : null);
+      });
+    });
+  }
+
+  /**
+   * Pick the phases to re-run with the corrected company brief
+   * @param {Object[]} phases - [{ key, name, description, checked }]
+   * @returns {Promise<string[]|null>} Checked keys, or null if cancelled
+   */
+  showRerunModal(phases) {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+
+      const options = phases.map(phase => `
+        <label class="report-template-option">
+          <input type="checkbox" name="rerun-phase" value="${this.escapeHtml(phase.key)}"${phase.checked ? ' checked' : ''}>
+          <span>
+            <strong>${this.escapeHtml(phase.name)}</strong>
+            ${phase.description ? `<span class="report-template-description">${this.escapeHtml(phase.description)}</span>` : ''}
+          </span>
+        </label>
+      `).join('');
+
+      const modalHtml = `
+        <div class="modal-header">
+          <h3>
+            <svg class="modal-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="23 4 23 10 17 10"/>
+              <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+            </svg>
+            Re-run Analyses
+          </h3>
+        </div>
+        <div class="modal-body">
+          <p>Run these analyses again with the corrected company brief. The current results are kept in the assessment history for comparison.</p>
+          <div class="report-template-list">${options}</div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn outline" data-action="cancel">Not Now</button>
+          <button class="btn primary" data-action="rerun">Re-run Selected</button>
+        </div>
+      `;
+
+      this.show(modalHtml, (action) => {
+        const checked = [...(this.content?.querySelectorAll('input[name="rerun-phase"]:checked') || [])];
+        resolve(action === 'rerun' && checked.length > 0 ? checked.map(input => input.value) : null);
+      });
+    });
+  }
+
   showErrorModal(phase, error) {
     return new Promise((resolve) => {
       this.resolvePromise = resolve;
@@ -169,13 +260,7 @@ class ModalManager {
       const { scores, missingJustifications, avgAiScore, avgUserScore } = data;
       const hasMissingJustifications = missingJustifications && missingJustifications.length > 0;
       
-      const dimensionNames = {
-        team: 'Team Analysis',
-        funding: 'Funding Analysis',
-        competitive: 'Competitive Risk',
-        market: 'Market Opportunity',
-        iprisk: 'IP Risk'
-      };
+      const dimensionNames = this.getPhaseNames();
       
       // Build missing justifications list
       let missingListHtml = '';
@@ -228,28 +313,16 @@ class ModalManager {
   /**
    * Show Load Previous Assessment modal with searchable list
    * @param {Array} assessments - List of cached assessments
-   * @returns {Promise<Object|null>} - Selected assessment or null if cancelled
+   * @param {Object} usage - Storage usage from StateManager.getStorageUsage()
+   * @returns {Promise<Object|null>} - Selected assessment (with view: 'history' for the
+   *   History button) or null if cancelled
    */
-  showLoadPreviousModal(assessments) {
+  showLoadPreviousModal(assessments, usage = null) {
     return new Promise((resolve) => {
       this.resolvePromise = resolve;
       this.selectedAssessment = null;
       
-      // Build assessment list HTML
-      const listHtml = assessments.length > 0 
-        ? assessments.map((a, i) => `
-          <div class="assessment-list-item" data-key="${this.escapeHtml(a.key)}" data-index="${i}">
-            <div class="assessment-item-main">
-              <span class="assessment-venture-name">${this.escapeHtml(a.ventureName)}</span>
-              <span class="assessment-date">${a.date}</span>
-            </div>
-            <div class="assessment-item-meta">
-              <span class="assessment-advisor">${this.escapeHtml(a.advisorName)}</span>
-              ${a.hasFullData ? '<span class="assessment-badge full-data">Full Data</span>' : '<span class="assessment-badge scores-only">Scores Only</span>'}
-            </div>
-          </div>
-        `).join('')
-        : '<div class="no-assessments-message">No previous assessments found.<br><br>Complete an assessment to see it here.</div>';
+      const listHtml = this.getAssessmentListHtml(assessments);
       
       const modalHtml = `
         <div class="modal-header">
@@ -269,9 +342,12 @@ class ModalManager {
           <div class="assessment-list" id="assessment-list">
             ${listHtml}
           </div>
+          ${this.getStorageUsageHtml(usage)}
         </div>
         <div class="modal-footer">
           <button class="btn outline" data-action="cancel">Cancel</button>
+          <button class="btn outline" data-action="history" id="assessment-history-btn" disabled>History</button>
+          <button class="btn outline" data-action="review" id="assessment-review-btn" title="Score this AI run as another reviewer" disabled>Add Review</button>
           <button class="btn primary" data-action="load" id="load-assessment-btn" disabled>Load Assessment</button>
         </div>
       `;
@@ -279,6 +355,10 @@ class ModalManager {
       this.show(modalHtml, (action) => {
         if (action === 'load' && this.selectedAssessment !== null) {
           resolve(assessments[this.selectedAssessment]);
+        } else if (action === 'history' && this.selectedAssessment !== null) {
+          resolve({ ...assessments[this.selectedAssessment], view: 'history' });
+        } else if (action === 'review' && this.selectedAssessment !== null) {
+          resolve({ ...assessments[this.selectedAssessment], view: 'review' });
         } else {
           resolve(null);
         }
@@ -290,17 +370,34 @@ class ModalManager {
   }
 
   /**
-   * Set up event handlers for Load Previous modal
-   * @param {Array} assessments - List of assessments
+   * Saved assessment list shared by the Load Previous and Compare modals
+   * @param {Array} assessments - Assessment summaries
    */
-  setupLoadPreviousHandlers(assessments) {
-    const searchInput = document.getElementById('assessment-search');
-    const listContainer = document.getElementById('assessment-list');
-    const loadBtn = document.getElementById('load-assessment-btn');
-    
-    if (!searchInput || !listContainer || !loadBtn) return;
-    
-    // Search handler
+  getAssessmentListHtml(assessments) {
+    if (assessments.length === 0) {
+      return '<div class="no-assessments-message">No previous assessments found.<br><br>Complete an assessment to see it here.</div>';
+    }
+
+    return assessments.map((a, i) => `
+      <div class="assessment-list-item" data-key="${this.escapeHtml(a.key)}" data-index="${i}">
+        <div class="assessment-item-main">
+          <span class="assessment-venture-name">${this.escapeHtml(a.ventureName)}</span>
+          <span class="assessment-date">${a.date}</span>
+        </div>
+        <div class="assessment-item-meta">
+          <span class="assessment-advisor">${this.escapeHtml(a.advisorName)}</span>
+          ${a.runCount > 1 ? `<span class="assessment-badge runs">${a.runCount} runs</span>` : ''}
+          ${a.reviewerCount > 1 ? `<span class="assessment-badge runs">${a.reviewerCount} reviewers</span>` : ''}
+          ${a.hasFullData ? '<span class="assessment-badge full-data">Full Data</span>' : '<span class="assessment-badge scores-only">Scores Only</span>'}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Filter the assessment list by venture or advisor name as the user types
+   */
+  setupAssessmentSearch(searchInput, listContainer) {
     searchInput.addEventListener('input', () => {
       const query = searchInput.value.toLowerCase().trim();
       const items = listContainer.querySelectorAll('.assessment-list-item');
@@ -312,6 +409,21 @@ class ModalManager {
         item.style.display = matches ? '' : 'none';
       });
     });
+  }
+
+  /**
+   * Set up event handlers for Load Previous modal
+   * @param {Array} assessments - List of assessments
+   */
+  setupLoadPreviousHandlers(assessments) {
+    const searchInput = document.getElementById('assessment-search');
+    const listContainer = document.getElementById('assessment-list');
+    const loadBtn = document.getElementById('load-assessment-btn');
+    
+    if (!searchInput || !listContainer || !loadBtn) return;
+    
+    // Search handler
+    this.setupAssessmentSearch(searchInput, listContainer);
     
     // Selection handler
     listContainer.addEventListener('click', (e) => {
@@ -327,8 +439,12 @@ class ModalManager {
       item.classList.add('selected');
       this.selectedAssessment = parseInt(item.dataset.index, 10);
       
-      // Enable load button
+      // Enable load and history buttons; reviews need the AI evidence
       loadBtn.disabled = false;
+      const historyBtn = document.getElementById('assessment-history-btn');
+      if (historyBtn) historyBtn.disabled = false;
+      const reviewBtn = document.getElementById('assessment-review-btn');
+      if (reviewBtn) reviewBtn.disabled = !assessments[this.selectedAssessment]?.hasFullData;
     });
     
     // Double-click to load immediately
@@ -344,6 +460,214 @@ class ModalManager {
     searchInput.focus();
   }
 
+  /**
+   * Ask who is adding a review to another advisor's assessment
+   * @param {Object} record - Assessment being reviewed
+   * @param {string} defaultName - Prefilled reviewer name
+   * @returns {Promise<string|null>} Reviewer name, or null if cancelled
+   */
+  showReviewerModal(record, defaultName = '') {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      
+      const ventureName = record.customVentureName || record.ventureName || 'this venture';
+      const reviewers = Object.values(record.reviews || {}).map(r => r.reviewerName).filter(Boolean);
+      
+      const modalHtml = `
+        <div class="modal-header">
+          <h3>
+            <svg class="modal-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
+              <circle cx="9" cy="7" r="4"/>
+              <path d="M23 21v-2a4 4 0 0 0-3-3.87M16 3.13a4 4 0 0 1 0 7.75"/>
+            </svg>
+            Add Review
+          </h3>
+        </div>
+        <div class="modal-body">
+          <p>Score <strong>${this.escapeHtml(ventureName)}</strong> against the same AI analysis as ${this.escapeHtml(record.advisorName || 'the lead advisor')}. Your scores are saved as a separate review.</p>
+          ${reviewers.length > 0 ? `<p class="modal-info">Existing reviewers: ${reviewers.map(name => this.escapeHtml(name)).join(', ')}. Enter the same name to continue a review.</p>` : ''}
+          <label for="reviewer-name-input">Your name</label>
+          <input type="text" id="reviewer-name-input" class="assessment-search" value="${this.escapeHtml(defaultName).replace(/"/g, '&quot;')}" autocomplete="name">
+        </div>
+        <div class="modal-footer">
+          <button class="btn outline" data-action="cancel">Cancel</button>
+          <button class="btn primary" data-action="review" id="reviewer-start-btn">Start Review</button>
+        </div>
+      `;
+      
+      this.show(modalHtml, (action) => {
+        const name = document.getElementById('reviewer-name-input')?.value.trim();
+        resolve(action === 'review' && name ? name : null);
+      });
+      
+      const input = document.getElementById('reviewer-name-input');
+      const startBtn = document.getElementById('reviewer-start-btn');
+      if (input && startBtn) {
+        const update = () => { startBtn.disabled = !input.value.trim(); };
+        input.addEventListener('input', update);
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' && !startBtn.disabled) startBtn.click();
+        });
+        update();
+        input.focus();
+      }
+    });
+  }
+
+  /**
+   * Pick several saved assessments to compare side by side
+   * @param {Array} assessments - Assessment summaries from listPastAssessments()
+   * @param {Object} limits - { min, max } number of ventures
+   * @returns {Promise<Array|null>} Selected summaries, or null if cancelled
+   */
+  showCompareModal(assessments, { min = 2, max = 5 } = {}) {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+      const selected = [];
+
+      const modalHtml = `
+        <div class="modal-header">
+          <h3>
+            <svg class="modal-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="20" x2="18" y2="10"/>
+              <line x1="12" y1="20" x2="12" y2="4"/>
+              <line x1="6" y1="20" x2="6" y2="14"/>
+            </svg>
+            Compare Ventures
+          </h3>
+        </div>
+        <div class="modal-body">
+          <p>Select ${min} to ${max} saved assessments to compare side by side.</p>
+          <div class="assessment-search-container">
+            <input type="text" id="assessment-search" class="assessment-search" placeholder="Search by venture name..." autocomplete="off">
+          </div>
+          <div class="assessment-list" id="assessment-list">
+            ${this.getAssessmentListHtml(assessments)}
+          </div>
+          <div class="compare-selection-count" id="compare-selection-count">0 selected</div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn outline" data-action="cancel">Cancel</button>
+          <button class="btn primary" data-action="compare" id="compare-assessments-btn" disabled>Compare</button>
+        </div>
+      `;
+
+      this.show(modalHtml, (action) => {
+        resolve(action === 'compare' ? selected.map(i => assessments[i]) : null);
+      });
+
+      const searchInput = document.getElementById('assessment-search');
+      const listContainer = document.getElementById('assessment-list');
+      const countLabel = document.getElementById('compare-selection-count');
+      const compareBtn = document.getElementById('compare-assessments-btn');
+      if (!searchInput || !listContainer || !compareBtn) return;
+
+      this.setupAssessmentSearch(searchInput, listContainer);
+
+      // Toggle selection; items beyond the maximum are ignored
+      listContainer.addEventListener('click', (e) => {
+        const item = e.target.closest('.assessment-list-item');
+        if (!item) return;
+
+        const index = parseInt(item.dataset.index, 10);
+        const position = selected.indexOf(index);
+        if (position !== -1) {
+          selected.splice(position, 1);
+        } else if (selected.length < max) {
+          selected.push(index);
+        }
+
+        item.classList.toggle('selected', selected.includes(index));
+        if (countLabel) {
+          countLabel.textContent = selected.length >= max
+            ? `${selected.length} selected (maximum)`
+            : `${selected.length} selected`;
+        }
+        compareBtn.disabled = selected.length < min;
+      });
+
+      searchInput.focus();
+    });
+  }
+
+  /**
+   * Storage usage meter for assessment storage
+   * @param {Object} usage - { usage, quota, percentage, count }
+   */
+  getStorageUsageHtml(usage) {
+    if (!usage) return '';
+
+    const countText = Formatters.pluralize(usage.count, 'assessment');
+    if (usage.percentage === null) {
+      return `<div class="storage-usage"><span class="storage-usage-text">${countText} stored locally</span></div>`;
+    }
+
+    const level = usage.percentage >= 90 ? 'high' : (usage.percentage >= 70 ? 'medium' : 'low');
+    return `
+      <div class="storage-usage ${level}">
+        <div class="storage-usage-bar">
+          <div class="storage-usage-fill" style="width: ${Math.min(100, usage.percentage)}%"></div>
+        </div>
+        <span class="storage-usage-text">
+          ${countText} stored locally &middot; ${Formatters.fileSize(usage.usage)} of ${Formatters.fileSize(usage.quota)} used (${usage.percentage}%)
+        </span>
+      </div>
+    `;
+  }
+
+  /**
+   * Ask before deleting older assessments to free up storage
+   * @param {Array} candidates - Assessment summaries that would be deleted (oldest first)
+   * @param {Object} usage - Storage usage from StateManager.getStorageUsage()
+   * @returns {Promise<boolean>} - True if the user agreed to delete them
+   */
+  showStorageFullModal(candidates, usage = null) {
+    return new Promise((resolve) => {
+      this.resolvePromise = resolve;
+
+      if (!candidates || candidates.length === 0) {
+        resolve(false);
+        return;
+      }
+
+      const listHtml = candidates.map(a => `
+        <div class="modal-info-row">
+          <span class="modal-info-label">${this.escapeHtml(a.ventureName)} (${this.escapeHtml(a.advisorName)})</span>
+          <span class="modal-info-value">${a.date}</span>
+        </div>
+      `).join('');
+
+      const modalHtml = `
+        <div class="modal-header">
+          <h3>
+            <svg class="modal-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
+              <line x1="12" y1="9" x2="12" y2="13"/>
+              <line x1="12" y1="17" x2="12.01" y2="17"/>
+            </svg>
+            Storage Full
+          </h3>
+        </div>
+        <div class="modal-body">
+          <p>There isn't enough browser storage to save this assessment for later reload.
+          Deleting the ${Formatters.pluralize(candidates.length, 'oldest assessment')} below (with their earlier runs) would free up space:</p>
+          <div class="modal-info">
+            ${listHtml}
+          </div>
+          ${this.getStorageUsageHtml(usage)}
+          <p>Scores already submitted to Smartsheet are kept either way.</p>
+        </div>
+        <div class="modal-footer">
+          <button class="btn outline" data-action="keep">Keep Them</button>
+          <button class="btn primary" data-action="delete">Delete and Save</button>
+        </div>
+      `;
+
+      this.show(modalHtml, (action) => resolve(action === 'delete'));
+    });
+  }
+
   /**
    * Show notification that only scores were loaded (no full AI data)
    * @param {string} ventureName - Name of the venture
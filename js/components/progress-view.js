@@ -9,6 +9,7 @@ class ProgressView {
     this.elements = {};
     this.isPartialComplete = false;
     this.lastMessageThreshold = 0;
+    this.retryHandler = (event) => this.showRetry(event.detail);
   }
 
   init() {
@@ -24,7 +25,9 @@ class ProgressView {
   }
 
   start(pipeline) {
+    this.pipeline?.removeEventListener('phaseRetry', this.retryHandler);
     this.pipeline = pipeline;
+    this.pipeline.addEventListener('phaseRetry', this.retryHandler);
     this.isPartialComplete = false;
     this.startTime = Date.now();
     this.lastMessageThreshold = 0;
@@ -100,6 +103,30 @@ class ProgressView {
     }
   }
 
+  /**
+   * Show an automatic retry reported by the pipeline, e.g. "retrying (2/3)"
+   * @param {Object} data - phaseRetry event detail
+   */
+  showRetry({ phase, name, attempt, maxAttempts }) {
+    const retryText = `retrying (${attempt}/${maxAttempts})`;
+
+    if (this.elements.message) {
+      this.elements.message.textContent = `${name} hit a temporary error, ${retryText}...`;
+      this.elements.message.classList.remove('hidden');
+    }
+
+    // Phase list and compact bar, whichever is visible
+    const statusEl = document.querySelector(`.phase-item[data-phase="${phase}"] .phase-status`);
+    if (statusEl) {
+      statusEl.textContent = `Retrying (${attempt}/${maxAttempts})...`;
+    }
+
+    const compactTime = document.getElementById('compact-progress-time');
+    if (compactTime) {
+      compactTime.textContent = `${name} ${retryText}`;
+    }
+  }
+
   updateDisplay(progress) {
     if (this.elements.fill) {
       this.elements.fill.style.width = `${progress.percentage}%`;
@@ -214,6 +241,7 @@ class ProgressView {
 
   reset() {
     this.stopAllTimers();
+    this.pipeline?.removeEventListener('phaseRetry', this.retryHandler);
     this.pipeline = null;
     this.isPartialComplete = false;
     this.lastMessageThreshold = 0;
@@ -18,57 +18,173 @@ class SummaryView {
    */
   setupFinalRecommendation() {
     const section = document.getElementById('final-recommendation-section');
-    const textarea = document.getElementById('final-recommendation-text');
-    const charCount = document.getElementById('recommendation-char-count');
     const submitBtn = document.getElementById('submit-final-recommendation');
 
-    if (!section || !textarea || !submitBtn) return;
-
-    // Character counter and auto-save
-    textarea.addEventListener('input', () => {
-      const length = textarea.value.length;
-      charCount.textContent = `${length} / 2000`;
-
-      // Enable button only if there's content and all scores submitted
-      const hasText = length > 0;
-      const allSubmitted = this.allScoresSubmitted();
-      submitBtn.disabled = !hasText || !allSubmitted;
+    if (!section || !submitBtn) return;
 
-      // Update button text to indicate what's needed
-      if (hasText && !allSubmitted) {
-        submitBtn.textContent = 'Submit scores first';
-      } else if (!hasText) {
-        submitBtn.textContent = 'Enter recommendation';
-      } else {
-        submitBtn.textContent = 'Submit Final Assessment';
+    // Decision and confidence options come from FinalRecommendation
+    const addOptions = (id, options) => {
+      const select = document.getElementById(id);
+      options.forEach(({ value, label }) => select?.add(new Option(label, value)));
+    };
+    addOptions('final-recommendation-decision', FinalRecommendation.decisions);
+    addOptions('final-recommendation-confidence', FinalRecommendation.confidenceLevels);
+
+    // Any edit auto-saves to state
+    section.addEventListener('input', () => this.onRecommendationChange());
+    section.addEventListener('change', () => this.onRecommendationChange());
+
+    // Add / remove list rows
+    section.addEventListener('click', (e) => {
+      const addBtn = e.target.closest('[data-add-row]');
+      if (addBtn) {
+        const container = section.querySelector(`[data-list="${addBtn.dataset.addRow}"]`);
+        container?.insertAdjacentHTML('beforeend', this.getRecommendationRowHtml(addBtn.dataset.addRow));
+        container?.lastElementChild?.querySelector('input')?.focus();
+        return;
       }
 
-      // Auto-save to state
-      window.app?.stateManager?.saveFinalRecommendation(textarea.value);
+      const removeBtn = e.target.closest('[data-remove-row]');
+      if (removeBtn) {
+        removeBtn.closest('.recommendation-row')?.remove();
+        this.onRecommendationChange();
+      }
     });
 
     // Submit handler
     submitBtn.addEventListener('click', () => this.submitFinalRecommendation());
 
     // Load saved recommendation if exists
-    const saved = window.app?.stateManager?.getFinalRecommendation();
-    if (saved) {
-      textarea.value = saved;
-      charCount.textContent = `${saved.length} / 2000`;
+    this.setRecommendationForm(window.app?.stateManager?.getFinalRecommendation());
+  }
+
+  onRecommendationChange() {
+    const recommendation = this.readRecommendationForm();
+    const charCount = document.getElementById('recommendation-char-count');
+    if (charCount) {
+      charCount.textContent = `${recommendation.summary.length} / ${FinalRecommendation.maxSummaryLength}`;
     }
+
+    window.app?.stateManager?.saveFinalRecommendation(recommendation);
+    this.updateRecommendationButton();
+  }
+
+  /**
+   * Read the structured recommendation from the form
+   * @returns {Object} Normalized recommendation (see FinalRecommendation.create)
+   */
+  readRecommendationForm() {
+    const value = id => document.getElementById(id)?.value || '';
+    const rows = list => Array.from(
+      document.querySelectorAll(`#final-recommendation-section [data-list="${list}"] .recommendation-row`)
+    ).map(row => {
+      const fields = {};
+      row.querySelectorAll('[data-field]').forEach(input => { fields[input.dataset.field] = input.value; });
+      return fields;
+    });
+
+    return FinalRecommendation.normalize({
+      decision: value('final-recommendation-decision'),
+      confidence: value('final-recommendation-confidence'),
+      summary: value('final-recommendation-text'),
+      conditions: rows('conditions').map(row => row.condition),
+      openQuestions: rows('openQuestions'),
+      followUps: rows('followUps')
+    });
   }
 
   /**
-   * Check if all 5 dimension scores have been submitted
+   * Fill the form from a saved recommendation (or clear it)
+   * @param {Object|string|null} value - Saved recommendation; old free text becomes the rationale
+   */
+  setRecommendationForm(value) {
+    const recommendation = FinalRecommendation.normalize(value);
+    const setValue = (id, v) => {
+      const el = document.getElementById(id);
+      if (el) el.value = v;
+    };
+
+    setValue('final-recommendation-decision', recommendation.decision);
+    setValue('final-recommendation-confidence', recommendation.confidence);
+    setValue('final-recommendation-text', recommendation.summary);
+
+    const charCount = document.getElementById('recommendation-char-count');
+    if (charCount) {
+      charCount.textContent = `${recommendation.summary.length} / ${FinalRecommendation.maxSummaryLength}`;
+    }
+
+    const fill = (list, items) => {
+      const container = document.querySelector(`#final-recommendation-section [data-list="${list}"]`);
+      if (container) container.innerHTML = items.map(item => this.getRecommendationRowHtml(list, item)).join('');
+    };
+    fill('conditions', recommendation.conditions.map(condition => ({ condition })));
+    fill('openQuestions', recommendation.openQuestions);
+    fill('followUps', recommendation.followUps);
+
+    // A new or restored recommendation can be submitted again
+    this.recommendationSubmitted = false;
+    document.getElementById('final-recommendation-section')?.classList.remove('submitted');
+    this.updateRecommendationButton();
+  }
+
+  /**
+   * Markup for one editable row of a recommendation list
+   */
+  getRecommendationRowHtml(list, item = {}) {
+    const input = (field, placeholder, type = 'text') =>
+      `<input type="${type}" class="recommendation-input" data-field="${field}" placeholder="${placeholder}" value="${this.escape(item[field] || '').replace(/"/g, '&quot;')}">`;
+
+    const fields = {
+      conditions: input('condition', 'e.g. Signed LOI from a pilot customer'),
+      openQuestions: input('question', 'Question') + input('owner', 'Who can answer it'),
+      followUps: input('task', 'Diligence task') + input('owner', 'Owner') + input('dueDate', 'Due date', 'date')
+    };
+
+    return `
+      <div class="recommendation-row ${list}">
+        ${fields[list]}
+        <button type="button" class="recommendation-remove" data-remove-row aria-label="Remove" title="Remove">&times;</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Enable submit once every score is submitted and the recommendation is complete
+   */
+  updateRecommendationButton() {
+    const submitBtn = document.getElementById('submit-final-recommendation');
+    const errorsEl = document.getElementById('recommendation-errors');
+    if (!submitBtn || this.recommendationSubmitted) return;
+
+    const validation = FinalRecommendation.validate(this.readRecommendationForm());
+    const allSubmitted = this.allScoresSubmitted();
+    submitBtn.disabled = !validation.valid || !allSubmitted;
+
+    // Update button text to indicate what's needed
+    if (!allSubmitted) {
+      submitBtn.textContent = 'Submit scores first';
+    } else if (!validation.valid) {
+      submitBtn.textContent = 'Complete recommendation';
+    } else {
+      submitBtn.textContent = 'Submit Final Assessment';
+    }
+
+    if (errorsEl) {
+      errorsEl.textContent = validation.errors.join(' · ');
+    }
+  }
+
+  /**
+   * Check if every dimension score has been submitted
    */
   allScoresSubmitted() {
     const scores = window.app?.assessmentView?.userScores || {};
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk'];
+    const dimensions = DimensionRegistry.keys();
     return dimensions.every(d => scores[d]?.submitted);
   }
 
   /**
-   * Check if all 5 sections have generated data (AI analysis complete)
+   * Check if every dimension has generated data (AI analysis complete)
    * This is different from allScoresSubmitted - we want to show the recommendation
    * field as soon as the sections have content, not after user submits scores
    */
@@ -76,25 +192,25 @@ class SummaryView {
     const data = window.app?.assessmentView?.data;
     if (!data) return false;
 
-    // Check if we have data for all 5 sections
-    return !!(data.team && data.funding && data.competitive && data.market && data.iprisk);
+    // Check if we have data for every registered dimension
+    return DimensionRegistry.keys().every(dim => !!data[dim]);
   }
 
   /**
    * Submit the final recommendation to Smartsheet
    */
   async submitFinalRecommendation() {
-    const textarea = document.getElementById('final-recommendation-text');
     const submitBtn = document.getElementById('submit-final-recommendation');
     const section = document.getElementById('final-recommendation-section');
+    const recommendation = this.readRecommendationForm();
 
-    if (!textarea?.value.trim()) return;
+    if (!FinalRecommendation.validate(recommendation).valid) return;
 
     submitBtn.disabled = true;
     submitBtn.textContent = 'Submitting...';
 
     try {
-      await window.app.submitFinalAssessmentWithRecommendation(textarea.value);
+      await window.app.submitFinalAssessmentWithRecommendation(recommendation);
 
       section.classList.add('submitted');
       submitBtn.textContent = '✓ Submitted';
@@ -112,7 +228,8 @@ class SummaryView {
   /**
    * Show or hide the recommendation section based on whether sections have data
    * The section is visible once all AI analyses are complete (sections generated)
-   * The submit button is only enabled once all scores are submitted
+   * The submit button is only enabled once all scores are submitted and the
+   * recommendation is complete
    */
   showRecommendationSection() {
     const section = document.getElementById('final-recommendation-section');
@@ -121,24 +238,7 @@ class SummaryView {
     // Show section once all sections have generated data
     if (this.allSectionsGenerated()) {
       section.classList.remove('hidden');
-
-      // Enable submit button only if all scores submitted AND there's text
-      const textarea = document.getElementById('final-recommendation-text');
-      const submitBtn = document.getElementById('submit-final-recommendation');
-      if (textarea && submitBtn && !this.recommendationSubmitted) {
-        const hasText = textarea.value.length > 0;
-        const allSubmitted = this.allScoresSubmitted();
-        submitBtn.disabled = !hasText || !allSubmitted;
-
-        // Update button text to indicate what's needed
-        if (hasText && !allSubmitted) {
-          submitBtn.textContent = 'Submit scores first';
-        } else if (!hasText) {
-          submitBtn.textContent = 'Enter recommendation';
-        } else {
-          submitBtn.textContent = 'Submit Final Assessment';
-        }
-      }
+      this.updateRecommendationButton();
     } else {
       section.classList.add('hidden');
     }
@@ -178,7 +278,7 @@ class SummaryView {
 
       // Get submitted scores
       const scores = window.app?.assessmentView?.userScores || {};
-      const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk'];
+      const dimensions = DimensionRegistry.keys();
 
       const statusItems = dimensions.map(dim => {
         const dimScore = scores[dim];
@@ -199,7 +299,7 @@ class SummaryView {
 
       // Check final recommendation
       const finalRec = window.app?.stateManager?.getFinalRecommendation();
-      if (finalRec) {
+      if (!FinalRecommendation.isEmpty(finalRec)) {
         if (rowId && this.recommendationSubmitted) {
           statusItems.push(`<li><span class="status-icon synced">✓</span> Final Recommendation: Synced</li>`);
         } else {
@@ -245,43 +345,17 @@ class SummaryView {
 
     try {
       // Get final recommendation if any
-      const finalRecommendation = window.app?.stateManager?.getFinalRecommendation() || '';
+      const finalRecommendation = window.app?.stateManager?.getFinalRecommendation();
 
       // Get context
       const context = window.SmartsheetIntegration.getContext();
-      if (finalRecommendation) {
+      if (!FinalRecommendation.isEmpty(finalRecommendation)) {
         context.finalRecommendation = finalRecommendation;
       }
 
       // Gather all score data
       const av = window.app?.assessmentView;
-      const allData = {
-        team: {
-          aiScore: av?.aiScores?.team,
-          userScore: av?.userScores?.team?.score,
-          justification: av?.userScores?.team?.justification
-        },
-        funding: {
-          aiScore: av?.aiScores?.funding,
-          userScore: av?.userScores?.funding?.score,
-          justification: av?.userScores?.funding?.justification
-        },
-        competitive: {
-          aiScore: av?.aiScores?.competitive,
-          userScore: av?.userScores?.competitive?.score,
-          justification: av?.userScores?.competitive?.justification
-        },
-        market: {
-          aiScore: av?.aiScores?.market,
-          userScore: av?.userScores?.market?.score,
-          justification: av?.userScores?.market?.justification
-        },
-        iprisk: {
-          aiScore: av?.aiScores?.iprisk,
-          userScore: av?.userScores?.iprisk?.score,
-          justification: av?.userScores?.iprisk?.justification
-        }
-      };
+      const allData = av ? av.getScoreData() : {};
 
       // Submit to Smartsheet
       const result = await window.SmartsheetIntegration.submitAllScores(allData, context);
@@ -320,14 +394,7 @@ class SummaryView {
    * Format dimension name for display
    */
   formatDimensionName(dim) {
-    const names = {
-      team: 'Team',
-      funding: 'Funding',
-      competitive: 'Competitive Risk',
-      market: 'Market Opportunity',
-      iprisk: 'IP Risk'
-    };
-    return names[dim] || dim;
+    return DimensionRegistry.get(dim)?.name || dim;
   }
 
   update(results) {
@@ -356,29 +423,29 @@ class SummaryView {
           <p>${this.escape(results.company?.company_overview?.company_description || results.company?.company_overview?.mission_statement || 'No description available.')}</p>
         </div>
         <div class="overall-score-display">
-          <div class="overall-score-value ${this.getScoreClass(scores.overall)}">${scores.overall}</div>
-          <div class="overall-score-label">Average AI Score</div>
+          <div class="overall-score-value ${this.getScoreClass(scores.composite.ai.score)}">${scores.overall}</div>
+          <div class="overall-score-label">Weighted AI Score</div>
+          ${this.renderDecisionBadge(scores.composite.ai)}
           ${scores.userOverall !== '-' ? `
             <div class="user-overall">
               <span class="user-overall-value">${scores.userOverall}</span>
-              <span class="user-overall-label">Your Average</span>
+              <span class="user-overall-label">Your Weighted Score</span>
+              ${this.renderDecisionBadge(scores.composite.user)}
             </div>
           ` : ''}
         </div>
       </div>
       
+      ${this.renderCompositeDetails(scores)}
+      
       <div class="summary-scores-grid">
-        ${this.renderScoreCard('Team', 'team', results.team)}
-        ${this.renderScoreCard('Funding', 'funding', results.funding)}
-        ${this.renderScoreCard('Competitive Risk', 'competitive', results.competitive)}
-        ${this.renderScoreCard('Market Opportunity', 'market', results.market)}
-        ${this.renderScoreCard('IP Risk', 'iprisk', results.iprisk)}
+        ${DimensionRegistry.list().map(d => this.renderScoreCard(d.name, d.key, results[d.key])).join('')}
       </div>
       
       <div class="summary-actions">
         <p class="submission-status">
-          ${statusInfo.submittedCount} of 5 assessments submitted
-          ${statusInfo.submittedCount < 5 && !statusInfo.hasFailures ?
+          ${statusInfo.submittedCount} of ${statusInfo.totalCount} assessments submitted
+          ${statusInfo.submittedCount < statusInfo.totalCount && !statusInfo.hasFailures ?
             '<span class="status-hint">• Submit assessments in each tab before exporting</span>' : ''}
         </p>
       </div>
@@ -401,65 +468,90 @@ class SummaryView {
       return scoringObj?.score;
     }
     
-    // Handle object format with various score locations
-    if (dimension === 'competitive') {
-      return data.score || data.assessment?.score;
-    }
-    if (dimension === 'market') {
-      return data.score || data.scoring?.score;
-    }
-    if (dimension === 'funding') {
-      return data.funding_score || data.score;
-    }
-    
-    return data.score;
+    // Object format - each dimension knows where its score lives
+    return DimensionRegistry.getScore(dimension, data);
   }
 
+  /**
+   * Weighted composite (by the portfolio's scoring profile) and plain averages
+   */
   calculateScores(results) {
-    const aiScores = [
-      this.getAIScore(results.team, 'team'),
-      this.getAIScore(results.funding, 'funding'),
-      this.getAIScore(results.competitive, 'competitive'),
-      this.getAIScore(results.market, 'market'),
-      this.getAIScore(results.iprisk, 'iprisk')
-    ].filter(s => typeof s === 'number');
-    
-    const userScores = [];
-    if (window.assessmentView) {
-      const av = window.assessmentView;
-      ['team', 'funding', 'competitive', 'market', 'iprisk'].forEach(dim => {
-        if (av.userScores[dim]?.submitted && typeof av.userScores[dim].score === 'number') {
-          userScores.push(av.userScores[dim].score);
-        }
-      });
-    }
-    
-    const overall = aiScores.length > 0 
-      ? (aiScores.reduce((a, b) => a + b, 0) / aiScores.length).toFixed(1)
-      : '-';
-    
-    const userOverall = userScores.length > 0 
-      ? (userScores.reduce((a, b) => a + b, 0) / userScores.length).toFixed(1)
-      : '-';
-    
-    return { overall, userOverall };
+    const aiScores = {};
+    const userScores = {};
+    const av = window.assessmentView;
+
+    DimensionRegistry.keys().forEach(dim => {
+      const aiScore = this.getAIScore(results[dim], dim);
+      aiScores[dim] = typeof aiScore === 'number' ? aiScore : null;
+
+      const userScore = av?.userScores[dim];
+      userScores[dim] = userScore?.submitted && typeof userScore.score === 'number' ? userScore.score : null;
+    });
+
+    const composite = CompositeScore.evaluate(aiScores, userScores, window.SmartsheetIntegration?.getPortfolio());
+    const average = values => {
+      const numbers = Object.values(values).filter(s => s !== null);
+      return numbers.length > 0 ? (numbers.reduce((a, b) => a + b, 0) / numbers.length).toFixed(1) : '-';
+    };
+
+    return {
+      overall: composite.ai.score !== null ? composite.ai.score.toFixed(1) : '-',
+      userOverall: composite.user.score !== null ? composite.user.score.toFixed(1) : '-',
+      average: average(aiScores),
+      userAverage: average(userScores),
+      composite
+    };
+  }
+
+  renderDecisionBadge(result) {
+    if (!result?.decision) return '';
+    return `<div class="decision-badge ${result.decision.toLowerCase()}">${this.escape(result.decision)}${result.flagged ? ' &middot; Flagged' : ''}</div>`;
+  }
+
+  /**
+   * Scoring profile, knock-out flags and the unweighted averages for reference
+   */
+  renderCompositeDetails(scores) {
+    const { composite } = scores;
+    const knockouts = [...composite.ai.knockouts.map(k => ({ ...k, source: 'AI' })),
+      ...composite.user.knockouts.map(k => ({ ...k, source: 'Your' }))];
+
+    return `
+      <div class="composite-details">
+        <div class="composite-profile">
+          <strong>${this.escape(composite.profile.name)} scoring profile:</strong>
+          ${this.escape(CompositeScore.describeWeights(composite.weights))}
+          <span class="composite-average">Unweighted average: AI ${scores.average}${scores.userAverage !== '-' ? `, yours ${scores.userAverage}` : ''}</span>
+        </div>
+        ${knockouts.length > 0 ? `
+          <ul class="composite-knockouts">
+            ${knockouts.map(k => `
+              <li>
+                <span class="warning-icon">⚠️</span>
+                ${k.source} score: ${this.escape(k.label)} (${k.score}/9)${k.cap ? ` - decision capped at ${this.escape(k.cap)}` : ' - flagged for review'}
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      </div>
+    `;
   }
 
   getStatusInfo(results) {
     let failedCount = 0;
     let submittedCount = 0;
     
+    const dimensions = DimensionRegistry.keys();
+    
     // Check for failed phases
-    if (!results.team) failedCount++;
-    if (!results.funding) failedCount++;
-    if (!results.competitive) failedCount++;
-    if (!results.market) failedCount++;
-    if (!results.iprisk) failedCount++;
+    dimensions.forEach(dim => {
+      if (!results[dim]) failedCount++;
+    });
     
     // Check submitted assessments
     if (window.assessmentView) {
       const av = window.assessmentView;
-      ['team', 'funding', 'competitive', 'market', 'iprisk'].forEach(dim => {
+      dimensions.forEach(dim => {
         if (av.userScores[dim]?.submitted) submittedCount++;
       });
     }
@@ -467,7 +559,8 @@ class SummaryView {
     return {
       hasFailures: failedCount > 0,
       failedCount,
-      submittedCount
+      submittedCount,
+      totalCount: dimensions.length
     };
   }
 
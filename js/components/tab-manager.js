@@ -23,15 +23,12 @@ const TabState = {
  */
 class TabManager {
   constructor() {
-    this.tabs = {
-      overview: TabState.PENDING,
-      team: TabState.PENDING,
-      funding: TabState.PENDING,
-      competitive: TabState.PENDING,
-      market: TabState.PENDING,
-      iprisk: TabState.PENDING,
-      summary: TabState.PENDING
-    };
+    // Overview, one tab per registered dimension, then summary
+    this.tabs = { overview: TabState.PENDING };
+    DimensionRegistry.keys().forEach(key => {
+      this.tabs[key] = TabState.PENDING;
+    });
+    this.tabs.summary = TabState.PENDING;
     
     this.activeTab = null;
     this.listeners = [];
@@ -43,6 +40,9 @@ class TabManager {
    * Initialize tab manager
    */
   init() {
+    // Add markup for registered dimensions that index.html doesn't include
+    this.renderDimensionTabs();
+
     // Cache DOM elements
     document.querySelectorAll('.tab-btn').forEach(btn => {
       const tabId = btn.dataset.tab;
@@ -63,6 +63,123 @@ class TabManager {
     console.log('TabManager initialized');
   }
 
+  /**
+   * Create tab buttons, panels and progress items for registered dimensions
+   * that have no markup in index.html
+   */
+  renderDimensionTabs() {
+    const summaryBtn = document.querySelector('.tab-btn[data-tab="summary"]');
+    const summaryPanel = document.getElementById('panel-summary');
+    const phaseList = document.getElementById('phase-list');
+
+    DimensionRegistry.list().forEach(dimension => {
+      const key = dimension.key;
+      if (document.querySelector(`.tab-btn[data-tab="${key}"]`)) return;
+
+      const icon = dimension.icon || '<circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="16"/><line x1="8" y1="12" x2="16" y2="12"/>';
+      const btn = document.createElement('button');
+      btn.className = 'tab-btn';
+      btn.dataset.tab = key;
+      btn.setAttribute('role', 'tab');
+      btn.setAttribute('aria-selected', 'false');
+      btn.disabled = true;
+      btn.innerHTML = `
+        <span class="tab-icon">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${icon}</svg>
+        </span>
+        <span class="tab-label">${this.escapeHtml(dimension.name)}</span>
+        <span class="tab-status pending"></span>
+      `;
+      summaryBtn?.parentElement.insertBefore(btn, summaryBtn);
+
+      const panel = document.createElement('div');
+      panel.id = `panel-${key}`;
+      panel.className = 'tab-panel';
+      panel.setAttribute('role', 'tabpanel');
+      panel.hidden = true;
+      panel.innerHTML = this.getDimensionPanelHtml(dimension);
+      summaryPanel?.parentElement.insertBefore(panel, summaryPanel);
+
+      if (phaseList && !phaseList.querySelector(`.phase-item[data-phase="${key}"]`)) {
+        const item = document.createElement('div');
+        item.className = 'phase-item';
+        item.dataset.phase = key;
+        item.innerHTML = `
+          <span class="phase-icon pending">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <circle cx="12" cy="12" r="10"/>
+            </svg>
+          </span>
+          <span class="phase-name">${this.escapeHtml(dimension.label)}</span>
+          <span class="phase-status">Pending</span>
+        `;
+        phaseList.appendChild(item);
+      }
+    });
+  }
+
+  /**
+   * Panel markup for a dimension - mirrors the static panels in index.html
+   * @param {Object} dimension - DimensionRegistry definition
+   * @returns {string} Panel inner HTML
+   */
+  getDimensionPanelHtml(dimension) {
+    const key = dimension.key;
+    return `
+      <div class="panel-header">
+        <h2>${this.escapeHtml(dimension.title)}</h2>
+        <div class="score-badge" id="${key}-score-badge">
+          <span class="score-label">AI Score</span>
+          <span class="score-value" id="${key}-ai-score">-</span>
+        </div>
+      </div>
+      <div class="panel-content">
+        <div class="assessment-layout">
+          <div class="evidence-section">
+            <div id="${key}-warnings" class="data-warnings hidden"></div>
+            <div class="view-toggles">
+              <button class="view-toggle-btn active" data-view="summary">Summary</button>
+              <button class="view-toggle-btn" data-view="detailed">Detailed</button>
+              <button class="view-toggle-btn" data-view="sources">Sources</button>
+            </div>
+            <div id="${key}-evidence" class="evidence-container"></div>
+          </div>
+          <div class="scoring-section">
+            <div class="scoring-card" id="${key}-scoring-card">
+              <h3>Your Assessment</h3>
+              <div class="score-slider-container">
+                <label for="${key}-score-slider">Score (1-9)</label>
+                <input type="range" id="${key}-score-slider" min="1" max="9" value="5" class="score-slider">
+                <div class="score-display">
+                  <span id="${key}-user-score" class="user-score">5</span>
+                </div>
+              </div>
+              <div id="${key}-rubric" class="rubric-display"></div>
+              <div class="score-deviation hidden" id="${key}-deviation">
+                <span class="deviation-icon">⚠️</span>
+                <span class="deviation-text">Your score differs from AI by <span class="deviation-value">0</span></span>
+              </div>
+              <div class="justification-container">
+                <label for="${key}-justification">Justification (optional)</label>
+                <textarea id="${key}-justification" rows="3" placeholder="Explain your reasoning..."></textarea>
+              </div>
+              <button id="${key}-submit-btn" class="btn primary submit-btn">Submit Assessment</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Escape text for insertion into generated markup
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
   /**
    * Handle tab click
    * @param {string} tabId - Tab identifier
@@ -187,8 +304,7 @@ class TabManager {
    * @returns {boolean} True if all assessment tabs are ready
    */
   allReady() {
-    const required = ['overview', 'team', 'funding', 'competitive', 'market', 'iprisk'];
-    return required.every(tab => this.tabs[tab] === TabState.READY);
+    return this.getAssessmentTabs().every(tab => this.tabs[tab] === TabState.READY);
   }
 
   /**
@@ -196,8 +312,7 @@ class TabManager {
    * @returns {number} Number of ready tabs
    */
   getReadyCount() {
-    const assessmentTabs = ['overview', 'team', 'funding', 'competitive', 'market', 'iprisk'];
-    return assessmentTabs.filter(tab => this.tabs[tab] === TabState.READY).length;
+    return this.getAssessmentTabs().filter(tab => this.tabs[tab] === TabState.READY).length;
   }
 
   /**
@@ -205,7 +320,15 @@ class TabManager {
    * @returns {number} Total number of assessment tabs
    */
   getTotalCount() {
-    return 6; // overview, team, funding, competitive, market, iprisk
+    return this.getAssessmentTabs().length;
+  }
+
+  /**
+   * Tabs that must be ready before the summary unlocks
+   * @returns {string[]} Overview plus every registered dimension
+   */
+  getAssessmentTabs() {
+    return ['overview', ...DimensionRegistry.keys()];
   }
 
   /**
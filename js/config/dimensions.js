@@ -0,0 +1,145 @@
+// js/config/dimensions.js - Built-in assessment dimensions
+// Registers the five core dimensions with DimensionRegistry. Each one delegates to
+// its existing API module, tab loader and PDF section.
+// New dimensions can be registered the same way from their own script (see README).
+
+DimensionRegistry.register({
+  key: 'team',
+  name: 'Team',
+  label: 'Team Analysis',
+  phaseName: 'Team Analysis',
+  title: 'Team Assessment',
+  reportName: 'Team Strength',
+  order: 10,
+  workflow: 'team',
+  duration: 70,   // ~1 minute
+  analyze: (inputs, abortSignal, callOptions) => TeamAPI.analyze(inputs.description, abortSignal, callOptions),
+  validate: data => Validators.validateTeam(data),
+  getScore: data => data?.score ?? null,
+  load: (view, data) => view.loadTeamData(data),
+  smartsheet: { aiKey: 'teamScoreAi', userKey: 'teamScoreUser', justificationKey: 'teamJustification' },
+  pdfSection: (doc, data) => ExportUtility.addTeamAssessment(doc, data),
+  pdfDetails: (doc, data) => ExportUtility.addTeamDetails(doc, data.team),
+  docxSection: (doc, data) => DocxExport.addTeamAssessment(doc, data),
+  docxDetails: (doc, data) => DocxExport.addTeamDetails(doc, data.team)
+});
+
+DimensionRegistry.register({
+  key: 'funding',
+  name: 'Funding',
+  label: 'Funding Analysis',
+  phaseName: 'Funding Analysis',
+  title: 'Funding Assessment',
+  reportName: 'Funding Readiness',
+  order: 20,
+  workflow: 'funding',
+  duration: 60,   // ~1 minute
+  analyze: (inputs, abortSignal, callOptions) => FundingAPI.analyze(inputs.description, abortSignal, callOptions),
+  validate: data => Validators.validateFunding(data),
+  getScore: data => data?.funding_score ?? data?.score ?? null,
+  load: (view, data) => view.loadFundingData(data),
+  smartsheet: { aiKey: 'fundingScoreAi', userKey: 'fundingScoreUser', justificationKey: 'fundingJustification' },
+  pdfSection: (doc, data) => ExportUtility.addFundingAssessment(doc, data),
+  docxSection: (doc, data) => DocxExport.addFundingAssessment(doc, data),
+  keyFacts: data => [
+    { key: 'totalFunding', label: 'Total Funding', value: FundingAPI.getTotalFunding(data), format: 'currency' }
+  ],
+  trackedLists: data => [
+    { key: 'fundingRounds', label: 'Funding Rounds', items: FundingAPI.getFundingRoundLabels(data) }
+  ]
+});
+
+DimensionRegistry.register({
+  key: 'competitive',
+  name: 'Competitive Risk',
+  label: 'Competitive Risk',
+  phaseName: 'Competitive Analysis',
+  title: 'Competitive Risk Assessment',
+  reportName: 'Competitive Risk',
+  order: 30,
+  workflow: 'competitive',
+  duration: 160,  // ~2.7 minutes
+  analyze: (inputs, abortSignal, callOptions) => CompetitiveAPI.analyze(inputs.description, abortSignal, callOptions),
+  // Re-runs are told which competitors the advisor added, removed or merged
+  withContext: (inputs, context) => {
+    const notes = context.competitorMatrix ? CompetitorMatrix.toContextText(context.competitorMatrix) : '';
+    return notes ? { ...inputs, description: `${inputs.description}\n\n${notes}` } : inputs;
+  },
+  validate: data => Validators.validateCompetitive(data),
+  getScore: data => data?.score ?? data?.assessment?.score ?? null,
+  load: (view, data) => view.loadCompetitiveData(data),
+  smartsheet: { aiKey: 'competitiveScoreAi', userKey: 'competitiveScoreUser', justificationKey: 'competitiveJustification' },
+  pdfSection: (doc, data) => ExportUtility.addCompetitiveAssessment(doc, data),
+  pdfDetails: (doc, data) => ExportUtility.addCompetitiveDetails(doc, data.competitive),
+  docxSection: (doc, data) => DocxExport.addCompetitiveAssessment(doc, data),
+  docxDetails: (doc, data) => DocxExport.addCompetitiveDetails(doc, data.competitive),
+  keyFacts: data => [
+    { key: 'competitorCount', label: 'Competitors', value: CompetitiveAPI.getCompetitorCount(data), format: 'number' }
+  ],
+  trackedLists: data => [
+    { key: 'competitors', label: 'Competitors', items: CompetitiveAPI.getCompetitorNames(data) }
+  ]
+});
+
+DimensionRegistry.register({
+  key: 'market',
+  name: 'Market Opportunity',
+  label: 'Market Opportunity',
+  phaseName: 'Market Analysis',
+  title: 'Market Opportunity Assessment',
+  reportName: 'Market Opportunity',
+  order: 40,
+  workflow: 'market',
+  duration: 250,  // ~4 minutes
+  dependsOn: ['company', 'competitive'],
+  inputs: { description: 'company.short', competitive: 'competitive.analysisText' },
+  analyze: (inputs, abortSignal, callOptions) => MarketAPI.analyze(inputs.description, inputs.competitive, abortSignal, callOptions),
+  // Re-runs read the competitive analysis with the advisor's competitor matrix applied
+  withContext: (inputs, context, dependencies) => {
+    if (!context.competitorMatrix || !dependencies.competitive) return inputs;
+    const matrix = CompetitorMatrix.normalize(context.competitorMatrix, dependencies.competitive);
+    const competitive = CompetitorMatrix.applyTo(dependencies.competitive, matrix);
+    return competitive?.competitorMatrix ? { ...inputs, competitive: competitive.analysisText } : inputs;
+  },
+  validate: data => Validators.validateMarket(data),
+  getScore: data => data?.score ?? data?.scoring?.score ?? null,
+  load: (view, data) => view.loadMarketData(data),
+  smartsheet: { aiKey: 'marketScoreAi', userKey: 'marketScoreUser', justificationKey: 'marketJustification' },
+  pdfSection: (doc, data) => ExportUtility.addMarketAssessment(doc, data),
+  pdfDetails: (doc, data) => ExportUtility.addMarketDetails(doc, data.market),
+  docxSection: (doc, data) => DocxExport.addMarketAssessment(doc, data),
+  docxDetails: (doc, data) => DocxExport.addMarketDetails(doc, data.market),
+  keyFacts: data => {
+    const { tam, cagr } = MarketAPI.getPrimaryMarket(data);
+    return [
+      { key: 'tam', label: 'TAM', value: tam, format: 'currency' },
+      { key: 'cagr', label: 'CAGR', value: cagr, format: 'percentage' }
+    ];
+  }
+});
+
+DimensionRegistry.register({
+  key: 'iprisk',
+  name: 'IP Risk',
+  label: 'IP Risk',
+  phaseName: 'IP Risk Analysis',
+  title: 'IP Risk Assessment',
+  reportName: 'IP Risk',
+  order: 50,
+  workflow: 'iprisk',
+  duration: 60,   // ~1 minute
+  analyze: (inputs, abortSignal, callOptions) => IPRiskAPI.analyze(inputs.description, abortSignal, callOptions),
+  getScore: data => data?.score ?? null,
+  load: (view, data) => view.loadIpRiskData(data),
+  smartsheet: { aiKey: 'ipRiskScoreAi', userKey: 'ipRiskScoreUser', justificationKey: 'ipRiskJustification' },
+  pdfSection: (doc, data) => ExportUtility.addIpRiskAssessment(doc, data),
+  pdfDetails: (doc, data) => ExportUtility.addIpRiskDetails(doc, data.iprisk),
+  docxSection: (doc, data) => DocxExport.addIpRiskAssessment(doc, data),
+  docxDetails: (doc, data) => DocxExport.addIpRiskDetails(doc, data.iprisk),
+  keyFacts: data => [
+    { key: 'patentCount', label: 'Patents', value: IPRiskAPI.getPatentCount(data), format: 'number' }
+  ],
+  trackedLists: data => [
+    { key: 'patents', label: 'Patents', items: IPRiskAPI.getPatentLabels(data) }
+  ]
+});
@@ -0,0 +1,171 @@
+// js/config/rubrics.js - Scoring rubric versions
+// Assessments keep the version they were scored under, so never edit a registered
+// version: register a new one with isCurrent and describe the change in notes.
+// The Stack AI workflow prompts must carry the same rubric text as the current version.
+
+// Market rubric bands: score = 3 x TAM band + CAGR band + 1 (both counted from 0)
+const MARKET_BANDS = {
+  tam: [
+    { key: 'under_500M', label: '< $500M', max: 500000000 },
+    { key: '500M_to_5B', label: '$500M - $5B', max: 5000000000, includeMax: true },
+    { key: 'over_5B', label: '> $5B' }
+  ],
+  cagr: [
+    { key: 'under_10', label: '< 10%', max: 10 },
+    { key: '10_to_35', label: '10-35%', max: 35, includeMax: true },
+    { key: 'over_35', label: '> 35%' }
+  ]
+};
+
+// Version 1: the scoring-card text from before rubrics were versioned. It disagreed with
+// the rubric the AI scored against (market CAGR bands of 10-20% / >20% instead of 10-35% / >35%,
+// and different level wording for the other dimensions).
+RubricRegistry.register({
+  version: '1',
+  isLegacy: true,
+  notes: 'Scoring-card text used before rubric versions; the AI scored against different wording',
+  dimensions: {
+    team: {
+      levels: {
+        1: { label: 'No Track Record', description: 'No trackable achievements or public presence. No industry connections or academic recognition.' },
+        2: { label: 'Limited Experience', description: 'Completed a few small projects or published in minor journals. Limited visibility within a very small professional or academic circle.' },
+        3: { label: 'Growing Portfolio', description: 'Growing portfolio of projects or publications in peer-reviewed journals. Building a network within their specific field.' },
+        4: { label: 'Local Recognition', description: 'Recognized within their specific field or local area. Occasionally invited to present at seminars or local industry events.' },
+        5: { label: 'Solid Track Record', description: 'Consistent publications or successful projects. Some tech licensing, patents, or industry partnership experience.' },
+        6: { label: 'Commercialization Experience', description: 'Top-tier publications or complex projects. Direct commercialization experience (licensing, SBIR/STTR, startup advisory).' },
+        7: { label: 'Business Leadership', description: 'Cited work or case studies. Has held business leadership roles with established industry network.' },
+        8: { label: 'Founder/Executive Experience', description: 'Field-influencing research OR previous founder/executive role in a commercialized venture.' },
+        9: { label: 'Serial Success', description: 'Groundbreaking discoveries with proven entrepreneurial success OR serial entrepreneur with successful exit.' }
+      }
+    },
+    funding: {
+      levels: {
+        1: { label: 'No Activity', description: 'No comparable funding activity in sector. Market shows minimal investor interest.' },
+        2: { label: 'Very Limited', description: 'Very limited funding activity, mostly grants. Few institutional investors interested in the space.' },
+        3: { label: 'Early Stage Only', description: 'Some angel/seed activity, few institutional investors. Market still nascent.' },
+        4: { label: 'Growing Interest', description: 'Growing investor interest, early-stage rounds becoming more common. Some notable deals.' },
+        5: { label: 'Regular Activity', description: 'Regular Series A/B activity, established VC interest. Healthy deal flow in the sector.' },
+        6: { label: 'Strong Backing', description: 'Strong institutional backing, multiple growth rounds. Sector attracting significant capital.' },
+        7: { label: 'High Profile', description: 'High-profile investors, significant deal flow. Multiple companies reaching unicorn status.' },
+        8: { label: 'Exceptional', description: 'Exceptional funding environment, multiple unicorns. Top-tier VCs competing for deals.' },
+        9: { label: 'Peak Activity', description: 'Peak funding activity, multiple mega-rounds. Sector is hottest investment category.' }
+      }
+    },
+    competitive: {
+      levels: {
+        1: { label: 'Extremely Crowded', description: 'Extremely crowded market with dominant incumbents. Very difficult to differentiate or compete.' },
+        2: { label: 'Many Competitors', description: 'Many strong competitors with established market share. Limited differentiation opportunities.' },
+        3: { label: 'Competitive Market', description: 'Competitive market with several players. Some differentiation possible but challenging.' },
+        4: { label: 'Moderate Competition', description: 'Moderate competition with clear differentiation opportunities. Some barriers to entry exist.' },
+        5: { label: 'Average Landscape', description: 'Average competitive landscape. Neither advantaged nor disadvantaged by competition.' },
+        6: { label: 'Favorable Position', description: 'Favorable competitive position in an emerging market. Good differentiation potential.' },
+        7: { label: 'Limited Competition', description: 'Limited competition with strong differentiation. Significant barriers protect the position.' },
+        8: { label: 'Few Competitors', description: 'Few direct competitors, significant barriers to entry. Strong defensive moat.' },
+        9: { label: 'Blue Ocean', description: 'Blue ocean opportunity with no direct competitors. Defining a new category.' }
+      }
+    },
+    market: {
+      levels: {
+        1: { label: 'Very Small/Slow', description: 'TAM < $500M with CAGR < 10%. Limited market opportunity and slow growth.' },
+        2: { label: 'Small/Moderate', description: 'TAM < $500M with CAGR 10-20%. Small but growing market.' },
+        3: { label: 'Small/Fast Growing', description: 'TAM < $500M with CAGR > 20%. Small market with rapid growth potential.' },
+        4: { label: 'Medium/Slow', description: 'TAM $500M-$5B with CAGR < 10%. Substantial market but limited growth.' },
+        5: { label: 'Medium/Moderate', description: 'TAM $500M-$5B with CAGR 10-20%. Good market size with healthy growth.' },
+        6: { label: 'Medium/Fast Growing', description: 'TAM $500M-$5B with CAGR > 20%. Strong market opportunity with rapid expansion.' },
+        7: { label: 'Large/Slow', description: 'TAM > $5B with CAGR < 10%. Very large market, mature growth phase.' },
+        8: { label: 'Large/Moderate', description: 'TAM > $5B with CAGR 10-20%. Excellent market size with sustained growth.' },
+        9: { label: 'Large/Fast Growing', description: 'TAM > $5B with CAGR > 20%. Exceptional market opportunity - large and rapidly expanding.' }
+      }
+    },
+    iprisk: {
+      levels: {
+        1: { label: 'Severe Exposure', description: 'Severe IP exposure with no defensible position. Crowded patent landscape with dominant players.' },
+        2: { label: 'High Risk', description: 'High IP risk with limited protectable features. Many existing patents in the space.' },
+        3: { label: 'Significant Challenges', description: 'Significant IP challenges exist. Some protectable features but crowded areas.' },
+        4: { label: 'Moderate Risk', description: 'Moderate IP risk with some protectable features. Mixed patent landscape.' },
+        5: { label: 'Average Position', description: 'Average IP position. Neither particularly strong nor weak.' },
+        6: { label: 'Good Position', description: 'Good IP position with some unique protectable features. Manageable risks.' },
+        7: { label: 'Strong Foundation', description: 'Strong IP foundation with clear differentiation. Limited infringement risks.' },
+        8: { label: 'Excellent Protection', description: 'Excellent IP protection with strong patent portfolio. Defensible moat.' },
+        9: { label: 'Exceptional Moat', description: 'Exceptional IP position with multiple defensible patents. Very low risk of challenges.' }
+      }
+    }
+  }
+});
+
+// Version 2: one rubric for advisors and the AI - the level text the AI workflows score
+// against, with labels for the scoring card and the market bands from MarketAPI
+RubricRegistry.register({
+  version: '2',
+  effective: '2026-10-19',
+  isCurrent: true,
+  notes: 'Scoring cards use the AI rubric text; market CAGR bands are 10-35% / >35% everywhere',
+  dimensions: {
+    team: {
+      levels: {
+        1: { label: 'No Track Record', description: 'No trackable achievements or public presence. No industry connections or academic recognition.' },
+        2: { label: 'Limited Experience', description: 'Completed a few small projects or published in minor journals. Limited visibility within a very small professional or academic circle.' },
+        3: { label: 'Growing Portfolio', description: 'Growing portfolio of projects or publications in peer-reviewed journals. Building a network within their specific field.' },
+        4: { label: 'Local Recognition', description: 'Recognized within their specific field or local area. Occasionally invited to present at seminars or local industry events.' },
+        5: { label: 'Consistent Record', description: 'Consistent record of quality publications or successful industry projects. Regular participant in conferences or industry events.' },
+        6: { label: 'Top-Tier Work', description: 'Publications in top-tier journals or lead complex industry projects. Frequently invited to speak at conferences or contribute to industry standards.' },
+        7: { label: 'Cited Innovator', description: 'Work is often cited or used as case studies in the field. Lead significant research grants or hold patents for industry innovations.' },
+        8: { label: 'Field Leader', description: 'Research or innovations significantly influence the direction of their field. Hold leadership positions in academia or industry (e.g., editorial boards, executive roles).' },
+        9: { label: 'Field-Defining', description: 'Made groundbreaking discoveries that reshaped their entire field. Recipients of the highest honors or lead global organizations.' }
+      }
+    },
+    funding: {
+      levels: {
+        1: { label: 'Unreasonable Need, VCs Absent', description: 'Unreasonable amount of funding needed AND VCs not funding this area' },
+        2: { label: 'High Need, VCs Absent', description: 'High amount of funding needed AND VCs not funding this area' },
+        3: { label: 'Modest Need, VCs Absent', description: 'Reasonable/Low amount of funding needed AND VCs not funding this area' },
+        4: { label: 'High Need, VCs Active', description: 'High amount of funding needed AND VCs funding this area decently' },
+        5: { label: 'Reasonable Need, VCs Active', description: 'Reasonable amount of funding needed AND VCs funding this area decently' },
+        6: { label: 'Low Need, VCs Active', description: 'Low amount of funding needed AND VCs funding this area decently' },
+        7: { label: 'High Need, VCs Hot', description: 'High amount of funding needed AND VCs hot in this area' },
+        8: { label: 'Reasonable Need, VCs Hot', description: 'Reasonable amount of funding needed AND VCs hot in this area' },
+        9: { label: 'Low Need, VCs Hot', description: 'Low amount of funding needed AND VCs hot in this area' }
+      }
+    },
+    competitive: {
+      levels: {
+        1: { label: 'Dominant Incumbents', description: 'Dominant established players AND little tech OR business differentiation' },
+        2: { label: 'Little Differentiation', description: 'Established players AND little tech OR business differentiation' },
+        3: { label: 'Some Differentiation', description: 'Established players AND some tech OR business differentiation' },
+        4: { label: 'Technical Edge', description: 'Established players AND significant tech differentiation' },
+        5: { label: 'Technical and Business Edge', description: 'Established players AND significant tech AND business differentiation' },
+        6: { label: 'Emerging Field, One Edge', description: 'Existing players AND significant tech OR business differentiation' },
+        7: { label: 'Emerging Field, Both Edges', description: 'Existing players AND significant tech AND business differentiation' },
+        8: { label: 'Few Players', description: 'Few existing players AND significant tech AND business differentiation' },
+        9: { label: 'No Existing Players', description: 'No existing players in the market' }
+      }
+    },
+    market: {
+      levels: {
+        1: { label: 'Very Small/Slow', description: 'TAM is <$500M and CAGR is less than 10%' },
+        2: { label: 'Small/Moderate', description: 'TAM is <$500M and CAGR is between 10 and 35%' },
+        3: { label: 'Small/Fast Growing', description: 'TAM is <$500M and CAGR is greater than 35%' },
+        4: { label: 'Medium/Slow', description: 'TAM is between $500M and $5B and CAGR is less than 10%' },
+        5: { label: 'Medium/Moderate', description: 'TAM is between $500M and $5B and CAGR is between 10 and 35%' },
+        6: { label: 'Medium/Fast Growing', description: 'TAM is between $500M and $5B and CAGR is greater than 35%' },
+        7: { label: 'Large/Slow', description: 'TAM is >$5B and CAGR is less than 10%' },
+        8: { label: 'Large/Moderate', description: 'TAM is >$5B and CAGR is between 10 and 35%' },
+        9: { label: 'Large/Fast Growing', description: 'TAM is >$5B and CAGR is greater than 35%' }
+      },
+      bands: MARKET_BANDS
+    },
+    iprisk: {
+      levels: {
+        1: { label: 'Unprotectable', description: 'Completely unprotectable or already widely used in the public domain, or immediate risk of infringement challenges.' },
+        2: { label: 'Minimal Uniqueness', description: 'Minimal unique elements or closely resembles existing IP; multiple competing claims or active litigation risk.' },
+        3: { label: 'Major Gaps', description: 'Some unique elements but major components unprotected; similar patents exist raising challenge risk.' },
+        4: { label: 'Partial Protection', description: 'Partially protectable with significant coverage gaps; potential legal challenges require careful navigation.' },
+        5: { label: 'Mixed Protection', description: 'Mix of protectable and vulnerable elements with manageable IP conflict risk given due diligence.' },
+        6: { label: 'Mostly Protectable', description: 'Mostly protectable with minor vulnerabilities; limited likelihood of significant IP conflicts.' },
+        7: { label: 'Strong Core Protection', description: 'Strong protection around core elements and clear differentiation from existing IP; low challenge risk.' },
+        8: { label: 'Comprehensive Protection', description: 'Comprehensive protection across multiple IP types with a track record of successful defense.' },
+        9: { label: 'Robust Novel IP', description: 'Groundbreaking, novel IP with robust, multi-layered protection and minimal risk of successful challenges.' }
+      }
+    }
+  }
+});
@@ -0,0 +1,34 @@
+// js/config/scoring-profiles.js - Composite score weighting profiles
+// Each portfolio picks a profile by its Portfolio / Cohort value on the start form;
+// portfolios not listed anywhere use the default (equal weights).
+// Weights are relative and are rescaled over the dimensions that have a score.
+
+const DECISION_BANDS = [
+  { label: 'Advance', min: 6.5 },
+  { label: 'Hold', min: 4.5 },
+  { label: 'Decline', min: 1 }
+];
+
+CompositeScore.register({
+  key: 'balanced',
+  name: 'Balanced',
+  isDefault: true,
+  weights: {},   // Every dimension weighs the same
+  knockouts: [
+    { dimension: 'iprisk', maxScore: 2, label: 'IP risk score of 2 or lower' }
+  ],
+  bands: DECISION_BANDS
+});
+
+// Deep tech thesis: the team and IP position carry the most weight
+CompositeScore.register({
+  key: 'deep-tech',
+  name: 'Deep Tech',
+  portfolios: ['Northeastern CRI - 2026', 'Penn State GAP - 2026'],
+  weights: { team: 3, iprisk: 3, market: 2, competitive: 1, funding: 1 },
+  knockouts: [
+    { dimension: 'iprisk', maxScore: 2, label: 'IP risk score of 2 or lower' },
+    { dimension: 'team', maxScore: 2, label: 'Team score of 2 or lower', cap: 'Hold' }
+  ],
+  bands: DECISION_BANDS
+});
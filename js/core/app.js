@@ -11,6 +11,14 @@ class App {
     this.toastManager = null;
     this.modalManager = null;
     this.stateManager = null;
+    this.batchView = null;
+    this.batchRunner = null;
+    this.comparisonView = null;
+    this.historyView = null;
+    this.calibrationView = null;
+    this.consensusView = null;
+    this.historyKey = null;  // Assessment shown in the history view
+    this.rerunKey = null;  // Assessment whose phases are being re-run with a corrected brief
     this.state = 'idle'; // idle, analyzing, results, error
   }
 
@@ -20,7 +28,7 @@ class App {
       
       // Initialize managers
       this.stateManager = new StateManager();
-      this.stateManager.init();
+      await this.stateManager.init();
       
       this.tabManager = new TabManager();
       this.tabManager.init();
@@ -32,14 +40,31 @@ class App {
       this.modalManager.init();
       
       // Initialize views
+      this.pipeline?.dispose();
       this.pipeline = new AnalysisPipeline();
       this.progressView = new ProgressView();
       this.assessmentView = new AssessmentView();
       this.summaryView = new SummaryView();
+      this.batchView = new BatchView();
+      this.comparisonView = new ComparisonView();
+      this.historyView = new HistoryView();
+      this.calibrationView = new CalibrationView();
+      this.consensusView = new ConsensusView();
+      this.marketSizingView = new MarketSizingView();
+      this.competitorMatrixView = new CompetitorMatrixView();
+      this.companyBriefView = new CompanyBriefView();
       
       this.progressView.init();
       this.assessmentView.init();
       this.summaryView.init();
+      this.batchView.init();
+      this.comparisonView.init();
+      this.historyView.init();
+      this.calibrationView.init();
+      this.consensusView.init();
+      this.marketSizingView.init();
+      this.competitorMatrixView.init();
+      this.companyBriefView.init();
       
       // Make accessible globally
       window.assessmentView = this.assessmentView;
@@ -89,6 +114,10 @@ class App {
     if (exportBtn) {
       exportBtn.addEventListener('click', () => this.exportReport());
     }
+    document.getElementById('export-docx-btn')?.addEventListener('click', () => this.exportWord());
+    
+    // Assessment file export/import (.nrqa.json)
+    this.setupBundleTransfer();
     
     // Cancel button
     const cancelBtn = document.getElementById('cancel-btn');
@@ -105,8 +134,513 @@ class App {
     // File upload handling
     this.setupFileUploadListeners();
 
+    // Response cache toggles
+    this.setupCacheOptions();
+
     // Venture name editor
     this.setupVentureNameEditor();
+
+    // Batch mode
+    this.setupBatchMode();
+
+    // Venture comparison
+    this.setupComparison();
+
+    // Score calibration
+    this.setupCalibration();
+
+    // Reviewers and consensus
+    this.setupConsensus();
+
+    // Version history
+    this.setupHistory();
+
+    // Advisor corrections to the company brief
+    this.setupCompanyBrief();
+  }
+
+  // ========== BATCH MODE ==========
+
+  setupBatchMode() {
+    const batchBtn = document.getElementById('batch-mode-btn');
+    if (batchBtn) {
+      batchBtn.addEventListener('click', () => {
+        // Prefill the default advisor/portfolio from the single-venture form
+        const advisorInput = document.getElementById('batch-advisor');
+        const scaName = document.getElementById('sca-name')?.value.trim();
+        if (advisorInput && !advisorInput.value && scaName) advisorInput.value = scaName;
+
+        const portfolioSelect = document.getElementById('batch-portfolio');
+        const portfolio = document.getElementById('portfolio')?.value;
+        if (portfolioSelect && !portfolioSelect.value && portfolio) portfolioSelect.value = portfolio;
+
+        this.showSection('batch');
+      });
+    }
+
+    this.batchView.on('start', () => this.startBatch());
+    this.batchView.on('cancel', () => {
+      if (confirm('Cancel the remaining ventures in this batch?')) {
+        this.batchRunner?.cancel();
+      }
+    });
+    this.batchView.on('back', () => this.showSection('input'));
+    this.batchView.on('open', (key) => this.openSavedAssessment(key));
+  }
+
+  async startBatch() {
+    if (this.batchRunner?.isRunning) return;
+
+    if (this.state === 'analyzing') {
+      this.toastManager.error('Finish or cancel the current analysis before starting a batch');
+      return;
+    }
+
+    const input = this.batchView.getInput();
+    const items = BatchRunner.parseInput(input.text, {
+      advisor: input.advisor,
+      portfolio: input.portfolio
+    });
+
+    if (items.length === 0) {
+      this.toastManager.error('Paste at least one venture URL or load a CSV file');
+      return;
+    }
+
+    const runnable = items.filter(item => item.status === 'queued').length;
+    if (runnable === 0) {
+      this.batchView.render(items);
+      this.toastManager.error('No valid venture URLs found');
+      return;
+    }
+
+    this.batchRunner = new BatchRunner({
+      stateManager: this.stateManager,
+      concurrency: input.concurrency
+    });
+    this.batchRunner.saveResult = (data, context) => this.saveAssessment(data, context);
+
+    this.batchRunner.on('start', ({ items }) => {
+      this.batchView.render(items);
+      this.batchView.updateSummary(this.batchRunner.getSummary());
+    });
+    this.batchRunner.on('itemUpdate', (item) => {
+      this.batchView.updateItem(item);
+      this.batchView.updateSummary(this.batchRunner.getSummary());
+    });
+    this.batchRunner.on('complete', (summary) => {
+      this.batchView.setRunning(false);
+      this.batchView.updateSummary(summary);
+      this.showDesktopNotification(
+        'Batch Complete',
+        `${summary.complete + summary.partial} of ${summary.total} ventures analyzed`
+      );
+      this.toastManager.success(`Batch finished: ${summary.complete} complete, ${summary.partial} partial, ${summary.failed} failed`);
+    });
+
+    await this.requestNotificationPermission();
+    this.batchView.setRunning(true);
+    this.toastManager.info(`Starting batch of ${runnable} venture(s)`);
+
+    try {
+      await this.batchRunner.start(items);
+    } catch (error) {
+      console.error('Batch failed:', error);
+      this.batchView.setRunning(false);
+      this.toastManager.error(error.message);
+    }
+  }
+
+  // ========== COMPARISON ==========
+
+  setupComparison() {
+    const compareBtn = document.getElementById('compare-btn');
+    if (compareBtn) {
+      compareBtn.addEventListener('click', () => this.compareAssessments());
+    }
+
+    this.comparisonView.on('back', () => this.showSection('input'));
+    this.comparisonView.on('export', () => this.exportComparison());
+    this.comparisonView.on('open', (key) => this.openSavedAssessment(key));
+  }
+
+  /**
+   * Pick 2-5 saved assessments and show them side by side
+   */
+  async compareAssessments() {
+    try {
+      const assessments = await this.stateManager.listPastAssessments();
+      if (assessments.length < ComparisonView.MIN_VENTURES) {
+        this.toastManager.error(`Save at least ${ComparisonView.MIN_VENTURES} assessments to compare them`);
+        return;
+      }
+
+      const selected = await this.modalManager.showCompareModal(assessments, {
+        min: ComparisonView.MIN_VENTURES,
+        max: ComparisonView.MAX_VENTURES
+      });
+      if (!selected) return;
+
+      const records = (await Promise.all(
+        selected.map(a => this.stateManager.loadAssessment(a.key))
+      )).filter(Boolean);
+
+      if (records.length < ComparisonView.MIN_VENTURES) {
+        this.toastManager.error('Could not load the selected assessments');
+        return;
+      }
+
+      this.comparisonView.render(ComparisonView.build(records));
+      this.showSection('comparison');
+
+    } catch (error) {
+      console.error('Error comparing assessments:', error);
+      this.toastManager.error('Failed to compare assessments');
+    }
+  }
+
+  async exportComparison() {
+    if (!this.comparisonView.comparison) return;
+
+    try {
+      if (!window.jspdf) {
+        throw new Error('PDF library not loaded. Please refresh the page.');
+      }
+
+      this.showExportProgress();
+      const filename = await ExportUtility.generateComparisonReport(this.comparisonView.comparison);
+      this.hideExportProgress();
+
+      this.toastManager.success(`Comparison exported: ${filename}`);
+
+    } catch (error) {
+      console.error('Comparison export failed:', error);
+      this.hideExportProgress();
+      this.toastManager.error(`Export failed: ${error.message}`);
+    }
+  }
+
+  // ========== SCORE CALIBRATION ==========
+
+  setupCalibration() {
+    const calibrationBtn = document.getElementById('calibration-btn');
+    if (calibrationBtn) {
+      calibrationBtn.addEventListener('click', () => this.showCalibration());
+    }
+
+    this.calibrationView.on('back', () => this.showSection('input'));
+    this.calibrationView.on('refresh', () => this.showCalibration());
+  }
+
+  /**
+   * Compare AI and advisor scores across every Smartsheet row
+   */
+  async showCalibration() {
+    this.calibrationView.setLoading(true);
+
+    try {
+      const rows = await SmartsheetIntegration.fetchScoreHistory();
+      const stats = CalibrationStats.build(rows);
+
+      if (stats.totals.pairs === 0) {
+        this.toastManager.error('No assessments in Smartsheet have both AI and advisor scores yet');
+        return;
+      }
+
+      this.calibrationView.render(stats);
+      this.showSection('calibration');
+
+    } catch (error) {
+      console.error('Error loading score calibration:', error);
+      this.toastManager.error(`Failed to load score calibration: ${error.message}`);
+    } finally {
+      this.calibrationView.setLoading(false);
+    }
+  }
+
+  // ========== REVIEWERS & CONSENSUS ==========
+
+  setupConsensus() {
+    const consensusBtn = document.getElementById('consensus-btn');
+    if (consensusBtn) {
+      consensusBtn.addEventListener('click', () => this.showConsensus());
+    }
+
+    this.consensusView.on('back', () => this.showSection('results'));
+    this.consensusView.on('save', (consensus) => this.saveConsensus(consensus));
+  }
+
+  /**
+   * Score another advisor's AI run as an additional reviewer.
+   * The review is stored on the same assessment, so the lead advisor's scores are untouched.
+   * @param {string} key - Assessment key
+   */
+  async startReview(key) {
+    const record = await this.stateManager.loadAssessment(key);
+    if (!record || !this.stateManager.hasAiData(record)) {
+      this.toastManager.error('Reviews need an assessment with full AI data');
+      return;
+    }
+
+    const reviewerName = await this.modalManager.showReviewerModal(
+      record, document.getElementById('sca-name')?.value.trim() || ''
+    );
+    if (!reviewerName) return;
+
+    const ventureName = record.customVentureName || record.ventureName;
+    if (Consensus.reviewerId(reviewerName) === Consensus.reviewerId(record.advisorName)) {
+      await this.restoreFromCachedAssessment(record);
+      this.toastManager.info(`${record.advisorName} is the lead advisor on ${ventureName} - their scores are loaded`);
+      return;
+    }
+
+    await this.restoreFromCachedAssessment(this.stateManager.getReviewRecord(record, reviewerName));
+    this.toastManager.success(`Reviewing ${ventureName} as ${reviewerName}. Your scores are kept separate from ${record.advisorName}'s.`);
+  }
+
+  /**
+   * Show every reviewer's scores for the current assessment
+   */
+  async showConsensus() {
+    const record = await this.stateManager.saveSessionScores();
+    if (!record) {
+      this.toastManager.error('This assessment is not saved locally, so reviewer scores are not available');
+      return;
+    }
+
+    this.consensusView.render(record, document.getElementById('sca-name')?.value.trim() || '');
+    this.showSection('consensus');
+  }
+
+  /**
+   * Save the moderator's final scores locally and as a Smartsheet child row
+   * @param {Object} consensus - See Consensus.create()
+   */
+  async saveConsensus(consensus) {
+    const validation = Consensus.validate(consensus, this.consensusView.model);
+    this.consensusView.showErrors(validation.errors);
+    if (!validation.valid) return;
+
+    this.consensusView.setSaving(true);
+
+    try {
+      const key = this.consensusView.record.key;
+      let record = await this.stateManager.saveConsensus(key, { ...consensus, timestamp: Date.now() });
+      if (!record) {
+        throw new Error('Could not save to local storage');
+      }
+
+      const result = await SmartsheetIntegration.submitConsensus(Consensus.build(record), record.consensus, {
+        rowId: record.smartsheetRowId,
+        leadAdvisor: record.advisorName
+      });
+      if (result.success && result.rowId && result.rowId !== record.consensus.smartsheetRowId) {
+        record = await this.stateManager.saveConsensus(key, { ...record.consensus, smartsheetRowId: result.rowId }) || record;
+      }
+
+      this.consensusView.render(record);
+
+    } catch (error) {
+      console.error('Error saving consensus:', error);
+      this.toastManager.error(`Failed to save consensus: ${error.message}`);
+    } finally {
+      this.consensusView.setSaving(false);
+    }
+  }
+
+  // ========== VERSION HISTORY ==========
+
+  setupHistory() {
+    this.historyView.on('back', () => this.showSection('input'));
+    this.historyView.on('compare', (fromId, toId) => this.showVersionDiff(fromId, toId));
+    this.historyView.on('open', (versionId) => this.openVersion(versionId));
+  }
+
+  /**
+   * Show every saved run of an assessment
+   * @param {string} key - Assessment key
+   */
+  async showAssessmentHistory(key) {
+    try {
+      const versions = await this.stateManager.listVersions(key);
+      if (versions.length === 0) {
+        this.toastManager.error('Could not load assessment history');
+        return;
+      }
+
+      this.historyKey = key;
+      this.showSection('history');
+      this.historyView.render(versions);
+    } catch (error) {
+      console.error('Error loading assessment history:', error);
+      this.toastManager.error('Failed to load assessment history');
+    }
+  }
+
+  async showVersionDiff(fromId, toId) {
+    const [older, newer] = await Promise.all([
+      this.stateManager.loadVersion(this.historyKey, fromId),
+      this.stateManager.loadVersion(this.historyKey, toId)
+    ]);
+
+    if (!older || !newer) {
+      this.historyView.showMessage('Could not load one of the selected runs.');
+      return;
+    }
+
+    this.historyView.renderDiff(AssessmentDiff.compare(older, newer));
+  }
+
+  async openVersion(versionId) {
+    const record = await this.stateManager.loadVersion(this.historyKey, versionId);
+    if (!record) {
+      this.toastManager.error('Could not load assessment data');
+      return;
+    }
+
+    await this.restoreFromCachedAssessment(record);
+  }
+
+  /**
+   * Open a saved assessment (batch result or comparison column) in the regular results view
+   */
+  async openSavedAssessment(key) {
+    const assessment = await this.stateManager.loadAssessment(key);
+    if (!assessment) {
+      this.toastManager.error('Could not load assessment data');
+      return;
+    }
+
+    await this.restoreFromCachedAssessment(assessment);
+  }
+
+  // ========== COMPANY BRIEF ==========
+
+  setupCompanyBrief() {
+    this.companyBriefView.on('save', (brief, changes) => this.saveCompanyBrief(brief, changes));
+    this.companyBriefView.on('rerun', (changes) => this.offerRerun(changes));
+  }
+
+  /**
+   * Save the advisor's corrected brief; phases run from now on read it
+   * @param {Object|null} brief - null when it matches the AI's again
+   * @param {Object[]} changes - See CompanyBrief.getChanges()
+   */
+  async saveCompanyBrief(brief, changes) {
+    this.stateManager.saveCompanyBrief(brief);
+    this.pipeline.setCompanyDescription(brief ? CompanyBrief.toShortDescription(brief) : null);
+    await this.stateManager.saveSessionScores();
+
+    if (changes.length === 0) {
+      this.toastManager.info('Company brief matches the AI analysis again');
+      return;
+    }
+    if (this.pipeline.isRunning) {
+      this.toastManager.info('Company brief saved. Analyses that have not started yet will use it.');
+      return;
+    }
+
+    await this.offerRerun(changes);
+  }
+
+  /**
+   * Ask which analyses to re-run with the corrected brief, preselecting those the changes feed
+   */
+  async offerRerun(changes) {
+    if (this.stateManager.getReview()) {
+      this.toastManager.error('Analyses can only be re-run by the lead advisor');
+      return;
+    }
+    if (this.pipeline.isRunning) {
+      this.toastManager.info('Wait for the current analysis to finish before re-running phases');
+      return;
+    }
+    if (this.batchRunner?.isRunning) {
+      this.toastManager.info('Wait for the batch to finish before re-running phases');
+      return;
+    }
+
+    const readers = this.pipeline.getPhasesReading('company');
+    const affected = CompanyBrief.getAffectedPhases(changes, readers);
+    const phases = readers.map(key => {
+      const followers = this.pipeline.getRerunPhases([key]).filter(k => k !== key);
+      return {
+        key,
+        name: this.getPhaseLabel(key),
+        description: followers.length > 0 ? `Also re-runs ${followers.map(k => this.getPhaseLabel(k)).join(', ')}` : '',
+        checked: affected.includes(key)
+      };
+    });
+
+    const keys = await this.modalManager.showRerunModal(phases);
+    if (keys) await this.rerunPhases(keys);
+  }
+
+  /**
+   * Re-run phases of the current assessment with the corrected brief.
+   * The current results are saved first so they stay in the history as the previous run.
+   * @param {string[]} keys - Dimension keys; phases reading their output are re-run too
+   */
+  async rerunPhases(keys) {
+    const company = this.assessmentView.data.company;
+    if (!company) {
+      this.toastManager.error('Company analysis is required to re-run phases');
+      return;
+    }
+
+    let started = false;
+    try {
+      const checkpointed = this.stateManager.getCompletedPhases().company;
+      const completedPhases = { company: checkpointed?.full ? checkpointed : { full: company } };
+      DimensionRegistry.keys().forEach(dim => {
+        if (this.assessmentView.data[dim]) completedPhases[dim] = this.assessmentView.data[dim];
+      });
+
+      const key = this.stateManager.getState()?.assessmentKey;
+      if (key && !(await this.stateManager.hasAssessment(key))) {
+        await this.cacheCurrentAssessment(completedPhases);
+      }
+
+      const rerun = this.pipeline.getRerunPhases(keys);
+      const kept = Object.fromEntries(Object.entries(completedPhases).filter(([phase]) => !rerun.includes(phase)));
+      this.stateManager.checkpointRerun(kept);
+
+      rerun.forEach(phase => {
+        this.tabManager.setLoading(phase);
+        this.updatePhaseUI(phase, 'active');
+      });
+
+      this.rerunKey = key;
+      started = true;
+      await this.pipeline.rerun(keys, completedPhases, {
+        companyDescription: this.companyBriefView.getDescription()
+      });
+    } catch (error) {
+      console.error('Re-run failed:', error);
+      this.rerunKey = null;
+      // Once started, failures are reported by the pipeline's error event
+      if (!started) this.toastManager.error(`Re-run failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Opt-in response cache and its force-refresh bypass
+   */
+  setupCacheOptions() {
+    const enabledInput = document.getElementById('response-cache-enabled');
+    const refreshInput = document.getElementById('force-refresh');
+    if (!enabledInput || !window.ResponseCache) return;
+
+    enabledInput.checked = ResponseCache.isEnabled();
+    if (refreshInput) refreshInput.disabled = !enabledInput.checked;
+
+    enabledInput.addEventListener('change', () => {
+      ResponseCache.setEnabled(enabledInput.checked);
+      if (refreshInput) {
+        refreshInput.disabled = !enabledInput.checked;
+        if (!enabledInput.checked) refreshInput.checked = false;
+      }
+    });
   }
 
   /**
@@ -326,8 +860,14 @@ class App {
   }
 
   setupPipelineCallbacks() {
+    // Re-run phases see the advisor's competitor edits
+    this.pipeline.setContextProvider(() => ({
+      competitorMatrix: this.stateManager.getCompetitorMatrix()
+    }));
+
     this.pipeline.on('start', (data) => {
       this.state = 'analyzing';
+      if (!data.rerun) this.rerunKey = null;
       console.log('Analysis started:', data.url);
     });
     
@@ -352,16 +892,7 @@ class App {
       this.loadPhaseData(data.phase, data.data);
       
       // Show toast notification
-      const phaseNames = {
-        company: 'Company Overview',
-        team: 'Team Analysis',
-        funding: 'Funding Analysis',
-        competitive: 'Competitive Risk',
-        market: 'Market Opportunity',
-        iprisk: 'IP Risk'
-      };
-      
-      this.toastManager.phaseComplete(phaseNames[data.phase], () => {
+      this.toastManager.phaseComplete(this.getPhaseLabel(data.phase), () => {
         this.tabManager.activateTab(tabKey);
       });
       
@@ -473,6 +1004,13 @@ class App {
   }
 
   async startAnalysis() {
+    // StackProxy retries are matched to phases by workflow, so a batch venture's retry
+    // would show on this run's phase
+    if (this.batchRunner?.isRunning) {
+      this.toastManager.error('Wait for the batch to finish before starting a single analysis');
+      return;
+    }
+
     const urlInput = document.getElementById('company-url');
     const scaInput = document.getElementById('sca-name');
     
@@ -503,7 +1041,12 @@ class App {
     }
     
     // Save input to state
-    this.stateManager.setCompanyInput(validatedUrl || 'Document Upload', scaName, hasFile ? file.name : null);
+    this.stateManager.setCompanyInput(
+      validatedUrl || 'Document Upload',
+      scaName,
+      hasFile ? file.name : null,
+      document.getElementById('portfolio')?.value.trim() || ''
+    );
 
     // Clear Smartsheet row ID for new analysis - each new analysis should create a new row
     // This prevents trying to update a row from a previous analysis
@@ -515,9 +1058,13 @@ class App {
     this.setVentureNameDisplay('Loading...');
 
     // Clear final recommendation for new analysis
-    this.stateManager.saveFinalRecommendation('');
-    const recTextarea = document.getElementById('final-recommendation-text');
-    if (recTextarea) recTextarea.value = '';
+    this.stateManager.saveFinalRecommendation(null);
+    this.summaryView.setRecommendationForm(null);
+    
+    // Ignore cached responses for this run if requested
+    if (document.getElementById('force-refresh')?.checked) {
+      window.ResponseCache?.forceRefresh();
+    }
     
     // Request notification permission
     await this.requestNotificationPermission();
@@ -588,10 +1135,24 @@ class App {
     // Update compact progress
     this.updateCompactProgress();
     
-    // Show toast
-    this.toastManager.info('Previous analysis restored. Some phases may need to be re-run.');
+    if (!completedPhases.company) {
+      this.toastManager.info('Previous analysis restored. Some phases may need to be re-run.');
+      return;
+    }
     
-    // TODO: Option to continue remaining phases
+    // Continue the phases that never finished
+    Object.keys(completedPhases).forEach(phase => this.updatePhaseUI(phase, 'complete'));
+    this.toastManager.info('Previous analysis restored. Continuing remaining phases...');
+    
+    // Not awaited so app init isn't held up by the remaining phases
+    this.progressView.start(this.pipeline);
+    this.pipeline.resume(completedPhases, {
+      url: savedState.companyInput?.url,
+      companyDescription: savedState.companyBrief ? CompanyBrief.toShortDescription(savedState.companyBrief) : null
+    }).catch(error => {
+      console.error('Resumed analysis failed:', error);
+      this.handleAnalysisError(error);
+    });
   }
 
   loadPhaseData(phase, data) {
@@ -604,24 +1165,22 @@ class App {
         // Set venture name display
         this.setVentureNameDisplay(companyData?.company_overview?.name);
         break;
-      case 'team':
-        this.assessmentView.loadTeamData(data);
-        break;
-      case 'funding':
-        this.assessmentView.loadFundingData(data);
-        break;
-      case 'competitive':
-        this.assessmentView.loadCompetitiveData(data);
-        break;
-      case 'market':
-        this.assessmentView.loadMarketData(data);
-        break;
-      case 'iprisk':
-        this.assessmentView.loadIpRiskData(data);
+      default:
+        // Registered dimensions
+        this.assessmentView.loadDimensionData(phase, data);
         break;
     }
   }
 
+  /**
+   * Display label for a pipeline phase
+   * @param {string} phase - 'company' or a registered dimension key
+   */
+  getPhaseLabel(phase) {
+    if (phase === 'company') return 'Company Overview';
+    return DimensionRegistry.get(phase)?.label || phase;
+  }
+
   updatePhaseUI(phase, status) {
     const phaseItem = document.querySelector(`.phase-item[data-phase="${phase}"]`);
     if (!phaseItem) return;
@@ -686,6 +1245,11 @@ class App {
   }
 
   async retryPhase(phase) {
+    if (this.batchRunner?.isRunning) {
+      this.toastManager.error('Wait for the batch to finish before retrying a phase');
+      return;
+    }
+
     try {
       this.tabManager.setLoading(phase === 'company' ? 'overview' : phase);
       this.updatePhaseUI(phase, 'active');
@@ -704,11 +1268,9 @@ class App {
     this.stateManager.markComplete();
     
     // Cache the full assessment for later reload
-    this.cacheCurrentAssessment(results);
+    const cached = this.cacheCurrentAssessment(results);
     
-    // Enable export button
-    const exportBtn = document.getElementById('export-btn');
-    if (exportBtn) exportBtn.disabled = false;
+    this.setExportEnabled(true);
     
     // Desktop notification - company data might be { full, short } or just the data
     const companyFull = results.company?.full || results.company;
@@ -725,35 +1287,93 @@ class App {
     const compactProgress = document.getElementById('compact-progress');
     if (compactProgress) compactProgress.classList.add('hidden');
     
+    // A re-run replaced results: the previous run is now a version to compare against
+    if (this.rerunKey) {
+      const key = this.rerunKey;
+      this.rerunKey = null;
+      this.toastManager.show('Re-run complete. The previous results are kept in the assessment history.', {
+        type: 'success',
+        actionText: 'Compare',
+        onAction: async () => {
+          await cached;
+          this.showAssessmentHistory(key);
+        }
+      });
+      return;
+    }
+
     // Toast
     this.toastManager.success('All analyses complete! You can now export the report.');
   }
 
   /**
-   * Cache the current assessment to localStorage for later reload
+   * Cache the current assessment for later reload
    * @param {Object} results - Full analysis results
    */
-  cacheCurrentAssessment(results) {
+  async cacheCurrentAssessment(results) {
     try {
+      // Reviewers score the lead advisor's run; a retried phase must not replace the lead's scores
+      if (this.stateManager.getReview()) {
+        await this.stateManager.saveSessionScores();
+        return;
+      }
+
       const companyFull = results.company?.full || results.company;
       const ventureName = companyFull?.company_overview?.name || 'Unknown';
       
-      this.stateManager.cacheFullAssessment({
-        company: companyFull,
-        team: results.team,
-        funding: results.funding,
-        competitive: results.competitive,
-        market: results.market,
-        iprisk: results.iprisk,
-        ventureName: ventureName
+      const assessmentData = { company: companyFull, ventureName: ventureName };
+      DimensionRegistry.keys().forEach(dim => {
+        assessmentData[dim] = results[dim];
       });
       
-      console.log('[App] Assessment cached for:', ventureName);
+      if (await this.saveAssessment(assessmentData)) {
+        console.log('[App] Assessment cached for:', ventureName);
+      }
     } catch (error) {
       console.error('[App] Failed to cache assessment:', error);
     }
   }
 
+  /**
+   * Save an assessment to local storage, one save at a time.
+   * If storage is full the user chooses whether older assessments are deleted.
+   * @param {Object} assessmentData - Company and dimension results
+   * @param {Object} context - Optional key/input/advisor (batch mode); defaults to the session
+   * @returns {Promise<boolean>} True if saved
+   */
+  saveAssessment(assessmentData, context = null) {
+    // Serialized so concurrent batch saves can't stack storage-full prompts
+    this.saveQueue = (this.saveQueue || Promise.resolve()).then(async () => {
+      let result = await this.stateManager.cacheFullAssessment(assessmentData, context);
+      
+      if (result.quotaExceeded) {
+        const usage = await this.stateManager.getStorageUsage();
+        const confirmed = await this.modalManager.showStorageFullModal(result.candidates, usage);
+        
+        if (confirmed) {
+          await this.stateManager.deleteAssessments(result.candidates.map(a => a.key));
+          result = await this.stateManager.cacheFullAssessment(assessmentData, context);
+        }
+      }
+      
+      if (!result.success) {
+        this.toastManager.warning(`${assessmentData.ventureName || 'This assessment'} could not be saved for later reload. Scores submitted to Smartsheet are not affected.`);
+        return false;
+      }
+      
+      const usage = await this.stateManager.getStorageUsage();
+      if (this.stateManager.isStorageNearlyFull(usage)) {
+        this.toastManager.warning(`Local assessment storage is ${usage.percentage}% full. You'll be asked before older assessments are removed.`);
+      }
+      return true;
+    }).catch(error => {
+      console.error('[App] Failed to save assessment:', error);
+      return false;
+    });
+    
+    return this.saveQueue;
+  }
+
   handleAnalysisError(error) {
     this.state = 'error';
     this.progressView.hide();
@@ -774,9 +1394,7 @@ class App {
     const failedCount = data.failedPhases.length;
     const successCount = this.tabManager.getReadyCount();
     
-    // Enable export button for partial export
-    const exportBtn = document.getElementById('export-btn');
-    if (exportBtn) exportBtn.disabled = false;
+    this.setExportEnabled(true);
     
     // Hide main progress section
     this.progressView.hide();
@@ -825,36 +1443,174 @@ class App {
     // Clear file selection
     this.clearFileSelection();
     
-    // Disable export
-    const exportBtn = document.getElementById('export-btn');
-    if (exportBtn) exportBtn.disabled = true;
+    this.setExportEnabled(false);
     
     // Show input section
     this.showSection('input');
   }
 
+  /**
+   * Enable or disable the report and assessment file exports together
+   */
+  setExportEnabled(enabled) {
+    ['export-btn', 'export-docx-btn', 'export-bundle-btn', 'consensus-btn'].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = !enabled;
+    });
+  }
+
+  // ========== ASSESSMENT FILES (.nrqa.json) ==========
+
+  setupBundleTransfer() {
+    const exportBtn = document.getElementById('export-bundle-btn');
+    const importBtn = document.getElementById('import-bundle-btn');
+    const importInput = document.getElementById('import-bundle-input');
+
+    exportBtn?.addEventListener('click', () => this.exportBundle());
+    importBtn?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', () => {
+      const file = importInput.files?.[0];
+      importInput.value = ''; // Allow re-importing the same file
+      if (file) this.importBundle(file);
+    });
+  }
+
+  /**
+   * Download the current assessment as a .nrqa.json bundle.
+   * Reviews and the consensus come from the saved assessment; while reviewing,
+   * the whole saved assessment is exported so the lead advisor's scores stay the lead's.
+   */
+  async exportBundle() {
+    try {
+      const state = this.stateManager.getState() || {};
+      const saved = await this.stateManager.saveSessionScores();
+
+      if (saved && state.review) {
+        const filename = AssessmentBundle.download(AssessmentBundle.create(saved));
+        this.toastManager.success(`Assessment saved with your review: ${filename}`);
+        return;
+      }
+
+      const bundle = AssessmentBundle.create({
+        key: state.assessmentKey,
+        timestamp: state.timestamp,
+        companyInput: state.companyInput,
+        smartsheetRowId: state.smartsheetRowId,
+        userScores: state.userScores,
+        aiData: this.stateManager.buildAiData(this.assessmentView.data),
+        ventureName: this.assessmentView.data.company?.company_overview?.name || this.getVentureName(),
+        customVentureName: state.customVentureName,
+        advisorName: state.scaName || state.companyInput?.scaName,
+        portfolio: state.companyInput?.portfolio,
+        rubricVersion: state.rubricVersion,
+        primaryMarketChoice: state.primaryMarketChoice,
+        marketSizing: state.marketSizing,
+        competitorMatrix: state.competitorMatrix,
+        companyBrief: state.companyBrief,
+        finalRecommendation: state.finalRecommendation,
+        reviews: saved?.reviews,
+        consensus: saved?.consensus
+      });
+
+      const filename = AssessmentBundle.download(bundle);
+      this.toastManager.success(`Assessment saved: ${filename}`);
+    } catch (error) {
+      console.error('[App] Bundle export failed:', error);
+      this.toastManager.error(`Export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open an assessment from a .nrqa.json bundle.
+   * The bundle is validated, saved to local storage (an existing copy becomes
+   * an earlier version) and restored like a previous assessment.
+   * @param {File} file - Selected bundle file
+   */
+  async importBundle(file) {
+    if (this.state === 'analyzing') {
+      this.toastManager.warning('Wait for the current analysis to finish before importing.');
+      return;
+    }
+
+    try {
+      const bundle = AssessmentBundle.upgrade(await AssessmentBundle.read(file));
+      const validation = AssessmentBundle.validate(bundle);
+
+      if (!validation.valid) {
+        console.warn('[App] Bundle rejected:', validation.errors);
+        this.toastManager.error(`Cannot import ${file.name}: ${validation.errors.join('; ')}`);
+        return;
+      }
+      if (validation.warnings.length > 0) {
+        console.warn('[App] Bundle warnings:', validation.warnings);
+      }
+
+      const record = AssessmentBundle.toRecord(bundle, this.stateManager.generateAssessmentKey(
+        bundle.companyInput?.url, bundle.metadata?.advisorName, bundle.companyInput?.fileName
+      ));
+
+      // Reviews added on other machines are merged with the ones saved here
+      const existing = await this.stateManager.loadAssessment(record.key);
+      record.reviews = Consensus.mergeReviews(existing?.reviews, record.reviews);
+      if ((existing?.consensus?.timestamp || 0) > (record.consensus?.timestamp || 0)) {
+        record.consensus = existing.consensus;
+      }
+
+      await this.restoreFromCachedAssessment(record);
+
+      // Keep a local copy (under the restored session) for Load Previous and Compare
+      await this.saveAssessment({
+        ...record.aiData,
+        ventureName: record.ventureName,
+        reviews: record.reviews,
+        consensus: record.consensus
+      });
+
+      const skipped = validation.warnings.length > 0 ? ` (${validation.warnings.join('; ')})` : '';
+      this.toastManager.success(`Imported assessment for ${record.customVentureName || record.ventureName}${skipped}`);
+    } catch (error) {
+      console.error('[App] Bundle import failed:', error);
+      this.toastManager.error(`Import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * When some tabs have no results yet, ask before exporting a partial report
+   * @returns {Promise<boolean>} Whether to go ahead
+   */
+  async confirmPartialExport() {
+    if (this.tabManager.allReady()) return true;
+
+    const exportStatus = {};
+    ['company', ...DimensionRegistry.keys()].forEach(phase => {
+      const tabKey = phase === 'company' ? 'overview' : phase;
+      exportStatus[phase] = this.tabManager.getState(tabKey) === TabState.READY ? 'complete' : 'pending';
+    });
+
+    return this.modalManager.showPartialExportModal(exportStatus);
+  }
+
   async exportReport() {
     try {
       // Check if all phases complete
-      if (!this.tabManager.allReady()) {
-        const exportStatus = {};
-        ['company', 'team', 'funding', 'competitive', 'market', 'iprisk'].forEach(phase => {
-          const tabKey = phase === 'company' ? 'overview' : phase;
-          exportStatus[phase] = this.tabManager.getState(tabKey) === TabState.READY ? 'complete' : 'pending';
-        });
-        
-        const confirmed = await this.modalManager.showPartialExportModal(exportStatus);
-        if (!confirmed) return;
-      }
+      if (!(await this.confirmPartialExport())) return;
       
       if (!window.jspdf) {
         throw new Error('PDF library not loaded. Please refresh the page.');
       }
       
+      await ReportTemplates.load();
+      const templateKey = await this.modalManager.showExportTemplateModal(
+        ReportTemplates.list(),
+        ReportTemplates.getSelected().key
+      );
+      if (!templateKey) return;
+      ReportTemplates.setSelected(templateKey);
+
       const data = this.assessmentView.getExportData();
-      
+
       this.showExportProgress();
-      const filename = await ExportUtility.generateReport(data);
+      const filename = await ExportUtility.generateReport(data, ReportTemplates.get(templateKey));
       this.hideExportProgress();
       
       // Submit all scores to Smartsheet on export
@@ -869,6 +1625,30 @@ class App {
     }
   }
 
+  /**
+   * Export the report as an editable Word document (same sections as the full PDF)
+   */
+  async exportWord() {
+    try {
+      if (!(await this.confirmPartialExport())) return;
+
+      const data = this.assessmentView.getExportData();
+
+      this.showExportProgress('Generating Word document...');
+      const filename = await DocxExport.generateReport(data);
+      this.hideExportProgress();
+
+      // Same as the PDF export: scores go to Smartsheet on export
+      await this.submitAllScoresToSmartsheet();
+
+      this.toastManager.success(`Word document exported: ${filename}`);
+    } catch (error) {
+      console.error('Word export failed:', error);
+      this.hideExportProgress();
+      this.toastManager.error(`Export failed: ${error.message}`);
+    }
+  }
+
   showValidationError(input, message) {
     input.style.borderColor = 'var(--brand-error)';
     input.focus();
@@ -892,6 +1672,11 @@ class App {
   showSection(section) {
     const sections = {
       input: document.getElementById('input-section'),
+      batch: document.getElementById('batch-section'),
+      comparison: document.getElementById('comparison-section'),
+      history: document.getElementById('history-section'),
+      calibration: document.getElementById('calibration-section'),
+      consensus: document.getElementById('consensus-section'),
       progress: document.getElementById('progress-section'),
       results: document.getElementById('results-section')
     };
@@ -903,11 +1688,11 @@ class App {
     });
   }
 
-  showExportProgress() {
+  showExportProgress(message = 'Generating PDF report...') {
     const overlay = document.createElement('div');
     overlay.id = 'exportOverlay';
     overlay.className = 'modal-overlay visible';
-    overlay.innerHTML = '<div class="modal-content" style="text-align: center; padding: 40px;"><div class="spin" style="width: 40px; height: 40px; border: 3px solid var(--slate-200); border-top-color: var(--nr-teal-1); border-radius: 50%; margin: 0 auto 16px;"></div><p>Generating PDF report...</p></div>';
+    overlay.innerHTML = '<div class="modal-content" style="text-align: center; padding: 40px;"><div class="spin" style="width: 40px; height: 40px; border: 3px solid var(--slate-200); border-top-color: var(--nr-teal-1); border-radius: 50%; margin: 0 auto 16px;"></div><p>' + message + '</p></div>';
     document.body.appendChild(overlay);
   }
 
@@ -960,33 +1745,7 @@ class App {
     try {
       const context = window.SmartsheetIntegration.getContext();
       
-      const allData = {
-        team: {
-          aiScore: this.assessmentView.aiScores.team,
-          userScore: this.assessmentView.userScores.team.score,
-          justification: this.assessmentView.userScores.team.justification
-        },
-        funding: {
-          aiScore: this.assessmentView.aiScores.funding,
-          userScore: this.assessmentView.userScores.funding.score,
-          justification: this.assessmentView.userScores.funding.justification
-        },
-        competitive: {
-          aiScore: this.assessmentView.aiScores.competitive,
-          userScore: this.assessmentView.userScores.competitive.score,
-          justification: this.assessmentView.userScores.competitive.justification
-        },
-        market: {
-          aiScore: this.assessmentView.aiScores.market,
-          userScore: this.assessmentView.userScores.market.score,
-          justification: this.assessmentView.userScores.market.justification
-        },
-        iprisk: {
-          aiScore: this.assessmentView.aiScores.iprisk,
-          userScore: this.assessmentView.userScores.iprisk.score,
-          justification: this.assessmentView.userScores.iprisk.justification
-        }
-      };
+      const allData = this.assessmentView.getScoreData();
 
       const result = await window.SmartsheetIntegration.submitAllScores(allData, context);
       if (result?.success) {
@@ -1008,7 +1767,7 @@ class App {
 
   /**
    * Show final submit confirmation modal when all scores are entered
-   * Called by AssessmentView when all 5 dimension scores are submitted
+   * Called by AssessmentView when every dimension score is submitted
    * Redirects user to Summary tab to add final recommendation before submitting
    */
   async showFinalSubmitModal() {
@@ -1023,7 +1782,7 @@ class App {
         </h3>
       </div>
       <div class="modal-body">
-        <p>You've submitted scores for all 5 dimensions.</p>
+        <p>You've submitted scores for all ${DimensionRegistry.keys().length} dimensions.</p>
         <p>Go to the <strong>Summary</strong> tab to review your scores, add your final recommendation, and submit your complete assessment.</p>
       </div>
       <div class="modal-footer">
@@ -1046,8 +1805,7 @@ class App {
       await this.submitAllScoresToSmartsheet();
 
       // Enable export button if not already enabled
-      const exportBtn = document.getElementById('export-btn');
-      if (exportBtn) exportBtn.disabled = false;
+      this.setExportEnabled(true);
 
     } catch (error) {
       console.error('Error submitting final scores:', error);
@@ -1056,11 +1814,11 @@ class App {
   }
 
   /**
-   * Submit final assessment with recommendation text to Smartsheet
+   * Submit final assessment with the structured recommendation to Smartsheet
    * Called from SummaryView when user clicks "Submit Final Assessment"
-   * @param {string} recommendationText - The final recommendation text
+   * @param {Object} recommendation - See FinalRecommendation.create()
    */
-  async submitFinalAssessmentWithRecommendation(recommendationText) {
+  async submitFinalAssessmentWithRecommendation(recommendation) {
     if (!window.SmartsheetIntegration) {
       throw new Error('SmartsheetIntegration not loaded');
     }
@@ -1069,36 +1827,10 @@ class App {
     const context = window.SmartsheetIntegration.getContext();
 
     // Add the final recommendation
-    context.finalRecommendation = recommendationText;
+    context.finalRecommendation = recommendation;
 
     // Gather all score data
-    const allData = {
-      team: {
-        aiScore: this.assessmentView.aiScores.team,
-        userScore: this.assessmentView.userScores.team?.score,
-        justification: this.assessmentView.userScores.team?.justification
-      },
-      funding: {
-        aiScore: this.assessmentView.aiScores.funding,
-        userScore: this.assessmentView.userScores.funding?.score,
-        justification: this.assessmentView.userScores.funding?.justification
-      },
-      competitive: {
-        aiScore: this.assessmentView.aiScores.competitive,
-        userScore: this.assessmentView.userScores.competitive?.score,
-        justification: this.assessmentView.userScores.competitive?.justification
-      },
-      market: {
-        aiScore: this.assessmentView.aiScores.market,
-        userScore: this.assessmentView.userScores.market?.score,
-        justification: this.assessmentView.userScores.market?.justification
-      },
-      iprisk: {
-        aiScore: this.assessmentView.aiScores.iprisk,
-        userScore: this.assessmentView.userScores.iprisk?.score,
-        justification: this.assessmentView.userScores.iprisk?.justification
-      }
-    };
+    const allData = this.assessmentView.getScoreData();
 
     // Submit to Smartsheet
     const result = await window.SmartsheetIntegration.submitAllScores(allData, context);
@@ -1107,12 +1839,11 @@ class App {
       throw new Error(result?.error || 'Submission failed');
     }
 
-    // Save recommendation to state
-    this.stateManager.saveFinalRecommendation(recommendationText);
+    // Save recommendation to state and the saved assessment
+    this.stateManager.saveFinalRecommendation(recommendation);
+    await this.stateManager.saveSessionScores();
 
-    // Enable export button
-    const exportBtn = document.getElementById('export-btn');
-    if (exportBtn) exportBtn.disabled = false;
+    this.setExportEnabled(true);
 
     Debug.log('Final assessment with recommendation submitted');
     return result;
@@ -1146,18 +1877,29 @@ class App {
   async loadPreviousAssessment() {
     try {
       // Get list of cached assessments
-      const assessments = this.stateManager.listPastAssessments();
+      const assessments = await this.stateManager.listPastAssessments();
+      const usage = await this.stateManager.getStorageUsage();
       
       // Show modal for selection
-      const selected = await this.modalManager.showLoadPreviousModal(assessments);
+      const selected = await this.modalManager.showLoadPreviousModal(assessments, usage);
       
       if (!selected) {
         // User cancelled
         return;
       }
       
+      if (selected.view === 'history') {
+        await this.showAssessmentHistory(selected.key);
+        return;
+      }
+      
+      if (selected.view === 'review') {
+        await this.startReview(selected.key);
+        return;
+      }
+      
       // Load the selected assessment
-      const assessment = this.stateManager.loadAssessment(selected.key);
+      const assessment = await this.stateManager.loadAssessment(selected.key);
       
       if (!assessment) {
         this.toastManager.error('Could not load assessment data');
@@ -1187,6 +1929,7 @@ class App {
           if (scaInput && assessment.advisorName) {
             scaInput.value = assessment.advisorName;
           }
+          this.fillPortfolioInput(assessment.companyInput?.portfolio || assessment.portfolio);
           
           // Store the row ID so we update the same row
           if (assessment.smartsheetRowId) {
@@ -1218,10 +1961,12 @@ class App {
       this.pipeline.reset();
       this.tabManager.reset();
       
-      // Restore Smartsheet row ID if present
+      // Make it the current session so edits and Smartsheet updates apply to it
+      this.stateManager.restoreSession(assessment);
       if (assessment.smartsheetRowId) {
-        this.stateManager.saveSmartsheetRowId(assessment.smartsheetRowId);
         window.SmartsheetIntegration?.setCurrentRowId(assessment.smartsheetRowId);
+      } else {
+        window.SmartsheetIntegration?.clearCurrentRowId();
       }
       
       // Pre-fill URL input
@@ -1234,6 +1979,7 @@ class App {
       if (scaInput && assessment.advisorName) {
         scaInput.value = assessment.advisorName;
       }
+      this.fillPortfolioInput(this.stateManager.getPortfolio());
       
       // Show results section
       this.showSection('results');
@@ -1241,11 +1987,11 @@ class App {
       // Load company data if available
       if (assessment.aiData.company) {
         this.tabManager.enableTab('overview');
-        this.assessmentView.loadCompanyData(assessment.aiData.company);
+        this.loadPhaseData('company', assessment.aiData.company);
       }
       
       // Load each dimension
-      const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk'];
+      const dimensions = DimensionRegistry.keys();
       
       dimensions.forEach(dim => {
         if (assessment.aiData[dim]) {
@@ -1254,7 +2000,8 @@ class App {
         }
       });
       
-      // Restore user scores
+      // Restore user scores (cleared first so a reviewer never sees another advisor's scores)
+      this.assessmentView.resetUserScores();
       if (assessment.userScores) {
         Object.entries(assessment.userScores).forEach(([dim, scoreData]) => {
           if (scoreData) {
@@ -1288,27 +2035,21 @@ class App {
         });
       }
       
+      // Restore final recommendation
+      this.summaryView.setRecommendationForm(assessment.finalRecommendation);
+      
       // Check if summary tab should be enabled
       if (this.tabManager.allReady()) {
         this.tabManager.enableTab('summary');
         
         // Update summary view
-        this.summaryView.update({
-          company: assessment.aiData.company,
-          team: assessment.aiData.team,
-          funding: assessment.aiData.funding,
-          competitive: assessment.aiData.competitive,
-          market: assessment.aiData.market,
-          iprisk: assessment.aiData.iprisk
-        });
+        this.summaryView.update({ ...assessment.aiData });
       }
       
       // Activate first tab
       this.tabManager.activateTab('overview');
       
-      // Enable export button
-      const exportBtn = document.getElementById('export-btn');
-      if (exportBtn) exportBtn.disabled = false;
+      this.setExportEnabled(true);
       
       this.state = 'results';
       
@@ -1318,6 +2059,16 @@ class App {
     }
   }
 
+  /**
+   * Show an assessment's portfolio on the start form, so a re-analysis keeps it
+   */
+  fillPortfolioInput(portfolio) {
+    const portfolioInput = document.getElementById('portfolio');
+    if (portfolioInput) {
+      portfolioInput.value = portfolio || '';
+    }
+  }
+
   /**
    * Restore only scores (no AI data) - limited functionality
    * @param {Object} assessment - Cached assessment with user scores only
@@ -1336,6 +2087,7 @@ class App {
     if (scaInput && assessment.advisorName) {
       scaInput.value = assessment.advisorName;
     }
+    this.fillPortfolioInput(assessment.companyInput?.portfolio || assessment.portfolio);
     
     // Store the row ID for updates
     if (assessment.smartsheetRowId) {
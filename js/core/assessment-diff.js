@@ -0,0 +1,120 @@
+// js/core/assessment-diff.js - Field-level diff between two runs of an assessment
+// Compares scores, key facts and tracked item lists (competitors, funding rounds,
+// patents) declared by each registered dimension.
+
+const AssessmentDiff = {
+  /**
+   * Compare two assessment records (StateManager.loadVersion)
+   *
+   * @param {Object} older - Earlier run
+   * @param {Object} newer - Later run
+   * @returns {Object} { from, to, scores, facts, lists, hasChanges }
+   */
+  compare(older, newer) {
+    if (!older || !newer) {
+      throw new Error('Two assessment runs are needed for a diff');
+    }
+
+    const scores = [];
+    const facts = [];
+    const lists = [];
+
+    DimensionRegistry.list().forEach(dimension => {
+      const before = older.aiData?.[dimension.key] || null;
+      const after = newer.aiData?.[dimension.key] || null;
+
+      scores.push({
+        key: dimension.key,
+        name: dimension.name,
+        ai: this.scoreChange(
+          DimensionRegistry.getScore(dimension.key, before),
+          DimensionRegistry.getScore(dimension.key, after)
+        ),
+        user: this.scoreChange(
+          this.userScore(older, dimension.key),
+          this.userScore(newer, dimension.key)
+        )
+      });
+
+      const factsBefore = DimensionRegistry.getKeyFacts(dimension.key, before);
+      DimensionRegistry.getKeyFacts(dimension.key, after).forEach(fact => {
+        const from = factsBefore.find(f => f.key === fact.key)?.value ?? null;
+        facts.push({
+          key: fact.key,
+          label: fact.label,
+          format: fact.format,
+          from,
+          to: fact.value,
+          changed: from !== fact.value
+        });
+      });
+
+      const listsBefore = DimensionRegistry.getTrackedLists(dimension.key, before);
+      DimensionRegistry.getTrackedLists(dimension.key, after).forEach(list => {
+        const previous = listsBefore.find(l => l.key === list.key)?.items || [];
+        lists.push({
+          key: list.key,
+          label: list.label,
+          dimension: dimension.key,
+          ...this.listChange(previous, list.items),
+          // A phase missing from either run can't be compared item by item
+          comparable: !!before && !!after
+        });
+      });
+    });
+
+    const hasChanges =
+      scores.some(s => s.ai.changed || s.user.changed) ||
+      facts.some(f => f.changed) ||
+      lists.some(l => l.comparable && (l.added.length > 0 || l.removed.length > 0));
+
+    return {
+      from: { timestamp: older.timestamp, date: this.formatDate(older.timestamp) },
+      to: { timestamp: newer.timestamp, date: this.formatDate(newer.timestamp) },
+      scores,
+      facts,
+      lists,
+      hasChanges
+    };
+  },
+
+  userScore(record, key) {
+    const score = record.userScores?.[key]?.score;
+    return typeof score === 'number' ? score : null;
+  },
+
+  /**
+   * @returns {Object} { from, to, delta, changed } - delta is null unless both scores exist
+   */
+  scoreChange(from, to) {
+    return {
+      from,
+      to,
+      delta: from !== null && to !== null ? to - from : null,
+      changed: from !== to
+    };
+  },
+
+  /**
+   * Items added and removed between two lists, matched case- and whitespace-insensitively
+   * @returns {Object} { added, removed, unchanged }
+   */
+  listChange(before, after) {
+    const normalize = item => String(item).toLowerCase().replace(/\s+/g, ' ').trim();
+    const beforeSet = new Set(before.map(normalize));
+    const afterSet = new Set(after.map(normalize));
+
+    return {
+      added: after.filter(item => !beforeSet.has(normalize(item))),
+      removed: before.filter(item => !afterSet.has(normalize(item))),
+      unchanged: after.filter(item => beforeSet.has(normalize(item))).length
+    };
+  },
+
+  formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : 'Unknown';
+  }
+};
+
+// Make available globally
+window.AssessmentDiff = AssessmentDiff;
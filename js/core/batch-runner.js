@@ -0,0 +1,300 @@
+// js/core/batch-runner.js - Batch analysis queue
+// Runs a list of ventures through AnalysisPipeline with a concurrency limit.
+// Each venture gets its own pipeline; a failed venture never stops the queue.
+
+class BatchRunner {
+  constructor({ stateManager, concurrency = 2 } = {}) {
+    this.stateManager = stateManager;
+    this.concurrency = concurrency;
+    this.items = [];
+    this.pipelines = new Map();  // item id => running AnalysisPipeline
+    this.isRunning = false;
+    this.cancelled = false;
+    this.saveResult = null;      // async (data, context) => boolean saved, set by App
+    this.callbacks = {};
+  }
+
+  /**
+   * Register callback functions
+   */
+  on(event, callback) {
+    this.callbacks[event] = callback;
+  }
+
+  emit(event, data) {
+    if (this.callbacks[event]) {
+      this.callbacks[event](data);
+    }
+  }
+
+  // ========== INPUT PARSING ==========
+
+  /**
+   * Parse a pasted list or CSV into batch items.
+   * Accepts one URL per line, or CSV with url/advisor/portfolio columns
+   * (header row optional; without one the columns are taken in that order).
+   *
+   * @param {string} text - Pasted text or CSV file contents
+   * @param {Object} defaults - { advisor, portfolio } used when a row leaves them blank
+   * @returns {Object[]} Items: { id, url, advisor, portfolio, status, error }
+   */
+  static parseInput(text, defaults = {}) {
+    const rows = BatchRunner.parseCsv(text || '').filter(row => row.some(cell => cell));
+    if (rows.length === 0) return [];
+
+    // Detect a header row by its column names
+    let columns = { url: 0, advisor: 1, portfolio: 2 };
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const urlColumn = header.findIndex(h => ['url', 'website', 'company url', 'company website'].includes(h));
+    if (urlColumn !== -1) {
+      const find = names => header.findIndex(h => names.includes(h));
+      columns = {
+        url: urlColumn,
+        advisor: find(['advisor', 'advisor name', 'sca', 'sca name']),
+        portfolio: find(['portfolio', 'cohort', 'portfolio / cohort'])
+      };
+      rows.shift();
+    }
+
+    const seen = new Set();
+    return rows.map((row, index) => {
+      const rawUrl = row[columns.url] || '';
+      const advisor = (columns.advisor >= 0 && row[columns.advisor]) || defaults.advisor || '';
+      const portfolio = (columns.portfolio >= 0 && row[columns.portfolio]) || defaults.portfolio || '';
+      const validation = Validators.validateUrl(rawUrl);
+
+      const item = {
+        id: `batch_${index}`,
+        url: validation.valid ? validation.url : rawUrl,
+        advisor,
+        portfolio,
+        ventureName: null,
+        status: 'queued',
+        phases: {},
+        error: null,
+        assessmentKey: null
+      };
+
+      if (!validation.valid) {
+        item.status = 'failed';
+        item.error = validation.error;
+        return item;
+      }
+
+      // Same venture + advisor only needs one run
+      const dedupeKey = `${Formatters.displayUrl(item.url)}|${advisor.toLowerCase()}`;
+      if (seen.has(dedupeKey)) {
+        item.status = 'skipped';
+        item.error = 'Duplicate of an earlier row';
+      }
+      seen.add(dedupeKey);
+
+      return item;
+    });
+  }
+
+  /**
+   * Minimal CSV parser (quoted fields, escaped quotes, comma or tab separated)
+   * @returns {string[][]} Rows of trimmed cells
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',' || char === '\t') {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length > 0) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  // ========== QUEUE ==========
+
+  /**
+   * Run every queued item, at most `concurrency` at a time
+   * @param {Object[]} items - Items from parseInput
+   */
+  async start(items) {
+    if (this.isRunning) {
+      throw new Error('Batch already in progress');
+    }
+
+    this.items = items;
+    this.isRunning = true;
+    this.cancelled = false;
+
+    this.emit('start', { items: this.items });
+
+    const queue = this.items.filter(item => item.status === 'queued');
+    const workers = Array.from({ length: Math.min(this.concurrency, queue.length) }, async () => {
+      while (queue.length > 0 && !this.cancelled) {
+        await this.runItem(queue.shift());
+      }
+    });
+
+    try {
+      await Promise.all(workers);
+    } finally {
+      this.isRunning = false;
+      this.pipelines.clear();
+    }
+
+    // Anything never started was cancelled
+    queue.forEach(item => this.updateItem(item, { status: 'cancelled' }));
+
+    const summary = this.getSummary();
+    this.emit('complete', summary);
+    return summary;
+  }
+
+  /**
+   * Analyze one venture; errors are recorded on the item, never thrown
+   */
+  async runItem(item) {
+    const pipeline = new AnalysisPipeline();
+    this.pipelines.set(item.id, pipeline);
+
+    item.phases = {};
+    pipeline.phases.forEach(phase => { item.phases[phase.key] = 'pending'; });
+    this.updateItem(item, { status: 'running', error: null });
+
+    pipeline.on('phaseStart', ({ phase }) => this.updatePhase(item, phase, 'active'));
+    pipeline.on('phaseComplete', ({ phase, data }) => {
+      if (phase === 'company') {
+        const companyData = data?.full || data;
+        item.ventureName = companyData?.company_overview?.name || null;
+      }
+      this.updatePhase(item, phase, 'complete');
+    });
+    pipeline.on('phaseError', ({ phase }) => this.updatePhase(item, phase, 'error'));
+
+    try {
+      const results = await pipeline.start({ url: item.url });
+      if (this.cancelled) {
+        this.updateItem(item, { status: 'cancelled' });
+        return;
+      }
+
+      const failed = pipeline.phases.filter(p => p.status === 'error');
+      const problems = failed.length > 0 ? [`${failed.map(p => p.name).join(', ')} failed`] : [];
+
+      if (!(await this.saveItem(item, results))) {
+        problems.push('not saved locally');
+      }
+      this.updateItem(item, {
+        status: problems.length > 0 ? 'partial' : 'complete',
+        error: problems.length > 0 ? problems.join('; ') : null
+      });
+
+    } catch (error) {
+      this.updateItem(item, {
+        status: this.cancelled ? 'cancelled' : 'failed',
+        error: error.message
+      });
+    } finally {
+      pipeline.dispose();
+      this.pipelines.delete(item.id);
+    }
+  }
+
+  /**
+   * Hand the results to the save handler with this venture's own context,
+   * so the single-venture session state is left alone
+   * @returns {Promise<boolean>} False if the handler could not save it
+   */
+  async saveItem(item, results) {
+    if (!this.saveResult) return true;
+
+    const companyFull = results.company?.full || results.company;
+    const ventureName = companyFull?.company_overview?.name || Formatters.displayUrl(item.url);
+    const data = { company: companyFull, ventureName };
+    DimensionRegistry.keys().forEach(key => {
+      data[key] = results[key];
+    });
+
+    item.assessmentKey = this.stateManager.generateAssessmentKey(item.url, item.advisor);
+    item.ventureName = ventureName;
+
+    try {
+      const saved = await this.saveResult(data, {
+        assessmentKey: item.assessmentKey,
+        companyInput: { url: item.url, scaName: item.advisor, fileName: null, portfolio: item.portfolio },
+        scaName: item.advisor,
+        smartsheetRowId: null,
+        userScores: {},
+        rubricVersion: RubricRegistry.currentVersion
+      });
+      if (saved) return true;
+      Debug.error(`[BatchRunner] Could not save ${item.url}`);
+    } catch (error) {
+      Debug.error(`[BatchRunner] Could not save ${item.url}:`, error.message);
+    }
+
+    // Nothing to open from the dashboard
+    item.assessmentKey = null;
+    return false;
+  }
+
+  cancel() {
+    if (!this.isRunning) return;
+    this.cancelled = true;
+    this.pipelines.forEach(pipeline => pipeline.cancel());
+    this.emit('cancelled', this.getSummary());
+  }
+
+  updateItem(item, changes) {
+    Object.assign(item, changes);
+    this.emit('itemUpdate', item);
+  }
+
+  updatePhase(item, phase, status) {
+    item.phases[phase] = status;
+    this.emit('itemUpdate', item);
+  }
+
+  /**
+   * Counts by status
+   * @returns {Object} { total, queued, running, complete, partial, failed, skipped, cancelled }
+   */
+  getSummary() {
+    const summary = { total: this.items.length, queued: 0, running: 0, complete: 0, partial: 0, failed: 0, skipped: 0, cancelled: 0 };
+    this.items.forEach(item => {
+      summary[item.status] = (summary[item.status] || 0) + 1;
+    });
+    return summary;
+  }
+}
+
+// Make available globally
+window.BatchRunner = BatchRunner;
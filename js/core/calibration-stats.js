@@ -0,0 +1,216 @@
+// js/core/calibration-stats.js - AI vs advisor score calibration from Smartsheet history
+// Each row with both an AI and an advisor score for a dimension is one score pair.
+// Deviation is advisor minus AI: positive means the workflow under-scored,
+// negative means it over-scored.
+
+const CalibrationStats = {
+  agreementTolerance: 1,  // |advisor - AI| within this counts as agreement
+  biasThreshold: 0.5,     // Mean deviation beyond this flags a workflow as biased
+  minPairs: 5,            // Fewer pairs than this are too few to judge
+  distributionRange: 4,   // Histogram bins run -4..+4; larger deviations go in the end bins
+
+  /**
+   * Build calibration statistics from Smartsheet score rows
+   * (SmartsheetIntegration.fetchScoreHistory)
+   *
+   * @param {Object[]} rows - { timestamp, advisorName, <key>ScoreAi, <key>ScoreUser, ... }
+   * @returns {Object} { overall, dimensions, advisors, trend, totals, generatedAt }
+   */
+  build(rows) {
+    const dimensions = DimensionRegistry.list().filter(d => d.smartsheet);
+    const pairs = this.extractPairs(rows || [], dimensions);
+
+    const dimensionStats = dimensions.map(dimension => {
+      const dimensionPairs = pairs.filter(p => p.dimension === dimension.key);
+      const summary = this.summarize(dimensionPairs);
+      return {
+        key: dimension.key,
+        name: dimension.name,
+        ...summary,
+        distribution: this.distribution(dimensionPairs),
+        verdict: this.verdict(summary)
+      };
+    });
+
+    const rowsWithPairs = new Set(pairs.map(p => p.row));
+    const timestamps = pairs.map(p => p.time).filter(time => time !== null);
+
+    return {
+      overall: this.summarize(pairs),
+      dimensions: dimensionStats,
+      advisors: this.byAdvisor(pairs, dimensions),
+      trend: this.byMonth(pairs, dimensions),
+      totals: {
+        rows: (rows || []).length,
+        rowsWithPairs: rowsWithPairs.size,
+        pairs: pairs.length,
+        advisors: new Set(pairs.map(p => p.advisor)).size,
+        from: timestamps.length > 0 ? Math.min(...timestamps) : null,
+        to: timestamps.length > 0 ? Math.max(...timestamps) : null
+      },
+      generatedAt: Date.now()
+    };
+  },
+
+  /**
+   * One entry per row and dimension that has both scores
+   */
+  extractPairs(rows, dimensions) {
+    const pairs = [];
+
+    rows.forEach((row, index) => {
+      const time = row.timestamp ? Date.parse(row.timestamp) : NaN;
+
+      dimensions.forEach(dimension => {
+        const ai = this.toScore(row[dimension.smartsheet.aiKey]);
+        const user = this.toScore(row[dimension.smartsheet.userKey]);
+        if (ai === null || user === null) return;
+
+        pairs.push({
+          row: row.rowId ?? index,
+          dimension: dimension.key,
+          advisor: String(row.advisorName || '').trim() || 'Unknown',
+          time: isNaN(time) ? null : time,
+          ai,
+          user,
+          deviation: user - ai
+        });
+      });
+    });
+
+    return pairs;
+  },
+
+  /**
+   * Smartsheet cells may hold numbers or numeric text
+   * @returns {number|null} Score 1-9, or null
+   */
+  toScore(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const score = Number(value);
+    return Number.isFinite(score) && score >= 1 && score <= 9 ? score : null;
+  },
+
+  /**
+   * Deviation statistics for a set of pairs
+   * @returns {Object} { pairs, meanDeviation, meanAbsDeviation, agreementRate, exactRate, overRate, underRate }
+   */
+  summarize(pairs) {
+    const count = pairs.length;
+    if (count === 0) {
+      return {
+        pairs: 0,
+        meanDeviation: null,
+        meanAbsDeviation: null,
+        agreementRate: null,
+        exactRate: null,
+        overRate: null,
+        underRate: null
+      };
+    }
+
+    const share = predicate => this.round(pairs.filter(predicate).length / count);
+
+    return {
+      pairs: count,
+      meanDeviation: this.round(pairs.reduce((sum, p) => sum + p.deviation, 0) / count),
+      meanAbsDeviation: this.round(pairs.reduce((sum, p) => sum + Math.abs(p.deviation), 0) / count),
+      agreementRate: share(p => Math.abs(p.deviation) <= this.agreementTolerance),
+      exactRate: share(p => p.deviation === 0),
+      overRate: share(p => p.deviation < 0),   // AI scored higher than the advisor
+      underRate: share(p => p.deviation > 0)   // AI scored lower than the advisor
+    };
+  },
+
+  /**
+   * Pair counts per deviation bin, from -distributionRange to +distributionRange
+   * @returns {Object[]} [{ deviation, count }]
+   */
+  distribution(pairs) {
+    const range = this.distributionRange;
+    const bins = [];
+    for (let deviation = -range; deviation <= range; deviation++) {
+      bins.push({ deviation, count: 0 });
+    }
+
+    pairs.forEach(p => {
+      const clamped = Math.max(-range, Math.min(range, Math.round(p.deviation)));
+      bins[clamped + range].count++;
+    });
+
+    return bins;
+  },
+
+  /**
+   * 'over' (AI scores too high), 'under' (too low), 'aligned' or 'insufficient'
+   */
+  verdict(summary) {
+    if (summary.pairs < this.minPairs) return 'insufficient';
+    if (summary.meanDeviation <= -this.biasThreshold) return 'over';
+    if (summary.meanDeviation >= this.biasThreshold) return 'under';
+    return 'aligned';
+  },
+
+  /**
+   * Per-advisor bias: how far each advisor's scores sit from the AI's, overall and per dimension
+   */
+  byAdvisor(pairs, dimensions) {
+    const groups = new Map();
+    pairs.forEach(p => {
+      if (!groups.has(p.advisor)) groups.set(p.advisor, []);
+      groups.get(p.advisor).push(p);
+    });
+
+    return Array.from(groups.entries())
+      .map(([name, advisorPairs]) => {
+        const byDimension = {};
+        dimensions.forEach(dimension => {
+          byDimension[dimension.key] = this.summarize(advisorPairs.filter(p => p.dimension === dimension.key));
+        });
+
+        return {
+          name,
+          assessments: new Set(advisorPairs.map(p => p.row)).size,
+          ...this.summarize(advisorPairs),
+          byDimension
+        };
+      })
+      .sort((a, b) => b.pairs - a.pairs || a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Monthly trend of deviations, oldest first. Pairs without a timestamp are left out.
+   */
+  byMonth(pairs, dimensions) {
+    const groups = new Map();
+    pairs.filter(p => p.time !== null).forEach(p => {
+      const date = new Date(p.time);
+      const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      if (!groups.has(month)) groups.set(month, []);
+      groups.get(month).push(p);
+    });
+
+    return Array.from(groups.keys()).sort().map(month => {
+      const monthPairs = groups.get(month);
+      const byDimension = {};
+      dimensions.forEach(dimension => {
+        byDimension[dimension.key] = this.summarize(monthPairs.filter(p => p.dimension === dimension.key));
+      });
+
+      const [year, monthNumber] = month.split('-').map(Number);
+      return {
+        month,
+        label: new Date(year, monthNumber - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' }),
+        overall: this.summarize(monthPairs),
+        byDimension
+      };
+    });
+  },
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+};
+
+// Make available globally
+window.CalibrationStats = CalibrationStats;
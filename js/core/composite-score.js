@@ -0,0 +1,196 @@
+// js/core/composite-score.js - Weighted composite score and decision bands
+// Weighting profiles are registered per portfolio (see js/config/scoring-profiles.js).
+// A profile weights the dimension scores into one 1-9 composite, maps it to a
+// decision band (Advance / Hold / Decline) and applies knock-out rules that flag
+// the venture whatever its composite.
+
+const CompositeScore = {
+  profiles: new Map(),
+  defaultKey: null,
+
+  /**
+   * Register a weighting profile
+   *
+   * @param {Object} profile
+   * @param {string} profile.key - Id stored with the result and sent to Smartsheet
+   * @param {string} profile.name - Display name
+   * @param {string[]} profile.portfolios - Portfolio values (from the start form) that use this profile
+   * @param {boolean} profile.isDefault - Used when no profile lists the portfolio
+   * @param {Object} profile.weights - { dimensionKey: relative weight }; unlisted dimensions weigh 1
+   * @param {Object[]} profile.knockouts - [{ dimension, maxScore, label, cap }]; a score at or below
+   *   maxScore flags the venture, and caps the decision at the `cap` band when given
+   * @param {Object[]} profile.bands - [{ label, min }], best first; a composite >= min gets that band
+   * @returns {Object} The registered profile
+   */
+  register(profile) {
+    if (!profile?.key || !profile.name) {
+      throw new Error('Scoring profile needs a key and a name');
+    }
+    if (!Array.isArray(profile.bands) || profile.bands.length === 0) {
+      throw new Error(`Scoring profile ${profile.key} needs decision bands`);
+    }
+
+    const normalized = {
+      portfolios: [],
+      weights: {},
+      knockouts: [],
+      ...profile,
+      bands: [...profile.bands].sort((a, b) => b.min - a.min)
+    };
+
+    normalized.knockouts.forEach(rule => {
+      if (rule.cap && !normalized.bands.some(band => band.label === rule.cap)) {
+        throw new Error(`Knock-out cap "${rule.cap}" is not a band of ${profile.key}`);
+      }
+    });
+
+    this.profiles.set(profile.key, normalized);
+    if (profile.isDefault || !this.defaultKey) {
+      this.defaultKey = profile.key;
+    }
+    return normalized;
+  },
+
+  get(key) {
+    return this.profiles.get(key) || null;
+  },
+
+  list() {
+    return Array.from(this.profiles.values());
+  },
+
+  /**
+   * Profile for a portfolio, falling back to the default profile
+   * @param {string} portfolio - Portfolio / cohort from the start form
+   */
+  forPortfolio(portfolio) {
+    const value = String(portfolio || '').trim().toLowerCase();
+    const match = value
+      ? this.list().find(p => p.portfolios.some(name => name.toLowerCase() === value))
+      : null;
+    return match || this.get(this.defaultKey);
+  },
+
+  /**
+   * Weights per registered dimension, normalized to sum to 1
+   */
+  getWeights(profile) {
+    const raw = {};
+    DimensionRegistry.keys().forEach(key => {
+      const weight = profile.weights[key];
+      raw[key] = typeof weight === 'number' && weight >= 0 ? weight : 1;
+    });
+
+    const total = Object.values(raw).reduce((sum, w) => sum + w, 0);
+    const weights = {};
+    Object.entries(raw).forEach(([key, w]) => {
+      weights[key] = total > 0 ? w / total : 0;
+    });
+    return weights;
+  },
+
+  // ========== SCORING ==========
+
+  /**
+   * Composite score, band and knock-outs for one set of dimension scores
+   *
+   * @param {Object} scores - { dimensionKey: 1-9 score or null }
+   * @param {Object} profile - Registered profile
+   * @returns {Object} { score, decision, bandDecision, knockouts, flagged, scored, total }
+   */
+  calculate(scores, profile) {
+    const weights = this.getWeights(profile);
+    const keys = DimensionRegistry.keys();
+    const scored = keys.filter(key => typeof scores?.[key] === 'number' && weights[key] > 0);
+
+    // Missing dimensions drop out and the remaining weights are rescaled
+    const weightTotal = scored.reduce((sum, key) => sum + weights[key], 0);
+    const score = weightTotal > 0
+      ? Math.round((scored.reduce((sum, key) => sum + scores[key] * weights[key], 0) / weightTotal) * 10) / 10
+      : null;
+
+    const knockouts = profile.knockouts
+      .filter(rule => typeof scores?.[rule.dimension] === 'number' && scores[rule.dimension] <= rule.maxScore)
+      .map(rule => ({
+        dimension: rule.dimension,
+        score: scores[rule.dimension],
+        label: rule.label || `${DimensionRegistry.get(rule.dimension)?.name || rule.dimension} score of ${rule.maxScore} or lower`,
+        cap: rule.cap || null
+      }));
+
+    const bandDecision = score !== null ? this.getBand(score, profile).label : null;
+    let decision = bandDecision;
+    knockouts.forEach(knockout => {
+      if (knockout.cap && decision && this.bandRank(decision, profile) < this.bandRank(knockout.cap, profile)) {
+        decision = knockout.cap;
+      }
+    });
+
+    return {
+      score,
+      decision,
+      bandDecision,
+      knockouts,
+      flagged: knockouts.length > 0,
+      scored: scored.length,
+      total: keys.filter(key => weights[key] > 0).length
+    };
+  },
+
+  /**
+   * Score AI and advisor scores with the profile for a portfolio
+   *
+   * @param {Object} aiScores - { dimensionKey: score or null }
+   * @param {Object} userScores - { dimensionKey: submitted advisor score or null }
+   * @param {string} portfolio - Portfolio / cohort
+   * @returns {Object} { profile: { key, name }, weights, ai, user }
+   */
+  evaluate(aiScores, userScores, portfolio) {
+    const profile = this.forPortfolio(portfolio);
+    if (!profile) {
+      throw new Error('No scoring profile registered');
+    }
+
+    return {
+      profile: { key: profile.key, name: profile.name },
+      weights: this.getWeights(profile),
+      ai: this.calculate(aiScores, profile),
+      user: this.calculate(userScores, profile)
+    };
+  },
+
+  getBand(score, profile) {
+    return profile.bands.find(band => score >= band.min) || profile.bands[profile.bands.length - 1];
+  },
+
+  /**
+   * 0 for the best band; higher is worse
+   */
+  bandRank(label, profile) {
+    return profile.bands.findIndex(band => band.label === label);
+  },
+
+  // ========== FORMATTING ==========
+
+  /**
+   * "Team 30%, IP Risk 30%, ..." for the summary tab and PDF
+   */
+  describeWeights(weights) {
+    return Object.entries(weights)
+      .filter(([, weight]) => weight > 0)
+      .map(([key, weight]) => `${DimensionRegistry.get(key)?.name || key} ${Math.round(weight * 100)}%`)
+      .join(', ');
+  },
+
+  /**
+   * One line per score set, e.g. "6.4/9 - Advance (flagged: IP risk score of 2 or lower)"
+   */
+  describe(result) {
+    if (!result || result.score === null) return '-';
+    const flags = result.knockouts.map(k => k.label).join('; ');
+    return `${result.score.toFixed(1)}/9 - ${result.decision}${flags ? ` (flagged: ${flags})` : ''}`;
+  }
+};
+
+// Make available globally
+window.CompositeScore = CompositeScore;
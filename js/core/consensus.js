@@ -0,0 +1,237 @@
+// js/core/consensus.js - Multi-reviewer consensus for one AI run
+// Several advisors can score the same venture: the lead advisor who ran the analysis,
+// plus reviewers whose scores are stored on the same cached assessment (record.reviews).
+// Per dimension this builds the score spread, flags outliers and carries the
+// moderator's final score (record.consensus).
+
+const Consensus = {
+  outlierThreshold: 2,    // Points from the median that make a score an outlier
+  discussionSpread: 3,    // Max - min at which a dimension needs discussion
+  minForOutliers: 3,      // With two reviewers neither one is the outlier
+
+  /**
+   * Stable id for a reviewer name (same normalization as the advisor part of an assessment key)
+   */
+  reviewerId(name) {
+    return (name || 'unknown').trim().toLowerCase().replace(/[^a-z0-9]/g, '-');
+  },
+
+  /**
+   * Everyone who scored a cached assessment: the lead advisor first, then added reviews
+   * @param {Object} record - Cached assessment (StateManager cache shape)
+   * @returns {Object[]} [{ id, name, isLead, userScores, finalRecommendation, smartsheetRowId, timestamp }]
+   */
+  getReviewers(record) {
+    const lead = {
+      id: this.reviewerId(record.advisorName),
+      name: record.advisorName || 'Unknown',
+      isLead: true,
+      userScores: record.userScores || {},
+      finalRecommendation: record.finalRecommendation || null,
+      smartsheetRowId: record.smartsheetRowId || null,
+      timestamp: record.timestamp || null
+    };
+
+    const reviews = Object.entries(record.reviews || {})
+      .filter(([id]) => id !== lead.id)
+      .map(([id, review]) => ({
+        id,
+        name: review.reviewerName || id,
+        isLead: false,
+        userScores: review.userScores || {},
+        finalRecommendation: review.finalRecommendation || null,
+        smartsheetRowId: review.smartsheetRowId || null,
+        timestamp: review.timestamp || null
+      }))
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    return [lead, ...reviews];
+  },
+
+  /**
+   * Combine two reviews maps (e.g. a local record and an imported bundle); the newer entry wins
+   */
+  mergeReviews(current, incoming) {
+    const merged = { ...(current || {}) };
+    Object.entries(incoming || {}).forEach(([id, review]) => {
+      if (!merged[id] || (review?.timestamp || 0) >= (merged[id].timestamp || 0)) {
+        merged[id] = review;
+      }
+    });
+    return merged;
+  },
+
+  // ========== CONSENSUS MODEL ==========
+
+  /**
+   * Per-dimension spread, outliers and final scores for one cached assessment
+   *
+   * @param {Object} record - Cached assessment with userScores, reviews and consensus
+   * @returns {Object} { key, ventureName, portfolio, reviewers, dimensions, moderator, moderatedAt, composite, complete }
+   */
+  build(record) {
+    if (!record) {
+      throw new Error('No assessment to build a consensus for');
+    }
+
+    const reviewers = this.getReviewers(record);
+    const consensus = this.normalize(record.consensus);
+
+    const dimensions = DimensionRegistry.list().map(dimension => {
+      const scores = reviewers
+        .map(reviewer => {
+          const scoreData = reviewer.userScores[dimension.key];
+          return {
+            reviewerId: reviewer.id,
+            name: reviewer.name,
+            isLead: reviewer.isLead,
+            score: typeof scoreData?.score === 'number' ? scoreData.score : null,
+            justification: scoreData?.justification || ''
+          };
+        })
+        .filter(entry => entry.score !== null);
+
+      const stats = this.summarize(scores.map(entry => entry.score));
+      scores.forEach(entry => {
+        entry.outlier = this.isOutlier(entry.score, stats);
+      });
+
+      return {
+        key: dimension.key,
+        name: dimension.name,
+        aiScore: DimensionRegistry.getScore(dimension.key, record.aiData?.[dimension.key]),
+        scores,
+        ...stats,
+        outliers: scores.filter(entry => entry.outlier).map(entry => entry.name),
+        needsDiscussion: stats.spread !== null && stats.spread >= this.discussionSpread,
+        suggested: stats.median !== null ? Math.round(stats.median) : null,
+        final: consensus.scores[dimension.key] || { score: null, note: '' }
+      };
+    });
+
+    const finalScores = this.getFinalScores(consensus);
+    const profile = CompositeScore.forPortfolio(record.portfolio);
+
+    return {
+      key: record.key,
+      ventureName: record.customVentureName || record.ventureName || 'Unknown',
+      portfolio: record.portfolio || '',
+      reviewers: reviewers.map(r => ({
+        id: r.id,
+        name: r.name,
+        isLead: r.isLead,
+        scored: Object.values(r.userScores).filter(s => typeof s?.score === 'number').length
+      })),
+      dimensions,
+      moderator: consensus.moderator,
+      moderatedAt: consensus.timestamp,
+      rubricVersion: RubricRegistry.resolve(record.rubricVersion).version,
+      composite: profile ? CompositeScore.calculate(finalScores, profile) : null,
+      complete: dimensions.every(d => d.count === 0 || d.final.score !== null)
+    };
+  },
+
+  /**
+   * Count, min, max, spread, mean and median of one dimension's scores
+   */
+  summarize(values) {
+    if (values.length === 0) {
+      return { count: 0, min: null, max: null, spread: null, mean: null, median: null };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+
+    return {
+      count: values.length,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      spread: sorted[sorted.length - 1] - sorted[0],
+      mean: Math.round(mean * 10) / 10,
+      median
+    };
+  },
+
+  isOutlier(score, stats) {
+    return stats.count >= this.minForOutliers &&
+      Math.abs(score - stats.median) >= this.outlierThreshold;
+  },
+
+  // ========== MODERATOR SCORES ==========
+
+  create() {
+    return {
+      moderator: '',
+      scores: {},          // { dimensionKey: { score: 1-9, note } }
+      timestamp: null,
+      smartsheetRowId: null
+    };
+  },
+
+  /**
+   * Clean up a stored consensus; unknown dimensions and out-of-range scores are dropped
+   */
+  normalize(value) {
+    const consensus = this.create();
+    if (!value || typeof value !== 'object') return consensus;
+
+    consensus.moderator = typeof value.moderator === 'string' ? value.moderator.trim() : '';
+    consensus.timestamp = value.timestamp || null;
+    consensus.smartsheetRowId = value.smartsheetRowId || null;
+
+    Object.entries(value.scores || {}).forEach(([key, entry]) => {
+      if (!DimensionRegistry.has(key)) return;
+      const score = entry?.score;
+      consensus.scores[key] = {
+        score: Number.isInteger(score) && score >= 1 && score <= 9 ? score : null,
+        note: typeof entry?.note === 'string' ? entry.note.trim() : ''
+      };
+    });
+
+    return consensus;
+  },
+
+  /**
+   * Check the moderator's scores are complete enough to save
+   * @param {Object} value - Consensus in the create() shape
+   * @param {Object} model - Result of build(), to know which dimensions were scored
+   * @returns {Object} { valid, errors }
+   */
+  validate(value, model) {
+    const consensus = this.normalize(value);
+    const errors = [];
+
+    if (!consensus.moderator) {
+      errors.push('Enter the moderator name');
+    }
+
+    (model?.dimensions || []).forEach(dimension => {
+      const final = consensus.scores[dimension.key];
+      if (dimension.count > 0 && !final?.score) {
+        errors.push(`Set a final ${dimension.name} score`);
+      }
+      if (dimension.needsDiscussion && final?.score && !final.note) {
+        errors.push(`Add a note explaining the final ${dimension.name} score (reviewers are ${dimension.spread} points apart)`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * { dimensionKey: final score or null } for CompositeScore and Smartsheet
+   */
+  getFinalScores(value) {
+    const consensus = this.normalize(value);
+    const scores = {};
+    DimensionRegistry.keys().forEach(key => {
+      scores[key] = consensus.scores[key]?.score ?? null;
+    });
+    return scores;
+  }
+};
+
+// Make available globally
+window.Consensus = Consensus;
@@ -0,0 +1,266 @@
+// js/core/dimension-registry.js - Assessment dimension registry
+// Single registration point for scored dimensions. The pipeline, tabs, scoring,
+// summary, Smartsheet sync and PDF export all read their dimension list from here.
+
+const DimensionRegistry = {
+  dimensions: new Map(),
+
+  // Keys that are already used by non-dimension tabs/phases
+  reservedKeys: ['company', 'overview', 'summary'],
+
+  defaults: {
+    duration: 120,           // Estimated seconds, used for progress
+    timeout: 600000,         // 10 minutes
+    dependsOn: ['company'],
+    inputs: { description: 'company.short' }
+  },
+
+  /**
+   * Register an assessment dimension
+   *
+   * @param {Object} definition - Dimension definition
+   * @param {string} definition.key - Lowercase id used for tabs, DOM ids and storage
+   * @param {string} definition.name - Short display name (summary cards, Smartsheet toasts)
+   * @param {string} definition.workflow - StackProxy workflow key (unless `analyze` is given)
+   * @param {string} definition.workflowId - Fallback Stack AI flow id if the proxy config lacks it
+   * @param {Function} definition.buildPayload - (inputs) => Stack AI payload
+   * @param {Function} definition.parse - (response) => result object
+   * @param {Function} definition.analyze - (inputs, abortSignal, callOptions) => result; replaces
+   *   workflow/payload/parse, callOptions go to StackProxy.call
+   * @param {Function} definition.withContext - (inputs, context, dependencies) => inputs; folds advisor
+   *   edits saved with the assessment (context, e.g. { competitorMatrix }) into the inputs of a run,
+   *   dependencies are the outputs of the phases in dependsOn
+   * @param {Function} definition.validate - (result) => { valid, error }
+   * @param {Function} definition.getScore - (result) => 1-9 score or null
+   * @param {Object} definition.rubric - Score (1-9) => { label, description }
+   * @param {Function} definition.render - (result, view) => { summary, detailed, sources } HTML
+   * @param {Function} definition.load - (view, result) => void; replaces the generic tab loader
+   * @param {Object} definition.smartsheet - { aiKey, userKey, justificationKey } column fields
+   * @param {Function} definition.pdfSection - (doc, exportData, dimension) => void
+   * @param {Function} definition.pdfDetails - (doc, exportData, dimension) => void; optional appendix page
+   * @param {Function} definition.docxSection - (doc, exportData, dimension) => void; Word report section (DocxLayout doc)
+   * @param {Function} definition.docxDetails - (doc, exportData, dimension) => void; optional Word appendix section
+   * @param {Function} definition.keyFacts - (result) => [{ label, value, format }]; headline numbers for
+   *   the comparison view, format is 'currency', 'percentage' or 'number'
+   * @param {Function} definition.trackedLists - (result) => [{ key, label, items: string[] }]; lists the
+   *   version diff reports additions/removals for (competitors, funding rounds, patents)
+   * @returns {Object} The normalized definition
+   */
+  register(definition) {
+    const key = definition?.key;
+
+    if (!key || !/^[a-z][a-z0-9]*$/.test(key)) {
+      throw new Error(`Invalid dimension key: ${key}`);
+    }
+    if (this.reservedKeys.includes(key)) {
+      throw new Error(`Dimension key is reserved: ${key}`);
+    }
+    if (this.dimensions.has(key)) {
+      throw new Error(`Dimension already registered: ${key}`);
+    }
+    if (!definition.name) {
+      throw new Error(`Dimension ${key} needs a name`);
+    }
+    if (typeof definition.analyze !== 'function' &&
+        (!definition.workflow || typeof definition.parse !== 'function')) {
+      throw new Error(`Dimension ${key} needs either analyze() or a workflow with parse()`);
+    }
+
+    const dimension = {
+      ...this.defaults,
+      label: definition.name,
+      phaseName: `${definition.name} Analysis`,
+      title: `${definition.name} Assessment`,
+      reportName: definition.name,
+      order: (this.dimensions.size + 1) * 10,
+      smartsheet: {
+        aiKey: `${key}ScoreAi`,
+        userKey: `${key}ScoreUser`,
+        justificationKey: `${key}Justification`
+      },
+      getScore: data => data?.score ?? null,
+      ...definition
+    };
+
+    this.dimensions.set(key, dimension);
+    Debug.log(`[DimensionRegistry] Registered ${key}`);
+    return dimension;
+  },
+
+  get(key) {
+    return this.dimensions.get(key) || null;
+  },
+
+  has(key) {
+    return this.dimensions.has(key);
+  },
+
+  /**
+   * All registered dimensions in display order
+   * @returns {Object[]} Dimension definitions
+   */
+  list() {
+    return Array.from(this.dimensions.values()).sort((a, b) => a.order - b.order);
+  },
+
+  /**
+   * Registered dimension keys in display order
+   * @returns {string[]} Dimension keys
+   */
+  keys() {
+    return this.list().map(d => d.key);
+  },
+
+  /**
+   * Get the AI score for a dimension result
+   * @returns {number|null} Numeric score or null
+   */
+  getScore(key, data) {
+    const dimension = this.get(key);
+    if (!dimension || !data) return null;
+
+    const score = dimension.getScore(data);
+    const numScore = typeof score === 'number' ? score : parseInt(score, 10);
+    return isNaN(numScore) ? null : numScore;
+  },
+
+  /**
+   * Headline facts for a dimension result (used by the comparison view)
+   * @returns {Object[]} [{ key, label, value, format }]; value is null when missing
+   */
+  getKeyFacts(key, data) {
+    const dimension = this.get(key);
+    if (!dimension || typeof dimension.keyFacts !== 'function') return [];
+
+    try {
+      return (dimension.keyFacts(data) || []).map((fact, index) => ({
+        key: fact.key || `${key}_${index}`,
+        label: fact.label,
+        value: fact.value ?? null,
+        format: fact.format || 'number'
+      }));
+    } catch (error) {
+      Debug.warn(`[DimensionRegistry] keyFacts failed for ${key}:`, error.message);
+      return [];
+    }
+  },
+
+  /**
+   * Item lists compared between runs (used by the version diff)
+   * @returns {Object[]} [{ key, label, items }]
+   */
+  getTrackedLists(key, data) {
+    const dimension = this.get(key);
+    if (!dimension || typeof dimension.trackedLists !== 'function') return [];
+
+    try {
+      return (dimension.trackedLists(data) || []).map((list, index) => ({
+        key: list.key || `${key}_${index}`,
+        label: list.label,
+        items: Array.isArray(list.items) ? list.items.map(String) : []
+      }));
+    } catch (error) {
+      Debug.warn(`[DimensionRegistry] trackedLists failed for ${key}:`, error.message);
+      return [];
+    }
+  },
+
+  /**
+   * Inputs for a run with the advisor's edits folded in (see withContext)
+   * @returns {Object} Inputs; unchanged when the dimension has no withContext or it fails
+   */
+  applyContext(key, inputs, context = {}, dependencies = {}) {
+    const dimension = this.get(key);
+    if (!dimension || typeof dimension.withContext !== 'function') return inputs;
+
+    try {
+      return dimension.withContext(inputs, context, dependencies) || inputs;
+    } catch (error) {
+      Debug.warn(`[DimensionRegistry] withContext failed for ${key}:`, error.message);
+      return inputs;
+    }
+  },
+
+  /**
+   * Look up a fallback workflow id declared by a dimension
+   * @param {string} workflow - StackProxy workflow key
+   * @returns {string|null} Stack AI flow id
+   */
+  getWorkflowId(workflow) {
+    const dimension = this.list().find(d => d.workflow === workflow && d.workflowId);
+    return dimension ? dimension.workflowId : null;
+  },
+
+  /**
+   * Run a dimension's analysis
+   *
+   * @param {string} key - Dimension key
+   * @param {Object} inputs - Resolved pipeline inputs (e.g. { description })
+   * @param {AbortSignal} abortSignal - Optional abort signal
+   * @param {Object} callOptions - Passed to StackProxy.call (e.g. { callId })
+   */
+  async analyze(key, inputs, abortSignal = null, callOptions = {}) {
+    const dimension = this.get(key);
+    if (!dimension) {
+      throw new Error(`Unknown dimension: ${key}`);
+    }
+
+    if (typeof dimension.analyze === 'function') {
+      return dimension.analyze(inputs, abortSignal, callOptions);
+    }
+
+    const payload = typeof dimension.buildPayload === 'function'
+      ? dimension.buildPayload(inputs)
+      : {
+          'user_id': `${key}_${Date.now()}`,
+          'in-0': String(inputs.description || '').trim()
+        };
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), dimension.timeout);
+
+    if (abortSignal) {
+      abortSignal.addEventListener('abort', () => controller.abort());
+    }
+
+    try {
+      const data = await window.StackProxy.call(dimension.workflow, payload, controller.signal, callOptions);
+
+      clearTimeout(timeoutId);
+      return dimension.parse(data);
+
+    } catch (error) {
+      clearTimeout(timeoutId);
+
+      if (error.name === 'AbortError') {
+        throw new Error(`${dimension.name} analysis timeout or cancelled`);
+      }
+
+      throw error;
+    }
+  },
+
+  /**
+   * Validate a dimension result with its registered validator
+   * @returns {Object} { valid, error }
+   */
+  validate(key, data) {
+    const dimension = this.get(key);
+    if (!dimension) {
+      return { valid: false, error: `Unknown dimension: ${key}` };
+    }
+
+    if (!data || typeof data !== 'object') {
+      return { valid: false, error: `${dimension.name} data must be an object` };
+    }
+
+    if (typeof dimension.validate !== 'function') {
+      return { valid: true };
+    }
+
+    return dimension.validate(data);
+  }
+};
+
+// Make available globally
+window.DimensionRegistry = DimensionRegistry;
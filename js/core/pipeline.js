@@ -1,81 +1,63 @@
-// js/core/pipeline.js - Sequential analysis pipeline manager
+// js/core/pipeline.js - Dependency-driven analysis pipeline manager
 // V02.1: Updated to support file uploads and short company description
+// Phases declare their dependencies and inputs; the pipeline schedules from that graph
 
 class AnalysisPipeline {
   constructor() {
+    // Each phase declares what it needs. `dependsOn` drives scheduling,
+    // `inputs` maps runner arguments to dependency outputs ('phase.path').
     this.phases = [
       { 
         name: 'Company Analysis',
         key: 'company',
         duration: 150,  // ~2.5 minutes
+        dependsOn: [],
+        inputs: {},
+        outputs: {
+          // Short text for downstream workflows: the advisor's corrected brief if set,
+          // else the workflow's (falls back to serialized full output)
+          short: data => this.companyDescription || CompanyAPI.getShortDescription(data)
+        },
+        required: true, // Nothing else can run without it
+        readyEvent: 'overviewReady',
+        run: 'runCompanyAnalysis',
         status: 'pending',
         startTime: null,
         endTime: null,
         data: null,
         error: null
       },
-      { 
-        name: 'Team Analysis',
-        key: 'team',
-        duration: 70,   // ~1 minute
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      },
-      { 
-        name: 'Funding Analysis',
-        key: 'funding',
-        duration: 60,   // ~1 minute
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      },
-      { 
-        name: 'Competitive Analysis',
-        key: 'competitive',
-        duration: 160,  // ~2.7 minutes
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      },
-      { 
-        name: 'Market Analysis',
-        key: 'market',
-        duration: 250,  // ~4 minutes
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      },
-      { 
-        name: 'IP Risk Analysis',
-        key: 'iprisk',
-        duration: 60,   // ~1 minute
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      }
+      // Scored dimensions come from DimensionRegistry
+      ...DimensionRegistry.list().map(dimension => this.createDimensionPhase(dimension))
     ];
+
+    this.validateGraph();
     
     this.startTime = null;
     this.abortController = null;
     this.companyUrl = null;
     this.companyFile = null;
     this.companyDescription = null;  // Short description for other APIs
+    this.contextProvider = null;  // () => advisor edits passed to dimension runs (see setContextProvider)
     this.callbacks = {};
     this.isRunning = false;
     this.activePhases = new Set();
     
     this.events = new EventTarget();
+
+    // Prefix for the call ids phase runs pass to StackProxy (several pipelines can run at once)
+    this.id = `pipeline_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+
+    // Surface StackProxy's automatic retries as phase events
+    this.retryListener = (event) => this.handleRetry(event.detail);
+    window.StackProxy?.addEventListener('retry', this.retryListener);
+  }
+
+  /**
+   * Detach from StackProxy when a pipeline is thrown away (batch mode)
+   */
+  dispose() {
+    window.StackProxy?.removeEventListener('retry', this.retryListener);
   }
 
   /**
@@ -141,15 +123,7 @@ class AnalysisPipeline {
     this.abortController = new AbortController();
     this.isRunning = true;
     this.activePhases.clear();
-    
-    this.phases.forEach(phase => {
-      phase.status = 'pending';
-      phase.startTime = null;
-      phase.endTime = null;
-      phase.data = null;
-      phase.error = null;
-      delete phase.promise;
-    });
+    this.resetPhases();
 
     this.emit('start', { 
       url: this.companyUrl, 
@@ -157,61 +131,156 @@ class AnalysisPipeline {
       fileName: hasFile ? file.name : null 
     });
 
-    try {
-      // Company analysis must complete first
-      await this.executePhase('company');
+    // Schedule every phase from the dependency graph
+    return this.runToCompletion();
+  }
 
-      // Emit event for UI to show overview
-      this.emit('overviewReady', {
-        phase: 'company',
-        data: this.phases.find(p => p.key === 'company')?.data
-      });
+  /**
+   * Resume an interrupted analysis from checkpointed phase outputs.
+   * Checkpointed phases are restored as completed and only the missing ones run.
+   * 
+   * @param {Object} completedPhases - Phase outputs keyed by phase key (StateManager checkpoints)
+   * @param {Object} options - Original inputs
+   * @param {string} options.url - Company website URL (optional)
+   * @param {string} options.companyDescription - Advisor-corrected description (optional)
+   */
+  async resume(completedPhases = {}, { url, companyDescription = null } = {}) {
+    if (this.isRunning) {
+      throw new Error('Analysis already in progress');
+    }
 
-      // Run remaining analyses in parallel using Promise.allSettled for better error resilience
-      // Each phase handles its own errors independently - one failure doesn't affect others
-      const parallelPhases = [
-        { key: 'team', promise: this.executePhase('team') },
-        { key: 'funding', promise: this.executePhase('funding') },
-        { key: 'competitive', promise: this.executePhase('competitive') },
-        { key: 'iprisk', promise: this.executePhase('iprisk') }
-      ];
-
-      // Wait for initial parallel phases
-      const parallelResults = await Promise.allSettled(parallelPhases.map(p => p.promise));
-
-      // Log results for debugging
-      parallelResults.forEach((result, index) => {
-        const phaseKey = parallelPhases[index].key;
-        if (result.status === 'rejected') {
-          Debug.log(`Phase ${phaseKey} failed:`, result.reason?.message || 'Unknown error');
-        }
-      });
+    // Every other phase reads the company output, so it has to be checkpointed
+    if (!completedPhases.company) {
+      throw new Error('Company analysis checkpoint is required to resume');
+    }
 
-      // Market depends on competitive - check if competitive succeeded
-      const competitiveIndex = parallelPhases.findIndex(p => p.key === 'competitive');
-      const competitiveResult = parallelResults[competitiveIndex];
+    const validation = url ? Validators.validateUrl(url) : { valid: false };
+    this.companyUrl = validation.valid ? validation.url : null;
+    this.companyFile = null;
+    this.startTime = Date.now();
+    this.abortController = new AbortController();
+    this.isRunning = true;
+    this.activePhases.clear();
+    this.resetPhases();
 
-      if (competitiveResult.status === 'fulfilled') {
-        // Competitive succeeded, run market
-        if (!this.abortController?.signal.aborted) {
-          try {
-            await this.executePhase('market');
-          } catch (marketError) {
-            Debug.log('Market phase failed:', marketError?.message || 'Unknown error');
-          }
-        }
-      } else {
-        // Competitive failed, skip market
-        const marketPhase = this.phases.find(p => p.key === 'market');
-        marketPhase.status = 'error';
-        marketPhase.error = new Error('Skipped: Competitive analysis failed');
-        this.emit('phaseError', {
-          phase: 'market',
-          name: 'Market Analysis',
-          error: 'Skipped: Competitive analysis required first',
-          canRetry: false
-        });
+    this.phases.forEach(phase => {
+      if (completedPhases[phase.key]) {
+        phase.status = 'completed';
+        phase.data = completedPhases[phase.key];
       }
+    });
+
+    this.companyDescription = companyDescription ||
+      CompanyAPI.getShortDescription(this.getPhase('company').data);
+
+    const missing = this.phaseOrder.filter(key => this.getPhase(key).status === 'pending');
+    Debug.log('[Pipeline] Resuming, missing phases:', missing.join(', ') || 'none');
+
+    this.emit('start', {
+      url: this.companyUrl,
+      hasFile: false,
+      fileName: null,
+      resumed: true,
+      phases: missing
+    });
+
+    return this.runToCompletion(missing);
+  }
+
+  /**
+   * Run phases again with the current company description (e.g. after the advisor
+   * corrected the company brief). Phases reading a re-run phase's output are re-run too.
+   * The pipeline is restored from the given outputs, so this works for a loaded assessment.
+   *
+   * @param {string[]} keys - Dimension keys to re-run
+   * @param {Object} completedPhases - Current outputs keyed by phase key ({ full, short } for company)
+   * @param {Object} options
+   * @param {string} options.companyDescription - Description to run with (default: the company output's)
+   * @returns {Promise<Object>} Results, as from start()
+   */
+  async rerun(keys, completedPhases = {}, { companyDescription = null } = {}) {
+    if (this.isRunning) {
+      throw new Error('Analysis already in progress');
+    }
+    if (!completedPhases.company) {
+      throw new Error('Company analysis is required to re-run phases');
+    }
+
+    const rerun = this.getRerunPhases(keys);
+    const scope = new Set(rerun);
+
+    this.startTime = Date.now();
+    this.abortController = new AbortController();
+    this.isRunning = true;
+    this.activePhases.clear();
+    this.resetPhases();
+
+    this.phases.forEach(phase => {
+      if (completedPhases[phase.key] && !scope.has(phase.key)) {
+        phase.status = 'completed';
+        phase.data = completedPhases[phase.key];
+      }
+    });
+
+    this.companyDescription = companyDescription ||
+      CompanyAPI.getShortDescription(this.getPhase('company').data);
+
+    Debug.log('[Pipeline] Re-running phases:', rerun.join(', '));
+
+    this.emit('start', {
+      url: this.companyUrl,
+      hasFile: false,
+      fileName: null,
+      rerun: true,
+      phases: rerun
+    });
+
+    return this.runToCompletion(rerun);
+  }
+
+  /**
+   * Phases a re-run of the given phases runs: those and every phase reading their output
+   * @param {string[]} keys - Dimension keys
+   * @returns {string[]} Keys in run order
+   */
+  getRerunPhases(keys) {
+    const scope = new Set();
+    keys.forEach(key => {
+      if (key === 'company' || !this.getPhase(key)) {
+        throw new Error(`Cannot re-run phase: ${key}`);
+      }
+      scope.add(key);
+      this.getDescendants(key).forEach(descendant => scope.add(descendant));
+    });
+    return this.phaseOrder.filter(key => scope.has(key));
+  }
+
+  /**
+   * Phases with an input read from a phase's output
+   * @param {string} key - Phase key
+   * @returns {string[]} Keys in run order
+   */
+  getPhasesReading(key) {
+    return this.phaseOrder.filter(k => Object.values(this.getPhase(k).inputs || {})
+      .some(ref => ref.split('.')[0] === key));
+  }
+
+  /**
+   * Replace the description downstream phases read (the advisor's corrected brief);
+   * null goes back to the company output's
+   */
+  setCompanyDescription(description) {
+    const company = this.getPhase('company')?.data;
+    this.companyDescription = description || (company ? CompanyAPI.getShortDescription(company) : null);
+  }
+
+  /**
+   * Run phases from the graph, then report complete or partial results
+   * @param {string[]} keys - Limit scheduling to these phases (default: all)
+   */
+  async runToCompletion(keys = null) {
+    try {
+      await this.runGraph(keys);
 
       const allSucceeded = this.phases.every(p => p.status === 'completed');
       
@@ -241,11 +310,250 @@ class AnalysisPipeline {
     }
   }
 
+  resetPhases() {
+    this.phases.forEach(phase => {
+      phase.status = 'pending';
+      phase.startTime = null;
+      phase.endTime = null;
+      phase.data = null;
+      phase.error = null;
+      phase.skipped = false;
+      phase.retry = null;
+      phase.callOptions = null;
+      delete phase.promise;
+    });
+  }
+
+  /**
+   * Map a StackProxy retry to the phase run that made the call and re-emit it as phaseRetry.
+   * Retries of other pipelines' calls carry their own call ids and are ignored.
+   */
+  handleRetry({ callId, attempt, maxAttempts, delay, error }) {
+    const phase = callId ? this.phases.find(p => p.callOptions?.callId === callId) : null;
+    if (!phase || phase.status !== 'active') return;
+
+    phase.retry = { attempt, maxAttempts };
+
+    this.emit('phaseRetry', {
+      phase: phase.key,
+      name: phase.name,
+      attempt,
+      maxAttempts,
+      delay,
+      error
+    });
+  }
+
+  /**
+   * Build a pipeline phase from a registered dimension
+   * @param {Object} dimension - DimensionRegistry definition
+   * @returns {Object} Phase entry
+   */
+  createDimensionPhase(dimension) {
+    return {
+      name: dimension.phaseName,
+      key: dimension.key,
+      duration: dimension.duration,
+      dependsOn: [...dimension.dependsOn],
+      inputs: { ...dimension.inputs },
+      run: 'runDimensionAnalysis',
+      status: 'pending',
+      startTime: null,
+      endTime: null,
+      data: null,
+      error: null
+    };
+  }
+
+  // ========== DEPENDENCY GRAPH ==========
+
+  /**
+   * Check the phase graph for unknown dependencies, missing runners and cycles.
+   * Stores a topological order used for scheduling and progress.
+   */
+  validateGraph() {
+    const keys = new Set(this.phases.map(p => p.key));
+
+    this.phases.forEach(phase => {
+      if (typeof this[phase.run] !== 'function') {
+        throw new Error(`Phase ${phase.key} has no runner: ${phase.run}`);
+      }
+      (phase.dependsOn || []).forEach(dep => {
+        if (!keys.has(dep)) {
+          throw new Error(`Phase ${phase.key} depends on unknown phase: ${dep}`);
+        }
+      });
+      Object.values(phase.inputs || {}).forEach(ref => {
+        const sourceKey = ref.split('.')[0];
+        if (!(phase.dependsOn || []).includes(sourceKey)) {
+          throw new Error(`Phase ${phase.key} reads ${ref} without depending on ${sourceKey}`);
+        }
+      });
+    });
+
+    // Kahn's algorithm - phases keep their declared order where possible
+    const order = [];
+    const remaining = new Map(this.phases.map(p => [p.key, (p.dependsOn || []).length]));
+    while (order.length < this.phases.length) {
+      const next = this.phases.find(p => remaining.get(p.key) === 0 && !order.includes(p.key));
+      if (!next) {
+        const stuck = this.phases.filter(p => !order.includes(p.key)).map(p => p.key);
+        throw new Error(`Phase dependency cycle: ${stuck.join(', ')}`);
+      }
+      order.push(next.key);
+      this.phases.forEach(p => {
+        if ((p.dependsOn || []).includes(next.key)) {
+          remaining.set(p.key, remaining.get(p.key) - 1);
+        }
+      });
+    }
+
+    this.phaseOrder = order;
+  }
+
+  getPhase(key) {
+    return this.phases.find(p => p.key === key) || null;
+  }
+
+  /**
+   * Get every phase that depends on a phase, directly or transitively
+   * @param {string} key - Phase key
+   * @returns {string[]} Descendant keys in topological order
+   */
+  getDescendants(key) {
+    const found = new Set([key]);
+    this.phaseOrder.forEach(k => {
+      const phase = this.getPhase(k);
+      if ((phase.dependsOn || []).some(dep => found.has(dep))) {
+        found.add(k);
+      }
+    });
+    found.delete(key);
+    return this.phaseOrder.filter(k => found.has(k));
+  }
+
+  /**
+   * Run pending phases as soon as their dependencies complete.
+   * Phases whose dependencies failed are skipped rather than run.
+   * @param {string[]} keys - Limit scheduling to these phases (default: all)
+   */
+  async runGraph(keys = null) {
+    const scope = new Set(keys || this.phaseOrder);
+    const running = new Map();
+
+    const schedule = () => {
+      for (const key of this.phaseOrder) {
+        if (this.abortController?.signal.aborted) return;
+
+        const phase = this.getPhase(key);
+        if (!scope.has(key) || phase.status !== 'pending' || running.has(key)) continue;
+
+        const deps = (phase.dependsOn || []).map(dep => this.getPhase(dep));
+        const failedDep = deps.find(dep => dep.status === 'error');
+        if (failedDep) {
+          this.skipPhase(phase, failedDep);
+          continue;
+        }
+        if (!deps.every(dep => dep.status === 'completed')) continue;
+
+        const promise = this.executePhase(key)
+          .then(data => {
+            if (phase.readyEvent) {
+              this.emit(phase.readyEvent, { phase: key, data });
+            }
+          })
+          .catch(error => {
+            Debug.log(`Phase ${key} failed:`, error?.message || 'Unknown error');
+            if (phase.required) throw error;
+          })
+          .finally(() => running.delete(key));
+
+        running.set(key, promise);
+      }
+    };
+
+    schedule();
+    while (running.size > 0) {
+      await Promise.race(running.values());
+      schedule();
+    }
+  }
+
+  /**
+   * Mark a phase as skipped because one of its dependencies failed
+   */
+  skipPhase(phase, failedDep) {
+    phase.status = 'error';
+    phase.skipped = true;
+    phase.error = new Error(`Skipped: ${failedDep.name} failed`);
+
+    this.emit('phaseError', {
+      phase: phase.key,
+      name: phase.name,
+      error: `Skipped: ${failedDep.name} required first`,
+      canRetry: false
+    });
+  }
+
+  /**
+   * Build runner arguments from the outputs of completed dependencies
+   * @param {Object} phase - Phase definition
+   * @returns {Object} Resolved inputs keyed by input name
+   */
+  resolveInputs(phase) {
+    const inputs = {};
+
+    Object.entries(phase.inputs || {}).forEach(([name, ref]) => {
+      const [sourceKey, ...path] = ref.split('.');
+      const source = this.getPhase(sourceKey);
+      if (!source?.data) {
+        throw new Error(`${source?.name || sourceKey} not available`);
+      }
+      inputs[name] = this.selectOutput(source, path.join('.'));
+    });
+
+    return inputs;
+  }
+
+  /**
+   * Read a named output from a phase, preferring its declared output accessors.
+   * Falls back to the whole output when the field is missing.
+   */
+  selectOutput(source, path) {
+    if (!path) return source.data;
+
+    if (source.outputs?.[path]) {
+      return source.outputs[path](source.data);
+    }
+
+    const value = Validators.getNestedValue(source.data, path);
+    return value !== undefined && value !== null && value !== '' ? value : source.data;
+  }
+
+  /**
+   * Length of the longest dependency chain, in seconds
+   * @param {Function} durationOf - Returns the duration to count for a phase
+   */
+  getCriticalPathDuration(durationOf = phase => phase.duration) {
+    const finish = {};
+    this.phaseOrder.forEach(key => {
+      const phase = this.getPhase(key);
+      const start = Math.max(0, ...(phase.dependsOn || []).map(dep => finish[dep]));
+      finish[key] = start + durationOf(phase);
+    });
+    return Math.max(0, ...Object.values(finish));
+  }
+
+  // ========== PHASE EXECUTION ==========
+
   /**
    * Run a single phase
+   * @param {string} key - Phase key
+   * @param {Object} options
+   * @param {boolean} options.refresh - Skip cached Stack AI responses (retries)
    */
-  executePhase(key) {
-    const phase = this.phases.find(p => p.key === key);
+  executePhase(key, { refresh = false } = {}) {
+    const phase = this.getPhase(key);
     if (!phase) {
       return Promise.reject(new Error(`Unknown phase: ${key}`));
     }
@@ -258,6 +566,14 @@ class AnalysisPipeline {
     phase.startTime = Date.now();
     phase.endTime = null;
     phase.error = null;
+    phase.skipped = false;
+    phase.retry = null;
+    // Passed to StackProxy.call by the runners (see handleRetry and discardCached)
+    phase.callOptions = {
+      callId: `${this.id}:${key}:${phase.startTime}`,
+      refresh,
+      cacheKeys: []
+    };
     this.activePhases.add(key);
 
     this.emit('phaseStart', {
@@ -268,30 +584,8 @@ class AnalysisPipeline {
 
     const runPhase = async () => {
       try {
-        let result;
-
-        switch (phase.key) {
-          case 'company':
-            result = await this.runCompanyAnalysis();
-            break;
-          case 'team':
-            result = await this.runTeamAnalysis();
-            break;
-          case 'competitive':
-            result = await this.runCompetitiveAnalysis();
-            break;
-          case 'funding':
-            result = await this.runFundingAnalysis();
-            break;
-          case 'market':
-            result = await this.runMarketAnalysis();
-            break;
-          case 'iprisk':
-            result = await this.runIpRiskAnalysis();
-            break;
-          default:
-            throw new Error(`Unknown phase: ${phase.key}`);
-        }
+        const inputs = this.resolveInputs(phase);
+        const result = await this[phase.run](inputs, phase);
 
         phase.data = result;
         phase.status = 'completed';
@@ -312,6 +606,11 @@ class AnalysisPipeline {
         phase.error = error;
         phase.endTime = Date.now();
 
+        // Don't let a Retry replay a response that failed parsing or validation
+        if (!this.abortController?.signal.aborted) {
+          await StackProxy.discardCached(phase.callOptions.cacheKeys);
+        }
+
         this.emit('phaseError', {
           phase: phase.key,
           name: phase.name,
@@ -322,6 +621,7 @@ class AnalysisPipeline {
         throw error;
       } finally {
         this.activePhases.delete(key);
+        phase.retry = null;
         delete phase.promise;
       }
     };
@@ -344,8 +644,11 @@ class AnalysisPipeline {
     return results;
   }
 
+  /**
+   * Retry a failed phase, then re-run any descendants it caused to be skipped
+   */
   async retryPhase(key) {
-    const phase = this.phases.find(p => p.key === key);
+    const phase = this.getPhase(key);
     if (!phase) {
       throw new Error(`Unknown phase: ${key}`);
     }
@@ -353,6 +656,13 @@ class AnalysisPipeline {
     if (phase.status !== 'error') {
       throw new Error(`Phase ${key} is not in error state`);
     }
+
+    const blockedBy = (phase.dependsOn || [])
+      .map(dep => this.getPhase(dep))
+      .filter(dep => dep.status !== 'completed');
+    if (blockedBy.length > 0) {
+      throw new Error(`${phase.name} needs ${blockedBy.map(dep => dep.name).join(', ')} first`);
+    }
     
     if (!this.abortController) {
       this.abortController = new AbortController();
@@ -360,18 +670,33 @@ class AnalysisPipeline {
     
     phase.status = 'pending';
     phase.error = null;
+    phase.skipped = false;
     delete phase.promise;
     
-    return this.executePhase(key);
+    const result = await this.executePhase(key, { refresh: true });
+
+    const skipped = this.getDescendants(key).filter(k => this.getPhase(k).skipped);
+    if (skipped.length > 0) {
+      skipped.forEach(k => {
+        const descendant = this.getPhase(k);
+        descendant.status = 'pending';
+        descendant.error = null;
+        descendant.skipped = false;
+      });
+      await this.runGraph(skipped);
+    }
+
+    return result;
   }
 
   /**
    * Run company analysis - handles URL, file, or both
    */
-  async runCompanyAnalysis() {
+  async runCompanyAnalysis(inputs, phase) {
     const response = await CompanyAPI.analyze(
       { url: this.companyUrl, file: this.companyFile },
-      this.abortController.signal
+      this.abortController.signal,
+      phase.callOptions
     );
     
     // Response now contains { full, short }
@@ -390,107 +715,35 @@ class AnalysisPipeline {
   }
 
   /**
-   * Run team analysis - now uses company description
+   * Supply the advisor's edits saved with the assessment (e.g. { competitorMatrix }) so a
+   * re-run phase takes them into account (see the withContext dimension hook)
+   * @param {Function|null} provider - () => context object
    */
-  async runTeamAnalysis() {
-    if (!this.companyDescription) {
-      throw new Error('Company description not available');
-    }
-
-    const response = await TeamAPI.analyze(
-      this.companyDescription,
-      this.abortController.signal
-    );
-
-    const validation = Validators.validateTeam(response);
-    if (!validation.valid) {
-      throw new Error(`Invalid team data: ${validation.error}`);
-    }
-
-    return response;
+  setContextProvider(provider) {
+    this.contextProvider = provider;
   }
 
   /**
-   * Run funding analysis - uses short company description
+   * Run a registered dimension - inputs come from the phase's declared dependencies
    */
-  async runFundingAnalysis() {
-    if (!this.companyDescription) {
+  async runDimensionAnalysis(inputs, phase) {
+    if (Object.prototype.hasOwnProperty.call(inputs, 'description') && !inputs.description) {
       throw new Error('Company description not available');
     }
 
-    const response = await FundingAPI.analyze(
-      this.companyDescription,
-      this.abortController.signal
+    const dependencies = Object.fromEntries((phase.dependsOn || [])
+      .map(key => [key, this.getPhase(key)?.data || null]));
+    const response = await DimensionRegistry.analyze(
+      phase.key,
+      DimensionRegistry.applyContext(phase.key, inputs, this.contextProvider?.() || {}, dependencies),
+      this.abortController.signal,
+      phase.callOptions
     );
 
-    const validation = Validators.validateFunding(response);
-    if (!validation.valid) {
-      throw new Error(`Invalid funding data: ${validation.error}`);
-    }
-
-    return response;
-  }
-
-  /**
-   * Run competitive analysis - uses short company description
-   */
-  async runCompetitiveAnalysis() {
-    if (!this.companyDescription) {
-      throw new Error('Company description not available');
-    }
-
-    const response = await CompetitiveAPI.analyze(
-      this.companyDescription,
-      this.abortController.signal
-    );
-    
-    const validation = Validators.validateCompetitive(response);
+    const validation = Validators.validateDimension(phase.key, response);
     if (!validation.valid) {
-      throw new Error(`Invalid competitive data: ${validation.error}`);
+      throw new Error(`Invalid ${phase.key} data: ${validation.error}`);
     }
-    
-    return response;
-  }
-
-  /**
-   * Run market analysis - uses company description + competitive output
-   */
-  async runMarketAnalysis() {
-    if (!this.companyDescription) {
-      throw new Error('Company description not available');
-    }
-
-    const competitiveData = this.phases.find(p => p.key === 'competitive')?.data;
-    if (!competitiveData) {
-      throw new Error('Competitive analysis not available');
-    }
-
-    const response = await MarketAPI.analyze(
-      this.companyDescription,
-      competitiveData.analysisText || competitiveData,
-      this.abortController.signal
-    );
-    
-    const validation = Validators.validateMarket(response);
-    if (!validation.valid) {
-      throw new Error(`Invalid market data: ${validation.error}`);
-    }
-    
-    return response;
-  }
-
-  /**
-   * Run IP risk analysis - uses short company description
-   */
-  async runIpRiskAnalysis() {
-    if (!this.companyDescription) {
-      throw new Error('Company description not available');
-    }
-
-    const response = await IPRiskAPI.analyze(
-      this.companyDescription,
-      this.abortController.signal
-    );
 
     return response;
   }
@@ -512,53 +765,21 @@ class AnalysisPipeline {
    * Get current progress
    */
   getProgress() {
-    const companyDuration = this.phases.find(p => p.key === 'company')?.duration || 150;
-    const parallelPhases = ['team', 'funding', 'competitive', 'iprisk'];
-    const maxParallelDuration = Math.max(
-      ...parallelPhases.map(k => this.phases.find(p => p.key === k)?.duration || 60)
-    );
-    const marketDuration = this.phases.find(p => p.key === 'market')?.duration || 250;
-    
-    const effectiveTotalDuration = companyDuration + maxParallelDuration + marketDuration;
+    // Phases run as soon as their dependencies finish, so the run takes as
+    // long as the longest dependency chain rather than the sum of all phases
+    const effectiveTotalDuration = this.getCriticalPathDuration();
     
     const now = Date.now();
     const elapsed = this.startTime ? (now - this.startTime) / 1000 : 0;
 
-    const companyPhase = this.phases.find(p => p.key === 'company');
-    const marketPhase = this.phases.find(p => p.key === 'market');
-    const competitivePhase = this.phases.find(p => p.key === 'competitive');
-    
-    let progressContribution = 0;
-    
-    if (companyPhase.status === 'completed') {
-      progressContribution += companyDuration;
-    } else if (companyPhase.status === 'active' && companyPhase.startTime) {
-      const phaseElapsed = (now - companyPhase.startTime) / 1000;
-      progressContribution += Math.min(phaseElapsed, companyDuration);
-    }
-    
-    if (companyPhase.status === 'completed') {
-      const parallelCompleted = parallelPhases.every(k => {
-        const p = this.phases.find(ph => ph.key === k);
-        return p.status === 'completed' || p.status === 'error';
-      });
-      
-      if (parallelCompleted) {
-        progressContribution += maxParallelDuration;
-      } else if (competitivePhase.status === 'active' && competitivePhase.startTime) {
-        const phaseElapsed = (now - competitivePhase.startTime) / 1000;
-        progressContribution += Math.min(phaseElapsed, maxParallelDuration);
+    const remainingPath = this.getCriticalPathDuration(phase => {
+      if (phase.status === 'completed' || phase.status === 'error') return 0;
+      if (phase.status === 'active' && phase.startTime) {
+        return Math.max(0, phase.duration - (now - phase.startTime) / 1000);
       }
-    }
-    
-    if (marketPhase.status === 'completed') {
-      progressContribution += marketDuration;
-    } else if (marketPhase.status === 'active' && marketPhase.startTime) {
-      const phaseElapsed = (now - marketPhase.startTime) / 1000;
-      progressContribution += Math.min(phaseElapsed, marketDuration);
-    } else if (marketPhase.status === 'error') {
-      progressContribution += marketDuration;
-    }
+      return phase.duration;
+    });
+    const progressContribution = effectiveTotalDuration - remainingPath;
 
     const allCompleted = this.phases.every(phase => 
       phase.status === 'completed' || phase.status === 'error'
@@ -567,16 +788,18 @@ class AnalysisPipeline {
       ? 100
       : Math.min(95, (progressContribution / effectiveTotalDuration) * 100);
 
-    const remaining = Math.max(0, effectiveTotalDuration - elapsed);
     const activeNames = Array.from(this.activePhases)
-      .map(key => this.phases.find(phase => phase.key === key)?.name)
-      .filter(Boolean);
+      .map(key => this.getPhase(key))
+      .filter(Boolean)
+      .map(phase => phase.retry
+        ? `${phase.name} (retrying ${phase.retry.attempt}/${phase.retry.maxAttempts})`
+        : phase.name);
 
     return {
       percentage,
       elapsed,
       estimated: effectiveTotalDuration,
-      remaining,
+      remaining: remainingPath,
       currentPhase: activeNames.length > 0 ? activeNames.join(', ') : null,
       completedCount: this.getCompletedCount(),
       totalCount: this.phases.length
@@ -587,19 +810,19 @@ class AnalysisPipeline {
    * Get results
    */
   getResults() {
-    const companyData = this.phases.find(p => p.key === 'company')?.data;
-    
-    return {
+    const companyData = this.getPhase('company')?.data;
+    const results = {
       // Return full company output for display
-      company: companyData?.full || companyData || null,
-      team: this.phases.find(p => p.key === 'team')?.data || null,
-      funding: this.phases.find(p => p.key === 'funding')?.data || null,
-      competitive: this.phases.find(p => p.key === 'competitive')?.data || null,
-      market: this.phases.find(p => p.key === 'market')?.data || null,
-      iprisk: this.phases.find(p => p.key === 'iprisk')?.data || null,
-      companyDescription: this.companyDescription,
-      duration: (Date.now() - this.startTime) / 1000
+      company: companyData?.full || companyData || null
     };
+
+    DimensionRegistry.keys().forEach(key => {
+      results[key] = this.getPhase(key)?.data || null;
+    });
+
+    results.companyDescription = this.companyDescription;
+    results.duration = (Date.now() - this.startTime) / 1000;
+    return results;
   }
 
   isComplete() {
@@ -623,15 +846,7 @@ class AnalysisPipeline {
     this.companyDescription = null;
     this.isRunning = false;
     this.activePhases.clear();
-    
-    this.phases.forEach(phase => {
-      phase.status = 'pending';
-      phase.startTime = null;
-      phase.endTime = null;
-      phase.data = null;
-      phase.error = null;
-      delete phase.promise;
-    });
+    this.resetPhases();
   }
 }
 
@@ -0,0 +1,151 @@
+// js/core/rubric-registry.js - Versioned scoring rubrics
+// One place for the 1-9 rubric of every dimension (see js/config/rubrics.js). The scoring
+// sliders, the API modules' rubric descriptions, the market TAM/CAGR bands, the PDF and
+// Word reports and the Smartsheet payload all read from here. Each assessment is stamped
+// with the version it was scored under; assessments saved before rubrics were versioned
+// resolve to the version registered with isLegacy.
+
+const RubricRegistry = {
+  versions: new Map(),
+  currentVersion: null,
+  legacyVersion: null,
+
+  /**
+   * Register a rubric version
+   *
+   * @param {Object} rubric
+   * @param {string} rubric.version - Id stamped on assessments and sent to Smartsheet
+   * @param {string} rubric.effective - Date the version took effect (YYYY-MM-DD)
+   * @param {string} rubric.notes - What changed from the previous version
+   * @param {boolean} rubric.isCurrent - Used for new assessments
+   * @param {boolean} rubric.isLegacy - Used for assessments saved without a version
+   * @param {Object} rubric.dimensions - { dimensionKey: { levels, bands } } where levels maps
+   *   score (1-9) => { label, description } and bands (optional) maps a measure to
+   *   [{ key, label, max, includeMax }], lowest first; the last band has no max
+   * @returns {Object} The registered version
+   */
+  register(rubric) {
+    const version = rubric?.version;
+
+    if (!version || typeof version !== 'string') {
+      throw new Error('Rubric version needs a version id');
+    }
+    if (this.versions.has(version)) {
+      throw new Error(`Rubric version already registered: ${version}`);
+    }
+
+    Object.entries(rubric.dimensions || {}).forEach(([key, dimension]) => {
+      for (let score = 1; score <= 9; score++) {
+        const level = dimension.levels?.[score];
+        if (!level?.label || !level.description) {
+          throw new Error(`Rubric ${version} is missing ${key} level ${score}`);
+        }
+      }
+    });
+
+    const normalized = { notes: '', effective: null, dimensions: {}, ...rubric };
+    this.versions.set(version, normalized);
+
+    if (rubric.isCurrent || !this.currentVersion) {
+      this.currentVersion = version;
+    }
+    if (rubric.isLegacy) {
+      this.legacyVersion = version;
+    }
+    return normalized;
+  },
+
+  get(version) {
+    return this.versions.get(version) || null;
+  },
+
+  list() {
+    return Array.from(this.versions.values());
+  },
+
+  current() {
+    return this.get(this.currentVersion);
+  },
+
+  /**
+   * Version an assessment was scored under. A missing stamp means the assessment
+   * predates versioning; an unknown one (e.g. from a newer tool) falls back to current.
+   * @param {string|null} version - Stamp from the assessment
+   * @returns {Object} Registered version
+   */
+  resolve(version) {
+    if (version === undefined || version === null || version === '') {
+      return this.get(this.legacyVersion) || this.current();
+    }
+    const match = this.get(String(version));
+    if (!match) {
+      Debug.warn(`[RubricRegistry] Unknown rubric version ${version} - using ${this.currentVersion}`);
+    }
+    return match || this.current();
+  },
+
+  /**
+   * Short label for reports and the scoring card, e.g. "v2"
+   */
+  label(version) {
+    return `v${this.resolve(version).version}`;
+  },
+
+  // ========== LEVELS ==========
+
+  /**
+   * Rubric levels for a dimension; dimensions not in the version fall back to
+   * the rubric given at DimensionRegistry.register
+   * @returns {Object} Score (1-9) => { label, description }
+   */
+  getLevels(dimensionKey, version = this.currentVersion) {
+    return this.resolve(version).dimensions[dimensionKey]?.levels ||
+      DimensionRegistry.get(dimensionKey)?.rubric ||
+      {};
+  },
+
+  /**
+   * @returns {Object|null} { label, description } for a score
+   */
+  getLevel(dimensionKey, score, version = this.currentVersion) {
+    return this.getLevels(dimensionKey, version)[score] || null;
+  },
+
+  getDescription(dimensionKey, score, version = this.currentVersion) {
+    return this.getLevel(dimensionKey, score, version)?.description || null;
+  },
+
+  // ========== BANDS ==========
+
+  /**
+   * Bands for one measure of a dimension (e.g. market 'tam' or 'cagr')
+   * @returns {Object[]} [{ key, label, max, includeMax }], lowest first
+   */
+  getBands(dimensionKey, measure, version = this.currentVersion) {
+    return this.resolve(version).dimensions[dimensionKey]?.bands?.[measure] || [];
+  },
+
+  /**
+   * Band key for a value, or 'unknown' when the value isn't a number
+   */
+  classify(dimensionKey, measure, value, version = this.currentVersion) {
+    const number = parseFloat(value);
+    const bands = this.getBands(dimensionKey, measure, version);
+    if (isNaN(number) || bands.length === 0) return 'unknown';
+
+    const band = bands.find(b => b.max === undefined ||
+      number < b.max || (b.includeMax && number === b.max));
+    return band ? band.key : 'unknown';
+  },
+
+  /**
+   * Display label for a band key, e.g. '10_to_35' => '10-35%'
+   * @returns {string|null} Label, or null for keys not in the version
+   */
+  getBandLabel(dimensionKey, measure, bandKey, version = this.currentVersion) {
+    return this.getBands(dimensionKey, measure, version).find(b => b.key === bandKey)?.label || null;
+  }
+};
+
+// Make available globally
+window.RubricRegistry = RubricRegistry;
@@ -1,24 +1,86 @@
 // js/core/state-manager.js
 // State Persistence Component
 //
-// Manages localStorage operations for:
+// Manages IndexedDB storage for:
 // - Checkpointing analysis progress
 // - Recovering from interruptions
 // - Multi-venture state isolation
-// - Caching full assessments for reload
+// - Caching full assessments for reload (one record per assessment)
+// - Keeping earlier runs of the same assessment as timestamped versions
+// - Reviews from other advisors and the moderator's consensus on the same AI run
 // - Tracking Smartsheet row IDs for updates
+//
+// Session state is kept in memory so reads stay synchronous; writes go to
+// IndexedDB in order. Falls back to localStorage if IndexedDB is unavailable.
 
 class StateManager {
   constructor() {
+    // localStorage keys: used when IndexedDB is unavailable, migrated into IndexedDB on init
     this.storageKey = 'noblereach_qa_state';
     this.assessmentCacheKey = 'noblereach_assessments';
+    this.versionCacheKey = 'noblereach_assessment_versions';
     this.version = '2.1'; // Bumped for new assessment caching
+
+    this.dbName = 'noblereach_qa';
+    this.dbVersion = 2; // 2: versions store
+    this.db = null;
+    this.state = null;
+    this.writeQueue = Promise.resolve();
+    this.storageWarningThreshold = 90; // Percent of quota
   }
 
-  init() {
-    console.log('StateManager initialized');
+  async init() {
+    await this.openDatabase();
+    await this.migrateToIndexedDB();
+    await this.loadSessionState();
+
     // Migrate old data if needed
     this.migrateIfNeeded();
+    console.log('StateManager initialized', this.db ? '(IndexedDB)' : '(localStorage fallback)');
+  }
+
+  // ========== DATABASE ==========
+
+  async openDatabase() {
+    if (!IDB.isAvailable()) {
+      console.warn('IndexedDB not available, using localStorage');
+      return;
+    }
+
+    try {
+      this.db = await IDB.open(this.dbName, this.dbVersion, db => {
+        if (!db.objectStoreNames.contains('session')) {
+          db.createObjectStore('session', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('assessments')) {
+          const store = db.createObjectStore('assessments', { keyPath: 'key' });
+          store.createIndex('ventureName', 'ventureName');
+          store.createIndex('advisorName', 'advisorName');
+          store.createIndex('timestamp', 'timestamp');
+        }
+        if (!db.objectStoreNames.contains('versions')) {
+          // Earlier runs; the latest run stays in 'assessments'
+          const store = db.createObjectStore('versions', { keyPath: 'id' });
+          store.createIndex('key', 'key');
+          store.createIndex('timestamp', 'timestamp');
+        }
+      });
+    } catch (error) {
+      console.error('Could not open IndexedDB, using localStorage:', error);
+      this.db = null;
+    }
+  }
+
+  /**
+   * Queue a write so saves land in the order they were made
+   * @param {string} label - What is being saved (for logging)
+   * @param {Function} write - async () => void
+   */
+  queueWrite(label, write) {
+    this.writeQueue = this.writeQueue
+      .then(write)
+      .catch(error => console.error(`Error saving ${label}:`, error));
+    return this.writeQueue;
   }
 
   // ========== CURRENT SESSION STATE ==========
@@ -35,6 +97,20 @@ class StateManager {
     console.log('Checkpoint saved:', phaseKey);
   }
 
+  /**
+   * Checkpoint only the phases a re-run keeps, so an interrupted re-run resumes the rest
+   * @param {Object} keptPhases - Outputs keyed by phase key
+   */
+  checkpointRerun(keptPhases) {
+    const currentState = this.getState() || this.createEmptyState();
+
+    currentState.completedPhases = { ...keptPhases };
+    currentState.timestamp = Date.now();
+    currentState.status = 'in_progress';
+
+    this.saveState(currentState);
+  }
+
   hasIncompleteAnalysis() {
     const state = this.getState();
     if (!state) return false;
@@ -43,41 +119,84 @@ class StateManager {
     if (state.status !== 'in_progress') return false;
     
     const completedCount = Object.keys(state.completedPhases || {}).length;
-    return completedCount > 0 && completedCount < 6;
+    return completedCount > 0 && completedCount < this.getTotalPhases();
   }
 
-  getState() {
+  /**
+   * Company overview plus one phase per registered dimension
+   */
+  getTotalPhases() {
+    return 1 + DimensionRegistry.keys().length;
+  }
+
+  async loadSessionState() {
+    if (this.db) {
+      try {
+        const record = await IDB.run(this.db, 'session', 'readonly', store => store.get('current'));
+        if (record) {
+          this.state = record.state || null;
+          return;
+        }
+      } catch (error) {
+        console.error('Error reading state:', error);
+      }
+    }
+
+    // No IndexedDB, or the migration left the state in localStorage
     try {
       const saved = localStorage.getItem(this.storageKey);
-      if (!saved) return null;
-      
-      const state = JSON.parse(saved);
-      
-      // Version check - allow 2.0 and 2.1
-      if (state.version && !state.version.startsWith('2.')) {
-        console.log('State version mismatch, clearing');
-        this.clearState();
-        return null;
-      }
-      
-      return state;
+      this.state = saved ? JSON.parse(saved) : null;
     } catch (error) {
       console.error('Error reading state:', error);
+      this.state = null;
+    }
+  }
+
+  /**
+   * Get a copy of the current session state (callers modify it and saveState)
+   */
+  getState() {
+    if (!this.state) return null;
+
+    // Version check - allow 2.0 and 2.1
+    if (this.state.version && !this.state.version.startsWith('2.')) {
+      console.log('State version mismatch, clearing');
+      this.clearState();
       return null;
     }
+
+    return JSON.parse(JSON.stringify(this.state));
   }
 
   saveState(state) {
-    try {
-      state.version = this.version;
-      localStorage.setItem(this.storageKey, JSON.stringify(state));
-    } catch (error) {
-      console.error('Error saving state:', error);
+    state.version = this.version;
+    this.state = JSON.parse(JSON.stringify(state));
+
+    const snapshot = this.state;
+    if (!this.db) {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+      } catch (error) {
+        console.error('Error saving state:', error);
+      }
+      return;
     }
+
+    this.queueWrite('state', () =>
+      IDB.run(this.db, 'session', 'readwrite', store => store.put({ id: 'current', state: snapshot }))
+    );
   }
 
   clearState() {
-    localStorage.removeItem(this.storageKey);
+    this.state = null;
+
+    if (this.db) {
+      this.queueWrite('state', () =>
+        IDB.run(this.db, 'session', 'readwrite', store => store.delete('current'))
+      );
+    } else {
+      localStorage.removeItem(this.storageKey);
+    }
     console.log('State cleared');
   }
 
@@ -92,15 +211,27 @@ class StateManager {
       scaName: null,
       smartsheetRowId: null,
       assessmentKey: null,
-      finalRecommendation: '',
-      customVentureName: null
+      finalRecommendation: FinalRecommendation.create(),
+      customVentureName: null,
+      rubricVersion: null,  // RubricRegistry version the assessment is scored under
+      primaryMarketChoice: null,  // Market description the advisor scores as primary (null = AI's choice)
+      marketSizing: null,  // Advisor TAM/SAM/SOM model (see MarketSizing), null until edited
+      competitorMatrix: null,  // Advisor competitor list and feature scores (see CompetitorMatrix), null until edited
+      companyBrief: null,  // Advisor-corrected company brief (see CompanyBrief), null until edited
+      review: null  // { leadAdvisor, parentRowId } while scoring another advisor's AI run
     };
   }
 
-  setCompanyInput(url, scaName, fileName = null) {
+  setCompanyInput(url, scaName, fileName = null, portfolio = '') {
     const state = this.getState() || this.createEmptyState();
-    state.companyInput = { url, scaName, fileName };
+    state.companyInput = { url, scaName, fileName, portfolio };
     state.scaName = scaName;
+    state.review = null; // A new analysis is the advisor's own run
+    state.rubricVersion = RubricRegistry.currentVersion;
+    state.primaryMarketChoice = null;
+    state.marketSizing = null;
+    state.competitorMatrix = null;
+    state.companyBrief = null;
     state.status = 'in_progress';
     state.timestamp = Date.now();
     state.assessmentKey = this.generateAssessmentKey(url, scaName, fileName);
@@ -112,6 +243,23 @@ class StateManager {
     return state ? state.companyInput : null;
   }
 
+  /**
+   * Portfolio the session's assessment is scored under, or null without an assessment
+   */
+  getPortfolio() {
+    const input = this.getCompanyInput();
+    return input ? input.portfolio || '' : null;
+  }
+
+  /**
+   * Rubric version of the session: the one the assessment was scored under when it
+   * was restored, the current one for a new analysis
+   */
+  getRubricVersion() {
+    const state = this.getState();
+    return state ? RubricRegistry.resolve(state.rubricVersion).version : RubricRegistry.currentVersion;
+  }
+
   saveUserScore(dimension, scoreData) {
     const state = this.getState();
     if (!state) return;
@@ -128,24 +276,24 @@ class StateManager {
   }
 
   /**
-   * Save final recommendation text
-   * @param {string} text - The recommendation text
+   * Save the structured final recommendation
+   * @param {Object|null} recommendation - See FinalRecommendation.create(); null clears it
    */
-  saveFinalRecommendation(text) {
+  saveFinalRecommendation(recommendation) {
     const state = this.getState();
     if (!state) return;
-    state.finalRecommendation = text;
+    state.finalRecommendation = FinalRecommendation.normalize(recommendation);
     state.timestamp = Date.now();
     this.saveState(state);
   }
 
   /**
-   * Get saved final recommendation text
-   * @returns {string} The recommendation text or empty string
+   * Get the saved final recommendation (older free-text recommendations become the rationale)
+   * @returns {Object} Recommendation in the FinalRecommendation.create() shape
    */
   getFinalRecommendation() {
     const state = this.getState();
-    return state?.finalRecommendation || '';
+    return FinalRecommendation.normalize(state?.finalRecommendation);
   }
 
   /**
@@ -169,6 +317,147 @@ class StateManager {
     return state?.customVentureName || null;
   }
 
+  /**
+   * Save the market the advisor picked as primary for the market rubric check
+   * @param {string|null} description - Market description from the analysis; null uses the AI's choice
+   */
+  savePrimaryMarketChoice(description) {
+    const state = this.getState();
+    if (!state) return;
+    state.primaryMarketChoice = description || null;
+    state.timestamp = Date.now();
+    this.saveState(state);
+  }
+
+  /**
+   * @returns {string|null} Market description the advisor picked as primary
+   */
+  getPrimaryMarketChoice() {
+    const state = this.getState();
+    return state?.primaryMarketChoice || null;
+  }
+
+  /**
+   * Save the advisor's market sizing (TAM/CAGR overrides next to the AI values, SAM/SOM inputs)
+   * @param {Object|null} model - See MarketSizing.create(); null clears it
+   */
+  saveMarketSizing(model) {
+    const state = this.getState();
+    if (!state) return;
+    state.marketSizing = model || null;
+    state.timestamp = Date.now();
+    this.saveState(state);
+  }
+
+  getMarketSizing() {
+    const state = this.getState();
+    return state?.marketSizing || null;
+  }
+
+  /**
+   * Save the advisor's competitor matrix (added, removed and merged competitors, sizes, feature scores)
+   * @param {Object|null} model - See CompetitorMatrix.create(); null clears it
+   */
+  saveCompetitorMatrix(model) {
+    const state = this.getState();
+    if (!state) return;
+    state.competitorMatrix = model || null;
+    state.timestamp = Date.now();
+    this.saveState(state);
+  }
+
+  getCompetitorMatrix() {
+    const state = this.getState();
+    return state?.competitorMatrix || null;
+  }
+
+  /**
+   * Save the advisor's corrections to the company brief
+   * @param {Object|null} brief - See CompanyBrief.create(); null goes back to the AI's
+   */
+  saveCompanyBrief(brief) {
+    const state = this.getState();
+    if (!state) return;
+    state.companyBrief = brief || null;
+    state.timestamp = Date.now();
+    this.saveState(state);
+  }
+
+  getCompanyBrief() {
+    const state = this.getState();
+    return state?.companyBrief || null;
+  }
+
+  /**
+   * Replace the session with a saved assessment (Load Previous, file import)
+   * so later score edits, recommendation text and Smartsheet updates apply to it
+   * @param {Object} record - Assessment record (cache shape)
+   */
+  restoreSession(record) {
+    const state = this.createEmptyState();
+    const input = record.companyInput || {};
+    // Records saved before the portfolio was part of the input keep it at the top level
+    state.companyInput = record.companyInput || record.portfolio
+      ? { ...input, portfolio: input.portfolio || record.portfolio || '' }
+      : null;
+    state.scaName = input.scaName || record.advisorName || null;
+    state.status = 'complete';
+    state.assessmentKey = record.key ||
+      this.generateAssessmentKey(input.url, state.scaName, input.fileName);
+    state.smartsheetRowId = record.smartsheetRowId || null;
+    state.finalRecommendation = FinalRecommendation.normalize(record.finalRecommendation);
+    state.customVentureName = record.customVentureName || null;
+    state.rubricVersion = record.rubricVersion || null;
+    state.primaryMarketChoice = record.primaryMarketChoice || null;
+    state.marketSizing = record.marketSizing || null;
+    state.competitorMatrix = record.competitorMatrix || null;
+    state.companyBrief = record.companyBrief || null;
+    state.review = record.review || null;
+
+    Object.entries(record.userScores || {}).forEach(([dimension, scoreData]) => {
+      if (scoreData) {
+        state.userScores[dimension] = {
+          score: scoreData.score ?? null,
+          justification: scoreData.justification || ''
+        };
+      }
+    });
+
+    this.saveState(state);
+  }
+
+  /**
+   * A saved assessment as seen by one reviewer: the same AI run with that reviewer's
+   * scores, recommendation and Smartsheet child row. Pass it to restoreSession so
+   * score edits go to the review instead of the lead advisor's scores.
+   * @param {Object} record - Assessment record (cache shape)
+   * @param {string} reviewerName - Advisor adding a review
+   * @returns {Object} Record for restoreSession / restoreFromCachedAssessment
+   */
+  getReviewRecord(record, reviewerName) {
+    const review = record.reviews?.[Consensus.reviewerId(reviewerName)] || {};
+    return {
+      ...record,
+      companyInput: record.companyInput ? { ...record.companyInput, scaName: reviewerName } : null,
+      advisorName: reviewerName,
+      userScores: review.userScores || {},
+      finalRecommendation: review.finalRecommendation || null,
+      smartsheetRowId: review.smartsheetRowId || null,
+      review: {
+        leadAdvisor: record.advisorName || 'Unknown',
+        parentRowId: record.smartsheetRowId || null
+      }
+    };
+  }
+
+  /**
+   * Review details when the session is another advisor's AI run
+   * @returns {Object|null} { leadAdvisor, parentRowId }
+   */
+  getReview() {
+    return this.getState()?.review || null;
+  }
+
   markComplete() {
     const state = this.getState();
     if (state) {
@@ -182,7 +471,7 @@ class StateManager {
     const state = this.getState();
     if (!state) return null;
     
-    const totalPhases = 6;
+    const totalPhases = this.getTotalPhases();
     const completedCount = Object.keys(state.completedPhases || {}).length;
     
     return {
@@ -285,57 +574,86 @@ class StateManager {
 
   /**
    * Cache a full assessment for later reload
+   * Nothing is evicted automatically - when storage is full the caller gets
+   * eviction candidates and decides (with the user) what to delete.
+   *
    * @param {Object} data - Full assessment data including AI outputs
+   * @param {Object} context - Assessment key/input/advisor to save under (default: current session)
+   * @returns {Promise<Object>} { success, quotaExceeded?, candidates?, error? }
    */
-  cacheFullAssessment(data) {
-    try {
-      const state = this.getState();
-      if (!state || !state.assessmentKey) {
-        console.warn('Cannot cache assessment: no assessment key');
-        return;
-      }
+  async cacheFullAssessment(data, context = null) {
+    const state = context || this.getState();
+    if (!state || !state.assessmentKey) {
+      console.warn('Cannot cache assessment: no assessment key');
+      return { success: false, error: 'No assessment key' };
+    }
 
-      const cache = this.getAssessmentCache();
-      
-      // Build cached assessment object
-      const cachedAssessment = {
-        key: state.assessmentKey,
-        timestamp: Date.now(),
-        companyInput: state.companyInput,
-        smartsheetRowId: state.smartsheetRowId,
-        userScores: state.userScores,
-        aiData: {
-          company: data.company || null,
-          team: data.team || null,
-          funding: data.funding || null,
-          competitive: data.competitive || null,
-          market: data.market || null,
-          iprisk: data.iprisk || null
-        },
-        ventureName: data.ventureName || this.extractVentureName(data),
-        advisorName: state.scaName || state.companyInput?.scaName || 'Unknown'
-      };
+    const cachedAssessment = {
+      key: state.assessmentKey,
+      timestamp: Date.now(),
+      companyInput: state.companyInput,
+      smartsheetRowId: state.smartsheetRowId,
+      userScores: state.userScores,
+      aiData: this.buildAiData(data),
+      ventureName: data.ventureName || this.extractVentureName(data),
+      advisorName: state.scaName || state.companyInput?.scaName || 'Unknown',
+      portfolio: state.companyInput?.portfolio || '',
+      finalRecommendation: FinalRecommendation.normalize(state.finalRecommendation),
+      customVentureName: state.customVentureName || null,
+      rubricVersion: state.rubricVersion || null,
+      primaryMarketChoice: state.primaryMarketChoice || null,
+      marketSizing: state.marketSizing || null,
+      competitorMatrix: state.competitorMatrix || null,
+      companyBrief: state.companyBrief || null,
+      // Reviews belong to the AI run they scored: a re-run starts without them and
+      // the previous run keeps them as a version
+      reviews: data.reviews || {},
+      consensus: data.consensus || null
+    };
 
-      // Store in cache (keyed by assessment key)
-      cache[state.assessmentKey] = cachedAssessment;
-      
-      // Keep only last 50 assessments to avoid localStorage limits
-      const keys = Object.keys(cache);
-      if (keys.length > 50) {
-        // Remove oldest entries
-        const sorted = keys.sort((a, b) => (cache[a].timestamp || 0) - (cache[b].timestamp || 0));
-        for (let i = 0; i < keys.length - 50; i++) {
-          delete cache[sorted[i]];
-        }
+    try {
+      if (!this.db) {
+        this.cacheLocalAssessment(cachedAssessment, data);
+        console.log('Assessment cached (localStorage):', state.assessmentKey);
+        return { success: true };
       }
 
-      this.saveAssessmentCache(cache);
+      // Keep the previous run as a version before replacing it
+      await IDB.run(this.db, ['assessments', 'versions'], 'readwrite', (assessments, versions) => {
+        const request = assessments.get(cachedAssessment.key);
+        request.onsuccess = () => {
+          const { record, version } = this.prepareSave(request.result, cachedAssessment, data);
+          if (version) versions.put(version);
+          assessments.put(record);
+        };
+      });
       console.log('Assessment cached:', state.assessmentKey);
+      return { success: true };
     } catch (error) {
       console.error('Error caching assessment:', error);
+
+      if (IDB.isQuotaError(error)) {
+        return {
+          success: false,
+          quotaExceeded: true,
+          candidates: await this.getEvictionCandidates(state.assessmentKey)
+        };
+      }
+      return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Collect company and dimension results for the assessment cache
+   */
+  buildAiData(data) {
+    const aiData = { company: data.company || null };
+    DimensionRegistry.keys().forEach(key => {
+      aiData[key] = data[key] || null;
+    });
+    return aiData;
+  }
+
   /**
    * Extract venture name from data
    * @param {Object} data - Assessment data
@@ -361,112 +679,505 @@ class StateManager {
   }
 
   /**
-   * Get the assessment cache object
-   * @returns {Object} Cache object
+   * Summary fields shown in lists
+   */
+  summarizeAssessment(a) {
+    return {
+      key: a.key,
+      ventureName: a.ventureName || 'Unknown',
+      advisorName: a.advisorName || 'Unknown',
+      timestamp: a.timestamp,
+      date: new Date(a.timestamp).toLocaleDateString(),
+      hasFullData: this.hasAiData(a),
+      companyUrl: a.companyInput?.url || '',
+      fileName: a.companyInput?.fileName || '',
+      smartsheetRowId: a.smartsheetRowId,
+      reviewerCount: 1 + Object.keys(a.reviews || {}).length,
+      hasConsensus: !!a.consensus?.moderator
+    };
+  }
+
+  hasAiData(record) {
+    return !!(record?.aiData && Object.values(record.aiData).some(v => v !== null));
+  }
+
+  /**
+   * List all cached assessments with metadata
+   * @returns {Promise<Array>} List of assessment summaries, most recent first
    */
-  getAssessmentCache() {
+  async listPastAssessments() {
     try {
-      const saved = localStorage.getItem(this.assessmentCacheKey);
-      return saved ? JSON.parse(saved) : {};
+      const records = this.db
+        ? await IDB.run(this.db, 'assessments', 'readonly', store => store.index('timestamp').getAll())
+        : Object.values(this.readLocalRecords(this.assessmentCacheKey))
+          .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+      const versionCounts = await this.getVersionCounts();
+      return records.reverse().map(a => ({
+        ...this.summarizeAssessment(a),
+        runCount: 1 + (versionCounts[a.key] || 0)
+      }));
     } catch (error) {
       console.error('Error reading assessment cache:', error);
-      return {};
+      return [];
+    }
+  }
+
+  /**
+   * Find cached assessments by venture or advisor name
+   * @param {string} field - 'ventureName' or 'advisorName'
+   * @param {string} value - Exact name to match
+   * @returns {Promise<Array>} Assessment summaries, most recent first
+   */
+  async findAssessments(field, value) {
+    if (!['ventureName', 'advisorName'].includes(field)) {
+      throw new Error(`Cannot search assessments by ${field}`);
     }
+
+    const records = this.db
+      ? await IDB.run(this.db, 'assessments', 'readonly', store => store.index(field).getAll(value))
+      : Object.values(this.readLocalRecords(this.assessmentCacheKey)).filter(a => a[field] === value);
+    return records
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+      .map(a => this.summarizeAssessment(a));
   }
 
   /**
-   * Save the assessment cache
-   * @param {Object} cache - Cache object to save
+   * Load a cached assessment by key
+   * @param {string} key - Assessment key
+   * @returns {Promise<Object|null>} Full assessment data
    */
-  saveAssessmentCache(cache) {
+  async loadAssessment(key) {
+    if (!this.db) {
+      return this.readLocalRecords(this.assessmentCacheKey)[key] || null;
+    }
+
     try {
-      localStorage.setItem(this.assessmentCacheKey, JSON.stringify(cache));
+      const record = await IDB.run(this.db, 'assessments', 'readonly', store => store.get(key));
+      return record || null;
     } catch (error) {
-      console.error('Error saving assessment cache:', error);
-      // If localStorage is full, try to clear oldest entries
-      if (error.name === 'QuotaExceededError') {
-        this.pruneAssessmentCache();
-        try {
-          localStorage.setItem(this.assessmentCacheKey, JSON.stringify(cache));
-        } catch (e) {
-          console.error('Still cannot save after pruning:', e);
-        }
-      }
+      console.error('Error loading assessment:', error);
+      return null;
     }
   }
 
   /**
-   * Prune old assessments from cache
+   * Check if an assessment exists in cache
+   * @param {string} key - Assessment key
+   * @returns {Promise<boolean>} True if exists
    */
-  pruneAssessmentCache() {
-    const cache = this.getAssessmentCache();
-    const keys = Object.keys(cache);
-    if (keys.length > 20) {
-      const sorted = keys.sort((a, b) => (cache[a].timestamp || 0) - (cache[b].timestamp || 0));
-      for (let i = 0; i < keys.length - 20; i++) {
-        delete cache[sorted[i]];
-      }
-      this.saveAssessmentCache(cache);
+  async hasAssessment(key) {
+    if (!this.db) {
+      return Object.prototype.hasOwnProperty.call(this.readLocalRecords(this.assessmentCacheKey), key);
     }
+    const count = await IDB.run(this.db, 'assessments', 'readonly', store => store.count(key));
+    return count > 0;
   }
 
   /**
-   * List all cached assessments with metadata
-   * @returns {Array} List of assessment summaries
+   * Delete a cached assessment
+   * @param {string} key - Assessment key
    */
-  listPastAssessments() {
-    const cache = this.getAssessmentCache();
-    const assessments = Object.values(cache).map(a => ({
-      key: a.key,
-      ventureName: a.ventureName || 'Unknown',
-      advisorName: a.advisorName || 'Unknown',
-      timestamp: a.timestamp,
-      date: new Date(a.timestamp).toLocaleDateString(),
-      hasFullData: !!(a.aiData && Object.values(a.aiData).some(v => v !== null)),
-      companyUrl: a.companyInput?.url || '',
-      fileName: a.companyInput?.fileName || '',
-      smartsheetRowId: a.smartsheetRowId
-    }));
-    
-    // Sort by most recent first
-    return assessments.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  async deleteAssessment(key) {
+    await this.deleteAssessments([key]);
   }
 
   /**
-   * Load a cached assessment by key
+   * Delete several cached assessments, and their earlier versions, in one transaction
+   * @param {string[]} keys - Assessment keys
+   */
+  async deleteAssessments(keys) {
+    if (keys.length === 0) return;
+
+    if (!this.db) {
+      this.deleteLocalAssessments(keys);
+      console.log('Assessments deleted from cache:', keys.join(', '));
+      return;
+    }
+
+    await IDB.run(this.db, ['assessments', 'versions'], 'readwrite', (assessments, versions) => {
+      keys.forEach(key => {
+        assessments.delete(key);
+        const request = versions.index('key').openKeyCursor(IDBKeyRange.only(key));
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            versions.delete(cursor.primaryKey);
+            cursor.continue();
+          }
+        };
+      });
+    });
+    console.log('Assessments deleted from cache:', keys.join(', '));
+  }
+
+  // ========== REVIEWS ==========
+
+  /**
+   * Write the session's scores and recommendation back to its cached assessment:
+   * the lead advisor's fields, or the reviewer's entry in record.reviews.
+   * The run's timestamp is left alone so version ids don't change.
+   * @returns {Promise<Object|null>} Updated record, or null if the assessment isn't cached
+   */
+  async saveSessionScores() {
+    const state = this.getState();
+    if (!state?.assessmentKey) return null;
+
+    const finalRecommendation = FinalRecommendation.normalize(state.finalRecommendation);
+
+    return this.updateAssessment(state.assessmentKey, record => {
+      if (state.review) {
+        const id = Consensus.reviewerId(state.scaName);
+        record.reviews = {
+          ...(record.reviews || {}),
+          [id]: {
+            reviewerName: state.scaName,
+            userScores: state.userScores || {},
+            finalRecommendation,
+            smartsheetRowId: state.smartsheetRowId || null,
+            timestamp: Date.now()
+          }
+        };
+      } else {
+        record.userScores = state.userScores || {};
+        record.finalRecommendation = finalRecommendation;
+        record.smartsheetRowId = state.smartsheetRowId || record.smartsheetRowId || null;
+        record.primaryMarketChoice = state.primaryMarketChoice || null;
+        record.marketSizing = state.marketSizing || null;
+        record.competitorMatrix = state.competitorMatrix || null;
+        record.companyBrief = state.companyBrief || null;
+      }
+    });
+  }
+
+  /**
+   * Save the moderator's final scores on a cached assessment
    * @param {string} key - Assessment key
-   * @returns {Object|null} Full assessment data
+   * @param {Object} consensus - See Consensus.create()
+   * @returns {Promise<Object|null>} Updated record
    */
-  loadAssessment(key) {
-    const cache = this.getAssessmentCache();
-    return cache[key] || null;
+  async saveConsensus(key, consensus) {
+    return this.updateAssessment(key, record => {
+      record.consensus = Consensus.normalize(consensus);
+    });
   }
 
   /**
-   * Check if an assessment exists in cache
+   * Change a cached assessment in place (no new version)
    * @param {string} key - Assessment key
-   * @returns {boolean} True if exists
+   * @param {Function} update - (record) => void; mutates the record
+   * @returns {Promise<Object|null>} Updated record, or null if not cached
    */
-  hasAssessment(key) {
-    const cache = this.getAssessmentCache();
-    return !!cache[key];
+  async updateAssessment(key, update) {
+    if (!key) return null;
+
+    try {
+      if (!this.db) {
+        const records = this.readLocalRecords(this.assessmentCacheKey);
+        if (!records[key]) return null;
+        update(records[key]);
+        this.writeLocalRecords(this.assessmentCacheKey, records);
+        return records[key];
+      }
+
+      let updated = null;
+      await IDB.run(this.db, 'assessments', 'readwrite', store => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          if (!request.result) return;
+          updated = request.result;
+          update(updated);
+          store.put(updated);
+        };
+      });
+      return updated;
+    } catch (error) {
+      console.error('Error updating assessment:', error);
+      return null;
+    }
   }
 
+  // ========== VERSIONS ==========
+
   /**
-   * Delete a cached assessment
+   * Id of a run: assessment key plus the time it was saved
+   */
+  getVersionId(record) {
+    return `${record.key}@${record.timestamp}`;
+  }
+
+  /**
+   * Decide what a save stores over the previous record. Only a changed AI run archives the
+   * previous record as a version; saving the same run again (re-importing a bundle, saving
+   * before a re-run) keeps its timestamp, so its version id, and its reviews unless new ones are given.
+   * @param {Object|null} previous - Stored record
+   * @param {Object} record - Record built by cacheFullAssessment
+   * @param {Object} data - Data passed to cacheFullAssessment
+   * @returns {Object} { record, version } - version is null when nothing is archived
+   */
+  prepareSave(previous, record, data) {
+    if (!previous || !this.hasAiData(previous)) {
+      return { record, version: null };
+    }
+
+    if (this.getRunSignature(previous) === this.getRunSignature(record)) {
+      return {
+        record: {
+          ...record,
+          timestamp: previous.timestamp,
+          reviews: data.reviews || previous.reviews || {},
+          consensus: data.consensus || previous.consensus || null
+        },
+        version: null
+      };
+    }
+
+    return { record, version: { ...previous, id: this.getVersionId(previous) } };
+  }
+
+  /**
+   * AI outputs of a record as text with sorted keys, for comparing runs
+   */
+  getRunSignature(record) {
+    const sortKeys = value => {
+      if (Array.isArray(value)) return value.map(sortKeys);
+      if (!value || typeof value !== 'object') return value;
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    };
+    return JSON.stringify(sortKeys(this.buildAiData(record.aiData || {})));
+  }
+
+  /**
+   * Number of earlier versions stored per assessment key
+   * @returns {Promise<Object>} Assessment key => count
+   */
+  async getVersionCounts() {
+    const counts = {};
+    if (!this.db) {
+      Object.values(this.readLocalRecords(this.versionCacheKey)).forEach(version => {
+        counts[version.key] = (counts[version.key] || 0) + 1;
+      });
+      return counts;
+    }
+
+    await IDB.run(this.db, 'versions', 'readonly', store => {
+      const request = store.index('key').openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          counts[cursor.key] = (counts[cursor.key] || 0) + 1;
+          cursor.continue();
+        }
+      };
+    });
+    return counts;
+  }
+
+  /**
+   * Every stored run of an assessment
+   * @param {string} key - Assessment key
+   * @returns {Promise<Array>} Summaries with { id, isLatest }, most recent first
+   */
+  async listVersions(key) {
+    const [latest, versions] = await Promise.all([
+      this.loadAssessment(key),
+      this.db
+        ? IDB.run(this.db, 'versions', 'readonly', store => store.index('key').getAll(key))
+        : Object.values(this.readLocalRecords(this.versionCacheKey)).filter(v => v.key === key)
+    ]);
+
+    const runs = versions.map(v => ({ ...this.summarizeAssessment(v), id: v.id, isLatest: false }));
+    if (latest) {
+      runs.push({ ...this.summarizeAssessment(latest), id: this.getVersionId(latest), isLatest: true });
+    }
+    return runs.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  }
+
+  /**
+   * Load one run of an assessment
    * @param {string} key - Assessment key
+   * @param {string} versionId - Id from listVersions()
+   * @returns {Promise<Object|null>} Assessment record
+   */
+  async loadVersion(key, versionId) {
+    const latest = await this.loadAssessment(key);
+    if (latest && this.getVersionId(latest) === versionId) return latest;
+    if (!this.db) {
+      return this.readLocalRecords(this.versionCacheKey)[versionId] || null;
+    }
+
+    try {
+      const record = await IDB.run(this.db, 'versions', 'readonly', store => store.get(versionId));
+      return record || null;
+    } catch (error) {
+      console.error('Error loading assessment version:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Oldest assessments to offer for deletion when storage is full
+   * @param {string} excludeKey - Assessment being saved
+   * @param {number} count - How many to suggest
+   */
+  async getEvictionCandidates(excludeKey, count = 5) {
+    const assessments = await this.listPastAssessments();
+    return assessments
+      .filter(a => a.key !== excludeKey)
+      .reverse()
+      .slice(0, count);
+  }
+
+  /**
+   * Storage used by this origin and the number of cached assessments
+   * @returns {Promise<Object>} { usage, quota, percentage, count } (bytes; null if unknown)
+   */
+  async getStorageUsage() {
+    let usage = null;
+    let quota = null;
+
+    try {
+      if (navigator.storage?.estimate) {
+        ({ usage, quota } = await navigator.storage.estimate());
+      }
+    } catch (error) {
+      console.warn('Storage estimate unavailable:', error);
+    }
+
+    let count = 0;
+    if (this.db) {
+      try {
+        count = await IDB.run(this.db, 'assessments', 'readonly', store => store.count());
+      } catch (error) {
+        console.error('Error counting assessments:', error);
+      }
+    } else {
+      count = Object.keys(this.readLocalRecords(this.assessmentCacheKey)).length;
+    }
+
+    return {
+      usage,
+      quota,
+      percentage: usage !== null && quota ? Math.round((usage / quota) * 100) : null,
+      count
+    };
+  }
+
+  /**
+   * True when storage use is past the warning threshold
+   */
+  isStorageNearlyFull(usageInfo) {
+    return usageInfo?.percentage !== null && usageInfo?.percentage >= this.storageWarningThreshold;
+  }
+
+  // ========== LOCALSTORAGE FALLBACK ==========
+  // Used when IndexedDB is unavailable (private mode, file:// in some browsers).
+  // Records are kept as JSON maps: assessments by key, versions by version id.
+
+  readLocalRecords(storageKey) {
+    try {
+      const saved = localStorage.getItem(storageKey);
+      return saved ? JSON.parse(saved) || {} : {};
+    } catch (error) {
+      console.error('Error reading assessment cache:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Throws QuotaExceededError when localStorage is full (see cacheFullAssessment)
+   */
+  writeLocalRecords(storageKey, records) {
+    localStorage.setItem(storageKey, JSON.stringify(records));
+  }
+
+  /**
+   * Save an assessment, keeping the previous run as a version
    */
-  deleteAssessment(key) {
-    const cache = this.getAssessmentCache();
-    if (cache[key]) {
-      delete cache[key];
-      this.saveAssessmentCache(cache);
-      console.log('Assessment deleted from cache:', key);
+  cacheLocalAssessment(cachedAssessment, data) {
+    const assessments = this.readLocalRecords(this.assessmentCacheKey);
+    const { record, version } = this.prepareSave(assessments[cachedAssessment.key], cachedAssessment, data);
+
+    if (version) {
+      const versions = this.readLocalRecords(this.versionCacheKey);
+      versions[version.id] = version;
+      this.writeLocalRecords(this.versionCacheKey, versions);
     }
+
+    assessments[record.key] = record;
+    this.writeLocalRecords(this.assessmentCacheKey, assessments);
+  }
+
+  deleteLocalAssessments(keys) {
+    const assessments = this.readLocalRecords(this.assessmentCacheKey);
+    const versions = this.readLocalRecords(this.versionCacheKey);
+
+    keys.forEach(key => delete assessments[key]);
+    Object.keys(versions)
+      .filter(id => keys.includes(versions[id].key))
+      .forEach(id => delete versions[id]);
+
+    this.writeLocalRecords(this.assessmentCacheKey, assessments);
+    this.writeLocalRecords(this.versionCacheKey, versions);
   }
 
   // ========== MIGRATION ==========
 
+  /**
+   * Move localStorage data (assessments, versions and session state saved by older
+   * versions or while IndexedDB was unavailable) into IndexedDB. The localStorage copy is only removed once the write succeeds.
+   */
+  async migrateToIndexedDB() {
+    if (!this.db) return;
+
+    const savedCache = localStorage.getItem(this.assessmentCacheKey);
+    if (savedCache) {
+      try {
+        const records = Object.values(JSON.parse(savedCache) || {})
+          .filter(a => a && a.key)
+          .map(a => ({
+            ...a,
+            ventureName: a.ventureName || 'Unknown',
+            advisorName: a.advisorName || 'Unknown',
+            timestamp: a.timestamp || 0
+          }));
+
+        await IDB.run(this.db, 'assessments', 'readwrite', store => {
+          records.forEach(record => store.put(record));
+        });
+        localStorage.removeItem(this.assessmentCacheKey);
+        console.log(`Migrated ${records.length} cached assessments to IndexedDB`);
+      } catch (error) {
+        console.error('Assessment migration failed, keeping localStorage copy:', error);
+      }
+    }
+
+    const savedVersions = localStorage.getItem(this.versionCacheKey);
+    if (savedVersions) {
+      try {
+        const versions = Object.values(JSON.parse(savedVersions) || {}).filter(v => v && v.id && v.key);
+        await IDB.run(this.db, 'versions', 'readwrite', store => {
+          versions.forEach(version => store.put(version));
+        });
+        localStorage.removeItem(this.versionCacheKey);
+        console.log(`Migrated ${versions.length} assessment versions to IndexedDB`);
+      } catch (error) {
+        console.error('Version migration failed, keeping localStorage copy:', error);
+      }
+    }
+
+    const savedState = localStorage.getItem(this.storageKey);
+    if (savedState) {
+      try {
+        const state = JSON.parse(savedState);
+        await IDB.run(this.db, 'session', 'readwrite', store => store.put({ id: 'current', state }));
+        localStorage.removeItem(this.storageKey);
+        console.log('Migrated session state to IndexedDB');
+      } catch (error) {
+        console.error('State migration failed, keeping localStorage copy:', error);
+      }
+    }
+  }
+
   /**
    * Migrate old data format if needed
    */
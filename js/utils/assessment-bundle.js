@@ -0,0 +1,264 @@
+// js/utils/assessment-bundle.js - Full assessment export/import (.nrqa.json)
+// A bundle carries everything needed to reopen an assessment on another machine:
+// company input, every phase's normalized output, user scores and justifications,
+// the final recommendation and metadata, plus other reviewers' scores and the
+// moderator's consensus on the same AI run.
+
+const AssessmentBundle = {
+  format: 'nrqa',
+  version: 2,            // Bump when the bundle layout changes; add an upgrade step in upgrade()
+  extension: '.nrqa.json',
+  maxFileSize: 25 * 1024 * 1024,
+
+  /**
+   * Build a bundle from an assessment record (StateManager cache shape)
+   * @param {Object} record - { key, timestamp, companyInput, aiData, userScores, ... }
+   * @returns {Object} Bundle ready for JSON.stringify
+   */
+  create(record) {
+    if (!record?.aiData?.company) {
+      throw new Error('Nothing to export: company overview is missing');
+    }
+
+    const phases = { company: record.aiData.company };
+    DimensionRegistry.keys().forEach(key => {
+      if (record.aiData[key]) phases[key] = record.aiData[key];
+    });
+
+    return {
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      metadata: {
+        assessmentKey: record.key || null,
+        ventureName: record.ventureName || 'Unknown',
+        customVentureName: record.customVentureName || null,
+        advisorName: record.advisorName || 'Unknown',
+        portfolio: record.portfolio || '',
+        rubricVersion: record.rubricVersion || null,
+        primaryMarketChoice: record.primaryMarketChoice || null,
+        smartsheetRowId: record.smartsheetRowId || null,
+        savedAt: record.timestamp ? new Date(record.timestamp).toISOString() : null
+      },
+      companyInput: record.companyInput || null,
+      phases,
+      userScores: record.userScores || {},
+      finalRecommendation: FinalRecommendation.normalize(record.finalRecommendation),
+      marketSizing: record.marketSizing || null,
+      competitorMatrix: record.competitorMatrix || null,
+      companyBrief: record.companyBrief || null,
+      reviews: record.reviews || {},
+      consensus: record.consensus || null
+    };
+  },
+
+  /**
+   * Validate a parsed bundle. Phases are checked with the same validators
+   * the pipeline uses; phases for dimensions not registered here are warnings.
+   * @returns {Object} { valid, errors, warnings }
+   */
+  validate(bundle) {
+    const errors = [];
+    const warnings = [];
+
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+      return { valid: false, errors: ['File is not an assessment bundle'], warnings };
+    }
+    if (bundle.format !== this.format) {
+      return { valid: false, errors: ['File is not an assessment bundle'], warnings };
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+      errors.push('Bundle version is missing');
+    } else if (bundle.version > this.version) {
+      errors.push(`Bundle version ${bundle.version} is newer than this tool supports (${this.version}). Update the tool and try again.`);
+    }
+
+    if (!bundle.metadata || typeof bundle.metadata !== 'object') {
+      errors.push('Metadata is missing');
+    } else if (bundle.metadata.rubricVersion && !RubricRegistry.get(String(bundle.metadata.rubricVersion))) {
+      warnings.push(`Scored under rubric v${bundle.metadata.rubricVersion}, which this tool doesn't have - rubric text will show ${RubricRegistry.label(RubricRegistry.currentVersion)}`);
+    }
+
+    const phases = bundle.phases;
+    if (!phases || typeof phases !== 'object') {
+      errors.push('Phase outputs are missing');
+      return { valid: false, errors, warnings };
+    }
+
+    const company = Validators.validateCompany(phases.company);
+    if (!company.valid) {
+      errors.push(`Company overview: ${company.error}`);
+    }
+
+    DimensionRegistry.list().forEach(dimension => {
+      if (!phases[dimension.key]) {
+        warnings.push(`${dimension.name} analysis is not included`);
+        return;
+      }
+      const result = Validators.validateDimension(dimension.key, phases[dimension.key]);
+      if (!result.valid) {
+        errors.push(`${dimension.name}: ${result.error}`);
+      }
+    });
+
+    Object.keys(phases)
+      .filter(key => key !== 'company' && !DimensionRegistry.has(key))
+      .forEach(key => warnings.push(`Unknown dimension "${key}" will be ignored`));
+
+    this.validateScores(bundle.userScores, 'Advisor', errors);
+
+    const reviews = bundle.reviews;
+    if (reviews && (typeof reviews !== 'object' || Array.isArray(reviews))) {
+      errors.push('Reviews are not in the expected format');
+    } else {
+      Object.values(reviews || {}).forEach(review => {
+        this.validateScores(review?.userScores, `Reviewer ${review?.reviewerName || ''}`.trim(), errors);
+      });
+    }
+
+    const recommendation = bundle.finalRecommendation;
+    if (recommendation && (typeof recommendation !== 'object' || Array.isArray(recommendation))) {
+      errors.push('Final recommendation is not in the expected format');
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  },
+
+  /**
+   * Check a set of 1-9 scores and text justifications
+   * @param {Object} userScores - { dimensionKey: { score, justification } }
+   * @param {string} label - Whose scores, for the error message
+   * @param {string[]} errors - Collected errors
+   */
+  validateScores(userScores, label, errors) {
+    Object.entries(userScores || {}).forEach(([key, scoreData]) => {
+      if (!scoreData) return;
+      const name = DimensionRegistry.get(key)?.name || key;
+      const score = scoreData.score;
+      if (score !== null && score !== undefined && (!Number.isInteger(score) || score < 1 || score > 9)) {
+        errors.push(`${label} score for ${name} must be between 1 and 9`);
+      }
+      if (scoreData.justification !== undefined && scoreData.justification !== null &&
+          typeof scoreData.justification !== 'string') {
+        errors.push(`${label} justification for ${name} must be text`);
+      }
+    });
+  },
+
+  /**
+   * Bring an older bundle up to the current layout
+   */
+  upgrade(bundle) {
+    if (!bundle || typeof bundle !== 'object') return bundle;
+
+    // Version 2: the final recommendation became structured (decision, conditions, follow-ups)
+    if (bundle.version === 1) {
+      bundle = {
+        ...bundle,
+        version: 2,
+        finalRecommendation: FinalRecommendation.normalize(bundle.finalRecommendation)
+      };
+    }
+    return bundle;
+  },
+
+  /**
+   * Convert a validated bundle to an assessment record for restoreFromCachedAssessment
+   * @param {Object} bundle - Validated bundle
+   * @param {string} fallbackKey - Key to use if the bundle has none
+   */
+  toRecord(bundle, fallbackKey = null) {
+    const metadata = bundle.metadata || {};
+    const aiData = { company: bundle.phases.company };
+    const userScores = {};
+
+    DimensionRegistry.keys().forEach(key => {
+      aiData[key] = bundle.phases[key] || null;
+      if (bundle.userScores?.[key]) {
+        userScores[key] = {
+          score: bundle.userScores[key].score ?? null,
+          justification: bundle.userScores[key].justification || ''
+        };
+      }
+    });
+
+    const savedAt = metadata.savedAt ? Date.parse(metadata.savedAt) : NaN;
+
+    return {
+      key: metadata.assessmentKey || fallbackKey,
+      timestamp: isNaN(savedAt) ? Date.now() : savedAt,
+      companyInput: bundle.companyInput
+        ? { ...bundle.companyInput, portfolio: bundle.companyInput.portfolio || metadata.portfolio || '' }
+        : null,
+      smartsheetRowId: metadata.smartsheetRowId || null,
+      userScores,
+      aiData,
+      ventureName: metadata.ventureName || 'Unknown',
+      customVentureName: metadata.customVentureName || null,
+      advisorName: metadata.advisorName || 'Unknown',
+      portfolio: metadata.portfolio || '',
+      rubricVersion: metadata.rubricVersion || null,
+      primaryMarketChoice: metadata.primaryMarketChoice || null,
+      finalRecommendation: FinalRecommendation.normalize(bundle.finalRecommendation),
+      marketSizing: bundle.marketSizing && typeof bundle.marketSizing === 'object' ? bundle.marketSizing : null,
+      competitorMatrix: bundle.competitorMatrix && typeof bundle.competitorMatrix === 'object' ? bundle.competitorMatrix : null,
+      companyBrief: bundle.companyBrief && typeof bundle.companyBrief === 'object' ? bundle.companyBrief : null,
+      reviews: bundle.reviews || {},
+      consensus: bundle.consensus ? Consensus.normalize(bundle.consensus) : null
+    };
+  },
+
+  // ========== FILES ==========
+
+  getFilename(bundle) {
+    const name = (bundle.metadata?.customVentureName || bundle.metadata?.ventureName || 'assessment')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_|_$/g, '');
+    const date = new Date().toISOString().split('T')[0];
+    return `assessment_${name || 'venture'}_${date}${this.extension}`;
+  },
+
+  /**
+   * Save a bundle as a file download
+   * @returns {string} Filename
+   */
+  download(bundle) {
+    const filename = this.getFilename(bundle);
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    return filename;
+  },
+
+  /**
+   * Read and parse a bundle file (not yet validated)
+   * @param {File} file - Selected .nrqa.json file
+   * @returns {Promise<Object>} Parsed bundle
+   */
+  async read(file) {
+    if (!file) {
+      throw new Error('No file selected');
+    }
+    if (file.size > this.maxFileSize) {
+      throw new Error(`File is too large (${Formatters.fileSize(file.size)})`);
+    }
+
+    try {
+      return JSON.parse(await file.text());
+    } catch {
+      throw new Error('File is not valid JSON');
+    }
+  }
+};
+
+// Make available globally
+window.AssessmentBundle = AssessmentBundle;
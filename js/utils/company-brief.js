@@ -0,0 +1,146 @@
+// js/utils/company-brief.js - Advisor-corrected company brief
+// Seeded from the company analysis. The advisor corrects what the workflow got wrong
+// (founders, technology category, ...) and the short description the other workflows
+// read is regenerated from the brief. Each field lists the phases it feeds, so a saved
+// correction can offer to re-run just those.
+
+const CompanyBrief = {
+  // phases: dimension keys the field matters to; '*' for every phase reading the description
+  fields: [
+    { key: 'name', label: 'Company name', phases: ['*'] },
+    { key: 'website', label: 'Website', phases: ['*'] },
+    { key: 'stage', label: 'Stage', phases: ['funding', 'team'] },
+    { key: 'description', label: 'What the company does', multiline: true, phases: ['*'] },
+    { key: 'technologyCategory', label: 'Technology category', phases: ['competitive', 'market', 'iprisk'] },
+    { key: 'coreTechnology', label: 'Core technology', multiline: true, phases: ['competitive', 'market', 'iprisk'] },
+    { key: 'founders', label: 'Founders and key team', multiline: true, hint: 'One per line, e.g. "Jane Doe - CEO"', phases: ['team', 'funding'] },
+    { key: 'businessModel', label: 'Business model and customers', multiline: true, phases: ['funding', 'competitive', 'market'] },
+    { key: 'notes', label: 'Other corrections', multiline: true, hint: 'Anything else the workflows should know', phases: ['*'] }
+  ],
+
+  maxLength: 2000,
+  minDescriptionLength: 20,   // The team workflow rejects shorter descriptions
+
+  create() {
+    const brief = Object.fromEntries(this.fields.map(field => [field.key, '']));
+    brief.savedAt = null;
+    return brief;
+  },
+
+  /**
+   * Brief as the company analysis has it
+   * @param {Object} company - Full company output (venture-extraction-schema)
+   */
+  fromCompany(company) {
+    const overview = company?.company_overview || {};
+    const tech = company?.technology || {};
+    const team = company?.team || {};
+    const market = company?.market_context || {};
+    const person = p => [p?.name, p?.role].filter(Boolean).join(' - ');
+
+    return {
+      ...this.create(),
+      name: overview.name || '',
+      website: overview.website || '',
+      stage: overview.company_stage || '',
+      description: overview.company_description || overview.mission_statement || '',
+      technologyCategory: tech.technology_category || '',
+      coreTechnology: tech.core_technology || '',
+      founders: [...(team.founders || []), ...(team.key_executives || [])]
+        .filter(p => p?.name)
+        .map(person)
+        .join('\n'),
+      businessModel: market.business_model || company?.products_and_applications?.primary_application || ''
+    };
+  },
+
+  /**
+   * Saved brief, or the AI's when the advisor hasn't edited it
+   * @param {Object|null} value - Saved brief
+   * @param {Object} company - Full company output
+   */
+  normalize(value, company) {
+    const brief = this.fromCompany(company);
+    if (!value || typeof value !== 'object') return brief;
+
+    this.fields.forEach(field => {
+      if (typeof value[field.key] === 'string') brief[field.key] = value[field.key];
+    });
+    brief.savedAt = value.savedAt || null;
+    return brief;
+  },
+
+  /**
+   * Fields the advisor changed from the AI's brief
+   * @returns {Object[]} [{ key, label, from, to }]
+   */
+  getChanges(brief, company) {
+    const ai = this.fromCompany(company);
+    return this.fields
+      .filter(field => (brief?.[field.key] || '').trim() !== (ai[field.key] || '').trim())
+      .map(field => ({ key: field.key, label: field.label, from: ai[field.key], to: brief[field.key] }));
+  },
+
+  isEdited(brief, company) {
+    return this.getChanges(brief, company).length > 0;
+  },
+
+  /**
+   * Phases a set of changed fields feeds
+   * @param {Object[]} changes - From getChanges()
+   * @param {string[]} phaseKeys - Phases that read the company description
+   * @returns {string[]} Subset of phaseKeys
+   */
+  getAffectedPhases(changes, phaseKeys) {
+    const wanted = new Set(changes.flatMap(change =>
+      this.fields.find(field => field.key === change.key)?.phases || []));
+    return wanted.has('*') ? phaseKeys : phaseKeys.filter(key => wanted.has(key));
+  },
+
+  /**
+   * Check the brief before it replaces the description
+   * @returns {Object} { valid, errors }
+   */
+  validate(brief) {
+    const errors = [];
+    if (!brief?.name?.trim()) {
+      errors.push('Company name is required');
+    }
+    if ((brief?.description || '').trim().length < this.minDescriptionLength) {
+      errors.push(`Describe what the company does in at least ${this.minDescriptionLength} characters`);
+    }
+    this.fields.forEach(field => {
+      if ((brief?.[field.key] || '').length > this.maxLength) {
+        errors.push(`${field.label} must be ${this.maxLength} characters or fewer`);
+      }
+    });
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Short description for the other workflows, in place of CompanyAPI.getShortDescription
+   */
+  toShortDescription(brief) {
+    const text = key => (brief?.[key] || '').trim();
+    const founders = text('founders').split('\n').map(line => line.trim()).filter(Boolean);
+
+    const heading = [
+      text('name'),
+      text('website') ? `(${text('website')})` : '',
+      text('stage') ? `- ${text('stage')} stage` : ''
+    ].filter(Boolean).join(' ');
+
+    return [
+      heading,
+      text('description'),
+      text('technologyCategory') ? `Technology category: ${text('technologyCategory')}` : '',
+      text('coreTechnology') ? `Core technology: ${text('coreTechnology')}` : '',
+      founders.length > 0 ? `Founders and key team: ${founders.join('; ')}` : '',
+      text('businessModel') ? `Business model: ${text('businessModel')}` : '',
+      text('notes') ? `Advisor corrections: ${text('notes')}` : ''
+    ].filter(Boolean).join('\n');
+  }
+};
+
+// Make available globally
+window.CompanyBrief = CompanyBrief;
@@ -0,0 +1,399 @@
+// js/utils/competitor-matrix.js - Advisor competitor matrix
+// Seeded from the competitors in the competitive analysis. The advisor can add competitors
+// the workflow missed, remove or merge listed ones, set each one's size and score it on
+// feature axes they define, for a positioning map of the venture against the field.
+// applyTo() lays the edits over the AI result (competitor list and competitor_count) for
+// display, reports and as context when competitive or market analysis is re-run.
+
+const CompetitorMatrix = {
+  sizes: [
+    { value: 'large', label: 'Large', color: '#6A93FF', countKey: 'large_companies', rangeKey: 'large_range' },
+    { value: 'mid-size', label: 'Mid-size', color: '#0082A5', countKey: 'mid_size_companies', rangeKey: 'midsize_range' },
+    { value: 'startup', label: 'Startup', color: '#5CE042', countKey: 'startups', rangeKey: 'startups_range' },
+    { value: 'unknown', label: 'Unknown', color: '#94A3B8', countKey: null, rangeKey: null }
+  ],
+
+  defaultAxes: [
+    { key: 'technology', label: 'Technology' },
+    { key: 'cost', label: 'Cost advantage' },
+    { key: 'traction', label: 'Market traction' }
+  ],
+
+  scale: 5,      // Axis scores run 1 (weak) to 5 (strong)
+  maxAxes: 6,
+
+  create() {
+    return {
+      // [{ id, name, size, source: 'ai'|'advisor', aiNames, mergedNames, removed, scores: { axisKey: 1-5 } }]
+      // aiNames: AI competitors the row stands for (several after a merge; none for advisor rows)
+      competitors: [],
+      axes: this.defaultAxes.map(axis => ({ ...axis })),
+      ventureScores: {},    // { axisKey: 1-5 }
+      mapAxes: { x: this.defaultAxes[0].key, y: this.defaultAxes[1].key }
+    };
+  },
+
+  /**
+   * Size category for free-text sizes from the workflow ("Large Enterprise", "Early-stage startup")
+   */
+  sizeOf(text) {
+    const value = String(text || '').toLowerCase();
+    if (this.sizes.some(size => size.value === value)) return value;
+    if (/large|enterprise|public|incumbent/.test(value)) return 'large';
+    if (/mid/.test(value)) return 'mid-size';
+    if (/start|small|early/.test(value)) return 'startup';
+    return 'unknown';
+  },
+
+  getSizeLabel(value) {
+    return this.sizes.find(size => size.value === value)?.label || 'Unknown';
+  },
+
+  getSizeColor(value) {
+    return (this.sizes.find(size => size.value === value) || this.sizes[this.sizes.length - 1]).color;
+  },
+
+  /**
+   * Competitors in the AI analysis
+   * @returns {Object[]} [{ name, size, raw }]
+   */
+  getAiCompetitors(result) {
+    return (result?.analysis?.competitors || [])
+      .filter(comp => comp?.company_name && comp.company_name !== 'Unknown')
+      .map(comp => ({
+        name: comp.company_name,
+        size: this.sizeOf(comp.size_category || comp.companySize),
+        raw: comp
+      }));
+  },
+
+  /**
+   * Merge a saved matrix with the competitors of the current analysis. AI competitors no
+   * row covers are added; rows for AI competitors that are gone (after a re-run) are dropped.
+   * @param {Object|null} value - Saved matrix
+   * @param {Object} result - CompetitiveAPI.processResponse output (or a cached copy)
+   * @returns {Object} Matrix in the create() shape
+   */
+  normalize(value, result) {
+    const model = this.create();
+    const saved = value && typeof value === 'object' ? value : {};
+    const aiCompetitors = this.getAiCompetitors(result);
+    const aiNames = new Set(aiCompetitors.map(comp => comp.name));
+    const text = v => (typeof v === 'string' ? v.trim() : '');
+
+    if (Array.isArray(saved.axes) && saved.axes.length > 0) {
+      model.axes = saved.axes
+        .filter(axis => text(axis?.key) && text(axis?.label))
+        .slice(0, this.maxAxes)
+        .map(axis => ({ key: text(axis.key), label: text(axis.label) }));
+    }
+    const axisKeys = model.axes.map(axis => axis.key);
+    const scores = value => Object.fromEntries(axisKeys
+      .map(key => [key, parseInt(value?.[key], 10)])
+      .filter(([, score]) => score >= 1 && score <= this.scale));
+
+    (Array.isArray(saved.competitors) ? saved.competitors : []).forEach(entry => {
+      const source = entry?.source === 'advisor' ? 'advisor' : 'ai';
+      const names = (Array.isArray(entry?.aiNames) ? entry.aiNames : []).filter(name => aiNames.has(name));
+      if (!text(entry?.name) || (source === 'ai' && names.length === 0)) return;
+
+      model.competitors.push({
+        id: text(entry.id) || this.createId(),
+        name: text(entry.name),
+        size: this.sizeOf(entry.size),
+        source,
+        aiNames: names,
+        mergedNames: (Array.isArray(entry.mergedNames) ? entry.mergedNames : []).map(text).filter(Boolean),
+        removed: source === 'ai' && !!entry.removed,
+        scores: scores(entry.scores)
+      });
+    });
+
+    const covered = new Set(model.competitors.flatMap(entry => entry.aiNames));
+    aiCompetitors
+      .filter(comp => !covered.has(comp.name))
+      .forEach(comp => model.competitors.push({
+        id: `ai:${comp.name}`,
+        name: comp.name,
+        size: comp.size,
+        source: 'ai',
+        aiNames: [comp.name],
+        mergedNames: [],
+        removed: false,
+        scores: {}
+      }));
+
+    model.ventureScores = scores(saved.ventureScores);
+    const mapAxis = (key, fallback) => (axisKeys.includes(key) ? key : fallback);
+    model.mapAxes = {
+      x: mapAxis(saved.mapAxes?.x, axisKeys[0] || ''),
+      y: mapAxis(saved.mapAxes?.y, axisKeys[1] || axisKeys[0] || '')
+    };
+
+    return model;
+  },
+
+  createId() {
+    return `advisor:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  },
+
+  /**
+   * Axis key for a new label, unique within the matrix
+   */
+  createAxisKey(model, label) {
+    const base = String(label || 'axis').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'axis';
+    let key = base;
+    for (let n = 2; model.axes.some(axis => axis.key === key); n++) key = `${base}-${n}`;
+    return key;
+  },
+
+  getActive(model) {
+    return (model?.competitors || []).filter(entry => !entry.removed);
+  },
+
+  /**
+   * True when the advisor has changed anything (nothing to save, report or pass on otherwise)
+   */
+  isEdited(model, result) {
+    if (!model) return false;
+    const defaults = this.create();
+    if (JSON.stringify(model.axes) !== JSON.stringify(defaults.axes) ||
+      JSON.stringify(model.mapAxes) !== JSON.stringify(defaults.mapAxes)) return true;
+
+    const aiSizes = new Map(this.getAiCompetitors(result).map(comp => [comp.name, comp.size]));
+    return model.competitors.some(entry =>
+      entry.source === 'advisor' ||
+      entry.removed ||
+      entry.aiNames.length !== 1 ||
+      entry.name !== entry.aiNames[0] ||
+      entry.size !== aiSizes.get(entry.aiNames[0]) ||
+      Object.keys(entry.scores).length > 0
+    ) || Object.keys(model.ventureScores).length > 0;
+  },
+
+  // ========== EDITS ==========
+
+  /**
+   * Fold one competitor into another (duplicates, subsidiaries)
+   */
+  merge(model, sourceId, targetId) {
+    const source = model.competitors.find(entry => entry.id === sourceId);
+    const target = model.competitors.find(entry => entry.id === targetId);
+    if (!source || !target || source === target) return model;
+
+    target.aiNames = [...new Set([...target.aiNames, ...source.aiNames])];
+    target.mergedNames = [...new Set([...target.mergedNames, source.name, ...source.mergedNames])];
+    Object.entries(source.scores).forEach(([key, score]) => {
+      if (target.scores[key] === undefined) target.scores[key] = score;
+    });
+    model.competitors = model.competitors.filter(entry => entry !== source);
+    return model;
+  },
+
+  /**
+   * Remove a competitor. AI rows are kept as removed so they don't come back from the analysis.
+   */
+  remove(model, id) {
+    const entry = model.competitors.find(e => e.id === id);
+    if (!entry) return model;
+    if (entry.source === 'advisor') {
+      model.competitors = model.competitors.filter(e => e !== entry);
+    } else {
+      entry.removed = true;
+    }
+    return model;
+  },
+
+  // ========== APPLYING TO THE AI RESULT ==========
+
+  /**
+   * Competitor counts after the advisor's edits: the AI's estimate for the whole market,
+   * minus the AI competitors as profiled, plus the matrix's active rows (so an untouched
+   * matrix leaves the estimate as is)
+   * @returns {Object} { total, large_companies, mid_size_companies, startups, adjusted, aiTotal, delta }
+   *   where delta is the change per count key
+   */
+  getCounts(model, result) {
+    const ai = result?.assessment?.competitor_count || {};
+    const counts = {
+      total: Number(ai.total) || 0,
+      large_companies: Number(ai.large_companies) || 0,
+      mid_size_companies: Number(ai.mid_size_companies) || 0,
+      startups: Number(ai.startups) || 0
+    };
+    const delta = { total: 0 };
+    const adjust = (size, change) => {
+      const key = this.sizes.find(s => s.value === size)?.countKey;
+      if (key) delta[key] = (delta[key] || 0) + change;
+      delta.total += change;
+    };
+
+    this.getAiCompetitors(result).forEach(comp => adjust(comp.size, -1));
+    this.getActive(model).forEach(entry => adjust(entry.size, 1));
+
+    Object.entries(delta).forEach(([key, change]) => {
+      counts[key] = Math.max(0, counts[key] + change);
+    });
+
+    return {
+      ...counts,
+      adjusted: Object.values(delta).some(change => change !== 0),
+      aiTotal: ai.total ?? null,
+      delta
+    };
+  },
+
+  /**
+   * The AI result with the advisor's competitor list and counts. The original result is
+   * not changed; without edits it is returned as is.
+   * @param {Object} result - CompetitiveAPI.processResponse output (or a cached copy)
+   * @param {Object|null} model - Matrix (see normalize)
+   * @returns {Object} Result in the processResponse shape, plus competitorMatrix
+   */
+  applyTo(result, model) {
+    if (!result?.analysis || !result?.assessment || !this.isEdited(model, result)) return result;
+
+    const aiByName = new Map(this.getAiCompetitors(result).map(comp => [comp.name, comp.raw]));
+    const competitors = this.getActive(model).map(entry => {
+      const raw = aiByName.get(entry.aiNames[0]);
+      const competitor = raw
+        ? { ...raw, company_name: entry.name }
+        : { company_name: entry.name, competitorType: 'advisor-added' };
+      // Keep the workflow's wording ("Large Enterprise") unless the advisor changed the size
+      if (!raw || this.sizeOf(raw.size_category || raw.companySize) !== entry.size) {
+        competitor.size_category = this.getSizeLabel(entry.size);
+        delete competitor.companySize;
+      }
+      if (entry.mergedNames.length > 0) competitor.merged_with = entry.mergedNames;
+      return competitor;
+    });
+
+    const counts = this.getCounts(model, result);
+    const totals = { ...(result.analysis.market_overview?.total_competitors || {}) };
+    const rangeNote = (rangeKey, count, change) => {
+      if (rangeKey && change && totals[rangeKey]) totals[rangeKey] = `${count} (advisor-adjusted from ${totals[rangeKey]})`;
+    };
+    this.sizes.forEach(size => rangeNote(size.rangeKey, counts[size.countKey], counts.delta[size.countKey]));
+    rangeNote('total_range', counts.total, counts.delta.total);
+
+    const analysis = {
+      ...result.analysis,
+      market_overview: { ...(result.analysis.market_overview || {}), total_competitors: totals },
+      competitors,
+      advisor_competitor_matrix: this.toContext(model)
+    };
+    const assessment = {
+      ...result.assessment,
+      competitor_count: {
+        total: counts.total,
+        large_companies: counts.large_companies,
+        mid_size_companies: counts.mid_size_companies,
+        startups: counts.startups
+      }
+    };
+
+    return {
+      ...result,
+      analysis,
+      assessment,
+      analysisText: JSON.stringify(analysis),
+      formatted: CompetitiveAPI.formatForDisplay(analysis, assessment),
+      competitorMatrix: model
+    };
+  },
+
+  /**
+   * Advisor edits in a form a workflow can read
+   */
+  toContext(model) {
+    const axisLabel = key => model.axes.find(axis => axis.key === key)?.label || key;
+    const scores = values => Object.fromEntries(Object.entries(values).map(([key, score]) => [axisLabel(key), score]));
+    return {
+      added: model.competitors.filter(e => e.source === 'advisor').map(e => e.name),
+      removed: model.competitors.filter(e => e.removed).map(e => e.name),
+      merged: model.competitors.filter(e => e.mergedNames.length > 0).map(e => ({ name: e.name, includes: e.mergedNames })),
+      scale: `1-${this.scale}`,
+      venture_scores: scores(model.ventureScores),
+      competitor_scores: this.getActive(model)
+        .filter(e => Object.keys(e.scores).length > 0)
+        .map(e => ({ name: e.name, size: this.getSizeLabel(e.size), scores: scores(e.scores) }))
+    };
+  },
+
+  /**
+   * Plain-text notes appended to the company description when competitive analysis is re-run
+   * @returns {string} Empty without edits to the competitor list
+   */
+  toContextText(model) {
+    const context = this.toContext(model);
+    const lines = [];
+    if (context.added.length > 0) {
+      const added = model.competitors.filter(e => e.source === 'advisor' && !e.removed);
+      lines.push(`Competitors the advisor added (include them): ${added.map(e => `${e.name} (${this.getSizeLabel(e.size)})`).join(', ')}`);
+    }
+    if (context.removed.length > 0) {
+      lines.push(`Not competitors per the advisor (leave out): ${context.removed.join(', ')}`);
+    }
+    context.merged.forEach(m => lines.push(`The advisor treats these as one competitor: ${[m.name, ...m.includes].join(', ')}`));
+
+    return lines.length > 0 ? `Advisor notes on competitors:\n${lines.map(line => `- ${line}`).join('\n')}` : '';
+  },
+
+  // ========== POSITIONING MAP ==========
+
+  /**
+   * Points for the positioning map on the two map axes; rows missing either score are left out
+   * @returns {Object} { x: { key, label }, y: { key, label }, points: [{ name, x, y, size, isVenture }] }
+   */
+  getMapPoints(model, ventureName = 'Venture') {
+    const axis = key => model.axes.find(a => a.key === key) || null;
+    const x = axis(model.mapAxes.x);
+    const y = axis(model.mapAxes.y);
+    if (!x || !y) return { x, y, points: [] };
+
+    const point = (name, scores, size, isVenture) => (scores[x.key] && scores[y.key]
+      ? { name, x: scores[x.key], y: scores[y.key], size, isVenture }
+      : null);
+
+    const points = [
+      point(ventureName, model.ventureScores, null, true),
+      ...this.getActive(model).map(entry => point(entry.name, entry.scores, entry.size, false))
+    ].filter(Boolean);
+
+    return { x, y, points };
+  },
+
+  // ========== FORMATTING ==========
+
+  /**
+   * Bullet lines for the PDF and Word competitive sections
+   */
+  toLines(model, ventureName = 'Venture') {
+    const axisScores = scores => model.axes
+      .filter(axis => scores[axis.key])
+      .map(axis => `${axis.label} ${scores[axis.key]}`)
+      .join(', ');
+
+    const lines = [];
+    if (Object.keys(model.ventureScores).length > 0) {
+      lines.push(`${ventureName}: ${axisScores(model.ventureScores)}`);
+    }
+    this.getActive(model).forEach(entry => {
+      const notes = [
+        entry.source === 'advisor' ? 'added by the advisor' : null,
+        entry.mergedNames.length > 0 ? `includes ${entry.mergedNames.join(', ')}` : null
+      ].filter(Boolean);
+      const scores = axisScores(entry.scores);
+      lines.push(`${entry.name} (${this.getSizeLabel(entry.size)}${notes.length ? `; ${notes.join('; ')}` : ''})${scores ? `: ${scores}` : ''}`);
+    });
+
+    const removed = model.competitors.filter(entry => entry.removed).map(entry => entry.name);
+    if (removed.length > 0) {
+      lines.push(`Removed by the advisor: ${removed.join(', ')}`);
+    }
+    return lines;
+  }
+};
+
+// Make available globally
+window.CompetitorMatrix = CompetitorMatrix;
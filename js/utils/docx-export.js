@@ -0,0 +1,822 @@
+// js/utils/docx-export.js - Word (.docx) export
+// Builds the same report as the PDF (ExportUtility) as an editable Word document:
+// real headings, editable score tables, and tables for funding rounds, competitors
+// and patents. The WordprocessingML is written here and zipped in the browser with
+// JSZip; no server is involved.
+
+/**
+ * WordprocessingML helpers. A document is { body: [] } of XML chunks, like a jsPDF
+ * doc is passed through the PdfLayout helpers.
+ */
+const DocxLayout = {
+  pageWidth: 11906,     // A4, twips
+  pageHeight: 16838,
+  margin: 1134,         // 2 cm
+
+  create() {
+    return { body: [] };
+  },
+
+  /**
+   * Escape text for XML and drop control characters Word rejects
+   */
+  escape(value) {
+    return String(value ?? '')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * One run; newlines become line breaks
+   * @param {Object} options - { bold, italic, color }
+   */
+  run(text, options = {}) {
+    const props = [
+      options.bold ? '<w:b/>' : '',
+      options.italic ? '<w:i/>' : '',
+      options.color ? `<w:color w:val="${options.color}"/>` : ''
+    ].join('');
+
+    const lines = String(text ?? '').split(/\r?\n/)
+      .map(line => `<w:t xml:space="preserve">${this.escape(line)}</w:t>`)
+      .join('<w:br/>');
+
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${lines}</w:r>`;
+  },
+
+  /**
+   * Paragraph XML
+   * @param {string|Object[]} content - Text, or runs [{ text, bold, italic, color }]
+   * @param {Object} options - { style, align, bold, italic, color, spacingAfter }
+   */
+  paragraphXml(content, options = {}) {
+    const runs = Array.isArray(content)
+      ? content.map(part => this.run(part.text, part)).join('')
+      : this.run(content, options);
+
+    const props = [
+      options.style ? `<w:pStyle w:val="${options.style}"/>` : '',
+      options.align ? `<w:jc w:val="${options.align}"/>` : '',
+      options.spacingAfter !== undefined ? `<w:spacing w:after="${options.spacingAfter}"/>` : ''
+    ].join('');
+
+    return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+  },
+
+  paragraph(doc, content, options = {}) {
+    doc.body.push(this.paragraphXml(content, options));
+  },
+
+  /**
+   * Word heading (Heading 1-3), shown in the navigation pane and table of contents
+   */
+  heading(doc, text, level = 1) {
+    this.paragraph(doc, text, { style: `Heading${level}` });
+  },
+
+  /**
+   * "Label: value" with a bold label
+   */
+  labelValue(doc, label, value) {
+    this.paragraph(doc, [{ text: `${label}: `, bold: true }, { text: value ?? '-' }]);
+  },
+
+  bullets(doc, items) {
+    (items || []).forEach(item => {
+      this.paragraph(doc, typeof item === 'string' ? item : JSON.stringify(item), { style: 'ListBullet' });
+    });
+  },
+
+  /**
+   * Table with a repeating header row
+   * @param {string[]} headers - Column titles
+   * @param {Array[]} rows - Cell text per row
+   * @param {number[]} widths - Relative column widths (default equal)
+   */
+  table(doc, headers, rows, widths = []) {
+    const total = headers.reduce((sum, _, i) => sum + (widths[i] || 1), 0);
+    const contentWidth = this.pageWidth - this.margin * 2;
+    const columns = headers.map((_, i) => (widths[i] || 1) / total);
+
+    const cell = (text, fraction, header) => `
+      <w:tc>
+        <w:tcPr><w:tcW w:w="${Math.round(fraction * 5000)}" w:type="pct"/>${header ? '<w:shd w:val="clear" w:color="auto" w:fill="E8ECF8"/>' : ''}</w:tcPr>
+        ${this.paragraphXml(text ?? '-', { bold: header, spacingAfter: 0 })}
+      </w:tc>`;
+
+    const headerRow = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${headers.map((h, i) => cell(h, columns[i], true)).join('')}</w:tr>`;
+    const bodyRows = rows
+      .map(row => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${headers.map((_, i) => cell(row[i], columns[i], false)).join('')}</w:tr>`)
+      .join('');
+
+    doc.body.push(`
+      <w:tbl>
+        <w:tblPr>
+          <w:tblStyle w:val="TableGrid"/>
+          <w:tblW w:w="5000" w:type="pct"/>
+          <w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/>
+        </w:tblPr>
+        <w:tblGrid>${columns.map(c => `<w:gridCol w:w="${Math.round(c * contentWidth)}"/>`).join('')}</w:tblGrid>
+        ${headerRow}${bodyRows}
+      </w:tbl>`);
+
+    // Word needs a paragraph between a table and whatever follows it
+    this.paragraph(doc, '', { spacingAfter: 0 });
+  },
+
+  pageBreak(doc) {
+    doc.body.push('<w:p><w:r><w:br w:type="page"/></w:r></w:p>');
+  },
+
+  // ========== PACKAGE ==========
+
+  /**
+   * Zip the document into a .docx blob
+   * @param {Object} properties - { title, subject }
+   * @returns {Promise<Blob>}
+   */
+  async toBlob(doc, properties = {}) {
+    if (!window.JSZip) {
+      throw new Error('Word export library not loaded. Please refresh the page.');
+    }
+
+    const zip = new window.JSZip();
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+    zip.file('[Content_Types].xml', `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+      '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+      '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+      '</Types>');
+
+    zip.file('_rels/.rels', `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+      '</Relationships>');
+
+    zip.file('word/_rels/document.xml.rels', `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>' +
+      '</Relationships>');
+
+    const created = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    zip.file('docProps/core.xml', `${xml}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+      'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+      `<dc:title>${this.escape(properties.title)}</dc:title>` +
+      `<dc:subject>${this.escape(properties.subject)}</dc:subject>` +
+      '<dc:creator>Venture Assessment Platform</dc:creator>' +
+      `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>` +
+      '</cp:coreProperties>');
+
+    zip.file('word/styles.xml', xml + this.getStylesXml());
+    zip.file('word/numbering.xml', xml + this.getNumberingXml());
+    zip.file('word/document.xml', `${xml}<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>` +
+      doc.body.join('') +
+      `<w:sectPr><w:pgSz w:w="${this.pageWidth}" w:h="${this.pageHeight}"/>` +
+      `<w:pgMar w:top="${this.margin}" w:right="${this.margin}" w:bottom="${this.margin}" w:left="${this.margin}" w:header="708" w:footer="708" w:gutter="0"/>` +
+      '</w:sectPr></w:body></w:document>');
+
+    return zip.generateAsync({ type: 'blob', mimeType: DocxExport.mimeType });
+  },
+
+  getStylesXml() {
+    const heading = (level, size, color) => `
+      <w:style w:type="paragraph" w:styleId="Heading${level}">
+        <w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+        <w:pPr><w:keepNext/><w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>
+        <w:rPr><w:b/><w:color w:val="${color}"/><w:sz w:val="${size}"/></w:rPr>
+      </w:style>`;
+    const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/>`;
+
+    return `<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+      <w:docDefaults>
+        <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+        <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+      </w:docDefaults>
+      <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+      <w:style w:type="paragraph" w:styleId="Title">
+        <w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+        <w:pPr><w:spacing w:before="2400" w:after="240"/><w:jc w:val="center"/></w:pPr>
+        <w:rPr><w:b/><w:color w:val="1F2A44"/><w:sz w:val="48"/></w:rPr>
+      </w:style>
+      <w:style w:type="paragraph" w:styleId="Subtitle">
+        <w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+        <w:pPr><w:spacing w:after="240"/><w:jc w:val="center"/></w:pPr>
+        <w:rPr><w:color w:val="667EEA"/><w:sz w:val="36"/></w:rPr>
+      </w:style>
+      ${heading(1, 32, '1F2A44')}
+      ${heading(2, 26, '1F2A44')}
+      ${heading(3, 22, '44546A')}
+      <w:style w:type="paragraph" w:styleId="ListBullet">
+        <w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/>
+        <w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr><w:spacing w:after="60"/></w:pPr>
+      </w:style>
+      <w:style w:type="table" w:default="1" w:styleId="TableNormal">
+        <w:name w:val="Normal Table"/>
+        <w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr>
+      </w:style>
+      <w:style w:type="table" w:styleId="TableGrid">
+        <w:name w:val="Table Grid"/><w:basedOn w:val="TableNormal"/>
+        <w:tblPr><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr>
+      </w:style>
+    </w:styles>`;
+  },
+
+  getNumberingXml() {
+    return `<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+      <w:abstractNum w:abstractNumId="0">
+        <w:multiLevelType w:val="singleLevel"/>
+        <w:lvl w:ilvl="0">
+          <w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="&#8226;"/><w:lvlJc w:val="left"/>
+          <w:pPr><w:ind w:left="360" w:hanging="360"/></w:pPr>
+        </w:lvl>
+      </w:abstractNum>
+      <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+    </w:numbering>`;
+  }
+};
+
+const DocxExport = {
+  mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+
+  /**
+   * Generate the Word report
+   * @param {Object} data - Export data (AssessmentView.getExportData)
+   * @returns {Promise<string>} Saved filename
+   */
+  async generateReport(data) {
+    if (!data) {
+      throw new Error('No data provided for export');
+    }
+
+    const validation = Validators.validateExportData(data);
+    if (!validation.valid) {
+      throw new Error(`Cannot export: ${validation.errors.join(', ')}`);
+    }
+
+    const ventureName = window.app?.getVentureName() || data.company.company_overview?.name || 'Company';
+    data.ventureName = ventureName;
+
+    const doc = DocxLayout.create();
+
+    this.addTitlePage(doc, data);
+    DocxLayout.pageBreak(doc);
+    this.addExecutiveSummary(doc, data);
+
+    // One section per registered dimension
+    DimensionRegistry.list().forEach(dimension => {
+      if (!data[dimension.key]) return;
+      DocxLayout.pageBreak(doc);
+      if (typeof dimension.docxSection === 'function') {
+        dimension.docxSection(doc, data, dimension);
+      } else {
+        this.addDimensionAssessment(doc, data, dimension);
+      }
+    });
+
+    if (data.finalRecommendation) {
+      DocxLayout.pageBreak(doc);
+      this.addFinalRecommendation(doc, data);
+    }
+
+    // Appendix
+    DocxLayout.pageBreak(doc);
+    DocxLayout.heading(doc, 'Appendix', 1);
+    DocxLayout.paragraph(doc, 'Detailed assessment data and supporting analysis', { italic: true });
+    this.addCompanyDetails(doc, data.company);
+    DimensionRegistry.list().forEach(dimension => {
+      if (!data[dimension.key] || typeof dimension.docxDetails !== 'function') return;
+      DocxLayout.pageBreak(doc);
+      dimension.docxDetails(doc, data, dimension);
+    });
+    this.addDataQualityWarnings(doc, data);
+
+    const blob = await DocxLayout.toBlob(doc, {
+      title: 'Venture Assessment Report',
+      subject: `Assessment of ${ventureName}`
+    });
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    const filename = `assessment_${ventureName.toLowerCase().replace(/\s+/g, '_')}_${timestamp}.docx`;
+
+    this.download(blob, filename);
+    await ExportUtility.trySharepointUpload(blob, filename);
+
+    return filename;
+  },
+
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  // ========== HELPERS ==========
+
+  formatScore(score) {
+    return score === undefined || score === null ? '-' : `${score}/9`;
+  },
+
+  /**
+   * Editable AI / user score table at the top of a dimension section
+   */
+  addScores(doc, aiScore, userScore) {
+    DocxLayout.table(doc, ['AI Score', 'User Score'], [[this.formatScore(aiScore), this.formatScore(userScore)]]);
+  },
+
+  /**
+   * Heading and text; skipped when there is no text unless a fallback is given
+   */
+  addText(doc, title, text, fallback = null) {
+    if (!text && fallback === null) return;
+    DocxLayout.heading(doc, title, 3);
+    DocxLayout.paragraph(doc, text || fallback);
+  },
+
+  /**
+   * Heading and bullet list, with "...and N more" past the limit
+   */
+  addList(doc, title, items, limit = null, emptyLabel = 'None noted') {
+    DocxLayout.heading(doc, title, 3);
+    if (!items || items.length === 0) {
+      DocxLayout.paragraph(doc, emptyLabel, { italic: true });
+      return;
+    }
+    DocxLayout.bullets(doc, limit ? items.slice(0, limit) : items);
+    if (limit && items.length > limit) {
+      DocxLayout.paragraph(doc, `...and ${items.length - limit} more`, { italic: true });
+    }
+  },
+
+  /**
+   * Heading and patent table (ID, title, year, assignee)
+   */
+  addPatentTable(doc, title, patents) {
+    DocxLayout.heading(doc, title, 3);
+    if (!patents || patents.length === 0) {
+      DocxLayout.paragraph(doc, 'None noted', { italic: true });
+      return;
+    }
+    DocxLayout.table(
+      doc,
+      ['Patent', 'Title', 'Year', 'Assignee'],
+      patents.map(patent => (typeof patent === 'string'
+        ? [patent, '', '', '']
+        : [patent?.patentID || patent?.id || '-', patent?.title || '-', patent?.year || '-', patent?.assignee || '-'])),
+      [2, 5, 1, 2]
+    );
+  },
+
+  // ========== REPORT SECTIONS ==========
+
+  /**
+   * Title, venture, advisor, date and the editable score table for every dimension
+   */
+  addTitlePage(doc, data) {
+    const date = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+    DocxLayout.paragraph(doc, 'Venture Assessment Report', { style: 'Title' });
+    DocxLayout.paragraph(doc, data.ventureName || data.company.company_overview?.name || 'Unknown Company', { style: 'Subtitle' });
+    DocxLayout.paragraph(doc, `Assessed by: ${ExportUtility.getAdvisorName()}`, { align: 'center' });
+    DocxLayout.paragraph(doc, date, { align: 'center' });
+    DocxLayout.paragraph(doc, `Scored under rubric ${RubricRegistry.label(data.rubricVersion)}`, { align: 'center', italic: true, color: '666666' });
+
+    DocxLayout.heading(doc, 'Assessment Results', 2);
+    DocxLayout.table(
+      doc,
+      ['Dimension', 'AI Score', 'User Score', 'User Justification'],
+      DimensionRegistry.list().map(dimension => [
+        dimension.reportName,
+        this.formatScore(DimensionRegistry.getScore(dimension.key, data[dimension.key])),
+        this.formatScore(data[dimension.key]?.userScore),
+        data[dimension.key]?.userJustification || ''
+      ]),
+      [3, 1, 1, 5]
+    );
+  },
+
+  addExecutiveSummary(doc, data) {
+    DocxLayout.heading(doc, 'Executive Summary', 1);
+
+    const overview = data.company?.company_overview || {};
+    this.addText(doc, 'Company Overview', overview.company_description || overview.mission_statement, 'No description available');
+
+    DocxLayout.heading(doc, 'Key Metrics', 3);
+    ExportUtility.getKeyMetrics(data).forEach(section => {
+      DocxLayout.paragraph(doc, `${section.title}:`, { bold: true, spacingAfter: 40 });
+      DocxLayout.bullets(doc, section.items);
+    });
+
+    const summary = ExportUtility.getAssessmentSummary(data);
+    DocxLayout.heading(doc, 'Assessment Summary', 3);
+    DocxLayout.bullets(doc, [...summary.team, ...summary.funding]);
+    DocxLayout.labelValue(doc, 'Average AI Score', summary.averageAi);
+    DocxLayout.labelValue(doc, 'Average User Score', summary.averageUser);
+
+    DocxLayout.heading(doc, 'Decision', 3);
+    DocxLayout.bullets(doc, ExportUtility.getCompositeLines(data));
+  },
+
+  addTeamAssessment(doc, data) {
+    DocxLayout.heading(doc, 'Team Assessment', 1);
+
+    const team = data.team;
+    if (!team) {
+      DocxLayout.paragraph(doc, 'Team assessment data not available.');
+      return;
+    }
+
+    const formatted = team.formatted || {};
+    const composition = formatted.teamComposition || {};
+    const members = formatted.members || [];
+
+    this.addScores(doc, team.score, team.userScore);
+    this.addText(doc, 'User Justification', team.userJustification);
+
+    this.addList(doc, 'Team Composition', [
+      `Total Members: ${composition.total ?? members.length}`,
+      `Technical Experts: ${composition.technical ?? 0}`,
+      `Business Leaders: ${composition.business ?? 0}`,
+      `Domain Experts: ${composition.domain ?? 0}`
+    ]);
+    this.addList(doc, 'Key Strengths', formatted.strengths, 5, 'None noted.');
+    this.addList(doc, 'Key Gaps', formatted.gaps, 5, 'None noted.');
+    this.addList(doc, 'Relevant Experience Highlights', formatted.experiences, 6, 'None noted.');
+
+    DocxLayout.heading(doc, 'Key Team Members', 3);
+    if (members.length === 0) {
+      DocxLayout.paragraph(doc, 'No team members listed.', { italic: true });
+    } else {
+      const first = list => (Array.isArray(list) && list.length > 0 ? list[0] : null);
+      DocxLayout.table(
+        doc,
+        ['Name', 'Role', 'Commercial Experience', 'Education Highlight'],
+        members.map(member => [
+          member.name || 'Team Member',
+          member.role_at_venture || '-',
+          first(member.commercialization_experience) ? ExportUtility.formatCommercialEntry(first(member.commercialization_experience)) : '-',
+          first(member.education_history) ? ExportUtility.formatEducationEntry(first(member.education_history)) : '-'
+        ]),
+        [2, 2, 4, 3]
+      );
+    }
+
+    const sources = formatted.sources || [];
+    if (sources.length > 0) {
+      this.addList(doc, 'Primary Sources', sources, 5);
+    }
+  },
+
+  addFundingAssessment(doc, data) {
+    DocxLayout.heading(doc, 'Funding Readiness Assessment', 1);
+
+    const funding = data.funding;
+    if (!funding) {
+      DocxLayout.paragraph(doc, 'Funding assessment data not available.');
+      return;
+    }
+
+    const formatted = funding.formatted || {};
+    this.addScores(doc, funding.funding_score ?? funding.score, funding.userScore);
+    this.addText(doc, 'User Justification', funding.userJustification);
+    this.addText(doc, 'AI Assessment', funding.score_justification || formatted.scoreJustification);
+
+    const confidence = formatted.confidence !== undefined
+      ? Formatters.confidence(formatted.confidence)
+      : 'Not available';
+    this.addList(doc, 'Funding Summary', [
+      `Prior Funding Secured: ${(formatted.hasPriorFunding ?? funding.has_prior_funding) ? 'Yes' : 'No'}`,
+      `Funding Rounds Identified: ${formatted.totalFundingRounds ?? funding.total_funding_rounds ?? 0}`,
+      `Comparable Market Deals: ${formatted.totalPeerDeals ?? (formatted.peerDeals?.length ?? 0)}`,
+      `Data Confidence: ${confidence}`
+    ]);
+
+    const rounds = formatted.fundingRounds || [];
+    DocxLayout.heading(doc, 'Funding Rounds', 3);
+    if (rounds.length === 0) {
+      DocxLayout.paragraph(doc, 'No funding rounds identified', { italic: true });
+    } else {
+      DocxLayout.table(
+        doc,
+        ['Date', 'Type', 'Amount', 'Source'],
+        rounds.map(round => [round.date || '-', round.type, round.amount, round.source]),
+        [2, 2, 2, 4]
+      );
+    }
+
+    const considerations = formatted.keyConsiderations || funding.key_considerations || [];
+    if (considerations.length > 0) {
+      this.addList(doc, 'Key Considerations', considerations.slice(0, 5));
+    }
+  },
+
+  addCompetitiveAssessment(doc, data) {
+    DocxLayout.heading(doc, 'Competitive Risk Assessment', 1);
+
+    const competitive = data.competitive || {};
+    const assessment = competitive.assessment || {};
+    this.addScores(doc, assessment.score, competitive.userScore);
+    this.addText(doc, 'User Justification', competitive.userJustification);
+    this.addText(doc, 'AI Assessment', assessment.score_justification, 'No justification provided');
+
+    const risks = assessment.key_risk_factors || [];
+    if (risks.length > 0) {
+      this.addList(doc, 'Key Risks', risks.slice(0, 5));
+    }
+
+    if (competitive.competitorMatrix) {
+      const ventureName = window.app?.getVentureName() || data.company?.company_overview?.name || 'Venture';
+      this.addList(doc, 'Advisor Competitor Matrix', CompetitorMatrix.toLines(competitive.competitorMatrix, ventureName));
+    }
+  },
+
+  addMarketAssessment(doc, data) {
+    DocxLayout.heading(doc, 'Market Opportunity Assessment', 1);
+
+    const market = data.market || {};
+    this.addScores(doc, market.scoring?.score, market.userScore);
+
+    const rubricLine = ExportUtility.getMarketRubricLine(market.rubricCheck);
+    if (rubricLine) DocxLayout.paragraph(doc, rubricLine);
+
+    this.addText(doc, 'User Justification', market.userJustification);
+    this.addText(doc, 'AI Assessment', market.scoring?.justification?.summary, 'No justification provided');
+    this.addList(doc, 'Primary Market', ExportUtility.getPrimaryMarketLines(market));
+
+    if (market.sizing) {
+      this.addList(doc, 'Advisor Market Sizing', MarketSizing.toLines(market.sizing));
+      const projection = MarketSizing.toProjectionLines(market.sizing);
+      if (projection.length > 0) this.addList(doc, 'Projection', projection);
+    }
+  },
+
+  addIpRiskAssessment(doc, data) {
+    DocxLayout.heading(doc, 'IP Risk Assessment', 1);
+
+    const iprisk = data.iprisk || {};
+    const formatted = iprisk.formatted || {};
+    this.addScores(doc, iprisk.score, iprisk.userScore);
+
+    const dataConfidence = formatted.dataConfidence !== null && formatted.dataConfidence !== undefined
+      ? `${Math.round(formatted.dataConfidence * 100)}%`
+      : 'Unknown';
+    DocxLayout.bullets(doc, [
+      `Risk Level: ${Formatters.titleCase(formatted.riskLevel || 'Unknown')}`,
+      `Data Confidence: ${dataConfidence}`
+    ]);
+
+    this.addText(doc, 'User Justification', iprisk.userJustification);
+    this.addText(doc, 'Company IP Position', formatted.companyIP?.description || formatted.companyCurrentIP?.description, 'No information provided.');
+    this.addText(doc, 'AI Assessment', formatted.riskAnalysis, 'No information provided.');
+
+    this.addList(doc, 'Key IP Challenges', formatted.challenges, 8);
+    this.addList(doc, 'Unique Protectable Features', formatted.uniqueFeatures, 8);
+    this.addList(doc, 'Crowded Feature Areas', formatted.crowdedFeatures, 8);
+  },
+
+  /**
+   * Section for a registered dimension that has no Word section of its own
+   */
+  addDimensionAssessment(doc, data, dimension) {
+    DocxLayout.heading(doc, dimension.title, 1);
+
+    const dimData = data[dimension.key] || {};
+    this.addScores(doc, DimensionRegistry.getScore(dimension.key, dimData), dimData.userScore);
+    this.addText(doc, 'User Justification', dimData.userJustification);
+    this.addText(
+      doc,
+      'AI Assessment',
+      dimData.formatted?.justification || dimData.justification || dimData.summary,
+      'No justification provided'
+    );
+  },
+
+  /**
+   * Decision, rationale, conditions, open questions and a follow-up table
+   */
+  addFinalRecommendation(doc, data) {
+    DocxLayout.heading(doc, 'Final Recommendation', 1);
+
+    const recommendation = FinalRecommendation.normalize(data.finalRecommendation);
+    DocxLayout.labelValue(doc, 'Submitted by', ExportUtility.getAdvisorName());
+
+    if (recommendation.decision) {
+      const confidence = FinalRecommendation.getConfidenceLabel(recommendation.confidence);
+      DocxLayout.labelValue(
+        doc,
+        'Decision',
+        FinalRecommendation.getDecisionLabel(recommendation.decision) + (confidence ? ` (${confidence} confidence)` : '')
+      );
+    }
+    if (recommendation.summary.trim()) {
+      DocxLayout.paragraph(doc, recommendation.summary.trim());
+    }
+
+    if (recommendation.conditions.length > 0) {
+      this.addList(doc, 'Conditions to Advance', recommendation.conditions);
+    }
+    if (recommendation.openQuestions.length > 0) {
+      this.addList(doc, 'Open Questions', recommendation.openQuestions.map(q => FinalRecommendation.formatQuestion(q)));
+    }
+    if (recommendation.followUps.length > 0) {
+      DocxLayout.heading(doc, 'Follow-up Diligence', 3);
+      DocxLayout.table(
+        doc,
+        ['Task', 'Owner', 'Due'],
+        recommendation.followUps.map(f => [f.task, f.owner || 'Unassigned', FinalRecommendation.formatDueDate(f.dueDate) || 'TBD']),
+        [5, 2, 2]
+      );
+    }
+  },
+
+  // ========== APPENDIX ==========
+
+  addCompanyDetails(doc, company) {
+    const overview = company.company_overview || {};
+    const tech = company.technology || {};
+    const market = company.market_context || {};
+
+    DocxLayout.heading(doc, 'Company Details', 2);
+    DocxLayout.heading(doc, 'Executive Summary', 3);
+    DocxLayout.paragraph(doc, `${overview.name || 'The company'} is a ${overview.company_stage || 'technology'} stage company founded in ${overview.founded_year || 'recent years'}. ${overview.company_description || overview.mission_statement || 'The company focuses on innovative technology solutions.'}`);
+    DocxLayout.paragraph(doc, `The company's core technology involves ${tech.core_technology || 'advanced solutions'} in the ${tech.technology_category || 'technology'} category. ${tech.technical_approach || ''}`.trim());
+    DocxLayout.paragraph(doc, `Operating in the ${market.industry || 'technology'} industry, the company addresses ${market.problem_addressed || 'market needs'} with a value proposition of ${market.value_proposition || 'innovative solutions'}.`);
+
+    DocxLayout.heading(doc, 'Detailed Information', 3);
+    DocxLayout.table(doc, ['Field', 'Value'], ExportUtility.getCompanyFacts(company).map(([label, value]) => [label, String(value)]), [1, 3]);
+  },
+
+  addTeamDetails(doc, team) {
+    DocxLayout.heading(doc, 'Team Details', 2);
+    if (!team) {
+      DocxLayout.paragraph(doc, 'Team data not available.');
+      return;
+    }
+
+    const formatted = team.formatted || {};
+    const composition = formatted.teamComposition || {};
+    const members = formatted.members || [];
+
+    this.addList(doc, 'Summary', [
+      `Total Members: ${composition.total ?? members.length}`,
+      `Technical Experts: ${composition.technical ?? 0}`,
+      `Business Leaders: ${composition.business ?? 0}`,
+      `Domain Experts: ${composition.domain ?? 0}`
+    ]);
+    this.addList(doc, 'Key Strengths', formatted.strengths, 8, 'No strengths recorded');
+    this.addList(doc, 'Key Gaps', formatted.gaps, 8, 'No gaps recorded');
+    this.addList(doc, 'Relevant Experience Highlights', formatted.experiences, 10, 'No experience highlights recorded');
+
+    const memberList = (label, items, format, emptyLabel) => {
+      DocxLayout.paragraph(doc, label, { bold: true, spacingAfter: 40 });
+      if (!items || items.length === 0) {
+        DocxLayout.paragraph(doc, emptyLabel, { italic: true });
+        return;
+      }
+      DocxLayout.bullets(doc, items.map(format));
+    };
+
+    members.forEach(member => {
+      DocxLayout.heading(doc, member.name || 'Team Member', 3);
+      if (member.role_at_venture) {
+        DocxLayout.labelValue(doc, 'Role', member.role_at_venture);
+      }
+      memberList('Commercial Experience', member.commercialization_experience, e => ExportUtility.formatCommercialEntry(e), 'No commercialization experience listed');
+      memberList('Work History', member.work_history, e => ExportUtility.formatWorkEntry(e), 'No work history listed');
+      memberList('Education', member.education_history, e => ExportUtility.formatEducationEntry(e), 'No education history listed');
+      memberList('Papers & Publications', member.papers_publications, e => ExportUtility.formatPublicationEntry(e), 'No publications listed');
+      memberList('Awards & Recognition', member.awards_recognition, e => ExportUtility.formatAwardEntry(e), 'No awards listed');
+    });
+
+    const sources = formatted.sources || [];
+    if (sources.length > 0) {
+      this.addList(doc, 'Sources', sources);
+    }
+  },
+
+  addCompetitiveDetails(doc, competitive) {
+    const assessment = competitive?.assessment || {};
+    const analysis = competitive?.analysis || {};
+
+    DocxLayout.heading(doc, 'Competitive Analysis Details', 2);
+    DocxLayout.bullets(doc, [
+      `Total Competitors: ${assessment.competitor_count?.total ?? '-'}`,
+      `Competitive Intensity: ${assessment.competitive_intensity || '-'}`,
+      `Confidence Level: ${analysis.data_quality?.confidence_level || 'N/A'}`
+    ]);
+    this.addList(doc, 'Market Leaders', assessment.market_leaders, 5);
+
+    const competitors = analysis.competitors || [];
+    DocxLayout.heading(doc, 'All Identified Competitors', 3);
+    if (competitors.length === 0) {
+      DocxLayout.paragraph(doc, 'None noted', { italic: true });
+    } else {
+      DocxLayout.table(
+        doc,
+        ['#', 'Company', 'Size', 'Product'],
+        competitors.map((comp, index) => [
+          String(index + 1),
+          comp.company_name || 'Unknown',
+          comp.size_category || 'Unknown size',
+          comp.product_description || '-'
+        ]),
+        [0.5, 2.5, 1.5, 6]
+      );
+    }
+
+    this.addList(doc, 'Key Risk Factors', assessment.key_risk_factors);
+  },
+
+  addMarketDetails(doc, market) {
+    const analysis = market?.analysis || {};
+    const primaryMarket = analysis.primary_market || {};
+
+    DocxLayout.heading(doc, 'Market Analysis Details', 2);
+    this.addList(doc, 'Primary Market', [
+      `Description: ${primaryMarket.description || '-'}`,
+      `TAM: ${Formatters.currency(primaryMarket.tam_usd)}`,
+      `CAGR: ${Formatters.percentage(primaryMarket.cagr_percent)}`
+    ]);
+
+    const markets = analysis.markets || [];
+    DocxLayout.heading(doc, 'All Market Segments Analyzed', 3);
+    if (markets.length === 0) {
+      DocxLayout.paragraph(doc, 'None noted', { italic: true });
+    } else {
+      DocxLayout.table(
+        doc,
+        ['Segment', 'TAM', 'CAGR', 'Confidence'],
+        markets.map(mkt => [
+          mkt.description || '-',
+          Formatters.currency(mkt.tam_current_usd),
+          Formatters.percentage(mkt.cagr_percent),
+          Formatters.confidence(mkt.confidence)
+        ]),
+        [5, 2, 1.5, 1.5]
+      );
+    }
+
+    this.addList(doc, 'Market Opportunities', analysis.market_analysis?.opportunities);
+  },
+
+  addIpRiskDetails(doc, iprisk) {
+    const formatted = iprisk?.formatted || {};
+
+    DocxLayout.heading(doc, 'IP Risk Analysis Details', 2);
+    this.addText(doc, 'Company IP Summary', formatted.companyIP?.description || formatted.companyCurrentIP?.description, 'No information provided.');
+    this.addPatentTable(doc, 'Company-Owned Patents', formatted.companyIP?.ownedPatents);
+    this.addList(doc, 'Unique Protectable Features', formatted.uniqueFeatures);
+    this.addList(doc, 'Crowded Feature Areas', formatted.crowdedFeatures);
+
+    const owners = formatted.topOwners || [];
+    DocxLayout.heading(doc, 'Top Patent Owners', 3);
+    if (owners.length === 0) {
+      DocxLayout.paragraph(doc, 'None noted', { italic: true });
+    } else {
+      DocxLayout.table(doc, ['Assignee', 'Patents'], owners.map(owner => [owner.assignee || 'Unknown Assignee', String(owner.patentCount ?? 0)]), [4, 1]);
+    }
+
+    this.addPatentTable(doc, 'Granted Patents Reviewed', formatted.awardedPatents);
+    this.addPatentTable(doc, 'Pending Applications Reviewed', formatted.pendingPatents);
+    this.addPatentTable(doc, 'Reference Patents Informing Risk Assessment', formatted.relevantPatents);
+  },
+
+  /**
+   * Values parsing defaulted, converted or inferred (skipped when there are none)
+   */
+  addDataQualityWarnings(doc, data) {
+    const sections = ExportUtility.getDataQualitySections(data);
+    if (sections.length === 0) return;
+
+    DocxLayout.pageBreak(doc);
+    DocxLayout.heading(doc, 'Data Quality Warnings', 2);
+    DocxLayout.paragraph(
+      doc,
+      'Values below were not taken directly from the AI output: they were missing (and defaulted where possible), converted to the expected type, or inferred from other fields.',
+      { italic: true }
+    );
+
+    sections.forEach(section => {
+      DocxLayout.heading(doc, section.title, 3);
+      DocxLayout.bullets(doc, section.warnings.map(warning => {
+        const label = ResponseParser.typeLabels[warning.type] || warning.type;
+        return `${label}: ${ResponseParser.formatWarning(warning)}`;
+      }));
+    });
+  }
+};
+
+// Make available globally
+window.DocxLayout = DocxLayout;
+window.DocxExport = DocxExport;
@@ -192,8 +192,11 @@ const TextSanitizer = {
 const ExportUtility = {
   /**
    * Generate PDF report
+   * @param {Object} data - Export data (AssessmentView.getExportData)
+   * @param {Object} template - Normalized report template (ReportTemplates); defaults to the last one used
+   * @returns {Promise<string>} Saved filename
    */
-  async generateReport(data) {
+  async generateReport(data, template = ReportTemplates.getSelected()) {
     if (!data) {
       throw new Error('No data provided for export');
     }
@@ -218,57 +221,20 @@ const ExportUtility = {
 
       // Set document properties
       doc.setProperties({
-        title: 'Venture Assessment Report',
+        title: template.branding.title,
         subject: `Assessment of ${ventureName}`,
         author: 'Venture Assessment Platform',
         keywords: 'venture, assessment, team, competitive, market, ip risk, intellectual property',
         creator: 'Venture Assessment Platform'
       });
 
-      // Add pages
-      this.addTitlePage(doc, data);
-      PdfLayout.addPage(doc);
-      this.addExecutiveSummary(doc, data);
-      if (data.team) {
-        PdfLayout.addPage(doc);
-        this.addTeamAssessment(doc, data);
-      }
-      if (data.funding) {
-        PdfLayout.addPage(doc);
-        this.addFundingAssessment(doc, data);
-      }
-      PdfLayout.addPage(doc);
-      this.addCompetitiveAssessment(doc, data);
-      PdfLayout.addPage(doc);
-      this.addMarketAssessment(doc, data);
-      PdfLayout.addPage(doc);
-      this.addIpRiskAssessment(doc, data);
-
-      // Add final recommendation if present
-      if (data.finalRecommendation) {
-        PdfLayout.addPage(doc);
-        this.addFinalRecommendation(doc, data);
-      }
-
-      // Add appendix with full data
-      PdfLayout.addPage(doc);
-      this.addAppendixCover(doc);
-      PdfLayout.addPage(doc);
-      this.addCompanyDetails(doc, data.company);
-      if (data.team) {
-        PdfLayout.addPage(doc);
-        this.addTeamDetails(doc, data.team);
-      }
-      PdfLayout.addPage(doc);
-      this.addCompetitiveDetails(doc, data.competitive);
-      PdfLayout.addPage(doc);
-      this.addMarketDetails(doc, data.market);
-      PdfLayout.addPage(doc);
-      this.addIpRiskDetails(doc, data.iprisk);
+      this.renderTemplate(doc, data, template);
+      this.addPageFooters(doc, template.branding);
 
-      // Generate filename
+      // Generate filename (the full memo keeps the original name)
       const timestamp = new Date().toISOString().split('T')[0];
-      const filename = `assessment_${ventureName.toLowerCase().replace(/\s+/g, '_')}_${timestamp}.pdf`;
+      const variant = template.key === ReportTemplates.defaultKey ? '' : `_${template.key.replace(/-/g, '_')}`;
+      const filename = `assessment_${ventureName.toLowerCase().replace(/\s+/g, '_')}${variant}_${timestamp}.pdf`;
 
       const pdfBlob = doc.output('blob');
 
@@ -284,6 +250,323 @@ const ExportUtility = {
     }
   },
 
+  // ========== TEMPLATES ==========
+
+  /**
+   * Render a report template's sections in order
+   */
+  renderTemplate(doc, data, template) {
+    // y: where a brief section can continue (null after full sections, which end anywhere)
+    const cursor = { y: null, pageUsed: false };
+    template.sections.forEach(section => {
+      this.renderSection(doc, data, section, template.branding, cursor);
+    });
+  },
+
+  /**
+   * Render one template section. Sections with nothing to show (no recommendation,
+   * no warnings, dimensions without results) add no page.
+   */
+  renderSection(doc, data, section, branding, cursor) {
+    const brief = section.detail === 'brief';
+    const dimensions = (section.dimensions || [])
+      .map(key => DimensionRegistry.get(key))
+      .filter(dimension => dimension && data[dimension.key]);
+
+    switch (section.type) {
+      case 'titlePage':
+        this.startSection(doc, section, cursor);
+        this.addTitlePage(doc, data, branding, !brief);
+        cursor.y = null;
+        break;
+
+      case 'executiveSummary': {
+        const y = this.startSection(doc, section, cursor);
+        if (brief) {
+          cursor.y = this.addExecutiveBrief(doc, data, branding, y);
+        } else {
+          this.addExecutiveSummary(doc, data);
+          cursor.y = null;
+        }
+        break;
+      }
+
+      case 'dimensions':
+        if (dimensions.length === 0) break;
+        if (brief) {
+          let y = this.startSection(doc, section, cursor);
+          PdfTypography.heading(doc);
+          doc.text('Scores', PdfLayout.marginLeft, y);
+          y += 8;
+          dimensions.forEach(dimension => {
+            y = this.addDimensionBrief(doc, data, dimension, y);
+          });
+          cursor.y = y;
+          break;
+        }
+        dimensions.forEach(dimension => {
+          this.startSection(doc, section, cursor);
+          if (typeof dimension.pdfSection === 'function') {
+            dimension.pdfSection(doc, data, dimension);
+          } else {
+            this.addDimensionAssessment(doc, data, dimension);
+          }
+        });
+        cursor.y = null;
+        break;
+
+      case 'finalRecommendation': {
+        if (!data.finalRecommendation) break;
+        const y = this.startSection(doc, section, cursor);
+        if (brief) {
+          cursor.y = this.addRecommendationBrief(doc, data, y);
+        } else {
+          this.addFinalRecommendation(doc, data);
+          cursor.y = null;
+        }
+        break;
+      }
+
+      case 'appendixCover':
+        this.startSection(doc, section, cursor);
+        this.addAppendixCover(doc);
+        cursor.y = null;
+        break;
+
+      case 'companyDetails':
+        this.startSection(doc, section, cursor);
+        this.addCompanyDetails(doc, data.company);
+        cursor.y = null;
+        break;
+
+      case 'dimensionDetails':
+        dimensions
+          .filter(dimension => typeof dimension.pdfDetails === 'function')
+          .forEach(dimension => {
+            this.startSection(doc, section, cursor);
+            dimension.pdfDetails(doc, data, dimension);
+            cursor.y = null;
+          });
+        break;
+
+      case 'dataQuality':
+        if (this.getDataQualitySections(data).length === 0) break;
+        this.startSection(doc, section, cursor);
+        this.addDataQualityWarnings(doc, data);
+        cursor.y = null;
+        break;
+
+      default:
+        Debug.warn(`[ExportUtility] Unknown report section: ${section.type}`);
+    }
+  },
+
+  /**
+   * Starting y for a section: a new page, except for brief sections that continue
+   * the previous brief section (newPage: false). The first section uses the document's first page.
+   */
+  startSection(doc, section, cursor) {
+    if (section.detail === 'brief' && !section.newPage && cursor.y !== null) {
+      return PdfLayout.ensureSpace(doc, cursor.y + 4, 50);
+    }
+    if (cursor.pageUsed) {
+      PdfLayout.addPage(doc);
+    }
+    cursor.pageUsed = true;
+    return 30;
+  },
+
+  /**
+   * Confidentiality line at the bottom of every page (branding.confidentiality)
+   */
+  addPageFooters(doc, branding) {
+    if (!branding.confidentiality) return;
+
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page += 1) {
+      doc.setPage(page);
+      PdfTypography.small(doc);
+      doc.setTextColor(128);
+      doc.text(branding.confidentiality, PdfLayout.pageWidth(doc) / 2, PdfLayout.pageHeight(doc) - 10, { align: 'center' });
+    }
+    doc.setTextColor(PdfLayout.defaultFontColor);
+  },
+
+  /**
+   * Advisor name from the start form, falling back to the session state
+   */
+  getAdvisorName() {
+    return document.getElementById('sca-name')?.value ||
+      window.app?.stateManager?.getState()?.scaName ||
+      'Advisor';
+  },
+
+  /**
+   * Generate a side-by-side comparison PDF
+   * @param {Object} comparison - Model from ComparisonView.build()
+   * @returns {Promise<string>} Saved filename
+   */
+  async generateComparisonReport(comparison) {
+    if (!comparison?.ventures?.length) {
+      throw new Error('No comparison to export');
+    }
+
+    const { jsPDF } = window.jspdf;
+    const doc = this.createDocument(jsPDF);
+    this.setupDocument(doc);
+
+    const names = comparison.ventures.map(v => v.ventureName);
+    doc.setProperties({
+      title: 'Venture Comparison Report',
+      subject: `Comparison of ${names.join(', ')}`,
+      author: 'Venture Assessment Platform',
+      creator: 'Venture Assessment Platform'
+    });
+
+    const pageWidth = PdfLayout.pageWidth(doc);
+    let y = 30;
+
+    PdfTypography.documentTitle(doc);
+    doc.text('Venture Comparison', pageWidth / 2, y, { align: 'center' });
+    y += 12;
+
+    PdfTypography.body(doc);
+    y = PdfLayout.drawText(doc, names.join(' vs '), pageWidth / 2, y, { align: 'center' });
+    doc.text(new Date(comparison.generatedAt).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }), pageWidth / 2, y, { align: 'center' });
+    y += 14;
+
+    y = this.addComparisonTable(doc, comparison, y, 'Scores (AI | Advisor)',
+      comparison.dimensions.map(dimension => ({
+        label: dimension.name,
+        values: comparison.ventures.map(v => {
+          const { ai, user } = v.scores[dimension.key];
+          return `${ai ?? '-'} | ${user ?? '-'}`;
+        })
+      })).concat([{
+        label: 'Average',
+        bold: true,
+        values: comparison.ventures.map(v =>
+          `${ComparisonView.averageScore(v, 'ai') ?? '-'} | ${ComparisonView.averageScore(v, 'user') ?? '-'}`)
+      }])
+    );
+    y += 10;
+
+    y = this.addComparisonTable(doc, comparison, y, 'Key Facts',
+      comparison.facts.map(fact => ({
+        label: fact.label,
+        values: comparison.ventures.map(v => ComparisonView.formatFact(v.facts[fact.key], fact.format))
+      }))
+    );
+    y += 10;
+
+    this.addComparisonChart(doc, comparison, y);
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    const slug = names.map(name => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')).join('_vs_');
+    const filename = `comparison_${slug.slice(0, 80)}_${timestamp}.pdf`;
+
+    doc.save(filename);
+    return filename;
+  },
+
+  /**
+   * Table with one label column and one column per venture
+   * @param {Object[]} rows - [{ label, values, bold }]
+   * @returns {number} y position after the table
+   */
+  addComparisonTable(doc, comparison, y, title, rows) {
+    const labelWidth = 42;
+    const columnWidth = (PdfLayout.usableWidth(doc) - labelWidth) / comparison.ventures.length;
+    const columnX = i => PdfLayout.marginLeft + labelWidth + i * columnWidth;
+    const lineHeight = PdfLayout.lineHeight(doc, 10);
+
+    y = PdfLayout.ensureSpace(doc, y, 50);
+    PdfTypography.heading(doc);
+    doc.text(title, PdfLayout.marginLeft, y);
+    y += 8;
+
+    // Header: venture names with their chart color
+    PdfTypography.small(doc, 'bold');
+    const headerLines = comparison.ventures.map(v => PdfLayout.wrap(doc, v.ventureName, columnWidth - 8));
+    comparison.ventures.forEach((venture, i) => {
+      doc.setFillColor(...this.hexToRgb(venture.color));
+      doc.rect(columnX(i), y - 3, 3, 3, 'F');
+      doc.text(headerLines[i], columnX(i) + 5, y);
+    });
+    y += Math.max(...headerLines.map(lines => lines.length)) * lineHeight;
+
+    doc.setDrawColor(200);
+    doc.setLineWidth(0.3);
+    doc.line(PdfLayout.marginLeft, y - lineHeight + 2, PdfLayout.pageWidth(doc) - PdfLayout.marginRight, y - lineHeight + 2);
+
+    rows.forEach(row => {
+      y = PdfLayout.ensureSpace(doc, y, 25);
+      PdfTypography.small(doc, row.bold ? 'bold' : 'normal');
+      const labelLines = PdfLayout.wrap(doc, row.label, labelWidth - 4);
+      doc.text(labelLines, PdfLayout.marginLeft, y);
+      row.values.forEach((value, i) => doc.text(String(value), columnX(i), y));
+      y += labelLines.length * lineHeight + 1;
+    });
+
+    PdfTypography.body(doc);
+    return y;
+  },
+
+  /**
+   * Grouped bar chart of AI scores, one bar per venture in each dimension
+   */
+  addComparisonChart(doc, comparison, y) {
+    const chartHeight = 60;
+    y = PdfLayout.ensureSpace(doc, y, chartHeight + 40);
+
+    PdfTypography.heading(doc);
+    doc.text('AI Scores by Dimension', PdfLayout.marginLeft, y);
+    y += 8;
+
+    const chartLeft = PdfLayout.marginLeft + 8;
+    const chartWidth = PdfLayout.usableWidth(doc) - 8;
+    const chartBottom = y + chartHeight;
+    const groupWidth = chartWidth / comparison.dimensions.length;
+    const barWidth = Math.min(6, (groupWidth - 6) / comparison.ventures.length);
+
+    // Gridlines at 0, 3, 6, 9
+    PdfTypography.small(doc);
+    doc.setDrawColor(220);
+    doc.setLineWidth(0.2);
+    [0, 3, 6, 9].forEach(level => {
+      const lineY = chartBottom - (chartHeight * level) / 9;
+      doc.line(chartLeft, lineY, chartLeft + chartWidth, lineY);
+      doc.text(String(level), chartLeft - 3, lineY + 1, { align: 'right' });
+    });
+
+    comparison.dimensions.forEach((dimension, i) => {
+      const groupX = chartLeft + i * groupWidth;
+      const barsX = groupX + (groupWidth - barWidth * comparison.ventures.length) / 2;
+
+      comparison.ventures.forEach((venture, j) => {
+        const score = venture.scores[dimension.key].ai;
+        if (score === null) return;
+        const barHeight = (chartHeight * score) / 9;
+        doc.setFillColor(...this.hexToRgb(venture.color));
+        doc.rect(barsX + j * barWidth, chartBottom - barHeight, barWidth - 0.5, barHeight, 'F');
+      });
+
+      const labelLines = PdfLayout.wrap(doc, dimension.name, groupWidth - 2);
+      doc.text(labelLines, groupX + groupWidth / 2, chartBottom + 5, { align: 'center' });
+    });
+
+    PdfTypography.body(doc);
+  },
+
+  hexToRgb(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  },
+
   createDocument(jsPDF) {
     const doc = new jsPDF();
     this.applyDocGuards(doc);
@@ -346,14 +629,16 @@ const ExportUtility = {
 
   /**
    * Add title page
+   * @param {Object} branding - Template branding (title, accentColor, footer)
+   * @param {boolean} showScores - Include the assessment results box
    */
-  addTitlePage(doc, data) {
+  addTitlePage(doc, data, branding = ReportTemplates.branding, showScores = true) {
   const pageWidth = doc.internal.pageSize.width;
   const pageHeight = doc.internal.pageSize.height;
 
   // Title
   PdfTypography.documentTitle(doc);
-  doc.text('Venture Assessment Report', pageWidth / 2, 60, { align: 'center' });
+  doc.text(branding.title, pageWidth / 2, 60, { align: 'center' });
 
   // Company name (use custom name if set)
   PdfTypography.pageTitle(doc);
@@ -361,7 +646,7 @@ const ExportUtility = {
   doc.text(companyName, pageWidth / 2, 80, { align: 'center' });
 
   // SCA Name
-  const scaName = document.getElementById('scaName')?.value || 'Not specified';
+  const scaName = this.getAdvisorName();
   PdfTypography.label(doc, 'normal');
   doc.text(`Assessed by: ${scaName}`, pageWidth / 2, 95, { align: 'center' });
 
@@ -374,42 +659,24 @@ const ExportUtility = {
   PdfTypography.body(doc);
   doc.text(date, pageWidth / 2, 105, { align: 'center' });
 
-  // Rest of the method continues...
+  PdfTypography.small(doc);
+  doc.setTextColor(100);
+  doc.text(`Scored under rubric ${RubricRegistry.label(data.rubricVersion)}`, pageWidth / 2, 112, { align: 'center' });
+  doc.setTextColor(PdfLayout.defaultFontColor);
 
   // Scores box
+  if (showScores) {
     const boxY = 120;
     const boxX = 30;
     const boxWidth = pageWidth - 60;
     const contentPadding = 18;
 
     const formatScore = (score) => (score === undefined || score === null ? '-' : `${score}/9`);
-    const scoreRows = [
-      {
-        title: 'Team Strength',
-        ai: formatScore(data.team?.score),
-        user: formatScore(data.team?.userScore)
-      },
-      {
-        title: 'Funding Readiness',
-        ai: formatScore(data.funding?.score),
-        user: formatScore(data.funding?.userScore)
-      },
-      {
-        title: 'Competitive Risk',
-        ai: formatScore(data.competitive.assessment.score),
-        user: formatScore(data.competitive.userScore)
-      },
-      {
-        title: 'Market Opportunity',
-        ai: formatScore(data.market.scoring.score),
-        user: formatScore(data.market.userScore)
-      },
-      {
-        title: 'IP Risk',
-        ai: formatScore(data.iprisk.score),
-        user: formatScore(data.iprisk.userScore)
-      }
-    ];
+    const scoreRows = DimensionRegistry.list().map(dimension => ({
+      title: dimension.reportName,
+      ai: formatScore(DimensionRegistry.getScore(dimension.key, data[dimension.key])),
+      user: formatScore(data[dimension.key]?.userScore)
+    }));
 
     const leftColumnX = boxX + 15;
     const rightColumnX = pageWidth / 2 + 15;
@@ -431,7 +698,7 @@ const ExportUtility = {
       headerHeight +
       measuredRows.reduce((sum, row) => sum + row.height, 0);
 
-    doc.setDrawColor(102, 126, 234);
+    doc.setDrawColor(...this.hexToRgb(branding.accentColor));
     doc.setLineWidth(1);
     doc.rect(boxX, boxY, boxWidth, tableHeight);
 
@@ -460,54 +727,57 @@ const ExportUtility = {
         rowY += lineHeight;
       }
     });
+  }
 
     // Footer
     PdfTypography.small(doc);
     doc.setTextColor(128);
-    doc.text('Generated by Venture Assessment Platform', pageWidth / 2, pageHeight - 20, { align: 'center' });
+    doc.text(branding.footer, pageWidth / 2, pageHeight - 20, { align: 'center' });
     doc.setTextColor(PdfLayout.defaultFontColor);
     PdfTypography.body(doc);
   },
 
+  // ========== REPORT CONTENT ==========
+  // Text shared by the PDF and Word (DocxExport) reports
+
   /**
-   * Add executive summary
+   * Market rubric recomputed from TAM/CAGR (MarketAPI.getRubricCheck), or null without one
    */
-  addExecutiveSummary(doc, data) {
-    const pageWidth = doc.internal.pageSize.width;
-    const contentWidth = pageWidth - PdfLayout.marginLeft - PdfLayout.marginRight;
-    let y = 30;
-
-    const bulletOptions = {
-      bullet: '-',
-      lineHeight: PdfLayout.lineHeight(doc),
-      maxWidth: contentWidth,
-      afterItem: 1
-    };
-
-    const addHeading = (title, spacing = 10) => {
-      y = PdfLayout.ensureSpace(doc, y, 25);
-      PdfTypography.heading(doc);
-      doc.text(title, PdfLayout.marginLeft, y);
-      y += spacing;
-      PdfTypography.body(doc);
-    };
+  getMarketRubricLine(rubricCheck) {
+    if (!rubricCheck || rubricCheck.score === null) return null;
+    const bandLabel = (measure, key) => RubricRegistry.getBandLabel('market', measure, key) || '-';
+    const line = `Rubric check: TAM ${bandLabel('tam', rubricCheck.tamCategory)} x CAGR ` +
+      `${bandLabel('cagr', rubricCheck.cagrCategory)} = ${rubricCheck.score}/9`;
+    return rubricCheck.matchesAi ? `${line} (matches the AI score)` : `${line} - differs from the AI score`;
+  },
 
-    PdfTypography.sectionTitle(doc);
-    doc.text('Executive Summary', PdfLayout.marginLeft, y);
-    y += 15;
+  /**
+   * Primary market bullets; the advisor's pick (if any) replaces the AI's choice
+   */
+  getPrimaryMarketLines(market) {
+    const rubricCheck = market.rubricCheck;
+    const primaryMarket = market.analysis?.primary_market || {};
+
+    if (rubricCheck?.isOverride) {
+      return [
+        `TAM: ${Formatters.currency(rubricCheck.market.tam)}`,
+        `CAGR: ${Formatters.percentage(rubricCheck.market.cagr)}`,
+        `Description: ${rubricCheck.market.description}`,
+        `Selected by the advisor (AI choice: ${primaryMarket.description || 'Unknown'})`
+      ];
+    }
 
-    addHeading('Company Overview');
-    const overview = data.company?.company_overview || {};
-    y = PdfLayout.drawText(
-      doc,
-      overview.company_description || overview.mission_statement || 'No description available',
-      PdfLayout.marginLeft,
-      y,
-      { maxWidth: contentWidth }
-    );
-    y += 8;
+    return [
+      `TAM: ${Formatters.currency(primaryMarket.tam_usd)}`,
+      `CAGR: ${Formatters.percentage(primaryMarket.cagr_percent)}`,
+      primaryMarket.description ? `Description: ${primaryMarket.description}` : null
+    ].filter(Boolean);
+  },
 
-    addHeading('Key Metrics');
+  /**
+   * Executive summary key metrics: [{ title, items }]
+   */
+  getKeyMetrics(data) {
     const competitive = data.competitive?.formatted || {};
     const funding = data.funding?.formatted || {};
     const market = data.market?.formatted || {};
@@ -521,7 +791,7 @@ const ExportUtility = {
       : 'Not available';
     const totalPeerDeals = funding.totalPeerDeals ?? (funding.peerDeals ? funding.peerDeals.length : 0);
 
-    const metricSections = [
+    const sections = [
       {
         title: 'Competitive',
         items: [
@@ -558,25 +828,20 @@ const ExportUtility = {
       }
     ];
 
-    metricSections.forEach(section => {
-      const items = section.items.filter(Boolean);
-      if (!items.length) return;
-      y = PdfLayout.ensureSpace(doc, y, 30);
-      PdfTypography.body(doc, 'bold');
-      doc.text(`${section.title}:`, PdfLayout.marginLeft, y);
-      y += 6;
-      PdfTypography.body(doc);
-      y = PdfLayout.drawBulletList(
-        doc,
-        items,
-        PdfLayout.marginLeft,
-        y,
-        bulletOptions
-      );
-      y += 6;
-    });
+    return sections
+      .map(section => ({ ...section, items: section.items.filter(Boolean) }))
+      .filter(section => section.items.length > 0);
+  },
 
-    addHeading('Assessment Summary');
+  /**
+   * Executive summary assessment lines: { team, funding, averageAi, averageUser }
+   */
+  getAssessmentSummary(data) {
+    const funding = data.funding?.formatted || {};
+    const totalPeerDeals = funding.totalPeerDeals ?? (funding.peerDeals ? funding.peerDeals.length : 0);
+    const fundingConfidence = typeof funding.confidence === 'number'
+      ? Formatters.confidence(funding.confidence)
+      : 'Not available';
     const teamFormatted = data.team?.formatted || {};
     const teamComposition = teamFormatted.teamComposition || {};
     const teamMembersCount = teamComposition.total ?? (teamFormatted.members?.length ?? '-');
@@ -586,81 +851,294 @@ const ExportUtility = {
       ? Formatters.confidence(teamFormatted.confidence)
       : 'Not available';
 
-    y = PdfLayout.drawBulletList(
-      doc,
-      [
+    const aiScores = [
+      data.team?.score,
+      data.funding?.score,
+      data.competitive?.assessment?.score,
+      data.market?.scoring?.score,
+      data.iprisk?.score
+    ].filter(score => score !== undefined && score !== null);
+
+    const userScores = [
+      data.team?.userScore,
+      data.funding?.userScore,
+      data.competitive?.userScore,
+      data.market?.userScore,
+      data.iprisk?.userScore
+    ].filter(score => score !== undefined && score !== null);
+
+    const average = scores => (scores.length
+      ? `${(scores.reduce((sum, value) => sum + value, 0) / scores.length).toFixed(1)}/9`
+      : '-');
+
+    return {
+      team: [
         `Team Size: ${teamMembersCount}`,
         `Technical Experts: ${teamComposition.technical ?? 0} | Business Leaders: ${teamComposition.business ?? 0}`,
-        `Team Assessment Confidence: ${teamConfidence}`
-      ],
-      PdfLayout.marginLeft,
-      y,
-      bulletOptions
-    );
-    y = PdfLayout.drawBulletList(
-      doc,
-      [
+        `Team Assessment Confidence: ${teamConfidence}`,
         `Key Strengths: ${teamStrengthsText}`,
         `Key Gaps: ${teamGapsText}`
       ],
-      PdfLayout.marginLeft,
-      y,
-      bulletOptions
-    );
-    y += 6;
+      funding: [
+        `Funding Rounds: ${funding.totalFundingRounds ?? 0}`,
+        `Comparable Deals Reviewed: ${totalPeerDeals}`,
+        `Funding Confidence: ${fundingConfidence}`
+      ],
+      averageAi: average(aiScores),
+      averageUser: average(userScores)
+    };
+  },
+
+  /**
+   * Weighted composite lines for the executive summary's Decision heading
+   */
+  getCompositeLines(data) {
+    const aiScores = {};
+    const userScores = {};
+    DimensionRegistry.keys().forEach(key => {
+      aiScores[key] = typeof data[key]?.aiScore === 'number' ? data[key].aiScore : null;
+      userScores[key] = typeof data[key]?.userScore === 'number' ? data[key].userScore : null;
+    });
+    const composite = CompositeScore.evaluate(aiScores, userScores, data.portfolio);
+
+    return [
+      `Scoring Profile: ${composite.profile.name} (${CompositeScore.describeWeights(composite.weights)})`,
+      `Weighted AI Score: ${CompositeScore.describe(composite.ai)}`,
+      `Weighted User Score: ${CompositeScore.describe(composite.user)}`
+    ];
+  },
+
+  /**
+   * Company facts for the appendix: [[label, value]]
+   */
+  getCompanyFacts(company) {
+    const overview = company?.company_overview || {};
+    const market = company?.market_context || {};
+    return [
+      ['Company Name', overview.name || '-'],
+      ['Website', overview.website || '-'],
+      ['Founded', overview.founded_year || '-'],
+      ['Stage', overview.company_stage || '-'],
+      ['Employees', overview.employee_count || '-'],
+      ['Headquarters', overview.headquarters || '-'],
+      ['Industry', market.industry || '-'],
+      ['Business Model', market.business_model || '-']
+    ];
+  },
+
+  /**
+   * Team work history entry: "Position @ Company (duration)"
+   */
+  formatWorkEntry(entry) {
+    if (typeof entry === 'string') return entry;
+    const parts = [];
+    if (entry.position) parts.push(entry.position);
+    if (entry.company) parts.push(`@ ${entry.company}`);
+    if (entry.duration) parts.push(`(${entry.duration})`);
+    return parts.filter(Boolean).join(' ');
+  },
+
+  /**
+   * Team education entry: "Degree - Institution (year)"
+   */
+  formatEducationEntry(entry) {
+    if (typeof entry === 'string') return entry;
+    const parts = [];
+    if (entry.degree) parts.push(entry.degree);
+    if (entry.institution) parts.push(`- ${entry.institution}`);
+    if (entry.year) parts.push(`(${entry.year})`);
+    return parts.filter(Boolean).join(' ');
+  },
+
+  /**
+   * Team commercialization entry: "Description (Company) - outcome"
+   */
+  formatCommercialEntry(entry) {
+    if (typeof entry === 'string') return entry;
+    const parts = [];
+    if (entry.description) parts.push(entry.description);
+    if (entry.company) parts.push(`(${entry.company})`);
+    if (entry.outcome) parts.push(`- ${entry.outcome}`);
+    return parts.filter(Boolean).join(' ');
+  },
+
+  /**
+   * Team publication: "Title - Venue (year)"
+   */
+  formatPublicationEntry(entry) {
+    if (typeof entry === 'string') return entry;
+    const parts = [];
+    if (entry.title) parts.push(entry.title);
+    if (entry.venue) parts.push(`- ${entry.venue}`);
+    if (entry.year) parts.push(`(${entry.year})`);
+    return parts.filter(Boolean).join(' ');
+  },
+
+  /**
+   * Team award: "Award - Organization (year)"
+   */
+  formatAwardEntry(entry) {
+    if (typeof entry === 'string') return entry;
+    const parts = [];
+    if (entry.award_name) parts.push(entry.award_name);
+    if (entry.organization) parts.push(`- ${entry.organization}`);
+    if (entry.year) parts.push(`(${entry.year})`);
+    return parts.filter(Boolean).join(' ');
+  },
+
+  /**
+   * Patent: "ID Title (year) - Assignee"
+   */
+  formatPatentEntry(patent) {
+    if (!patent) return 'Unknown patent';
+    if (typeof patent === 'string') return patent;
+
+    const parts = [];
+    if (patent.patentID || patent.id) parts.push(patent.patentID || patent.id);
+    if (patent.title) parts.push(patent.title);
+    if (patent.year) parts.push(`(${patent.year})`);
+    if (patent.assignee) parts.push(`- ${patent.assignee}`);
+    return parts.filter(Boolean).join(' ');
+  },
+
+  /**
+   * Add executive summary
+   */
+  addExecutiveSummary(doc, data) {
+    const pageWidth = doc.internal.pageSize.width;
+    const contentWidth = pageWidth - PdfLayout.marginLeft - PdfLayout.marginRight;
+    let y = 30;
+
+    const bulletOptions = {
+      bullet: '-',
+      lineHeight: PdfLayout.lineHeight(doc),
+      maxWidth: contentWidth,
+      afterItem: 1
+    };
+
+    const addHeading = (title, spacing = 10) => {
+      y = PdfLayout.ensureSpace(doc, y, 25);
+      PdfTypography.heading(doc);
+      doc.text(title, PdfLayout.marginLeft, y);
+      y += spacing;
+      PdfTypography.body(doc);
+    };
 
-    const fundingSummary = [
-      `Funding Rounds: ${funding.totalFundingRounds ?? 0}`,
-      `Comparable Deals Reviewed: ${totalPeerDeals}`,
-      `Funding Confidence: ${fundingConfidence}`
-    ];
-    y = PdfLayout.drawBulletList(
+    PdfTypography.sectionTitle(doc);
+    doc.text('Executive Summary', PdfLayout.marginLeft, y);
+    y += 15;
+
+    addHeading('Company Overview');
+    const overview = data.company?.company_overview || {};
+    y = PdfLayout.drawText(
       doc,
-      fundingSummary,
+      overview.company_description || overview.mission_statement || 'No description available',
       PdfLayout.marginLeft,
       y,
-      bulletOptions
+      { maxWidth: contentWidth }
     );
+    y += 8;
+
+    addHeading('Key Metrics');
+    this.getKeyMetrics(data).forEach(section => {
+      y = PdfLayout.ensureSpace(doc, y, 30);
+      PdfTypography.body(doc, 'bold');
+      doc.text(`${section.title}:`, PdfLayout.marginLeft, y);
+      y += 6;
+      PdfTypography.body(doc);
+      y = PdfLayout.drawBulletList(
+        doc,
+        section.items,
+        PdfLayout.marginLeft,
+        y,
+        bulletOptions
+      );
+      y += 6;
+    });
+
+    addHeading('Assessment Summary');
+    const summary = this.getAssessmentSummary(data);
+    y = PdfLayout.drawBulletList(doc, summary.team, PdfLayout.marginLeft, y, bulletOptions);
+    y += 6;
+    y = PdfLayout.drawBulletList(doc, summary.funding, PdfLayout.marginLeft, y, bulletOptions);
     y += 4;
 
-    const aiScores = [
-      data.team?.score,
-      data.funding?.score,
-      data.competitive?.assessment?.score,
-      data.market?.scoring?.score,
-      data.iprisk?.score
-    ].filter(score => score !== undefined && score !== null);
+    y = PdfLayout.drawText(doc, `Average AI Score: ${summary.averageAi}`, PdfLayout.marginLeft, y, { maxWidth: contentWidth });
+    y = PdfLayout.drawText(doc, `Average User Score: ${summary.averageUser}`, PdfLayout.marginLeft, y, { maxWidth: contentWidth });
+    y += 8;
 
-    const userScores = [
-      data.team?.userScore,
-      data.funding?.userScore,
-      data.competitive?.userScore,
-      data.market?.userScore,
-      data.iprisk?.userScore
-    ].filter(score => score !== undefined && score !== null);
+    y = PdfCharts.addScoreRadar(doc, data, y);
 
-    const avgAiScore = aiScores.length
-      ? aiScores.reduce((sum, value) => sum + value, 0) / aiScores.length
-      : null;
-    const avgUserScore = userScores.length
-      ? userScores.reduce((sum, value) => sum + value, 0) / userScores.length
-      : null;
+    this.addCompositeDecision(doc, data, y);
+  },
 
+  /**
+   * Weighted composite score, decision band and knock-out flags (executive summary)
+   */
+  addCompositeDecision(doc, data, y) {
+    const contentWidth = doc.internal.pageSize.width - PdfLayout.marginLeft - PdfLayout.marginRight;
+
+    y = PdfLayout.ensureSpace(doc, y, 40);
+    PdfTypography.heading(doc);
+    doc.text('Decision', PdfLayout.marginLeft, y);
+    y += 10;
+    PdfTypography.body(doc);
+
+    const lines = this.getCompositeLines(data);
+
+    return PdfLayout.drawBulletList(doc, lines, PdfLayout.marginLeft, y, {
+      bullet: '-',
+      lineHeight: PdfLayout.lineHeight(doc),
+      maxWidth: contentWidth,
+      afterItem: 1
+    });
+  },
+
+  /**
+   * Brief executive summary (IC teaser): venture, advisor and date, a short
+   * company overview and the weighted decision
+   * @returns {number} y after the section
+   */
+  addExecutiveBrief(doc, data, branding, y) {
+    const contentWidth = PdfLayout.usableWidth(doc);
+    const date = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+    PdfTypography.label(doc);
+    doc.setTextColor(...this.hexToRgb(branding.accentColor));
+    doc.text(branding.title, PdfLayout.marginLeft, y);
+    doc.setTextColor(PdfLayout.defaultFontColor);
+    y += 9;
+
+    PdfTypography.sectionTitle(doc);
+    const companyName = data.ventureName || data.company.company_overview?.name || 'Unknown Company';
+    y = PdfLayout.drawText(doc, companyName, PdfLayout.marginLeft, y, { maxWidth: contentWidth });
+
+    PdfTypography.small(doc);
+    doc.text(`Assessed by ${this.getAdvisorName()} | ${date} | Rubric ${RubricRegistry.label(data.rubricVersion)}`, PdfLayout.marginLeft, y);
+    y += 4;
+
+    doc.setDrawColor(...this.hexToRgb(branding.accentColor));
+    doc.setLineWidth(0.5);
+    doc.line(PdfLayout.marginLeft, y, PdfLayout.pageWidth(doc) - PdfLayout.marginRight, y);
+    y += 10;
+
+    PdfTypography.heading(doc);
+    doc.text('Company Overview', PdfLayout.marginLeft, y);
+    y += 7;
+    PdfTypography.body(doc);
+    const overview = data.company?.company_overview || {};
     y = PdfLayout.drawText(
       doc,
-      `Average AI Score: ${avgAiScore !== null ? `${avgAiScore.toFixed(1)}/9` : '-'}`,
-      PdfLayout.marginLeft,
-      y,
-      { maxWidth: contentWidth }
-    );
-    y = PdfLayout.drawText(
-      doc,
-      `Average User Score: ${avgUserScore !== null ? `${avgUserScore.toFixed(1)}/9` : '-'}`,
+      Formatters.truncate(overview.company_description || overview.mission_statement || 'No description available', 600),
       PdfLayout.marginLeft,
       y,
       { maxWidth: contentWidth }
     );
+    y += 6;
+
+    return this.addCompositeDecision(doc, data, y);
   },
+
   /**
    * Add team assessment page
    */
@@ -1017,7 +1495,10 @@ const ExportUtility = {
         y,
         bulletOptions
       );
+      y += 6;
     }
+
+    PdfCharts.addFundingTimeline(doc, data, y);
   },
 
   /**
@@ -1090,7 +1571,24 @@ const ExportUtility = {
         y,
         bulletOptions
       );
+      y += 6;
+    }
+
+    const matrix = data.competitive.competitorMatrix;
+    if (matrix) {
+      const ventureName = window.app?.getVentureName() || data.company?.company_overview?.name || 'Venture';
+      y = PdfLayout.ensureSpace(doc, y, 40);
+      doc.setFont(undefined, 'bold');
+      doc.text('Advisor Competitor Matrix:', PdfLayout.marginLeft, y);
+      y += 7;
+
+      doc.setFont(undefined, 'normal');
+      y = PdfLayout.drawBulletList(doc, CompetitorMatrix.toLines(matrix, ventureName), PdfLayout.marginLeft, y, bulletOptions);
+      y += 6;
     }
+
+    y = PdfCharts.addCompetitorSizes(doc, data, y);
+    PdfCharts.addPositioningMap(doc, data, y);
   },
   /**
    * Add market assessment page
@@ -1116,6 +1614,12 @@ const ExportUtility = {
     doc.text(`User Score: ${data.market.userScore}/9`, PdfLayout.marginLeft + 75, y);
     y += 10;
 
+    const rubricLine = this.getMarketRubricLine(data.market.rubricCheck);
+    if (rubricLine) {
+      y = PdfLayout.drawText(doc, rubricLine, PdfLayout.marginLeft, y, { maxWidth: contentWidth });
+      y += 6;
+    }
+
     if (data.market.userJustification) {
       y = PdfLayout.ensureSpace(doc, y, 30);
       doc.setFont(undefined, 'bold');
@@ -1152,18 +1656,38 @@ const ExportUtility = {
     y += 7;
 
     doc.setFont(undefined, 'normal');
-    const primaryMarket = data.market.analysis.primary_market || {};
     y = PdfLayout.drawBulletList(
       doc,
-      [
-        `TAM: ${Formatters.currency(primaryMarket.tam_usd)}`,
-        `CAGR: ${Formatters.percentage(primaryMarket.cagr_percent)}`,
-        primaryMarket.description ? `Description: ${primaryMarket.description}` : null
-      ].filter(Boolean),
+      this.getPrimaryMarketLines(data.market),
       PdfLayout.marginLeft,
       y,
       bulletOptions
     );
+    y += 6;
+
+    if (data.market.sizing) {
+      y = PdfLayout.ensureSpace(doc, y, 40);
+      doc.setFont(undefined, 'bold');
+      doc.text('Advisor Market Sizing:', PdfLayout.marginLeft, y);
+      y += 7;
+
+      doc.setFont(undefined, 'normal');
+      y = PdfLayout.drawBulletList(doc, MarketSizing.toLines(data.market.sizing), PdfLayout.marginLeft, y, bulletOptions);
+
+      const projection = MarketSizing.toProjectionLines(data.market.sizing);
+      if (projection.length > 0) {
+        y += 3;
+        y = PdfLayout.ensureSpace(doc, y, 10 + projection.length * 6);
+        doc.setFont(undefined, 'bold');
+        doc.text('Projection:', PdfLayout.marginLeft, y);
+        y += 7;
+        doc.setFont(undefined, 'normal');
+        y = PdfLayout.drawBulletList(doc, projection, PdfLayout.marginLeft, y, bulletOptions);
+      }
+      y += 6;
+    }
+
+    PdfCharts.addMarketBubbles(doc, data, y);
   },
   /**
    * Add IP risk assessment page
@@ -1290,34 +1814,186 @@ const ExportUtility = {
   },
 
   /**
-   * Add final recommendation page
+   * Add a page for a registered dimension that has no PDF section of its own
+   */
+  addDimensionAssessment(doc, data, dimension) {
+    const pageWidth = doc.internal.pageSize.width;
+    const contentWidth = pageWidth - PdfLayout.marginLeft - PdfLayout.marginRight;
+    const dimData = data[dimension.key] || {};
+    let y = 30;
+
+    PdfTypography.sectionTitle(doc);
+    doc.text(dimension.title, PdfLayout.marginLeft, y);
+    y += 15;
+
+    PdfTypography.body(doc);
+    const aiScore = DimensionRegistry.getScore(dimension.key, dimData);
+    doc.text(`AI Score: ${aiScore ?? '-'}/9`, PdfLayout.marginLeft, y);
+    doc.text(`User Score: ${dimData.userScore ?? '-'}/9`, PdfLayout.marginLeft + 75, y);
+    y += 10;
+
+    if (dimData.userJustification) {
+      y = PdfLayout.ensureSpace(doc, y, 30);
+      doc.setFont(undefined, 'bold');
+      doc.text('User Justification:', PdfLayout.marginLeft, y);
+      y += 7;
+
+      doc.setFont(undefined, 'normal');
+      y = PdfLayout.drawText(doc, dimData.userJustification, PdfLayout.marginLeft, y, { maxWidth: contentWidth });
+      y += 6;
+    }
+
+    const justification = dimData.formatted?.justification || dimData.justification || dimData.summary;
+    y = PdfLayout.ensureSpace(doc, y, 30);
+    doc.setFont(undefined, 'bold');
+    doc.text('AI Assessment:', PdfLayout.marginLeft, y);
+    y += 7;
+
+    doc.setFont(undefined, 'normal');
+    PdfLayout.drawText(
+      doc,
+      justification || 'No justification provided',
+      PdfLayout.marginLeft,
+      y,
+      { maxWidth: contentWidth }
+    );
+  },
+
+  /**
+   * Brief dimension block (IC teaser): scores with the rubric label and the advisor's
+   * justification, or the start of the AI assessment when the advisor gave none
+   * @returns {number} y after the block
+   */
+  addDimensionBrief(doc, data, dimension, y) {
+    const contentWidth = PdfLayout.usableWidth(doc);
+    const dimData = data[dimension.key] || {};
+    const aiScore = DimensionRegistry.getScore(dimension.key, dimData);
+    const score = dimData.userScore ?? aiScore;
+    const rubricLabel = score ? RubricRegistry.getLevel(dimension.key, score, data.rubricVersion)?.label : '';
+
+    y = PdfLayout.ensureSpace(doc, y, 30);
+    PdfTypography.body(doc, 'bold');
+    const scores = `AI ${aiScore ?? '-'}/9 | User ${dimData.userScore ?? '-'}/9`;
+    y = PdfLayout.drawText(
+      doc,
+      `${dimension.reportName}: ${scores}${rubricLabel ? ` - ${rubricLabel}` : ''}`,
+      PdfLayout.marginLeft,
+      y,
+      { maxWidth: contentWidth }
+    );
+
+    PdfTypography.body(doc);
+    const text = dimData.userJustification ||
+      dimData.formatted?.justification || dimData.justification || dimData.summary || '';
+    if (text) {
+      y = PdfLayout.drawText(doc, Formatters.truncate(text, 260), PdfLayout.marginLeft, y, { maxWidth: contentWidth });
+    }
+    return y + 4;
+  },
+
+  /**
+   * Add final recommendation page: decision, rationale, conditions, open questions and follow-ups
    */
   addFinalRecommendation(doc, data) {
     const pageWidth = doc.internal.pageSize.width;
     const contentWidth = pageWidth - PdfLayout.marginLeft - PdfLayout.marginRight;
+    const recommendation = FinalRecommendation.normalize(data.finalRecommendation);
     let y = 30;
 
     PdfTypography.sectionTitle(doc);
     doc.text('Final Recommendation', PdfLayout.marginLeft, y);
     y += 15;
 
-    // Get advisor name
-    const advisorName = document.getElementById('sca-name')?.value ||
-      window.app?.stateManager?.getState()?.scaName ||
-      'Advisor';
+    const advisorName = this.getAdvisorName();
 
     PdfTypography.body(doc, 'bold');
     doc.text(`Submitted by: ${advisorName}`, PdfLayout.marginLeft, y);
     y += 10;
 
+    if (recommendation.decision) {
+      const confidence = FinalRecommendation.getConfidenceLabel(recommendation.confidence);
+      PdfTypography.heading(doc);
+      y = PdfLayout.drawText(
+        doc,
+        `Decision: ${FinalRecommendation.getDecisionLabel(recommendation.decision)}` +
+          (confidence ? ` (${confidence} confidence)` : ''),
+        PdfLayout.marginLeft,
+        y,
+        { maxWidth: contentWidth }
+      );
+      y += 6;
+    }
+
     PdfTypography.body(doc);
+    if (recommendation.summary.trim()) {
+      y = PdfLayout.drawText(
+        doc,
+        recommendation.summary.trim(),
+        PdfLayout.marginLeft,
+        y,
+        { maxWidth: contentWidth }
+      );
+      y += 8;
+    }
+
+    const addList = (title, items) => {
+      if (items.length === 0) return;
+      y = PdfLayout.ensureSpace(doc, y, 25);
+      PdfTypography.label(doc);
+      doc.text(title, PdfLayout.marginLeft, y);
+      y += 7;
+      PdfTypography.body(doc);
+      y = PdfLayout.drawBulletList(doc, items, PdfLayout.marginLeft, y, {
+        bullet: '-',
+        lineHeight: PdfLayout.lineHeight(doc),
+        maxWidth: contentWidth,
+        afterItem: 1
+      });
+      y += 6;
+    };
+
+    addList('Conditions to Advance', recommendation.conditions);
+    addList('Open Questions', recommendation.openQuestions.map(q => FinalRecommendation.formatQuestion(q)));
+    addList('Follow-up Diligence', recommendation.followUps.map(f => FinalRecommendation.formatFollowUp(f)));
+  },
+
+  /**
+   * Brief final recommendation (IC teaser): decision, a short rationale and the conditions
+   * @returns {number} y after the section
+   */
+  addRecommendationBrief(doc, data, y) {
+    const contentWidth = PdfLayout.usableWidth(doc);
+    const recommendation = FinalRecommendation.normalize(data.finalRecommendation);
+
+    y = PdfLayout.ensureSpace(doc, y, 40);
+    PdfTypography.heading(doc);
+    doc.text('Recommendation', PdfLayout.marginLeft, y);
+    y += 8;
+
+    PdfTypography.body(doc, 'bold');
+    const confidence = FinalRecommendation.getConfidenceLabel(recommendation.confidence);
+    const decision = FinalRecommendation.getDecisionLabel(recommendation.decision) || 'No decision recorded';
     y = PdfLayout.drawText(
       doc,
-      data.finalRecommendation,
+      `${decision}${confidence ? ` (${confidence} confidence)` : ''} - ${this.getAdvisorName()}`,
       PdfLayout.marginLeft,
       y,
       { maxWidth: contentWidth }
     );
+
+    PdfTypography.body(doc);
+    if (recommendation.summary.trim()) {
+      y = PdfLayout.drawText(doc, Formatters.truncate(recommendation.summary.trim(), 500), PdfLayout.marginLeft, y, { maxWidth: contentWidth });
+    }
+    if (recommendation.conditions.length > 0) {
+      y = PdfLayout.drawBulletList(doc, recommendation.conditions.map(c => `Condition: ${c}`), PdfLayout.marginLeft, y + 2, {
+        bullet: '-',
+        lineHeight: PdfLayout.lineHeight(doc),
+        maxWidth: contentWidth,
+        afterItem: 1
+      });
+    }
+    return y;
   },
 
   /**
@@ -1342,6 +2018,56 @@ const ExportUtility = {
     doc.line(60, 110, pageWidth - 60, 110);
   },
 
+  /**
+   * Sections with data-quality warnings: [{ title, warnings }]
+   */
+  getDataQualitySections(data) {
+    const sections = [{ title: 'Company Overview', warnings: ResponseParser.getWarnings(data.company) }];
+    DimensionRegistry.list().forEach(dimension => {
+      sections.push({ title: dimension.name, warnings: ResponseParser.getWarnings(data[dimension.key]) });
+    });
+    return sections.filter(section => section.warnings.length > 0);
+  },
+
+  /**
+   * Add data-quality warnings to appendix: values parsing defaulted, converted
+   * or inferred, grouped by section (callers skip the page when there are none)
+   */
+  addDataQualityWarnings(doc, data) {
+    const withWarnings = this.getDataQualitySections(data);
+    const contentWidth = PdfLayout.usableWidth(doc);
+    let y = 30;
+
+    PdfTypography.subsectionTitle(doc);
+    doc.text('Data Quality Warnings', PdfLayout.marginLeft, y);
+    y += 10;
+
+    PdfTypography.small(doc);
+    y = PdfLayout.drawText(
+      doc,
+      'Values below were not taken directly from the AI output: they were missing (and defaulted where possible), converted to the expected type, or inferred from other fields.',
+      PdfLayout.marginLeft,
+      y,
+      { maxWidth: contentWidth }
+    );
+    y += 6;
+
+    withWarnings.forEach(section => {
+      y = PdfLayout.ensureSpace(doc, y, 40);
+      PdfTypography.heading(doc);
+      doc.text(section.title, PdfLayout.marginLeft, y);
+      y += 7;
+
+      PdfTypography.body(doc);
+      const items = section.warnings.map(warning => {
+        const label = ResponseParser.typeLabels[warning.type] || warning.type;
+        return `${label}: ${ResponseParser.formatWarning(warning)}`;
+      });
+      y = PdfLayout.drawBulletList(doc, items, PdfLayout.marginLeft, y, { maxWidth: contentWidth });
+      y += 6;
+    });
+  },
+
   /**
    * Add company details to appendix
    */
@@ -1393,16 +2119,7 @@ const ExportUtility = {
 	  y += 8;
 	  
 	  // Create table format
-	  const details = [
-		['Company Name', overview.name || '-'],
-		['Website', overview.website || '-'],
-		['Founded', overview.founded_year || '-'],
-		['Stage', overview.company_stage || '-'],
-		['Employees', overview.employee_count || '-'],
-		['Headquarters', overview.headquarters || '-'],
-		['Industry', market.industry || '-'],
-		['Business Model', market.business_model || '-']
-	  ];
+	  const details = this.getCompanyFacts(company);
 	  
 	  PdfTypography.body(doc);
 	  details.forEach(([label, value]) => {
@@ -1517,51 +2234,6 @@ const ExportUtility = {
       10
     );
 
-    const formatWork = (entry) => {
-      if (typeof entry === 'string') return entry;
-      const parts = [];
-      if (entry.position) parts.push(entry.position);
-      if (entry.company) parts.push(`@ ${entry.company}`);
-      if (entry.duration) parts.push(`(${entry.duration})`);
-      return parts.filter(Boolean).join(' ');
-    };
-
-    const formatEducation = (entry) => {
-      if (typeof entry === 'string') return entry;
-      const parts = [];
-      if (entry.degree) parts.push(entry.degree);
-      if (entry.institution) parts.push(`- ${entry.institution}`);
-      if (entry.year) parts.push(`(${entry.year})`);
-      return parts.filter(Boolean).join(' ');
-    };
-
-    const formatCommercial = (entry) => {
-      if (typeof entry === 'string') return entry;
-      const parts = [];
-      if (entry.description) parts.push(entry.description);
-      if (entry.company) parts.push(`(${entry.company})`);
-      if (entry.outcome) parts.push(`- ${entry.outcome}`);
-      return parts.filter(Boolean).join(' ');
-    };
-
-    const formatPublication = (entry) => {
-      if (typeof entry === 'string') return entry;
-      const parts = [];
-      if (entry.title) parts.push(entry.title);
-      if (entry.venue) parts.push(`- ${entry.venue}`);
-      if (entry.year) parts.push(`(${entry.year})`);
-      return parts.filter(Boolean).join(' ');
-    };
-
-    const formatAward = (entry) => {
-      if (typeof entry === 'string') return entry;
-      const parts = [];
-      if (entry.award_name) parts.push(entry.award_name);
-      if (entry.organization) parts.push(`- ${entry.organization}`);
-      if (entry.year) parts.push(`(${entry.year})`);
-      return parts.filter(Boolean).join(' ');
-    };
-
     members.forEach(member => {
       ensureSpace(40);
       PdfTypography.heading(doc);
@@ -1577,35 +2249,35 @@ const ExportUtility = {
       renderList(
         'Commercial Experience',
         member.commercialization_experience || [],
-        formatCommercial,
+        entry => this.formatCommercialEntry(entry),
         'No commercialization experience listed'
       );
 
       renderList(
         'Work History',
         member.work_history || [],
-        formatWork,
+        entry => this.formatWorkEntry(entry),
         'No work history listed'
       );
 
       renderList(
         'Education',
         member.education_history || [],
-        formatEducation,
+        entry => this.formatEducationEntry(entry),
         'No education history listed'
       );
 
       renderList(
         'Papers & Publications',
         member.papers_publications || [],
-        formatPublication,
+        entry => this.formatPublicationEntry(entry),
         'No publications listed'
       );
 
       renderList(
         'Awards & Recognition',
         member.awards_recognition || [],
-        formatAward,
+        entry => this.formatAwardEntry(entry),
         'No awards listed'
       );
 
@@ -1864,18 +2536,6 @@ const ExportUtility = {
       y += 4;
     };
 
-    const formatPatentEntry = (patent) => {
-      if (!patent) return 'Unknown patent';
-      if (typeof patent === 'string') return patent;
-
-      const parts = [];
-      if (patent.patentID || patent.id) parts.push(patent.patentID || patent.id);
-      if (patent.title) parts.push(patent.title);
-      if (patent.year) parts.push(`(${patent.year})`);
-      if (patent.assignee) parts.push(`- ${patent.assignee}`);
-      return parts.filter(Boolean).join(' ');
-    };
-
     PdfTypography.subsectionTitle(doc);
     doc.text('IP Risk Analysis Details', 20, y);
     y += 12;
@@ -1885,7 +2545,7 @@ const ExportUtility = {
       formatted.companyIP?.description || formatted.companyCurrentIP?.description
     );
 
-    const ownedPatents = (formatted.companyIP?.ownedPatents || []).map(formatPatentEntry);
+    const ownedPatents = (formatted.companyIP?.ownedPatents || []).map(patent => this.formatPatentEntry(patent));
     renderListSection('Company-Owned Patents', ownedPatents);
 
     renderListSection('Unique Protectable Features', formatted.uniqueFeatures || []);
@@ -1897,13 +2557,13 @@ const ExportUtility = {
     });
     renderListSection('Top Patent Owners', topOwners);
 
-    const awardedPatents = (formatted.awardedPatents || []).map(formatPatentEntry);
+    const awardedPatents = (formatted.awardedPatents || []).map(patent => this.formatPatentEntry(patent));
     renderListSection('Granted Patents Reviewed', awardedPatents);
 
-    const pendingPatents = (formatted.pendingPatents || []).map(formatPatentEntry);
+    const pendingPatents = (formatted.pendingPatents || []).map(patent => this.formatPatentEntry(patent));
     renderListSection('Pending Applications Reviewed', pendingPatents);
 
-    const referencePatents = (formatted.relevantPatents || []).map(formatPatentEntry);
+    const referencePatents = (formatted.relevantPatents || []).map(patent => this.formatPatentEntry(patent));
     renderListSection('Reference Patents Informing Risk Assessment', referencePatents);
   }
 };
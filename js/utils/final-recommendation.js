@@ -0,0 +1,180 @@
+// js/utils/final-recommendation.js - Structured final recommendation
+// The advisor's closing call on a venture: a decision, a confidence level, a short
+// rationale, conditions to advance, open questions and follow-up diligence tasks.
+// Earlier versions stored a single free-text string; normalize() converts it.
+
+const FinalRecommendation = {
+  decisions: [
+    { value: 'advance', label: 'Advance' },
+    { value: 'advance-conditional', label: 'Advance with conditions' },
+    { value: 'hold', label: 'Hold' },
+    { value: 'decline', label: 'Decline' }
+  ],
+
+  confidenceLevels: [
+    { value: 'high', label: 'High' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'low', label: 'Low' }
+  ],
+
+  maxSummaryLength: 2000,
+
+  create() {
+    return {
+      decision: '',
+      confidence: '',
+      summary: '',
+      conditions: [],      // ['Signed LOI from a pilot customer', ...]
+      openQuestions: [],   // [{ question, owner }]
+      followUps: []        // [{ task, owner, dueDate: 'YYYY-MM-DD' }]
+    };
+  },
+
+  /**
+   * Clean up a stored recommendation. Strings (the old free-text format) become the summary;
+   * blank list rows are dropped.
+   * @param {Object|string|null} value
+   * @returns {Object} Recommendation in the create() shape
+   */
+  normalize(value) {
+    const recommendation = this.create();
+    if (!value) return recommendation;
+
+    if (typeof value === 'string') {
+      recommendation.summary = value;
+      return recommendation;
+    }
+
+    const text = v => (typeof v === 'string' ? v.trim() : '');
+    const known = (list, v) => (list.some(option => option.value === v) ? v : '');
+
+    recommendation.decision = known(this.decisions, value.decision);
+    recommendation.confidence = known(this.confidenceLevels, value.confidence);
+    recommendation.summary = typeof value.summary === 'string' ? value.summary : '';
+    recommendation.conditions = (Array.isArray(value.conditions) ? value.conditions : [])
+      .map(text)
+      .filter(Boolean);
+    recommendation.openQuestions = (Array.isArray(value.openQuestions) ? value.openQuestions : [])
+      .map(q => (typeof q === 'string' ? { question: text(q), owner: '' } : { question: text(q?.question), owner: text(q?.owner) }))
+      .filter(q => q.question);
+    recommendation.followUps = (Array.isArray(value.followUps) ? value.followUps : [])
+      .map(f => ({ task: text(f?.task), owner: text(f?.owner), dueDate: text(f?.dueDate) }))
+      .filter(f => f.task || f.owner || f.dueDate);
+
+    return recommendation;
+  },
+
+  isEmpty(value) {
+    const recommendation = this.normalize(value);
+    return !recommendation.decision &&
+      !recommendation.confidence &&
+      !recommendation.summary.trim() &&
+      recommendation.conditions.length === 0 &&
+      recommendation.openQuestions.length === 0 &&
+      recommendation.followUps.length === 0;
+  },
+
+  /**
+   * Check a recommendation is complete enough to submit
+   * @returns {Object} { valid, errors }
+   */
+  validate(value) {
+    const recommendation = this.normalize(value);
+    const errors = [];
+
+    if (!recommendation.decision) {
+      errors.push('Choose a decision');
+    }
+    if (!recommendation.confidence) {
+      errors.push('Choose a confidence level');
+    }
+    if (recommendation.decision === 'advance-conditional' && recommendation.conditions.length === 0) {
+      errors.push('List at least one condition to advance');
+    }
+    if (recommendation.summary.length > this.maxSummaryLength) {
+      errors.push(`Rationale must be ${this.maxSummaryLength} characters or fewer`);
+    }
+
+    recommendation.followUps.forEach((followUp, index) => {
+      const label = `Follow-up ${index + 1}`;
+      if (!followUp.task) errors.push(`${label} needs a task`);
+      if (!followUp.owner) errors.push(`${label} needs an owner`);
+      if (!followUp.dueDate) {
+        errors.push(`${label} needs a due date`);
+      } else if (!/^\d{4}-\d{2}-\d{2}$/.test(followUp.dueDate) || isNaN(Date.parse(followUp.dueDate))) {
+        errors.push(`${label} has an invalid due date`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // ========== FORMATTING ==========
+
+  getDecisionLabel(value) {
+    return this.decisions.find(d => d.value === value)?.label || '';
+  },
+
+  getConfidenceLabel(value) {
+    return this.confidenceLevels.find(c => c.value === value)?.label || '';
+  },
+
+  /**
+   * "Mar 3, 2026" for a YYYY-MM-DD due date (read as a local date, not UTC)
+   */
+  formatDueDate(value) {
+    const [year, month, day] = String(value || '').split('-').map(Number);
+    if (!year || !month || !day) return value || '';
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  },
+
+  formatQuestion(question) {
+    return question.owner ? `${question.question} (${question.owner})` : question.question;
+  },
+
+  formatFollowUp(followUp) {
+    return `${followUp.task} - ${followUp.owner || 'Unassigned'}, due ${this.formatDueDate(followUp.dueDate) || 'TBD'}`;
+  },
+
+  /**
+   * Plain-text version for the Smartsheet finalRecommendation column
+   */
+  toText(value) {
+    const recommendation = this.normalize(value);
+    const lines = [];
+
+    if (recommendation.decision) {
+      const confidence = this.getConfidenceLabel(recommendation.confidence);
+      lines.push(`Decision: ${this.getDecisionLabel(recommendation.decision)}${confidence ? ` (${confidence} confidence)` : ''}`);
+    }
+    if (recommendation.summary.trim()) {
+      lines.push(recommendation.summary.trim());
+    }
+
+    const section = (title, items) => {
+      if (items.length > 0) lines.push(`${title}:\n${items.map(item => `- ${item}`).join('\n')}`);
+    };
+    section('Conditions to advance', recommendation.conditions);
+    section('Open questions', recommendation.openQuestions.map(q => this.formatQuestion(q)));
+    section('Follow-ups', recommendation.followUps.map(f => this.formatFollowUp(f)));
+
+    return lines.join('\n\n');
+  },
+
+  /**
+   * Fields for the structured Smartsheet columns (see COLUMNS in proxy-update/Code.gs)
+   */
+  toColumns(value) {
+    const recommendation = this.normalize(value);
+    return {
+      recommendationDecision: this.getDecisionLabel(recommendation.decision),
+      recommendationConfidence: this.getConfidenceLabel(recommendation.confidence),
+      recommendationConditions: recommendation.conditions.join('\n'),
+      recommendationOpenQuestions: recommendation.openQuestions.map(q => this.formatQuestion(q)).join('\n'),
+      recommendationFollowUps: recommendation.followUps.map(f => this.formatFollowUp(f)).join('\n')
+    };
+  }
+};
+
+// Make available globally
+window.FinalRecommendation = FinalRecommendation;
@@ -0,0 +1,331 @@
+// js/utils/fixture-mode.js - Offline Stack AI responses from recorded fixture files
+// In fixture mode StackProxy answers each workflow from fixtures/<set>.json instead of
+// calling Stack AI, with optional simulated latency and injected failures. Live runs
+// can be recorded into a new fixture set.
+//
+// Enable from the URL (settings persist until turned off):
+//   ?fixtures=demo                     serve fixtures/demo.json
+//   ?latency=2000 or ?latency=1000-5000  simulated response time per call (ms)
+//   ?fail=team:503,market:networkx2    injected failures (see parseFailures)
+//   ?record=my-set                     record live responses as my-set.json
+//   ?fixtures=off / ?record=off        back to live calls / stop recording
+
+const FixtureMode = {
+  settingKey: 'noblereach_fixture_mode',
+  basePath: 'fixtures/',
+  format: 'nrqa-fixtures',
+
+  // Workflows that fall back to another fixture when their own isn't recorded
+  aliases: {
+    company_file: 'company_url',
+    company_both: 'company_url'
+  },
+
+  defaults: {
+    set: null,              // Fixture set name (null = live calls)
+    latency: { min: 0, max: 0 },
+    failures: {},           // { workflow: { type, status, times } }
+    record: null            // Set name to record live responses into
+  },
+
+  settings: null,
+  setPromise: null,
+  failureCounts: {},        // Injected failures served so far, per workflow
+  recorded: {},             // { workflow: response } captured while recording
+
+  // ========== SETTINGS ==========
+
+  getSettings() {
+    if (!this.settings) {
+      try {
+        const saved = JSON.parse(localStorage.getItem(this.settingKey) || 'null');
+        this.settings = { ...this.defaults, ...(saved || {}) };
+      } catch {
+        this.settings = { ...this.defaults };
+      }
+    }
+    return this.settings;
+  },
+
+  isEnabled() {
+    return !!this.getSettings().set;
+  },
+
+  isRecording() {
+    return !this.isEnabled() && !!this.getSettings().record;
+  },
+
+  /**
+   * Change fixture settings and persist them
+   * @param {Object} overrides - Any of: set, latency {min,max}, failures, record
+   */
+  configure(overrides = {}) {
+    this.settings = { ...this.getSettings(), ...overrides };
+    localStorage.setItem(this.settingKey, JSON.stringify(this.settings));
+
+    // A different set or failure plan starts from a clean slate
+    this.setPromise = null;
+    this.failureCounts = {};
+
+    Debug.log('[FixtureMode] Settings:', JSON.stringify(this.settings));
+    return this.settings;
+  },
+
+  /**
+   * Apply ?fixtures, ?latency, ?fail and ?record from the page URL
+   */
+  applyUrlParams(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const overrides = {};
+    const isOff = value => ['off', 'false', '0', ''].includes(value.toLowerCase());
+
+    if (params.has('fixtures')) {
+      const value = params.get('fixtures');
+      overrides.set = isOff(value) ? null : value;
+    }
+    if (params.has('latency')) {
+      overrides.latency = this.parseLatency(params.get('latency'));
+    }
+    if (params.has('fail')) {
+      overrides.failures = this.parseFailures(params.get('fail'));
+    }
+    if (params.has('record')) {
+      const value = params.get('record');
+      overrides.record = isOff(value) ? null : (value === '1' || value === 'true' ? 'recorded' : value);
+    }
+
+    if (Object.keys(overrides).length > 0) {
+      this.configure(overrides);
+    }
+  },
+
+  /**
+   * "2000" -> { min: 2000, max: 2000 }, "1000-5000" -> { min: 1000, max: 5000 }
+   */
+  parseLatency(value) {
+    const [min, max = min] = String(value || '0').split('-').map(n => Math.max(0, parseInt(n, 10) || 0));
+    return { min: Math.min(min, max), max: Math.max(min, max) };
+  },
+
+  /**
+   * Parse a failure plan like "team:503,market:network,iprisk:malformed,funding:429x2"
+   * - A status code fails with that HTTP status (429/502/503/504 are retried)
+   * - "network" fails as if the connection dropped (retried)
+   * - "malformed" returns a response with no outputs (exercises parsing errors)
+   * - "xN" fails only the first N calls, then serves the fixture
+   * @returns {Object} { workflow: { type, status, times } }
+   */
+  parseFailures(value) {
+    const failures = {};
+
+    String(value || '').split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+      const [workflow, spec = ''] = entry.split(':');
+      const match = spec.trim().toLowerCase().match(/^(\d{3}|network|malformed)(?:x(\d+))?$/);
+      if (!workflow || !match) {
+        Debug.warn(`[FixtureMode] Ignoring failure "${entry}"`);
+        return;
+      }
+
+      const status = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : null;
+      failures[workflow.trim()] = {
+        type: status ? 'http' : match[1],
+        status,
+        times: match[2] ? parseInt(match[2], 10) : null  // null = every call
+      };
+    });
+
+    return failures;
+  },
+
+  // ========== RESPONSES ==========
+
+  /**
+   * Load the active fixture set (once per set)
+   */
+  loadSet() {
+    if (!this.setPromise) {
+      const name = this.getSettings().set;
+      const url = `${this.basePath}${encodeURIComponent(name)}.json`;
+
+      this.setPromise = fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Fixture set not found: ${url} (${response.status})`);
+          }
+          return response.json();
+        })
+        .then(fixtures => {
+          if (fixtures?.format !== this.format || !fixtures.responses) {
+            throw new Error(`${url} is not a fixture set`);
+          }
+          Debug.log(`[FixtureMode] Loaded ${url}:`, Object.keys(fixtures.responses).join(', '));
+          return fixtures;
+        })
+        .catch(error => {
+          this.setPromise = null; // Allow a retry after fixing the file
+          throw error;
+        });
+    }
+    return this.setPromise;
+  },
+
+  /**
+   * Answer a workflow call from the active fixture set.
+   * Errors have the same shape as StackProxy.request errors, so retries behave as live.
+   */
+  async request(workflow, payload, abortSignal = null) {
+    Debug.log(`[FixtureMode] Serving workflow: ${workflow}`);
+
+    const fixtures = await this.loadSet();
+    await StackProxy.wait(this.getLatency(), abortSignal);
+
+    const failure = this.nextFailure(workflow);
+    if (failure?.type === 'network') {
+      const error = new TypeError('Failed to fetch (injected)');
+      error.isNetworkError = true;
+      throw error;
+    }
+    if (failure?.type === 'http') {
+      const error = new Error(`API error ${failure.status}: injected failure`);
+      error.status = failure.status;
+      error.retryAfter = null;
+      throw error;
+    }
+    if (failure?.type === 'malformed') {
+      return { outputs: {} };
+    }
+
+    const response = fixtures.responses[workflow] || fixtures.responses[this.aliases[workflow]];
+    if (!response) {
+      throw new Error(`No fixture for workflow "${workflow}" in ${this.getSettings().set}.json`);
+    }
+
+    // Callers normalize responses in place - never hand out the cached copy
+    return JSON.parse(JSON.stringify(response));
+  },
+
+  getLatency() {
+    const { min, max } = this.getSettings().latency || this.defaults.latency;
+    return Math.round(min + Math.random() * (max - min));
+  },
+
+  /**
+   * The injected failure for this call, if any
+   */
+  nextFailure(workflow) {
+    const failure = this.getSettings().failures?.[workflow];
+    if (!failure) return null;
+
+    const served = this.failureCounts[workflow] || 0;
+    if (failure.times !== null && served >= failure.times) return null;
+
+    this.failureCounts[workflow] = served + 1;
+    Debug.warn(`[FixtureMode] Injecting ${failure.status || failure.type} for ${workflow} (${served + 1}${failure.times ? `/${failure.times}` : ''})`);
+    return failure;
+  },
+
+  // ========== RECORDING ==========
+
+  /**
+   * Keep a live response for the fixture set being recorded
+   */
+  record(workflow, payload, data) {
+    if (!this.isRecording()) return;
+
+    this.recorded[workflow] = JSON.parse(JSON.stringify(data));
+    Debug.log(`[FixtureMode] Recorded ${workflow} (${Object.keys(this.recorded).length} workflows)`);
+    this.updateBanner();
+  },
+
+  /**
+   * Fixture set built from the responses recorded so far
+   */
+  getRecording() {
+    return {
+      format: this.format,
+      name: this.getSettings().record,
+      description: 'Recorded from live Stack AI responses',
+      recordedAt: new Date().toISOString(),
+      responses: this.recorded
+    };
+  },
+
+  /**
+   * Download the recording - save it under fixtures/ to replay it
+   */
+  downloadRecording() {
+    const recording = this.getRecording();
+    if (Object.keys(recording.responses).length === 0) {
+      throw new Error('Nothing recorded yet');
+    }
+
+    const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${recording.name}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    return link.download;
+  },
+
+  // ========== BANNER ==========
+
+  /**
+   * Show which mode is active so fixture data is never mistaken for a live analysis
+   */
+  updateBanner() {
+    const banner = document.getElementById('fixture-banner');
+    const text = document.getElementById('fixture-banner-text');
+    const downloadBtn = document.getElementById('fixture-download-btn');
+    if (!banner || !text) return;
+
+    const settings = this.getSettings();
+    banner.classList.toggle('hidden', !this.isEnabled() && !this.isRecording());
+    downloadBtn?.classList.toggle('hidden', !this.isRecording());
+
+    if (this.isEnabled()) {
+      const { min, max } = settings.latency;
+      const details = [];
+      if (max > 0) details.push(`latency ${min === max ? `${min}` : `${min}-${max}`}ms`);
+      const failures = Object.entries(settings.failures || {})
+        .map(([workflow, f]) => `${workflow} ${f.status || f.type}${f.times ? ` x${f.times}` : ''}`);
+      if (failures.length > 0) details.push(`failures: ${failures.join(', ')}`);
+
+      text.textContent = `Offline mode - responses come from ${this.basePath}${settings.set}.json, not Stack AI` +
+        (details.length > 0 ? ` (${details.join('; ')})` : '') + '. Smartsheet submissions are skipped.';
+    } else if (this.isRecording()) {
+      const count = Object.keys(this.recorded).length;
+      text.textContent = `Recording live responses as "${settings.record}" - ${Formatters.pluralize(count, 'workflow')} captured`;
+      if (downloadBtn) downloadBtn.disabled = count === 0;
+    }
+  },
+
+  init() {
+    this.updateBanner();
+
+    document.getElementById('fixture-download-btn')?.addEventListener('click', () => {
+      try {
+        const filename = this.downloadRecording();
+        window.app?.toastManager?.success(`Saved ${filename} - copy it to ${this.basePath} to replay it`);
+      } catch (error) {
+        window.app?.toastManager?.warning(error.message);
+      }
+    });
+
+    if (this.isEnabled()) {
+      console.log(`[FixtureMode] Serving Stack AI responses from ${this.basePath}${this.getSettings().set}.json`);
+    }
+  }
+};
+
+// Make available globally
+window.FixtureMode = FixtureMode;
+
+// Settle the mode before anything calls StackProxy
+FixtureMode.applyUrlParams();
+
+document.addEventListener('DOMContentLoaded', () => FixtureMode.init());
@@ -100,14 +100,9 @@ const Formatters = {
   tamCategory(value, tam) {
     if (!value && !tam) return '-';
     if (value) {
-      const map = { 'under_500M': '<$500M', '500M_to_5B': '$500M-$5B', 'over_5B': '>$5B' };
-      return map[value] || value;
+      return RubricRegistry.getBandLabel('market', 'tam', value) || value;
     }
-    const numTam = parseFloat(tam);
-    if (isNaN(numTam)) return '-';
-    if (numTam < 5e8) return '<$500M';
-    if (numTam <= 5e9) return '$500M-$5B';
-    return '>$5B';
+    return RubricRegistry.getBandLabel('market', 'tam', RubricRegistry.classify('market', 'tam', tam)) || '-';
   },
 
   competitorBreakdown(count) {
@@ -130,6 +125,15 @@ const Formatters = {
     return String(str).toLowerCase().split(/[\s_-]+/).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
   },
 
+  /**
+   * Number from an AI output or form value, or null when it isn't one
+   */
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  },
+
   numberWithCommas(num) {
     if (num === null || num === undefined) return '-';
     const number = parseFloat(num);
@@ -163,6 +167,14 @@ const Formatters = {
     } catch { return url; }
   },
 
+  fileSize(bytes) {
+    if (bytes === null || bytes === undefined || isNaN(bytes)) return 'N/A';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  },
+
   pluralize(count, singular, plural = null) {
     const num = parseInt(count);
     if (isNaN(num)) return singular;
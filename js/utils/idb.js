@@ -0,0 +1,55 @@
+// js/utils/idb.js - Small promise wrapper around IndexedDB
+// Shared by StateManager (assessments) and ResponseCache (Stack AI responses)
+
+const IDB = {
+  isAvailable() {
+    return !!window.indexedDB;
+  },
+
+  /**
+   * Open (and create/upgrade) a database
+   * @param {string} name - Database name
+   * @param {number} version - Schema version
+   * @param {Function} upgrade - (db, oldVersion) => void; creates stores and indexes
+   * @returns {Promise<IDBDatabase>}
+   */
+  open(name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+      if (!this.isAvailable()) {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error(`Database ${name} is open in another tab`));
+    });
+  },
+
+  /**
+   * Run work against one or more object stores in a single transaction
+   * @param {IDBDatabase} db - Open database
+   * @param {string|string[]} storeName - Object store name, or names for a multi-store transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - (store, ...otherStores) => IDBRequest or void
+   * @returns {Promise<*>} Result of the returned request once the transaction commits
+   */
+  run(db, storeName, mode, action) {
+    return new Promise((resolve, reject) => {
+      const names = Array.isArray(storeName) ? storeName : [storeName];
+      const tx = db.transaction(names, mode);
+      const request = action(...names.map(name => tx.objectStore(name)));
+      tx.oncomplete = () => resolve(request instanceof IDBRequest ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  },
+
+  isQuotaError(error) {
+    return error?.name === 'QuotaExceededError';
+  }
+};
+
+window.IDB = IDB;
@@ -0,0 +1,258 @@
+// js/utils/market-sizing.js - Advisor market sizing (TAM/SAM/SOM)
+// Seeded from the markets in the market analysis. The advisor can override each market's
+// TAM and CAGR (the AI values are kept next to the overrides), then size the serviceable
+// market top-down (share of TAM) or bottom-up (price x customers) and the obtainable
+// market as a penetration of it, projected forward at the CAGR.
+
+const MarketSizing = {
+  methods: [
+    { value: 'top-down', label: 'Top-down', hint: 'share of TAM' },
+    { value: 'bottom-up', label: 'Bottom-up', hint: 'price x customers' }
+  ],
+
+  projectionYears: 5,
+  maxNotesLength: 2000,
+
+  create() {
+    return {
+      markets: [],          // [{ description, year, aiTam, aiCagr, tam, cagr }]; tam/cagr null = AI value
+      baseMarket: '',       // Market description SAM/SOM are built on
+      method: 'top-down',
+      samShare: null,       // Top-down: % of TAM the venture can serve
+      price: null,          // Bottom-up: annual revenue per customer (USD)
+      customers: null,      // Bottom-up: customers the venture can serve
+      penetration: null,    // % of SAM the venture can win (SOM)
+      notes: ''
+    };
+  },
+
+  /**
+   * Merge a saved model with the markets of the current analysis. AI values always come
+   * from the analysis; overrides are matched by market description.
+   * @param {Object|null} value - Saved model
+   * @param {Object} result - MarketAPI.processResponse output (or a cached copy)
+   * @param {string|null} primaryDescription - Default base market (the advisor's primary pick)
+   * @returns {Object} Model in the create() shape
+   */
+  normalize(value, result, primaryDescription = null) {
+    const model = this.create();
+    const saved = value && typeof value === 'object' ? value : {};
+    const savedMarkets = Array.isArray(saved.markets) ? saved.markets : [];
+
+    model.markets = this.getAiMarkets(result).map(market => {
+      const match = savedMarkets.find(m => m?.description === market.description) || {};
+      return { ...market, tam: Formatters.toNumber(match.tam), cagr: Formatters.toNumber(match.cagr) };
+    });
+
+    const descriptions = model.markets.map(m => m.description);
+    const aiPrimary = result?.formatted?.primaryMarket?.description;
+    model.baseMarket = [saved.baseMarket, primaryDescription, aiPrimary, descriptions[0]]
+      .find(description => description && descriptions.includes(description)) || '';
+
+    model.method = this.methods.some(m => m.value === saved.method) ? saved.method : 'top-down';
+    model.samShare = Formatters.toNumber(saved.samShare);
+    model.price = Formatters.toNumber(saved.price);
+    model.customers = Formatters.toNumber(saved.customers);
+    model.penetration = Formatters.toNumber(saved.penetration);
+    model.notes = typeof saved.notes === 'string' ? saved.notes : '';
+
+    return model;
+  },
+
+  /**
+   * Markets from the analysis, with the AI's primary market first when it isn't listed
+   * @returns {Object[]} [{ description, year, aiTam, aiCagr, tam: null, cagr: null }]
+   */
+  getAiMarkets(result) {
+    const formatted = result?.formatted || {};
+    const markets = MarketAPI.getMarketOptions(result)
+      .map(market => ({
+        description: market.description,
+        year: this.toYear(market.tamYear),
+        aiTam: Formatters.toNumber(market.tam),
+        aiCagr: Formatters.toNumber(market.cagr),
+        tam: null,
+        cagr: null
+      }));
+
+    const primary = formatted.primaryMarket;
+    if (primary?.description && !markets.some(m => m.description === primary.description)) {
+      const { tam, cagr } = MarketAPI.getPrimaryMarket(result);
+      markets.unshift({
+        description: primary.description,
+        year: new Date().getFullYear(),
+        aiTam: tam,
+        aiCagr: cagr,
+        tam: null,
+        cagr: null
+      });
+    }
+    return markets;
+  },
+
+  /**
+   * Base year of a market's TAM; the workflow may send it as text ("2025")
+   */
+  toYear(value) {
+    return parseInt(value, 10) || new Date().getFullYear();
+  },
+
+  hasOverrides(model) {
+    return (model?.markets || []).some(m => m.tam !== null || m.cagr !== null);
+  },
+
+  /**
+   * True when the advisor hasn't entered anything (nothing to save or report)
+   */
+  isEmpty(model) {
+    return !model ||
+      (!this.hasOverrides(model) &&
+        model.samShare === null &&
+        model.price === null &&
+        model.customers === null &&
+        model.penetration === null &&
+        !model.notes.trim());
+  },
+
+  /**
+   * Check the advisor's inputs
+   * @returns {Object} { valid, errors }
+   */
+  validate(model) {
+    const errors = [];
+    const percent = (value, label) => {
+      if (value !== null && (value < 0 || value > 100)) errors.push(`${label} must be between 0 and 100%`);
+    };
+
+    (model?.markets || []).forEach(market => {
+      if (market.tam !== null && market.tam < 0) errors.push(`TAM for ${market.description} can't be negative`);
+      if (market.cagr !== null && market.cagr <= -100) errors.push(`CAGR for ${market.description} must be above -100%`);
+    });
+
+    if (model?.method === 'top-down') {
+      percent(model.samShare, 'SAM share');
+    } else {
+      if (model?.price !== null && model?.price < 0) errors.push('Price per customer can\'t be negative');
+      if (model?.customers !== null && model?.customers < 0) errors.push('Customers can\'t be negative');
+    }
+    percent(model?.penetration, 'Penetration');
+
+    if (model?.notes?.length > this.maxNotesLength) {
+      errors.push(`Notes must be ${this.maxNotesLength} characters or fewer`);
+    }
+
+    const sizing = this.compute(model);
+    if (sizing?.sam !== null && sizing?.tam !== null && sizing?.sam > sizing?.tam) {
+      errors.push('SAM is larger than TAM');
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // ========== CALCULATION ==========
+
+  /**
+   * TAM, SAM and SOM of the base market and their projection at its CAGR
+   * @returns {Object|null} { market, year, tam, cagr, sam, som, rubric, projection: [{ year, tam, sam, som }] };
+   *   values are null when their inputs are missing. Null without any market.
+   */
+  compute(model) {
+    const market = (model?.markets || []).find(m => m.description === model.baseMarket) ||
+      model?.markets?.[0];
+    if (!market) return null;
+
+    const tam = market.tam ?? market.aiTam;
+    const cagr = market.cagr ?? market.aiCagr;
+    const year = this.toYear(market.year);
+
+    let sam = null;
+    if (model.method === 'top-down') {
+      if (tam !== null && model.samShare !== null) sam = tam * model.samShare / 100;
+    } else if (model.price !== null && model.customers !== null) {
+      sam = model.price * model.customers;
+    }
+    const som = sam !== null && model.penetration !== null ? sam * model.penetration / 100 : null;
+
+    const projection = [];
+    for (let i = 0; i <= this.projectionYears; i++) {
+      const growth = cagr === null ? null : Math.pow(1 + cagr / 100, i);
+      const grow = value => (value === null || growth === null ? null : value * growth);
+      projection.push({ year: year + i, tam: grow(tam), sam: grow(sam), som: grow(som) });
+    }
+
+    return {
+      market: market.description,
+      year,
+      tam,
+      cagr,
+      sam,
+      som,
+      rubric: MarketAPI.computeRubricScore(tam, cagr),
+      projection
+    };
+  },
+
+  // ========== FORMATTING ==========
+
+  getMethodLabel(value) {
+    return this.methods.find(m => m.value === value)?.label || '';
+  },
+
+  /**
+   * How SAM and SOM were sized, e.g. "SAM: 20% of TAM"
+   */
+  describeAssumptions(model) {
+    const lines = [];
+    if (model.method === 'top-down') {
+      lines.push(`SAM: ${model.samShare !== null ? Formatters.percentage(model.samShare) : '-'} of TAM`);
+    } else {
+      lines.push(`SAM: ${Formatters.currency(model.price)} per customer x ${model.customers !== null ? model.customers.toLocaleString('en-US') : '-'} customers`);
+    }
+    lines.push(`SOM: ${model.penetration !== null ? Formatters.percentage(model.penetration) : '-'} of SAM`);
+    return lines;
+  },
+
+  /**
+   * Bullet lines for the PDF and Word market sections
+   */
+  toLines(model) {
+    const sizing = this.compute(model);
+    if (!sizing) return [];
+
+    const figure = (ai, override, format) => (override === null
+      ? `${format(ai)} (AI)`
+      : `${format(override)} (advisor; AI ${format(ai)})`);
+
+    const lines = model.markets
+      .filter(m => m.tam !== null || m.cagr !== null)
+      .map(m => `${m.description}: TAM ${figure(m.aiTam, m.tam, v => Formatters.currency(v))}, ` +
+        `CAGR ${figure(m.aiCagr, m.cagr, v => Formatters.percentage(v))}`);
+
+    lines.push(
+      `Sized on: ${sizing.market} (${this.getMethodLabel(model.method).toLowerCase()})`,
+      `TAM ${Formatters.currency(sizing.tam)}, SAM ${Formatters.currency(sizing.sam)}, SOM ${Formatters.currency(sizing.som)} (${sizing.year})`,
+      ...this.describeAssumptions(model)
+    );
+    if (sizing.rubric) {
+      lines.push(`Rubric score with these figures: ${sizing.rubric.score}/9`);
+    }
+    if (model.notes.trim()) {
+      lines.push(`Notes: ${model.notes.trim()}`);
+    }
+    return lines;
+  },
+
+  /**
+   * Projection rows for reports: "2027: TAM $5.38B | SAM $1.08B | SOM $53.76M"
+   */
+  toProjectionLines(model) {
+    const sizing = this.compute(model);
+    if (!sizing || sizing.cagr === null) return [];
+    return sizing.projection.map(row =>
+      `${row.year}: TAM ${Formatters.currency(row.tam)} | SAM ${Formatters.currency(row.sam)} | SOM ${Formatters.currency(row.som)}`
+    );
+  }
+};
+
+// Make available globally
+window.MarketSizing = MarketSizing;
@@ -0,0 +1,556 @@
+// js/utils/pdf-charts.js - Vector charts for the PDF report
+// Drawn with jsPDF primitives (lines, rects, circles) so they stay sharp when printed.
+// Each add* method checks for space, draws a titled chart at y and returns the y below it;
+// charts with no data to show are skipped and return y unchanged.
+
+const PdfCharts = {
+  colors: {
+    ai: '#6A93FF',        // --nr-purple-1
+    advisor: '#FF5100',   // --nr-orange-1
+    venture: '#0082A5',   // --nr-teal-1, as in the UI funding timeline
+    market: '#6A93FF',    // --nr-purple-1
+    primary: '#FF5100',
+    bubble: '#0082A5',
+    grid: 220,
+    axis: 150,
+    muted: 110
+  },
+
+  // Competitor size categories, matching the UI size badges
+  sizeCategories: [
+    { key: 'large', label: 'Large', color: '#6A93FF', countKey: 'large_companies' },
+    { key: 'mid-size', label: 'Mid-size', color: '#0082A5', countKey: 'mid_size_companies' },
+    { key: 'startup', label: 'Startup', color: '#5CE042', countKey: 'startups' },
+    { key: 'other', label: 'Unknown', color: '#CBD5E1', countKey: null }
+  ],
+
+  timelineYears: 5,
+
+  // ========== SHARED ==========
+
+  /**
+   * Chart title; moves to a new page first when the chart won't fit
+   * @returns {number} y position for the chart body
+   */
+  startChart(doc, title, y, height) {
+    y = PdfLayout.ensureSpace(doc, y, height + 40);
+    PdfTypography.label(doc);
+    doc.text(title, PdfLayout.marginLeft, y);
+    return y + 8;
+  },
+
+  /**
+   * Lighter shade of a colour (for fills under a stroked outline)
+   */
+  tint(hex, amount = 0.75) {
+    return ExportUtility.hexToRgb(hex).map(c => Math.round(c + (255 - c) * amount));
+  },
+
+  axisText(doc, size = 8) {
+    PdfLayout.applyTypography(doc, { fontSize: size, color: this.colors.muted });
+  },
+
+  /**
+   * Closed polygon through absolute points
+   * @param {string} style - jsPDF style: 'S', 'F' or 'FD'
+   */
+  polygon(doc, points, style) {
+    const [first, ...rest] = points;
+    let previous = first;
+    const segments = rest.map(point => {
+      const segment = [point[0] - previous[0], point[1] - previous[1]];
+      previous = point;
+      return segment;
+    });
+    doc.lines(segments, first[0], first[1], [1, 1], style, true);
+  },
+
+  /**
+   * Colour swatches with labels on one line
+   * @param {Object[]} items - [{ label, color, outline }]
+   */
+  legend(doc, items, x, y) {
+    this.axisText(doc, 9);
+    items.forEach(item => {
+      doc.setLineWidth(0.6);
+      if (item.outline) {
+        doc.setDrawColor(...ExportUtility.hexToRgb(item.color));
+        doc.rect(x, y - 2.8, 3, 3, 'S');
+      } else {
+        doc.setFillColor(...ExportUtility.hexToRgb(item.color));
+        doc.rect(x, y - 2.8, 3, 3, 'F');
+      }
+      doc.text(item.label, x + 5, y);
+      x += doc.getTextWidth(item.label) + 12;
+    });
+    return y + 6;
+  },
+
+  /**
+   * "2023-06", "2023-06-15" or "2023" as a fractional year (2023.42), or null
+   */
+  toYear(date) {
+    const match = String(date || '').match(/(\d{4})(?:-(\d{1,2}))?/);
+    if (!match) return null;
+    const month = match[2] ? Math.min(Math.max(parseInt(match[2], 10), 1), 12) : 7;
+    return parseInt(match[1], 10) + (month - 1) / 12;
+  },
+
+  /**
+   * Short currency for axis ticks: $100M, $1B, $10B
+   */
+  formatTick(value) {
+    if (value >= 1e12) return `$${value / 1e12}T`;
+    if (value >= 1e9) return `$${value / 1e9}B`;
+    if (value >= 1e6) return `$${value / 1e6}M`;
+    if (value >= 1e3) return `$${value / 1e3}K`;
+    return `$${value}`;
+  },
+
+  // ========== SCORE RADAR ==========
+
+  /**
+   * AI and advisor scores per dimension. A series with a missing score is drawn as
+   * points only, since a polygon through 0 would read as a score of zero.
+   */
+  getScoreSeries(data) {
+    return DimensionRegistry.list().map(dimension => ({
+      key: dimension.key,
+      name: dimension.name,
+      ai: typeof data[dimension.key]?.aiScore === 'number' ? data[dimension.key].aiScore : null,
+      user: typeof data[dimension.key]?.userScore === 'number' ? data[dimension.key].userScore : null
+    }));
+  },
+
+  /**
+   * Radar of AI vs advisor scores (1-9) across the dimensions
+   */
+  addScoreRadar(doc, data, y) {
+    const series = this.getScoreSeries(data);
+    if (series.length < 3 || !series.some(s => s.ai !== null || s.user !== null)) return y;
+
+    const radius = 30;
+    y = this.startChart(doc, 'Scores by Dimension (AI vs Advisor)', y, radius * 2 + 20);
+
+    const centerX = PdfLayout.pageWidth(doc) / 2;
+    const centerY = y + radius + 8;
+    const angle = i => -Math.PI / 2 + (2 * Math.PI * i) / series.length;
+    const point = (i, score) => [
+      centerX + Math.cos(angle(i)) * radius * score / 9,
+      centerY + Math.sin(angle(i)) * radius * score / 9
+    ];
+
+    // Rings at 3, 6, 9 and one spoke per dimension
+    doc.setDrawColor(this.colors.grid);
+    doc.setLineWidth(0.2);
+    [3, 6, 9].forEach(level => this.polygon(doc, series.map((_, i) => point(i, level)), 'S'));
+    series.forEach((_, i) => doc.line(centerX, centerY, ...point(i, 9)));
+
+    this.axisText(doc, 7);
+    [3, 6, 9].forEach(level => doc.text(String(level), centerX + 1, centerY - radius * level / 9 - 0.8));
+
+    const drawSeries = (key, color, filled) => {
+      const points = series.map((s, i) => (s[key] === null ? null : point(i, s[key])));
+      const rgb = ExportUtility.hexToRgb(color);
+      doc.setDrawColor(...rgb);
+      doc.setLineWidth(0.7);
+      if (points.every(Boolean)) {
+        if (filled) doc.setFillColor(...this.tint(color));
+        this.polygon(doc, points, filled ? 'FD' : 'S');
+      }
+      doc.setFillColor(...rgb);
+      points.filter(Boolean).forEach(([x, pointY]) => doc.circle(x, pointY, 0.9, 'F'));
+    };
+    drawSeries('ai', this.colors.ai, true);
+    drawSeries('user', this.colors.advisor, false);
+
+    // Dimension labels with both scores
+    series.forEach((s, i) => {
+      const [x, labelY] = point(i, 10.6);
+      const cos = Math.cos(angle(i));
+      const align = Math.abs(cos) < 0.2 ? 'center' : (cos > 0 ? 'left' : 'right');
+      const sin = Math.sin(angle(i));
+      const offset = sin > 0.2 ? 3 : (sin < -0.9 ? -4 : 0);
+      PdfLayout.applyTypography(doc, { fontSize: 9, fontStyle: 'bold' });
+      doc.text(s.name, x, labelY + offset, { align });
+      this.axisText(doc, 8);
+      doc.text(`AI ${s.ai ?? '-'} | Advisor ${s.user ?? '-'}`, x, labelY + offset + 3.5, { align });
+    });
+
+    y = this.legend(doc, [
+      { label: 'AI score', color: this.colors.ai },
+      { label: 'Advisor score', color: this.colors.advisor, outline: true }
+    ], PdfLayout.marginLeft, centerY + radius + 16);
+
+    PdfTypography.body(doc);
+    return y + 4;
+  },
+
+  // ========== FUNDING TIMELINE ==========
+
+  /**
+   * Venture rounds and market deals from the last five years, placed by date
+   * @returns {Object} { start, end, venture: [], market: [], skipped }
+   */
+  getFundingTimeline(data) {
+    const formatted = data.funding?.formatted || {};
+    const end = new Date().getFullYear() + 1;
+    const start = end - this.timelineYears;
+    let skipped = 0;
+
+    const place = (date, amount, label) => {
+      const year = this.toYear(date);
+      if (year === null || year < start || year >= end) {
+        skipped++;
+        return null;
+      }
+      return { year, amount, label };
+    };
+
+    const venture = (formatted.fundingRounds || [])
+      .map(round => place(round.date, ResponseParser.parseAmount(round.amount), round.type))
+      .filter(Boolean)
+      .sort((a, b) => a.year - b.year);
+
+    // Deal amounts come back in USD or in millions (same rule as the funding evidence view)
+    const market = (formatted.peerDeals || [])
+      .map(deal => {
+        const amount = typeof deal.amount === 'number'
+          ? (deal.amount > 10000 ? deal.amount : deal.amount * 1e6)
+          : null;
+        return place(deal.date, amount, deal.company);
+      })
+      .filter(Boolean);
+
+    return { start, end, venture, market, skipped };
+  },
+
+  /**
+   * Timeline with a lane for the venture's rounds and one for comparable market deals;
+   * marker area follows the amount, hollow markers are undisclosed amounts
+   */
+  addFundingTimeline(doc, data, y) {
+    const timeline = this.getFundingTimeline(data);
+    if (!timeline.venture.length && !timeline.market.length) return y;
+
+    const laneHeight = 18;
+    y = this.startChart(doc, `Funding Activity (Last ${this.timelineYears} Years)`, y, laneHeight * 2 + 20);
+
+    const labelWidth = 28;
+    const left = PdfLayout.marginLeft + labelWidth;
+    const width = PdfLayout.usableWidth(doc) - labelWidth;
+    const xFor = year => left + ((year - timeline.start) / (timeline.end - timeline.start)) * width;
+    const amounts = [...timeline.venture, ...timeline.market].map(item => item.amount).filter(Boolean);
+    const maxAmount = amounts.length ? Math.max(...amounts) : 0;
+    const radiusFor = amount => (amount && maxAmount ? 1.2 + 3.3 * Math.sqrt(amount / maxAmount) : 1.5);
+
+    // Year gridlines
+    const bottom = y + laneHeight * 2;
+    doc.setDrawColor(this.colors.grid);
+    doc.setLineWidth(0.2);
+    this.axisText(doc);
+    for (let year = timeline.start; year <= timeline.end; year++) {
+      doc.line(xFor(year), y, xFor(year), bottom);
+      if (year < timeline.end) {
+        doc.text(String(year), xFor(year + 0.5), bottom + 4, { align: 'center' });
+      }
+    }
+
+    const lanes = [
+      { label: 'Venture rounds', items: timeline.venture, color: this.colors.venture, labelItems: true },
+      { label: 'Market deals', items: timeline.market, color: this.colors.market, labelItems: false }
+    ];
+
+    lanes.forEach((lane, index) => {
+      const laneY = y + laneHeight * index + laneHeight / 2;
+      const rgb = ExportUtility.hexToRgb(lane.color);
+
+      doc.setDrawColor(this.colors.axis);
+      doc.setLineWidth(0.3);
+      doc.line(left, laneY, left + width, laneY);
+      PdfLayout.applyTypography(doc, { fontSize: 9, fontStyle: 'bold' });
+      doc.text(lane.label, PdfLayout.marginLeft, laneY + 1);
+
+      lane.items.forEach((item, i) => {
+        const x = xFor(item.year);
+        const radius = radiusFor(item.amount);
+        doc.setDrawColor(...rgb);
+        doc.setFillColor(...rgb);
+        doc.setLineWidth(0.5);
+        doc.circle(x, laneY, radius, item.amount ? 'F' : 'S');
+
+        if (lane.labelItems && item.label) {
+          this.axisText(doc, 7);
+          const labelY = i % 2 === 0 ? laneY - radius - 1.5 : laneY + radius + 3;
+          doc.text(String(item.label), x, labelY, { align: 'center' });
+        }
+      });
+    });
+
+    y = this.legend(doc, [
+      { label: `Venture rounds (${timeline.venture.length})`, color: this.colors.venture },
+      { label: `Market deals (${timeline.market.length})`, color: this.colors.market },
+      { label: 'Undisclosed amount', color: this.colors.venture, outline: true }
+    ], PdfLayout.marginLeft, bottom + 11);
+
+    if (timeline.skipped > 0) {
+      this.axisText(doc);
+      doc.text(`${timeline.skipped} undated or earlier item${timeline.skipped === 1 ? '' : 's'} not shown`,
+        PdfLayout.marginLeft, y);
+      y += 5;
+    }
+
+    PdfTypography.body(doc);
+    return y + 4;
+  },
+
+  // ========== MARKET BUBBLES ==========
+
+  /**
+   * Markets from MarketAPI.formatForDisplay with a usable TAM, flagged when they
+   * are the primary market the score is based on (the advisor's pick, if any)
+   */
+  getMarketBubbles(data) {
+    const formatted = data.market?.formatted || {};
+    const rubricCheck = data.market?.rubricCheck;
+    const primary = rubricCheck?.isOverride ? rubricCheck.market : (formatted.primaryMarket || {});
+
+    return (formatted.markets || [])
+      .filter(market => typeof market.tam === 'number' && market.tam > 0 && typeof market.cagr === 'number')
+      .map((market, index) => ({
+        ...market,
+        number: market.rank || index + 1,
+        isPrimary: (!!primary.description && market.description === primary.description) ||
+          (market.tam === primary.tam && market.cagr === primary.cagr)
+      }));
+  },
+
+  /**
+   * TAM (log scale) vs CAGR; bubble size follows the source confidence
+   */
+  addMarketBubbles(doc, data, y) {
+    const markets = this.getMarketBubbles(data);
+    if (!markets.length) return y;
+
+    const chartHeight = 55;
+    y = this.startChart(doc, 'Market Size vs Growth', y, chartHeight + 15 + markets.length * 5);
+
+    const left = PdfLayout.marginLeft + 14;
+    const width = PdfLayout.usableWidth(doc) - 18;
+    const bottom = y + chartHeight;
+
+    // At least two decades of TAM and a 0% floor unless a market is shrinking
+    const tams = markets.map(m => Math.log10(m.tam));
+    const maxDecade = Math.ceil(Math.max(...tams));
+    const minDecade = Math.min(Math.floor(Math.min(...tams)), maxDecade - 2);
+    const cagrs = markets.map(m => m.cagr);
+    const minCagr = Math.min(0, Math.floor(Math.min(...cagrs) / 10) * 10);
+    const maxCagr = Math.max(10, Math.ceil(Math.max(...cagrs) / 10) * 10);
+
+    const xFor = tam => left + ((Math.log10(tam) - minDecade) / (maxDecade - minDecade)) * width;
+    const yFor = cagr => bottom - ((cagr - minCagr) / (maxCagr - minCagr)) * chartHeight;
+
+    doc.setDrawColor(this.colors.grid);
+    doc.setLineWidth(0.2);
+    this.axisText(doc);
+    for (let decade = minDecade; decade <= maxDecade; decade++) {
+      const x = xFor(10 ** decade);
+      doc.line(x, y, x, bottom);
+      doc.text(this.formatTick(10 ** decade), x, bottom + 4, { align: 'center' });
+    }
+    const step = (maxCagr - minCagr) > 40 ? 20 : 10;
+    for (let cagr = minCagr; cagr <= maxCagr; cagr += step) {
+      doc.line(left, yFor(cagr), left + width, yFor(cagr));
+      doc.text(`${cagr}%`, left - 2, yFor(cagr) + 1, { align: 'right' });
+    }
+    doc.text('TAM (log scale)', left + width, bottom + 8, { align: 'right' });
+    doc.text('CAGR', PdfLayout.marginLeft, y - 2);
+
+    // Largest bubbles first so smaller ones stay visible
+    [...markets]
+      .sort((a, b) => b.confidence - a.confidence)
+      .forEach(market => {
+        const x = xFor(market.tam);
+        const bubbleY = yFor(market.cagr);
+        const radius = 2 + 4 * Math.max(0, Math.min(1, market.confidence));
+        const color = market.isPrimary ? this.colors.primary : this.colors.bubble;
+
+        doc.setFillColor(...this.tint(color, 0.55));
+        doc.setDrawColor(...ExportUtility.hexToRgb(color));
+        doc.setLineWidth(market.isPrimary ? 0.8 : 0.4);
+        doc.circle(x, bubbleY, radius, 'FD');
+
+        PdfLayout.applyTypography(doc, { fontSize: 8, fontStyle: 'bold' });
+        doc.text(String(market.number), x, bubbleY + 1, { align: 'center' });
+      });
+
+    // Key below the chart
+    y = bottom + 14;
+    const contentWidth = PdfLayout.usableWidth(doc);
+    markets.forEach(market => {
+      this.axisText(doc);
+      if (market.isPrimary) doc.setFont(undefined, 'bold');
+      const line = `${market.number}. ${market.description || 'Market'} - TAM ${Formatters.currency(market.tam)}, ` +
+        `CAGR ${Formatters.percentage(market.cagr)}${market.isPrimary ? ' (primary market)' : ''}`;
+      y = PdfLayout.drawText(doc, line, PdfLayout.marginLeft, y, { maxWidth: contentWidth, lineHeight: 4.2 });
+    });
+    this.axisText(doc);
+    doc.text('Bubble size shows source confidence.', PdfLayout.marginLeft, y + 1);
+
+    PdfTypography.body(doc);
+    return y + 8;
+  },
+
+  // ========== COMPETITOR SIZES ==========
+
+  sizeCategory(size) {
+    const value = String(size || '').toLowerCase();
+    if (/large|enterprise|public|incumbent/.test(value)) return 'large';
+    if (/mid/.test(value)) return 'mid-size';
+    if (/start|small|early/.test(value)) return 'startup';
+    return 'other';
+  },
+
+  /**
+   * Competitors by size: the estimate for the whole market (assessment counts)
+   * and the competitors actually profiled in the analysis
+   * @returns {Object[]} [{ label, counts: { large, 'mid-size', startup, other }, total }]
+   */
+  getCompetitorSizes(data) {
+    const rows = [];
+    const estimate = data.competitive?.assessment?.competitor_count;
+
+    if (estimate) {
+      const counts = {};
+      this.sizeCategories.forEach(category => {
+        counts[category.key] = category.countKey ? Number(estimate[category.countKey]) || 0 : 0;
+      });
+      rows.push({ label: 'Estimated in market', counts });
+    }
+
+    const profiled = data.competitive?.analysis?.competitors || [];
+    if (profiled.length) {
+      const counts = Object.fromEntries(this.sizeCategories.map(category => [category.key, 0]));
+      profiled.forEach(competitor => {
+        counts[this.sizeCategory(competitor.size_category || competitor.companySize)]++;
+      });
+      rows.push({ label: 'Profiled competitors', counts });
+    }
+
+    return rows
+      .map(row => ({ ...row, total: Object.values(row.counts).reduce((sum, n) => sum + n, 0) }))
+      .filter(row => row.total > 0);
+  },
+
+  /**
+   * Stacked bars of competitor counts by company size
+   */
+  addCompetitorSizes(doc, data, y) {
+    const rows = this.getCompetitorSizes(data);
+    if (!rows.length) return y;
+
+    const barHeight = 8;
+    y = this.startChart(doc, 'Competitors by Company Size', y, rows.length * (barHeight + 6) + 10);
+
+    const labelWidth = 36;
+    const left = PdfLayout.marginLeft + labelWidth;
+    const width = PdfLayout.usableWidth(doc) - labelWidth - 12;
+    const scale = width / Math.max(...rows.map(row => row.total));
+
+    rows.forEach(row => {
+      PdfLayout.applyTypography(doc, { fontSize: 9, fontStyle: 'bold' });
+      doc.text(row.label, PdfLayout.marginLeft, y + barHeight / 2 + 1);
+
+      let x = left;
+      this.sizeCategories.forEach(category => {
+        const count = row.counts[category.key];
+        if (!count) return;
+        const segment = count * scale;
+        doc.setFillColor(...ExportUtility.hexToRgb(category.color));
+        doc.rect(x, y, segment, barHeight, 'F');
+        if (segment >= 5) {
+          PdfLayout.applyTypography(doc, { fontSize: 8, fontStyle: 'bold', color: category.key === 'other' ? 60 : 255 });
+          doc.text(String(count), x + segment / 2, y + barHeight / 2 + 1, { align: 'center' });
+        }
+        x += segment;
+      });
+
+      this.axisText(doc);
+      doc.text(String(row.total), x + 2, y + barHeight / 2 + 1);
+      y += barHeight + 6;
+    });
+
+    const used = this.sizeCategories.filter(category => rows.some(row => row.counts[category.key] > 0));
+    y = this.legend(doc, used.map(category => ({ label: category.label, color: category.color })),
+      PdfLayout.marginLeft, y + 2);
+
+    PdfTypography.body(doc);
+    return y + 4;
+  },
+
+  // ========== POSITIONING MAP ==========
+
+  /**
+   * The venture and the advisor's scored competitors on the two map axes of the
+   * competitor matrix (see CompetitorMatrix.getMapPoints)
+   */
+  addPositioningMap(doc, data, y) {
+    const matrix = data.competitive?.competitorMatrix;
+    if (!matrix) return y;
+
+    const ventureName = window.app?.getVentureName() || data.company?.company_overview?.name || 'Venture';
+    const { x: xAxis, y: yAxis, points } = CompetitorMatrix.getMapPoints(matrix, ventureName);
+    if (!points.length) return y;
+
+    const chartHeight = 60;
+    y = this.startChart(doc, `Positioning Map: ${xAxis.label} vs ${yAxis.label}`, y, chartHeight + 20);
+
+    const scale = CompetitorMatrix.scale;
+    const left = PdfLayout.marginLeft + 10;
+    const width = Math.min(PdfLayout.usableWidth(doc) - 50, 110);
+    const bottom = y + chartHeight;
+    const xFor = value => left + ((value - 0.5) / scale) * width;
+    const yFor = value => bottom - ((value - 0.5) / scale) * chartHeight;
+
+    doc.setDrawColor(this.colors.grid);
+    doc.setLineWidth(0.2);
+    this.axisText(doc);
+    for (let n = 1; n <= scale; n++) {
+      doc.line(xFor(n), y, xFor(n), bottom);
+      doc.line(left, yFor(n), left + width, yFor(n));
+      doc.text(String(n), xFor(n), bottom + 4, { align: 'center' });
+      doc.text(String(n), left - 2, yFor(n) + 1, { align: 'right' });
+    }
+    doc.text(`${xAxis.label} >`, left + width, bottom + 8, { align: 'right' });
+    doc.text(`${yAxis.label} ^`, PdfLayout.marginLeft, y - 2);
+
+    // Points at the same position share a dot and stack their labels
+    const stacked = {};
+    points.forEach(point => {
+      const at = `${point.x},${point.y}`;
+      const index = stacked[at] = (stacked[at] ?? -1) + 1;
+      const px = xFor(point.x);
+      const py = yFor(point.y);
+      const color = point.isVenture ? this.colors.primary : CompetitorMatrix.getSizeColor(point.size);
+
+      if (index === 0) {
+        doc.setFillColor(...ExportUtility.hexToRgb(color));
+        doc.circle(px, py, point.isVenture ? 2.2 : 1.6, 'F');
+      }
+      PdfLayout.applyTypography(doc, { fontSize: 7, fontStyle: point.isVenture ? 'bold' : 'normal', color: 60 });
+      doc.text(point.name, px + 3, py + 1 + index * 3.2);
+    });
+
+    const used = CompetitorMatrix.sizes.filter(size => points.some(point => !point.isVenture && point.size === size.value));
+    y = this.legend(doc, [
+      { label: ventureName, color: this.colors.primary },
+      ...used.map(size => ({ label: size.label, color: size.color }))
+    ], PdfLayout.marginLeft, bottom + 14);
+
+    PdfTypography.body(doc);
+    return y + 4;
+  }
+};
+
+// Make available globally
+window.PdfCharts = PdfCharts;
@@ -0,0 +1,226 @@
+// js/utils/report-templates.js - PDF report templates
+// A template picks and orders the ExportUtility sections for one audience (full memo,
+// IC teaser, evidence pack), with a detail level per section and branding options.
+// Templates are loaded from templates/reports.json; the built-in full memo is used
+// when the file can't be fetched (e.g. the app is opened from file://).
+//
+// Template shape:
+//   { key, name, description,
+//     branding: { title, accentColor, footer, confidentiality },
+//     sections: [{ type, detail: 'full'|'brief', dimensions: [keys], newPage }] }
+
+const ReportTemplates = {
+  url: 'templates/reports.json',
+  format: 'nrqa-report-templates',
+  settingKey: 'noblereach_report_template',
+  defaultKey: 'full',
+
+  // Section types and the detail levels ExportUtility.renderSection supports for each.
+  // Brief sections can continue on the current page (newPage: false).
+  sectionTypes: {
+    titlePage: { details: ['full', 'brief'] },           // brief: no scores box
+    executiveSummary: { details: ['full', 'brief'] },    // brief: overview and weighted decision
+    dimensions: { details: ['full', 'brief'], perDimension: true },  // brief: score and justification
+    finalRecommendation: { details: ['full', 'brief'] }, // brief: decision, rationale, conditions
+    appendixCover: { details: ['full'] },
+    companyDetails: { details: ['full'] },
+    dimensionDetails: { details: ['full'], perDimension: true },
+    dataQuality: { details: ['full'] }
+  },
+
+  branding: {
+    title: 'Venture Assessment Report',
+    accentColor: '#667eea',
+    footer: 'Generated by Venture Assessment Platform',
+    confidentiality: ''   // Printed at the bottom of every page when set
+  },
+
+  // Same layout the export had before templates
+  builtIn: {
+    key: 'full',
+    name: 'Full diligence memo',
+    description: 'Title page, executive summary, every dimension, final recommendation and the full appendix',
+    sections: [
+      { type: 'titlePage' },
+      { type: 'executiveSummary' },
+      { type: 'dimensions' },
+      { type: 'finalRecommendation' },
+      { type: 'appendixCover' },
+      { type: 'companyDetails' },
+      { type: 'dimensionDetails' },
+      { type: 'dataQuality' }
+    ]
+  },
+
+  templates: null,
+  loadPromise: null,
+
+  // ========== LOADING ==========
+
+  /**
+   * Load templates/reports.json (once). Invalid templates are skipped with a warning.
+   * @returns {Promise<Object[]>} Normalized templates
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Report templates not found: ${this.url} (${response.status})`);
+          }
+          return response.json();
+        })
+        .then(file => {
+          if (file?.format !== this.format || !Array.isArray(file.templates)) {
+            throw new Error(`${this.url} is not a report template file`);
+          }
+          return file.templates;
+        })
+        .catch(error => {
+          Debug.warn(`[ReportTemplates] ${error.message} - using the built-in template`);
+          return [];
+        })
+        .then(templates => {
+          this.templates = this.register(templates);
+          Debug.log('[ReportTemplates] Loaded:', this.templates.map(t => t.key).join(', '));
+          return this.templates;
+        });
+    }
+    return this.loadPromise;
+  },
+
+  /**
+   * Validate and normalize a list of templates; the built-in one fills in when
+   * no template uses its key
+   */
+  register(templates) {
+    const registered = [];
+
+    templates.forEach((template, index) => {
+      const validation = this.validate(template);
+      if (!validation.valid) {
+        Debug.warn(`[ReportTemplates] Skipping template ${template?.key || index + 1}: ${validation.errors.join('; ')}`);
+        return;
+      }
+      if (registered.some(t => t.key === template.key)) {
+        Debug.warn(`[ReportTemplates] Skipping duplicate template ${template.key}`);
+        return;
+      }
+      registered.push(this.normalize(template));
+    });
+
+    if (!registered.some(t => t.key === this.builtIn.key)) {
+      registered.unshift(this.normalize(this.builtIn));
+    }
+    return registered;
+  },
+
+  list() {
+    return this.templates || [this.normalize(this.builtIn)];
+  },
+
+  get(key) {
+    return this.list().find(t => t.key === key) || null;
+  },
+
+  // ========== SELECTION ==========
+
+  /**
+   * Template last used for an export (the full memo until one is picked)
+   */
+  getSelected() {
+    let key = this.defaultKey;
+    try {
+      key = localStorage.getItem(this.settingKey) || this.defaultKey;
+    } catch {
+      // Storage unavailable - use the default
+    }
+    return this.get(key) || this.get(this.defaultKey) || this.list()[0];
+  },
+
+  setSelected(key) {
+    try {
+      localStorage.setItem(this.settingKey, key);
+    } catch {
+      // Storage unavailable - the choice just isn't remembered
+    }
+  },
+
+  // ========== VALIDATION ==========
+
+  /**
+   * Check a template from the JSON file
+   * @returns {Object} { valid, errors }
+   */
+  validate(template) {
+    const errors = [];
+
+    if (!template || typeof template !== 'object') {
+      return { valid: false, errors: ['Template must be an object'] };
+    }
+    if (typeof template.key !== 'string' || !/^[a-z0-9-]+$/.test(template.key)) {
+      errors.push('key must be lowercase letters, digits and dashes');
+    }
+    if (!template.name || typeof template.name !== 'string') {
+      errors.push('name is required');
+    }
+
+    const accent = template.branding?.accentColor;
+    if (accent !== undefined && !/^#[0-9a-fA-F]{6}$/.test(accent)) {
+      errors.push('branding.accentColor must be a #rrggbb colour');
+    }
+
+    if (!Array.isArray(template.sections) || template.sections.length === 0) {
+      errors.push('sections must list at least one section');
+      return { valid: false, errors };
+    }
+
+    template.sections.forEach((section, index) => {
+      const label = `Section ${index + 1}`;
+      const type = this.sectionTypes[section?.type];
+      if (!type) {
+        errors.push(`${label} has unknown type "${section?.type}"`);
+        return;
+      }
+      if (section.detail !== undefined && !type.details.includes(section.detail)) {
+        errors.push(`${label} (${section.type}) supports detail ${type.details.join(' or ')}`);
+      }
+      if (section.dimensions !== undefined) {
+        if (!type.perDimension) {
+          errors.push(`${label} (${section.type}) does not take dimensions`);
+        } else if (!Array.isArray(section.dimensions)) {
+          errors.push(`${label} dimensions must be a list of dimension keys`);
+        } else {
+          section.dimensions
+            .filter(key => !DimensionRegistry.has(key))
+            .forEach(key => errors.push(`${label} lists unknown dimension "${key}"`));
+        }
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Fill in defaults: branding, detail 'full', every dimension, a new page per section
+   */
+  normalize(template) {
+    return {
+      key: template.key,
+      name: template.name,
+      description: template.description || '',
+      branding: { ...this.branding, ...(template.branding || {}) },
+      sections: template.sections.map(section => ({
+        type: section.type,
+        detail: section.detail || 'full',
+        dimensions: this.sectionTypes[section.type].perDimension
+          ? (section.dimensions || DimensionRegistry.keys())
+          : null,
+        newPage: section.newPage !== false
+      }))
+    };
+  }
+};
+
+// Make available globally
+window.ReportTemplates = ReportTemplates;
@@ -0,0 +1,211 @@
+// js/utils/response-cache.js - Opt-in IndexedDB cache for Stack AI responses
+// Keyed by workflow id + a hash of the normalized payload, so re-running a phase
+// with unchanged inputs returns instantly instead of re-running the workflow.
+
+const ResponseCache = {
+  dbName: 'noblereach_qa_cache',
+  storeName: 'responses',
+  dbVersion: 1,
+  settingKey: 'noblereach_response_cache',
+  ttl: 24 * 60 * 60 * 1000,  // 24 hours
+
+  // Payload fields that change on every call without changing the result
+  ignoredFields: ['user_id'],
+
+  dbPromise: null,
+  refreshCutoff: 0,  // Entries written before this are ignored (force refresh)
+
+  // ========== SETTINGS ==========
+
+  isEnabled() {
+    return localStorage.getItem(this.settingKey) === 'true';
+  },
+
+  setEnabled(enabled) {
+    localStorage.setItem(this.settingKey, enabled ? 'true' : 'false');
+    Debug.log(`[ResponseCache] ${enabled ? 'Enabled' : 'Disabled'}`);
+  },
+
+  /**
+   * Ignore everything cached so far. Responses fetched from now on are cached
+   * as usual, so retries within the refreshed run can still hit.
+   */
+  forceRefresh() {
+    this.refreshCutoff = Date.now();
+    Debug.log('[ResponseCache] Force refresh - ignoring earlier entries');
+  },
+
+  /**
+   * Uploaded documents are referenced by user id, not included in the payload,
+   * so the payload alone doesn't identify the input
+   */
+  isCacheable(payload) {
+    return !!payload && typeof payload === 'object' && !('doc-0' in payload);
+  },
+
+  // ========== KEYS ==========
+
+  /**
+   * Build the cache key for a call
+   * @param {string} workflowId - Stack AI flow id
+   * @param {Object} payload - Request payload
+   * @returns {Promise<string>} Key like "<flowId>:<sha256>"
+   */
+  async buildKey(workflowId, payload) {
+    const text = JSON.stringify(this.normalizePayload(payload));
+    return `${workflowId}:${await this.hash(text)}`;
+  },
+
+  /**
+   * Drop ignored fields, trim strings and sort keys so equivalent payloads match
+   */
+  normalizePayload(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalizePayload(item));
+    }
+
+    if (value && typeof value === 'object') {
+      const normalized = {};
+      Object.keys(value)
+        .filter(key => !this.ignoredFields.includes(key))
+        .sort()
+        .forEach(key => {
+          normalized[key] = this.normalizePayload(value[key]);
+        });
+      return normalized;
+    }
+
+    return typeof value === 'string' ? value.trim() : value;
+  },
+
+  async hash(text) {
+    if (window.crypto?.subtle) {
+      const bytes = new TextEncoder().encode(text);
+      const digest = await crypto.subtle.digest('SHA-256', bytes);
+      return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+    }
+
+    // crypto.subtle is unavailable outside secure contexts - fall back to FNV-1a
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0') + '_' + text.length;
+  },
+
+  // ========== STORAGE ==========
+
+  openDb() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = IDB.open(this.dbName, this.dbVersion, db => {
+      if (!db.objectStoreNames.contains(this.storeName)) {
+        const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+        store.createIndex('expires', 'expires');
+      }
+    });
+
+    // Let a later call try again if opening failed
+    this.dbPromise.catch(() => { this.dbPromise = null; });
+    return this.dbPromise;
+  },
+
+  /**
+   * Run a request against the responses store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - (store) => IDBRequest
+   */
+  async withStore(mode, action) {
+    const db = await this.openDb();
+    return IDB.run(db, this.storeName, mode, action);
+  },
+
+  /**
+   * Get a cached response
+   * Cache failures are treated as a miss so they never break an analysis.
+   * @returns {Promise<Object|null>} Raw Stack AI response or null
+   */
+  async get(key) {
+    try {
+      const entry = await this.withStore('readonly', store => store.get(key));
+      if (!entry) return null;
+
+      if (entry.expires <= Date.now() || entry.timestamp < this.refreshCutoff) {
+        await this.delete(key);
+        return null;
+      }
+
+      return entry.response;
+    } catch (error) {
+      Debug.warn('[ResponseCache] Read failed:', error?.message);
+      return null;
+    }
+  },
+
+  async set(key, workflow, response) {
+    try {
+      const now = Date.now();
+      await this.withStore('readwrite', store => store.put({
+        key,
+        workflow,
+        response,
+        timestamp: now,
+        expires: now + this.ttl
+      }));
+    } catch (error) {
+      Debug.warn('[ResponseCache] Write failed:', error?.message);
+    }
+  },
+
+  async delete(key) {
+    try {
+      await this.withStore('readwrite', store => store.delete(key));
+    } catch (error) {
+      Debug.warn('[ResponseCache] Delete failed:', error?.message);
+    }
+  },
+
+  async clear() {
+    try {
+      await this.withStore('readwrite', store => store.clear());
+      Debug.log('[ResponseCache] Cleared');
+    } catch (error) {
+      Debug.warn('[ResponseCache] Clear failed:', error?.message);
+    }
+  },
+
+  /**
+   * Remove expired entries
+   */
+  async purgeExpired() {
+    try {
+      await this.withStore('readwrite', store => {
+        const range = IDBKeyRange.upperBound(Date.now());
+        const request = store.index('expires').openCursor(range);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            cursor.delete();
+            cursor.continue();
+          }
+        };
+        return request;
+      });
+    } catch (error) {
+      Debug.warn('[ResponseCache] Purge failed:', error?.message);
+    }
+  }
+};
+
+// Make available globally
+window.ResponseCache = ResponseCache;
+
+// Drop stale entries on load
+document.addEventListener('DOMContentLoaded', () => {
+  if (ResponseCache.isEnabled()) {
+    ResponseCache.purgeExpired();
+  }
+});
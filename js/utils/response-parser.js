@@ -0,0 +1,403 @@
+// js/utils/response-parser.js - Shared parsing and normalization for Stack AI outputs
+// Each API module declares the shape it expects as a small JSON-schema subset; this
+// module extracts the JSON (code fences, surrounding text, truncation), fills typed
+// defaults, coerces near-misses and reports every repair as a warning for the UI.
+//
+// Supported schema keywords:
+//   type        'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' (omit for any)
+//   properties  { key: schema } for objects; unknown keys are kept as-is
+//   required    [keys] - a missing required key is reported (and defaulted if it has one)
+//   items       schema for array entries
+//   default     value used when the key is missing/null (and when a value can't be coerced)
+//   nullable    null is a valid value (no default applied)
+//   minLength   strings shorter than this count as missing (use 1 to treat '' as missing)
+//   minimum / maximum   numeric range; out-of-range values are invalid
+//   format      'currency' - numbers may arrive as "$2.5M", "1.2 billion"
+//
+// Warning types: missing (defaulted where the schema has a default), coerced (converted), invalid, repaired (JSON fixed up),
+// inferred (derived from other fields by an API module's own normalization).
+
+const ResponseParser = {
+  // Shared schema for 1-9 rubric scores
+  scoreSchema: { type: 'integer', minimum: 1, maximum: 9 },
+
+  // Display labels for warning types
+  typeLabels: {
+    missing: 'Missing',
+    coerced: 'Converted',
+    invalid: 'Invalid',
+    repaired: 'Repaired',
+    inferred: 'Inferred'
+  },
+
+  /**
+   * Parse one Stack AI output and normalize it against a schema
+   * @param {*} raw - Output value (string, { text }, or already-parsed object)
+   * @param {Object} schema - Expected shape
+   * @param {string} source - Label for warnings and logs, e.g. 'team roster'
+   * @returns {Object} { data, warnings } - data is null if no JSON could be recovered
+   */
+  parse(raw, schema, source) {
+    const warnings = [];
+    const value = this.parseJson(raw, source, warnings);
+    if (value === null) {
+      return { data: null, warnings };
+    }
+    return { data: this.normalize(value, schema, source, warnings), warnings };
+  },
+
+  // ========== JSON EXTRACTION ==========
+
+  /**
+   * Recover a JSON value from model output
+   * Handles { text } envelopes, ```json fences, text around the JSON,
+   * truncated output and trailing commentary.
+   * @returns {*} Parsed value, or null
+   */
+  parseJson(raw, source = 'output', warnings = []) {
+    if (raw === null || raw === undefined) return null;
+
+    if (typeof raw === 'object') {
+      if (typeof raw.text === 'string') {
+        return this.parseJson(raw.text, source, warnings);
+      }
+      return raw;
+    }
+
+    if (typeof raw !== 'string') {
+      this.warn(warnings, source, '', 'invalid', `expected JSON text, got ${typeof raw}`);
+      return null;
+    }
+
+    const text = this.stripFences(raw);
+    if (!text) return null;
+
+    let parsed = this.tryParse(text);
+    if (parsed !== undefined) return parsed;
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    if (start !== -1 && end > start) {
+      parsed = this.tryParse(text.slice(start, end + 1));
+      if (parsed !== undefined) {
+        this.warn(warnings, source, '', 'repaired', 'ignored text around the JSON');
+        return parsed;
+      }
+    }
+
+    if (start !== -1) {
+      // Output cut off mid-object: close open strings, arrays and objects
+      const balanced = this.repairJson(text.slice(start));
+      parsed = balanced ? this.tryParse(balanced) : undefined;
+      if (parsed !== undefined) {
+        this.warn(warnings, source, '', 'repaired', 'output was truncated - closed the open JSON');
+        return parsed;
+      }
+
+      // Commentary containing braces after the JSON: try each earlier closing brace
+      for (let cut = text.lastIndexOf('}', end - 1); cut > start; cut = text.lastIndexOf('}', cut - 1)) {
+        parsed = this.tryParse(text.slice(start, cut + 1));
+        if (parsed !== undefined) {
+          this.warn(warnings, source, '', 'repaired', 'ignored text after the JSON');
+          return parsed;
+        }
+      }
+    }
+
+    console.error(`[ResponseParser] Failed to parse ${source}:`, text.slice(0, 500));
+    this.warn(warnings, source, '', 'invalid', 'output is not valid JSON');
+    return null;
+  },
+
+  stripFences(text) {
+    let trimmed = text.trim();
+    if (trimmed.startsWith('```json')) {
+      trimmed = trimmed.slice(7);
+    } else if (trimmed.startsWith('```')) {
+      trimmed = trimmed.slice(3);
+    }
+    if (trimmed.endsWith('```')) {
+      trimmed = trimmed.slice(0, -3);
+    }
+    return trimmed.replace(/^---\s*$/m, '').trim();
+  },
+
+  /**
+   * @returns {*} Parsed value, or undefined if the text isn't JSON
+   */
+  tryParse(text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return undefined;
+    }
+  },
+
+  /**
+   * Balance unmatched quotes, brackets and braces in truncated JSON
+   * @returns {string|null} Repaired text, or null if the nesting is inconsistent
+   */
+  repairJson(text) {
+    const stack = [];
+    let inString = false;
+    let escape = false;
+
+    for (const char of text) {
+      if (inString) {
+        if (escape) {
+          escape = false;
+        } else if (char === '\\') {
+          escape = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        stack.push('}');
+      } else if (char === '[') {
+        stack.push(']');
+      } else if (char === '}' || char === ']') {
+        if (stack.pop() !== char) return null;
+      }
+    }
+
+    let repaired = text.replace(/\s+$/, '');
+    if (inString) repaired += '"';
+    // A dangling comma or colon can't be closed into valid JSON
+    repaired = repaired.replace(/[,:]\s*$/, '');
+    return repaired + stack.reverse().join('');
+  },
+
+  // ========== NORMALIZATION ==========
+
+  /**
+   * Normalize a value against a schema
+   * @param {*} value - Parsed value
+   * @param {Object} schema - Expected shape
+   * @param {string} source - Output label for warnings
+   * @param {Object[]} warnings - Collects { source, field, type, message }
+   * @param {string} field - Path of this value, e.g. 'team_members[0].name'
+   */
+  normalize(value, schema, source, warnings = [], field = '') {
+    if (!schema) return value;
+
+    const isMissing = value === undefined || value === null ||
+      (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength);
+
+    if (isMissing) {
+      if (value === null && schema.nullable) return null;
+      return this.getDefault(schema, source, warnings, field, value);
+    }
+
+    switch (schema.type) {
+      case 'object': return this.normalizeObject(value, schema, source, warnings, field);
+      case 'array': return this.normalizeArray(value, schema, source, warnings, field);
+      case 'string': return this.normalizeString(value, schema, source, warnings, field);
+      case 'number':
+      case 'integer': return this.normalizeNumber(value, schema, source, warnings, field);
+      case 'boolean': return this.normalizeBoolean(value, schema, source, warnings, field);
+      default: return value;
+    }
+  },
+
+  normalizeObject(value, schema, source, warnings, field) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return this.invalid(value, schema, source, warnings, field, `expected an object, got ${this.describe(value)}`);
+    }
+
+    const result = { ...value };
+    const required = schema.required || [];
+
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      const path = field ? `${field}.${key}` : key;
+      const current = result[key];
+
+      if ((current === undefined || current === null) && required.includes(key) &&
+          !(current === null && propSchema.nullable)) {
+        this.warn(warnings, source, path, 'missing', `missing${this.describeFallback(propSchema)}`);
+      }
+
+      const normalized = this.normalize(current, propSchema, source, warnings, path);
+      if (normalized !== undefined) {
+        result[key] = normalized;
+      }
+    });
+
+    return result;
+  },
+
+  normalizeArray(value, schema, source, warnings, field) {
+    let items = value;
+    if (!Array.isArray(items)) {
+      if (typeof items === 'object') {
+        return this.invalid(value, schema, source, warnings, field, 'expected a list, got an object');
+      }
+      this.warn(warnings, source, field, 'coerced', 'expected a list - wrapped the single value');
+      items = [items];
+    }
+
+    if (!schema.items) return items;
+    return items.map((item, i) => this.normalize(item, schema.items, source, warnings, `${field}[${i}]`));
+  },
+
+  normalizeString(value, schema, source, warnings, field) {
+    if (typeof value === 'string') return value;
+
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      this.warn(warnings, source, field, 'coerced', `expected text, got ${this.describe(value)}`);
+      return String(value);
+    }
+    return this.invalid(value, schema, source, warnings, field, `expected text, got ${this.describe(value)}`);
+  },
+
+  normalizeNumber(value, schema, source, warnings, field) {
+    let number = value;
+
+    if (typeof number === 'string') {
+      number = schema.format === 'currency' ? this.parseAmount(number) : this.parseNumber(number);
+      if (number === null) {
+        return this.invalid(value, schema, source, warnings, field, `expected a number, got ${this.describe(value)}`);
+      }
+      this.warn(warnings, source, field, 'coerced', `read ${this.describe(value)} as ${number}`);
+    } else if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return this.invalid(value, schema, source, warnings, field, `expected a number, got ${this.describe(value)}`);
+    }
+
+    if (schema.type === 'integer' && !Number.isInteger(number)) {
+      const rounded = Math.round(number);
+      this.warn(warnings, source, field, 'coerced', `rounded ${number} to ${rounded}`);
+      number = rounded;
+    }
+
+    const belowMin = schema.minimum !== undefined && number < schema.minimum;
+    const aboveMax = schema.maximum !== undefined && number > schema.maximum;
+    if (belowMin || aboveMax) {
+      const message = schema.minimum !== undefined && schema.maximum !== undefined
+        ? `${number} is outside ${schema.minimum}-${schema.maximum}`
+        : `${number} is ${belowMin ? `below ${schema.minimum}` : `above ${schema.maximum}`}`;
+      return this.invalid(value, schema, source, warnings, field, message);
+    }
+
+    return number;
+  },
+
+  normalizeBoolean(value, schema, source, warnings, field) {
+    if (typeof value === 'boolean') return value;
+
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(text) || ['false', 'no', '0'].includes(text)) {
+      const coerced = ['true', 'yes', '1'].includes(text);
+      this.warn(warnings, source, field, 'coerced', `read ${this.describe(value)} as ${coerced}`);
+      return coerced;
+    }
+    return this.invalid(value, schema, source, warnings, field, `expected true/false, got ${this.describe(value)}`);
+  },
+
+  /**
+   * Default for a missing value (undefined when the schema has none).
+   * Object defaults are normalized too, so nested defaults are filled in.
+   */
+  getDefault(schema, source, warnings, field, value) {
+    if (!('default' in schema)) return value;
+
+    const fallback = JSON.parse(JSON.stringify(schema.default));
+    if (schema.type === 'object' && schema.properties) {
+      // Nested required keys aren't reported again - the parent default already is
+      return this.normalizeObject(fallback, { ...schema, required: [] }, source, warnings, field);
+    }
+    return fallback;
+  },
+
+  /**
+   * A value that can't be coerced: report it, then use the default if there is one.
+   * Without a default the original value is kept so callers can report it.
+   */
+  invalid(value, schema, source, warnings, field, message) {
+    this.warn(warnings, source, field, 'invalid', `${message}${this.describeFallback(schema)}`);
+    return 'default' in schema ? JSON.parse(JSON.stringify(schema.default)) : value;
+  },
+
+  // ========== COERCION HELPERS ==========
+
+  /**
+   * First number in a string: "7", "Score: 7/9", "28%" -> 7, 7, 28
+   */
+  parseNumber(text) {
+    const match = String(text).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  },
+
+  /**
+   * Parse an amount like "$2.5M", "1.2 billion" or "750,000" into a number
+   * @returns {number|null} Amount, or null for "Undisclosed"/"Unknown"
+   */
+  parseAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const text = value.toLowerCase();
+    const match = text.match(/([\d,]+(?:\.\d+)?)\s*(billion|million|thousand|bn|b|m|k)?\b/);
+    if (!match) return null;
+
+    const number = parseFloat(match[1].replace(/,/g, ''));
+    if (isNaN(number)) return null;
+
+    const multipliers = { billion: 1e9, bn: 1e9, b: 1e9, million: 1e6, m: 1e6, thousand: 1e3, k: 1e3 };
+    return number * (multipliers[match[2]] || 1);
+  },
+
+  // ========== WARNINGS ==========
+
+  warn(warnings, source, field, type, message) {
+    warnings.push({ source, field, type, message });
+    Debug.log(`[ResponseParser] ${source}${field ? ` ${field}` : ''}: ${message}`);
+  },
+
+  /**
+   * Short description of a value for warning messages
+   */
+  describe(value) {
+    if (value === null || value === undefined) return 'nothing';
+    if (Array.isArray(value)) return value.length === 0 ? 'an empty list' : 'a list';
+    if (typeof value === 'object') return Object.keys(value).length === 0 ? 'an empty object' : 'an object';
+    if (typeof value === 'string') {
+      return value.length > 40 ? `"${value.slice(0, 37)}..."` : `"${value}"`;
+    }
+    return String(value);
+  },
+
+  /**
+   * Warnings recorded on a parsed result (company `full` or a dimension result)
+   * Assessments saved before warnings were recorded have none.
+   */
+  getWarnings(result) {
+    return Array.isArray(result?.parseWarnings) ? result.parseWarnings : [];
+  },
+
+  /**
+   * What a missing/invalid value was replaced with, for warning messages
+   */
+  describeFallback(schema) {
+    if (!('default' in schema)) return '';
+    const value = schema.default;
+    if (value !== null && typeof value === 'object' && (Object.keys(value).length > 0 || schema.properties)) {
+      return ' - filled with defaults';
+    }
+    return ` - using ${this.describe(value)}`;
+  },
+
+  /**
+   * Human-readable line for a warning, e.g. "team scoring: score - read "7/9" as 7"
+   */
+  formatWarning(warning) {
+    return `${warning.source}: ${warning.field ? `${warning.field} - ` : ''}${warning.message}`;
+  }
+};
+
+// Make available globally
+window.ResponseParser = ResponseParser;
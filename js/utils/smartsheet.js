@@ -2,6 +2,7 @@
 // Submits scores to Smartsheet via Google Apps Script proxy
 // Uses iframe form submission to avoid CORS issues
 // Supports row updates (not just creation) and fetching past assessments
+// Reviewers and the moderator's consensus are child rows under the lead advisor's row
 
 const SmartsheetIntegration = {
   // Google Apps Script Web App URL (same as StackProxy)
@@ -33,16 +34,9 @@ const SmartsheetIntegration = {
       const rowId = this.getCurrentRowId();
       const isUpdate = !!rowId;
       
-      if (isUpdate) {
-        payload.rowId = rowId;
-      }
-      
       Debug.log(`Smartsheet: ${isUpdate ? 'updating' : 'submitting'} ${metric} score`);
 
-      const requestData = {
-        action: isUpdate ? 'smartsheet_update' : 'smartsheet',
-        ...payload
-      };
+      const requestData = this.buildRequest(payload, rowId);
 
       // Use iframe submission to avoid CORS
       Debug.log('[Smartsheet] Request data:', JSON.stringify(requestData));
@@ -62,7 +56,11 @@ const SmartsheetIntegration = {
           action: isUpdate ? 'update' : 'create'
         };
         
-        this.showToast(`${this.formatMetricName(metric)} score ${isUpdate ? 'updated' : 'saved'} to database`, 'success');
+        if (result.offline) {
+          this.showToast(`${this.formatMetricName(metric)} score not sent (offline mode)`, 'info');
+        } else {
+          this.showToast(`${this.formatMetricName(metric)} score ${isUpdate ? 'updated' : 'saved'} to database`, 'success');
+        }
         return result;
       } else {
         throw new Error(result.error || 'Submission failed');
@@ -94,16 +92,9 @@ const SmartsheetIntegration = {
       const rowId = this.getCurrentRowId();
       const isUpdate = !!rowId;
       
-      if (isUpdate) {
-        payload.rowId = rowId;
-      }
-      
       Debug.log(`Smartsheet: ${isUpdate ? 'updating' : 'submitting'} all scores`);
 
-      const requestData = {
-        action: isUpdate ? 'smartsheet_update' : 'smartsheet',
-        ...payload
-      };
+      const requestData = this.buildRequest(payload, rowId);
 
       Debug.log('[Smartsheet] All scores request:', JSON.stringify(requestData));
       const result = await this.submitViaIframe(requestData);
@@ -115,7 +106,11 @@ const SmartsheetIntegration = {
           this.setCurrentRowId(result.rowId);
         }
 
-        this.showToast(`All scores ${isUpdate ? 'updated' : 'saved'} to database`, 'success');
+        if (result.offline) {
+          this.showToast('Scores not sent (offline mode)', 'info');
+        } else {
+          this.showToast(`All scores ${isUpdate ? 'updated' : 'saved'} to database`, 'success');
+        }
         return result;
       } else {
         throw new Error(result.error || 'Submission failed');
@@ -130,6 +125,49 @@ const SmartsheetIntegration = {
     }
   },
 
+  /**
+   * Save the moderator's final scores as a 'Consensus' child row of the lead advisor's row
+   * @param {Object} model - Consensus.build() result
+   * @param {Object} consensus - Moderator scores (Consensus.create() shape)
+   * @param {Object} parent - { rowId, leadAdvisor } of the lead advisor's row
+   * @returns {Promise<Object>} { success, rowId, error }
+   */
+  async submitConsensus(model, consensus, parent) {
+    if (this.state.isSubmitting) {
+      return { success: false, message: 'Please wait for current submission to complete' };
+    }
+
+    this.state.isSubmitting = true;
+
+    try {
+      const payload = this.buildConsensusPayload(model, consensus, this.getContext());
+      const requestData = consensus.smartsheetRowId
+        ? { action: 'smartsheet_update', ...payload, rowId: consensus.smartsheetRowId }
+        : { action: 'smartsheet_review', ...payload, parentRowId: parent.rowId, leadAdvisorName: parent.leadAdvisor };
+
+      Debug.log('[Smartsheet] Consensus request:', JSON.stringify(requestData));
+      const result = await this.submitViaIframe(requestData);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Submission failed');
+      }
+
+      if (result.offline) {
+        this.showToast('Consensus not sent (offline mode)', 'info');
+      } else {
+        this.showToast(`Consensus ${consensus.smartsheetRowId ? 'updated' : 'saved'} to database`, 'success');
+      }
+      return { ...result, rowId: result.rowId || consensus.smartsheetRowId || null };
+
+    } catch (error) {
+      console.error('Smartsheet consensus error:', error);
+      this.showToast(`Failed to save consensus: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    } finally {
+      this.state.isSubmitting = false;
+    }
+  },
+
   /**
    * Fetch past assessments from Smartsheet for the current advisor
    * @param {string} advisorName - Optional filter by advisor name
@@ -161,6 +199,28 @@ const SmartsheetIntegration = {
     }
   },
 
+  /**
+   * Fetch AI and advisor scores from every row, for calibration analytics
+   * @returns {Promise<Array>} Rows sorted oldest first:
+   *   { rowId, timestamp, ventureName, advisorName, portfolio, <key>ScoreAi, <key>ScoreUser, ... }
+   */
+  async fetchScoreHistory() {
+    Debug.log('Smartsheet: fetching score history');
+
+    const result = await this.submitViaIframe({ action: 'smartsheet_scores' });
+
+    if (result.offline) {
+      throw new Error('Score history is not available in offline mode');
+    }
+    // The image-beacon fallback can't return data
+    if (!result.success || !Array.isArray(result.rows)) {
+      throw new Error(result.error || 'Could not load score history from Smartsheet');
+    }
+
+    Debug.log(`Smartsheet: loaded ${result.rows.length} rows of score history`);
+    return result.rows;
+  },
+
   /**
    * Load scores from a specific Smartsheet row
    * @param {string} rowId - Smartsheet row ID
@@ -193,6 +253,12 @@ const SmartsheetIntegration = {
    * Google Apps Script redirects don't work well with iframes
    */
   submitViaIframe(data) {
+    // Fixture mode is for demos and training - keep it out of the tracking sheet
+    if (window.FixtureMode?.isEnabled()) {
+      Debug.log(`[Smartsheet] Fixture mode - ${data.action} not sent`);
+      return Promise.resolve({ success: true, offline: true });
+    }
+
     return new Promise((resolve, reject) => {
       let completed = false;
 
@@ -319,6 +385,27 @@ const SmartsheetIntegration = {
     console.log('[Smartsheet] Row ID cleared');
   },
 
+  /**
+   * Request for a score submission. A row we already know is updated by ID; a
+   * reviewer's first submission becomes a child row of the lead advisor's row.
+   */
+  buildRequest(payload, rowId) {
+    if (rowId) {
+      return { action: 'smartsheet_update', ...payload, rowId };
+    }
+
+    const review = window.app?.stateManager?.getReview();
+    if (review) {
+      return {
+        action: 'smartsheet_review',
+        ...payload,
+        parentRowId: review.parentRowId,
+        leadAdvisorName: review.leadAdvisor
+      };
+    }
+    return { action: 'smartsheet', ...payload };
+  },
+
   /**
    * Build payload for single metric submission
    */
@@ -327,18 +414,13 @@ const SmartsheetIntegration = {
       ventureName: context.ventureName || 'Unknown Venture',
       ventureUrl: context.ventureUrl || '',
       advisorName: context.advisorName || 'Unknown Advisor',
-      portfolio: context.portfolio || ''
+      portfolio: context.portfolio || '',
+      reviewRole: context.reviewRole || 'Lead',
+      rubricVersion: context.rubricVersion || RubricRegistry.currentVersion
     };
 
-    const metricMap = {
-      team: { aiKey: 'teamScoreAi', userKey: 'teamScoreUser', justificationKey: 'teamJustification' },
-      funding: { aiKey: 'fundingScoreAi', userKey: 'fundingScoreUser', justificationKey: 'fundingJustification' },
-      competitive: { aiKey: 'competitiveScoreAi', userKey: 'competitiveScoreUser', justificationKey: 'competitiveJustification' },
-      market: { aiKey: 'marketScoreAi', userKey: 'marketScoreUser', justificationKey: 'marketJustification' },
-      iprisk: { aiKey: 'ipRiskScoreAi', userKey: 'ipRiskScoreUser', justificationKey: 'ipRiskJustification' }
-    };
-
-    const mapping = metricMap[metric];
+    // Column field names come from the dimension's registration
+    const mapping = DimensionRegistry.get(metric)?.smartsheet;
     if (mapping) {
       if (scoreData.aiScore !== undefined && scoreData.aiScore !== null) {
         payload[mapping.aiKey] = scoreData.aiScore;
@@ -362,89 +444,125 @@ const SmartsheetIntegration = {
       ventureName: context.ventureName || 'Unknown Venture',
       ventureUrl: context.ventureUrl || '',
       advisorName: context.advisorName || 'Unknown Advisor',
-      portfolio: context.portfolio || ''
+      portfolio: context.portfolio || '',
+      reviewRole: context.reviewRole || 'Lead',
+      rubricVersion: context.rubricVersion || RubricRegistry.currentVersion
     };
 
-    // Team scores
-    if (allData.team) {
-      if (allData.team.aiScore !== undefined) payload.teamScoreAi = allData.team.aiScore;
-      if (allData.team.userScore !== undefined) payload.teamScoreUser = allData.team.userScore;
-      if (allData.team.justification) payload.teamJustification = allData.team.justification;
-    }
+    const aiScores = [];
+    const userScores = [];
 
-    // Funding scores
-    if (allData.funding) {
-      if (allData.funding.aiScore !== undefined) payload.fundingScoreAi = allData.funding.aiScore;
-      if (allData.funding.userScore !== undefined) payload.fundingScoreUser = allData.funding.userScore;
-      if (allData.funding.justification) payload.fundingJustification = allData.funding.justification;
-    }
+    DimensionRegistry.list().forEach(dimension => {
+      const scoreData = allData[dimension.key];
+      if (!scoreData) return;
+
+      const { aiKey, userKey, justificationKey } = dimension.smartsheet;
+      if (scoreData.aiScore !== undefined) payload[aiKey] = scoreData.aiScore;
+      if (scoreData.userScore !== undefined) payload[userKey] = scoreData.userScore;
+      if (scoreData.justification) payload[justificationKey] = scoreData.justification;
+
+      // Collect for averages
+      if (scoreData.aiScore !== undefined && scoreData.aiScore !== null) aiScores.push(scoreData.aiScore);
+      if (scoreData.userScore !== undefined && scoreData.userScore !== null) userScores.push(scoreData.userScore);
+    });
 
-    // Competitive scores
-    if (allData.competitive) {
-      if (allData.competitive.aiScore !== undefined) payload.competitiveScoreAi = allData.competitive.aiScore;
-      if (allData.competitive.userScore !== undefined) payload.competitiveScoreUser = allData.competitive.userScore;
-      if (allData.competitive.justification) payload.competitiveJustification = allData.competitive.justification;
+    if (aiScores.length > 0) {
+      payload.averageAiScore = aiScores.reduce((a, b) => a + b, 0) / aiScores.length;
     }
 
-    // Market scores
-    if (allData.market) {
-      if (allData.market.aiScore !== undefined) payload.marketScoreAi = allData.market.aiScore;
-      if (allData.market.userScore !== undefined) payload.marketScoreUser = allData.market.userScore;
-      if (allData.market.justification) payload.marketJustification = allData.market.justification;
+    if (userScores.length > 0) {
+      payload.averageUserScore = userScores.reduce((a, b) => a + b, 0) / userScores.length;
     }
 
-    // IP Risk scores
-    if (allData.iprisk) {
-      if (allData.iprisk.aiScore !== undefined) payload.ipRiskScoreAi = allData.iprisk.aiScore;
-      if (allData.iprisk.userScore !== undefined) payload.ipRiskScoreUser = allData.iprisk.userScore;
-      if (allData.iprisk.justification) payload.ipRiskJustification = allData.iprisk.justification;
+    // Weighted composite and decision band from the portfolio's scoring profile
+    const composite = this.buildComposite(allData, payload.portfolio);
+    payload.scoringProfile = composite.profile.name;
+    if (composite.ai.score !== null) {
+      payload.compositeAiScore = composite.ai.score;
+      payload.decisionAi = composite.ai.decision;
+    }
+    if (composite.user.score !== null) {
+      payload.compositeUserScore = composite.user.score;
+      payload.decisionUser = composite.user.decision;
     }
+    payload.knockoutFlags = [
+      ...composite.ai.knockouts.map(k => `AI: ${k.label}`),
+      ...composite.user.knockouts.map(k => `Advisor: ${k.label}`)
+    ].join('; ');
+
+    // Final recommendation: plain text plus the structured columns
+    if (context.finalRecommendation && !FinalRecommendation.isEmpty(context.finalRecommendation)) {
+      payload.finalRecommendation = FinalRecommendation.toText(context.finalRecommendation);
+      Object.assign(payload, FinalRecommendation.toColumns(context.finalRecommendation));
+    }
+
+    return payload;
+  },
 
-    // Calculate averages
-    const aiScores = [
-      allData.team?.aiScore,
-      allData.funding?.aiScore,
-      allData.competitive?.aiScore,
-      allData.market?.aiScore,
-      allData.iprisk?.aiScore
-    ].filter(s => s !== undefined && s !== null);
+  /**
+   * Payload for the consensus row: final scores in the advisor score columns,
+   * moderator notes and the reviewers' spread in the justification columns
+   */
+  buildConsensusPayload(model, consensus, context) {
+    const payload = {
+      ventureName: context.ventureName || model.ventureName,
+      ventureUrl: context.ventureUrl || '',
+      advisorName: consensus.moderator,
+      portfolio: model.portfolio,
+      reviewRole: 'Consensus',
+      rubricVersion: model.rubricVersion
+    };
 
-    const userScores = [
-      allData.team?.userScore,
-      allData.funding?.userScore,
-      allData.competitive?.userScore,
-      allData.market?.userScore,
-      allData.iprisk?.userScore
-    ].filter(s => s !== undefined && s !== null);
+    const finalScores = [];
+    model.dimensions.forEach(dimension => {
+      const { aiKey, userKey, justificationKey } = DimensionRegistry.get(dimension.key).smartsheet;
+      const final = consensus.scores[dimension.key];
+      if (dimension.aiScore !== null) payload[aiKey] = dimension.aiScore;
+      if (!final?.score) return;
 
-    if (aiScores.length > 0) {
-      payload.averageAiScore = aiScores.reduce((a, b) => a + b, 0) / aiScores.length;
-    }
+      payload[userKey] = final.score;
+      finalScores.push(final.score);
 
-    if (userScores.length > 0) {
-      payload.averageUserScore = userScores.reduce((a, b) => a + b, 0) / userScores.length;
+      const spread = dimension.scores.map(entry => `${entry.name} ${entry.score}`).join(', ');
+      payload[justificationKey] = [final.note, spread ? `Reviewer scores: ${spread}` : '']
+        .filter(Boolean)
+        .join('\n');
+    });
+
+    if (finalScores.length > 0) {
+      payload.averageUserScore = finalScores.reduce((a, b) => a + b, 0) / finalScores.length;
     }
 
-    // Final recommendation
-    if (context.finalRecommendation) {
-      payload.finalRecommendation = context.finalRecommendation;
+    const composite = CompositeScore.evaluate({}, Consensus.getFinalScores(consensus), payload.portfolio);
+    payload.scoringProfile = composite.profile.name;
+    if (composite.user.score !== null) {
+      payload.compositeUserScore = composite.user.score;
+      payload.decisionUser = composite.user.decision;
     }
+    payload.knockoutFlags = composite.user.knockouts.map(k => `Consensus: ${k.label}`).join('; ');
 
     return payload;
   },
 
+  /**
+   * Evaluate the scoring profile for score data from AssessmentView.getScoreData()
+   */
+  buildComposite(allData, portfolio) {
+    const aiScores = {};
+    const userScores = {};
+    DimensionRegistry.keys().forEach(key => {
+      const scoreData = allData[key] || {};
+      aiScores[key] = typeof scoreData.aiScore === 'number' ? scoreData.aiScore : null;
+      userScores[key] = typeof scoreData.userScore === 'number' ? scoreData.userScore : null;
+    });
+    return CompositeScore.evaluate(aiScores, userScores, portfolio);
+  },
+
   /**
    * Format metric name for display
    */
   formatMetricName(metric) {
-    const names = {
-      team: 'Team',
-      funding: 'Funding',
-      competitive: 'Competitive Risk',
-      market: 'Market Opportunity',
-      iprisk: 'IP Risk'
-    };
-    return names[metric] || metric;
+    return DimensionRegistry.get(metric)?.name || metric;
   },
 
   /**
@@ -472,7 +590,9 @@ const SmartsheetIntegration = {
       ventureName: this.getVentureName(),
       ventureUrl: this.getVentureUrl(),
       advisorName: this.getAdvisorName(),
-      portfolio: this.getPortfolio()
+      portfolio: this.getPortfolio(),
+      reviewRole: window.app?.stateManager?.getReview() ? 'Reviewer' : 'Lead',
+      rubricVersion: window.app?.stateManager?.getRubricVersion() || RubricRegistry.currentVersion
     };
   },
 
@@ -529,9 +649,14 @@ const SmartsheetIntegration = {
   },
 
   /**
-   * Get portfolio from DOM
+   * Get portfolio of the current assessment (the start form's until one is started or loaded)
    */
   getPortfolio() {
+    const portfolio = window.app?.stateManager?.getPortfolio();
+    if (portfolio !== null && portfolio !== undefined) {
+      return portfolio;
+    }
+
     const portfolioInput = document.getElementById('portfolio');
     if (portfolioInput && portfolioInput.value) {
       return portfolioInput.value.trim();
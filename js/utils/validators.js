@@ -184,6 +184,18 @@ const Validators = {
     return { valid: true };
   },
 
+  /**
+   * Validate any registered dimension using its own validator
+   * @param {string} key - Dimension key from DimensionRegistry
+   * @param {Object} data - Dimension result
+   */
+  validateDimension(key, data) {
+    if (!window.DimensionRegistry) {
+      return { valid: false, error: 'Dimension registry not loaded' };
+    }
+    return DimensionRegistry.validate(key, data);
+  },
+
   validateUrl(url) {
     if (!url || typeof url !== 'string') {
       return { valid: false, error: 'URL is required' };
@@ -7,6 +7,10 @@
 // - Added smartsheet_list action to list past assessments
 // - Added smartsheet_get action to get specific row data
 // - All responses now include rowId for tracking
+// - Added smartsheet_review action: reviewer and consensus rows are child rows
+//   of the lead advisor's row for the venture; consensus rows are labelled
+//   "Consensus (<moderator>)" in the advisor column
+// - Added rubricVersion column: the scoring rubric version each row was scored under
 
 // ============================================
 // CONFIGURATION (Keep these secret!)
@@ -59,7 +63,25 @@ const COLUMNS = {
   ipRiskJustification: 706332727764868,
   averageAiScore: 5209932355135364,
   averageUserScore: 2958132541450116,
-  finalRecommendation: 5127571928049540  // TODO: Replace 0 with actual Smartsheet Column ID after creating the column
+  finalRecommendation: 5127571928049540,  // TODO: Replace 0 with actual Smartsheet Column ID after creating the column
+  // Weighted composite (scoring profiles) - TODO: Replace 0 with the Column IDs after creating the columns
+  scoringProfile: 0,
+  compositeAiScore: 0,
+  compositeUserScore: 0,
+  decisionAi: 0,
+  decisionUser: 0,
+  knockoutFlags: 0,
+  // Structured final recommendation - TODO: Replace 0 with the Column IDs after creating the columns
+  recommendationDecision: 0,
+  recommendationConfidence: 0,
+  recommendationConditions: 0,
+  recommendationOpenQuestions: 0,
+  recommendationFollowUps: 0,
+  // Multi-reviewer assessments: 'Lead', 'Reviewer' or 'Consensus' - TODO: Replace 0 with the Column ID after creating the column
+  reviewRole: 0,
+  // Scoring rubric version (RubricRegistry) - TODO: Replace 0 with the Column ID after creating the column
+  rubricVersion: 0
+  // Registered dimensions add <key>ScoreAi, <key>ScoreUser and <key>Justification here
 };
 
 // Reverse lookup: column ID to field name
@@ -109,6 +131,12 @@ function doGet(e) {
         case 'smartsheet_get':
           result = processSmartsheetGet(data);
           break;
+        case 'smartsheet_scores':
+          result = processSmartsheetScores(data);
+          break;
+        case 'smartsheet_review':
+          result = processSmartsheetReview(data);
+          break;
         default:
           // Legacy: if ventureName is present, treat as submission
           if (data.ventureName) {
@@ -141,7 +169,7 @@ function doGet(e) {
       status: 'ok',
       message: 'Venture Assessment Proxy v6 (Load Previous Support)',
       version: '6.0',
-      endpoints: ['config', 'smartsheet', 'smartsheet_update', 'smartsheet_list', 'smartsheet_get', 'upload_file'],
+      endpoints: ['config', 'smartsheet', 'smartsheet_update', 'smartsheet_list', 'smartsheet_get', 'smartsheet_scores', 'smartsheet_review', 'upload_file'],
       timestamp: new Date().toISOString()
     };
     return callback ? jsonpResponse(result, callback) : jsonResponse(result, origin);
@@ -193,6 +221,12 @@ function doPost(e) {
       case 'smartsheet_get':
         return jsonResponse(processSmartsheetGet(data), origin);
         
+      case 'smartsheet_scores':
+        return jsonResponse(processSmartsheetScores(data), origin);
+        
+      case 'smartsheet_review':
+        return jsonResponse(processSmartsheetReview(data), origin);
+        
       case 'upload_file':
         // Handle file upload to Stack AI (requires private key)
         return handleFileUpload(data, origin);
@@ -387,6 +421,34 @@ function processSmartsheetSubmission(data) {
   }
 }
 
+/**
+ * Create a reviewer's scores (or the moderator's consensus) as a child row of the
+ * lead advisor's row, so every score for one AI run sits under one parent row.
+ * The parent is data.parentRowId, or the lead advisor's row for the venture.
+ * A reviewer who already has a child row under the parent gets it updated instead.
+ */
+function processSmartsheetReview(data) {
+  if (!data.ventureName || !data.advisorName) {
+    return { success: false, error: 'Missing required fields' };
+  }
+  
+  try {
+    const parentRowId = data.parentRowId || findExistingRow(data.ventureName, data.leadAdvisorName);
+    if (!parentRowId) {
+      return { success: false, error: 'The lead advisor has not submitted this venture to Smartsheet yet' };
+    }
+    
+    const existingRowId = findChildRow(parentRowId, getRowAdvisorName(data), data.reviewRole);
+    if (existingRowId) {
+      return updateRowById(existingRowId, data);
+    }
+    return createRow(data, parentRowId);
+  } catch (error) {
+    console.error('Smartsheet review error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Process Smartsheet update by row ID
  * Used when we know the specific row to update
@@ -446,8 +508,9 @@ function processSmartsheetList(data) {
         continue;
       }
       
-      // Add row ID for later updates
+      // Add row ID for later updates; reviewer and consensus rows point at their parent
       assessment.rowId = row.id;
+      assessment.parentRowId = row.parentId || null;
       
       assessments.push(assessment);
       
@@ -510,6 +573,65 @@ function processSmartsheetGet(data) {
   }
 }
 
+/**
+ * Score history for calibration: AI and advisor scores from every row, without
+ * justifications or recommendations so the response stays small.
+ * Rows are sorted oldest first.
+ */
+function processSmartsheetScores(data) {
+  try {
+    const url = `${SMARTSHEET_API_BASE}/sheets/${SMARTSHEET_SHEET_ID}`;
+    
+    const response = UrlFetchApp.fetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${SMARTSHEET_API_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      muteHttpExceptions: true
+    });
+    
+    if (response.getResponseCode() !== 200) {
+      return { success: false, error: 'Failed to fetch sheet: ' + response.getResponseCode() };
+    }
+    
+    const sheet = JSON.parse(response.getContentText());
+    const scoreColumns = [];
+    getScoreFields().forEach(([prefix, aiCol, userCol]) => scoreColumns.push(aiCol, userCol));
+    
+    const rows = [];
+    for (const row of (sheet.rows || [])) {
+      const assessment = parseRowToAssessment(row);
+      // The moderator's consensus is not an independent advisor score
+      if (isConsensusRow(assessment)) continue;
+      
+      const entry = {
+        rowId: row.id,
+        timestamp: assessment.timestamp || row.createdAt || null,
+        ventureName: assessment.ventureName || '',
+        advisorName: assessment.advisorName || '',
+        portfolio: assessment.portfolio || ''
+      };
+      scoreColumns.forEach(field => {
+        if (assessment[field] !== undefined) entry[field] = assessment[field];
+      });
+      rows.push(entry);
+    }
+    
+    rows.sort((a, b) => {
+      const dateA = a.timestamp ? new Date(a.timestamp).getTime() : 0;
+      const dateB = b.timestamp ? new Date(b.timestamp).getTime() : 0;
+      return dateA - dateB;
+    });
+    
+    return { success: true, rows: rows };
+    
+  } catch (error) {
+    console.error('Smartsheet scores error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Parse a Smartsheet row into an assessment object
  */
@@ -554,6 +676,9 @@ function findExistingRow(ventureName, advisorName) {
   if (!sheet.rows) return null;
   
   for (const row of sheet.rows) {
+    // Reviewer and consensus rows are children of the lead advisor's row
+    if (row.parentId) continue;
+    
     let rowVenture = null, rowAdvisor = null;
     
     for (const cell of row.cells) {
@@ -569,8 +694,67 @@ function findExistingRow(ventureName, advisorName) {
   return null;
 }
 
-function createRow(data) {
+/**
+ * Advisor column value for a row. The consensus row is labelled "Consensus (<moderator>)"
+ * so it never matches the moderator's own Reviewer row, with or without the reviewRole column.
+ */
+function getRowAdvisorName(data) {
+  if (data.reviewRole !== 'Consensus' || !data.advisorName || isConsensusLabel(data.advisorName)) {
+    return data.advisorName;
+  }
+  return `Consensus (${data.advisorName})`;
+}
+
+function isConsensusLabel(advisorName) {
+  return /^Consensus \(.*\)$/.test(String(advisorName || ''));
+}
+
+function isConsensusRow(assessment) {
+  return assessment.reviewRole === 'Consensus' || isConsensusLabel(assessment.advisorName);
+}
+
+/**
+ * Child row of a parent for one advisor and role (Reviewer / Consensus)
+ * advisorName is the row label (see getRowAdvisorName)
+ */
+function findChildRow(parentRowId, advisorName, reviewRole) {
+  const url = `${SMARTSHEET_API_BASE}/sheets/${SMARTSHEET_SHEET_ID}`;
+  
+  const response = UrlFetchApp.fetch(url, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${SMARTSHEET_API_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    muteHttpExceptions: true
+  });
+  
+  if (response.getResponseCode() !== 200) return null;
+  
+  const sheet = JSON.parse(response.getContentText());
+  if (!sheet.rows) return null;
+  
+  for (const row of sheet.rows) {
+    if (String(row.parentId) !== String(parentRowId)) continue;
+    
+    const assessment = parseRowToAssessment(row);
+    // Without the reviewRole column child rows match on the advisor label alone
+    const sameRole = !COLUMNS.reviewRole || assessment.reviewRole === reviewRole;
+    if (assessment.advisorName === advisorName && sameRole) {
+      return row.id;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Add a row at the bottom of the sheet, or as the last child of parentId
+ */
+function createRow(data, parentId = null) {
   const url = `${SMARTSHEET_API_BASE}/sheets/${SMARTSHEET_SHEET_ID}/rows`;
+  const row = { toBottom: true, cells: buildCells(data) };
+  if (parentId) row.parentId = parentId;
   
   const response = UrlFetchApp.fetch(url, {
     method: 'POST',
@@ -578,7 +762,7 @@ function createRow(data) {
       'Authorization': `Bearer ${SMARTSHEET_API_TOKEN}`,
       'Content-Type': 'application/json'
     },
-    payload: JSON.stringify({ toBottom: true, cells: buildCells(data) }),
+    payload: JSON.stringify(row),
     muteHttpExceptions: true
   });
   
@@ -626,6 +810,20 @@ function updateRow(rowId, data) {
   return updateRowById(rowId, data);
 }
 
+/**
+ * Score column groups derived from COLUMNS.
+ * Any `<prefix>ScoreAi` column defines a dimension, so adding a dimension only
+ * requires adding its three column IDs to COLUMNS.
+ */
+function getScoreFields() {
+  return Object.keys(COLUMNS)
+    .filter(field => field.endsWith('ScoreAi'))
+    .map(aiCol => {
+      const prefix = aiCol.slice(0, -'ScoreAi'.length);
+      return [prefix, aiCol, prefix + 'ScoreUser', prefix + 'Justification'];
+    });
+}
+
 function buildCells(data) {
   const cells = [];
   const timestamp = new Date().toISOString();
@@ -637,31 +835,33 @@ function buildCells(data) {
   // Only add fields that are provided
   if (data.ventureName !== undefined) cells.push({ columnId: COLUMNS.ventureName, value: data.ventureName || '' });
   if (data.ventureUrl !== undefined) cells.push({ columnId: COLUMNS.ventureUrl, value: data.ventureUrl || '' });
-  if (data.advisorName !== undefined) cells.push({ columnId: COLUMNS.advisorName, value: data.advisorName || '' });
+  if (data.advisorName !== undefined) cells.push({ columnId: COLUMNS.advisorName, value: getRowAdvisorName(data) || '' });
   if (data.portfolio !== undefined) cells.push({ columnId: COLUMNS.portfolio, value: data.portfolio || '' });
-  
-  // Score fields - only add if provided
-  const scoreFields = [
-    ['team', 'teamScoreAi', 'teamScoreUser', 'teamJustification'],
-    ['funding', 'fundingScoreAi', 'fundingScoreUser', 'fundingJustification'],
-    ['competitive', 'competitiveScoreAi', 'competitiveScoreUser', 'competitiveJustification'],
-    ['market', 'marketScoreAi', 'marketScoreUser', 'marketJustification'],
-    ['ipRisk', 'ipRiskScoreAi', 'ipRiskScoreUser', 'ipRiskJustification']
-  ];
-  
-  for (const [prefix, aiCol, userCol, justCol] of scoreFields) {
-    if (data[aiCol] !== undefined) cells.push({ columnId: COLUMNS[aiCol], value: data[aiCol] });
-    if (data[userCol] !== undefined) cells.push({ columnId: COLUMNS[userCol], value: data[userCol] });
-    if (data[justCol] !== undefined) cells.push({ columnId: COLUMNS[justCol], value: data[justCol] });
+  if (data.reviewRole !== undefined && COLUMNS.reviewRole) cells.push({ columnId: COLUMNS.reviewRole, value: data.reviewRole });
+  if (data.rubricVersion !== undefined && COLUMNS.rubricVersion) cells.push({ columnId: COLUMNS.rubricVersion, value: data.rubricVersion });
+  
+  // Score fields - only add if provided and the column exists
+  for (const [prefix, aiCol, userCol, justCol] of getScoreFields()) {
+    if (data[aiCol] !== undefined && COLUMNS[aiCol]) cells.push({ columnId: COLUMNS[aiCol], value: data[aiCol] });
+    if (data[userCol] !== undefined && COLUMNS[userCol]) cells.push({ columnId: COLUMNS[userCol], value: data[userCol] });
+    if (data[justCol] !== undefined && COLUMNS[justCol]) cells.push({ columnId: COLUMNS[justCol], value: data[justCol] });
   }
   
   if (data.averageAiScore !== undefined) cells.push({ columnId: COLUMNS.averageAiScore, value: data.averageAiScore });
   if (data.averageUserScore !== undefined) cells.push({ columnId: COLUMNS.averageUserScore, value: data.averageUserScore });
 
+  // Weighted composite - skipped until the columns exist
+  for (const field of ['scoringProfile', 'compositeAiScore', 'compositeUserScore', 'decisionAi', 'decisionUser', 'knockoutFlags']) {
+    if (data[field] !== undefined && COLUMNS[field]) cells.push({ columnId: COLUMNS[field], value: data[field] });
+  }
+
   // Final recommendation
   if (data.finalRecommendation !== undefined && COLUMNS.finalRecommendation !== 0) {
     cells.push({ columnId: COLUMNS.finalRecommendation, value: data.finalRecommendation });
   }
+  for (const field of ['recommendationDecision', 'recommendationConfidence', 'recommendationConditions', 'recommendationOpenQuestions', 'recommendationFollowUps']) {
+    if (data[field] !== undefined && COLUMNS[field]) cells.push({ columnId: COLUMNS[field], value: data[field] });
+  }
 
   return cells;
 }
@@ -702,6 +902,24 @@ function testSmartsheetList() {
   console.log('Result:', JSON.stringify(result, null, 2));
 }
 
+function testSmartsheetScores() {
+  console.log('Testing smartsheet_scores...');
+  const result = processSmartsheetScores({});
+  console.log('Rows:', result.rows ? result.rows.length : result.error);
+}
+
+function testSmartsheetReview() {
+  console.log('Testing smartsheet_review...');
+  // Replace with a venture and lead advisor that already have a row
+  const result = processSmartsheetReview({
+    ventureName: 'Test Venture',
+    advisorName: 'Test Reviewer',
+    leadAdvisorName: 'Test Advisor',
+    reviewRole: 'Reviewer'
+  });
+  console.log('Result:', JSON.stringify(result, null, 2));
+}
+
 function testSmartsheetGet() {
   console.log('Testing smartsheet_get...');
   // Replace with an actual row ID from your sheet for testing